@@ -0,0 +1,733 @@
+#!/usr/bin/env node
+/**
+ * cli.mjs
+ *
+ * Command-line tool for scripts and cron jobs, built on the same modules
+ * as the web explorer (discovery, registry, SCPD, SOAP and GENA).
+ *
+ * Run:
+ *   node cli.mjs <command> [options]   (or `npx upnp-explorer`, `npm run cli --`)
+ *
+ * Commands:
+ * - `scan` -> M-SEARCH and list the root devices that answered
+ * - `describe <target>` -> a device's description and its tree of embedded
+ *   devices and services
+ * - `services <target>` -> the services of a device and its embedded
+ *   devices, with their resolved URLs
+ * - `scpd <target> <service>` -> the actions of a service (state variables
+ *   too with `--json`); `--xml` prints the document itself
+ * - `invoke <target> <service> <action> [name=value...]` -> calls an action
+ *   and prints its out-arguments
+ * - `watch [<target> [<service>...]]` -> streams devices going online
+ *   (`alive`), changing (`update`) and offline (`byebye` / `expired`), and
+ *   with a target the GENA events of its evented services (or the ones
+ *   named), until interrupted or `--duration` has passed
+ *
+ * A `<target>` is a UDN (`uuid:` optional), found with a targeted M-SEARCH,
+ * or the URL of a description (LOCATION), read directly. A `<service>` is a
+ * serviceId, its last part (`AVTransport`) or a service type name.
+ *
+ * Options:
+ *   --json               one JSON document
+ *   --ndjson             one JSON object per line (per device, service,
+ *                        action or event; `scan` prints devices as found)
+ *   -t, --timeout <s>    how long to search (default 5)
+ *   --st <target>        search target of `scan` and `watch` (default
+ *                        ssdp:all)
+ *   --mx <s>             MX of the M-SEARCH, 1-5 (default 3)
+ *   -i, --interface <n>  interface name or address to use (repeatable)
+ *   --ipv6 <scopes>      add IPv6 discovery: link, site or link,site
+ *   --xml                `scpd`: print the raw SCPD
+ *   --duration <s>       `watch`: stop after this many seconds
+ *   --seen               `watch`: print re-advertisements (`seen`) too
+ *   --port <n>           `watch`: GENA callback port (default any)
+ *
+ * Exit codes (`EXIT`): 0 success, 1 error (network, bad document),
+ * 2 usage, 3 nothing found (no device answered, unknown service or
+ * action), 4 the device answered with a UPnP fault.
+ *
+ * Notes:
+ * - Tables go to stdout, warnings (e.g. a device whose description cannot
+ *   be read during a scan) to stderr, so output can be piped.
+ * - `invoke` reads the SCPD to send arguments in its order and to reject
+ *   unknown or missing ones; when the SCPD cannot be read the arguments
+ *   are sent as given.
+ */
+
+import { parseArgs } from 'util';
+import express from 'express';
+import { startDiscovery, SSDP_ADDRESS_V6 } from './modules/ssdp-discovery.mjs';
+import { createRegistry, httpGet, servicesOf } from './modules/device-registry.mjs';
+import { parseScpd } from './modules/scpd.mjs';
+import { invokeAction } from './modules/soap.mjs';
+import { createEventing } from './modules/gena.mjs';
+
+const EXIT = { OK: 0, ERROR: 1, USAGE: 2, NOT_FOUND: 3, FAULT: 4 };
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    ndjson: { type: 'boolean' },
+    timeout: { type: 'string', short: 't' },
+    st: { type: 'string' },
+    mx: { type: 'string' },
+    interface: { type: 'string', short: 'i', multiple: true },
+    ipv6: { type: 'string' },
+    xml: { type: 'boolean' },
+    duration: { type: 'string' },
+    seen: { type: 'boolean' },
+    port: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: upnp-explorer <command> [options]
+
+Commands:
+  scan                                    list the devices on the network
+  describe <target>                       show a device description
+  services <target>                       list the services of a device
+  scpd <target> <service>                 list the actions of a service
+  invoke <target> <service> <action> [name=value...]
+                                          call an action
+  watch [<target> [<service>...]]         stream alive/byebye and GENA events
+
+<target> is a UDN or a description URL; <service> a serviceId or its name.
+
+Options:
+  --json | --ndjson      machine-readable output
+  -t, --timeout <s>      how long to search (default 5)
+  --st <target>          search target (scan, watch)
+  --mx <s>               MX of the M-SEARCH (default 3)
+  -i, --interface <n>    interface to use, repeatable
+  --ipv6 <scopes>        link, site or link,site
+  --xml                  raw SCPD (scpd)
+  --duration <s>         stop watching after this long
+  --seen                 print re-advertisements (watch)
+  --port <n>             GENA callback port (watch)
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 not found, 4 UPnP fault
+`;
+
+/**
+ * Error carrying the exit code to end with.
+ * @param {number} exitCode
+ * @param {string} message
+ * @returns {Error}
+ */
+function cliError(exitCode, message) {
+    const err = new Error(message);
+    err.exitCode = exitCode;
+    return err;
+}
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    return typeof value === 'object' ? (value._ !== undefined ? String(value._).trim() : null) : String(value).trim();
+}
+
+/**
+ * `MediaRenderer:1` from `urn:schemas-upnp-org:device:MediaRenderer:1`.
+ * @param {string|null} type
+ * @returns {string}
+ */
+function shortType(type) {
+    return type ? type.split(':').slice(-2).join(':') : '';
+}
+
+/**
+ * Read a positive number option.
+ * @param {string|undefined} value
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberOption(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw cliError(EXIT.USAGE, `--${name} must be a positive number`);
+    return n;
+}
+
+/**
+ * Discovery options shared by every command.
+ * @param {object} values Parsed options
+ * @returns {object}
+ */
+function discoveryOptions(values) {
+    const ipv6Scopes = values.ipv6 ? values.ipv6.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+    for (const scope of ipv6Scopes) {
+        if (!SSDP_ADDRESS_V6[scope]) {
+            throw cliError(EXIT.USAGE, `Unknown IPv6 scope "${scope}" (use ${Object.keys(SSDP_ADDRESS_V6).join(', ')})`);
+        }
+    }
+    const mx = numberOption(values.mx, 'mx', 3);
+    if (!Number.isInteger(mx) || mx > 5) throw cliError(EXIT.USAGE, '--mx must be an integer from 1 to 5');
+    return {
+        interfaces: values.interface && values.interface.length ? values.interface : null,
+        ipv6Scopes,
+        mx,
+        timeout: numberOption(values.timeout, 'timeout', 5) * 1000
+    };
+}
+
+/**
+ * Write a warning to stderr.
+ * @param {string} message
+ */
+function warn(message) {
+    process.stderr.write(`warning: ${message}\n`);
+}
+
+/**
+ * Format rows as aligned columns.
+ * @param {Array<object>} rows
+ * @param {Array<[string, (row: object) => *]>} columns Header and getter
+ * @returns {string}
+ */
+function table(rows, columns) {
+    const lines = [
+        columns.map(([header]) => header),
+        ...rows.map(row => columns.map(([, get]) => {
+            const value = get(row);
+            return value === null || value === undefined ? '' : String(value);
+        }))
+    ];
+    const widths = columns.map((_, i) => Math.max(...lines.map(cells => cells[i].length)));
+    return lines
+        .map(cells => cells.map((cell, i) => (i === cells.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ').trimEnd())
+        .join('\n') + '\n';
+}
+
+/**
+ * Print a result in the chosen format.
+ * @param {object} values Parsed options
+ * @param {*} result What `--json` prints
+ * @param {Array<object>} items What `--ndjson` prints, one per line
+ * @param {() => string} human Text otherwise
+ */
+function output(values, result, items, human) {
+    if (values.json) process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    else if (values.ndjson) items.forEach(item => process.stdout.write(JSON.stringify(item) + '\n'));
+    else process.stdout.write(human());
+}
+
+/**
+ * Summary of a registry entry.
+ * @param {object} entry
+ * @returns {object}
+ */
+function deviceSummary(entry) {
+    return {
+        udn: entry.udn,
+        friendlyName: first(entry.device, 'friendlyName'),
+        deviceType: first(entry.device, 'deviceType'),
+        manufacturer: first(entry.device, 'manufacturer'),
+        modelName: first(entry.device, 'modelName'),
+        modelNumber: first(entry.device, 'modelNumber'),
+        serialNumber: first(entry.device, 'serialNumber'),
+        presentationURL: first(entry.device, 'presentationURL'),
+        location: entry.location,
+        address: (entry.ip && entry.ip.address) || null,
+        interface: (entry.ip && entry.ip.interface) || null,
+        family: (entry.ip && entry.ip.family) || null,
+        server: (entry.ssdp && entry.ssdp.SERVER) || null
+    };
+}
+
+/**
+ * Start discovery feeding a registry.
+ * @param {object} options From `discoveryOptions`
+ * @param {object} [extra] `listen`, `st`, `onDevice(root, added)`
+ * @returns {{ registry: object, discovery: import('events').EventEmitter }}
+ */
+function openDiscovery(options, { listen = false, st = 'ssdp:all', onDevice = () => {} } = {}) {
+    const registry = createRegistry();
+    const discovery = startDiscovery({
+        listen,
+        describe: registry.describe,
+        interfaces: options.interfaces,
+        ipv6Scopes: options.ipv6Scopes,
+        st,
+        mx: options.mx
+    });
+    discovery.on('device', (d) => {
+        const { added } = registry.upsert(d);
+        const root = registry.byLocation(d.ssdp.LOCATION).find(e => !e.embedded);
+        if (root) onDevice(root, added.includes(root.udn));
+    });
+    discovery.on('device-error', (e) => warn(`${e.location}: ${e.error.message}`));
+    discovery.on('suspicious', (e) => warn(`${e.address}: ignored LOCATION ${e.url} (${e.reason})`));
+    discovery.on('error', (err) => warn(err.message));
+    return { registry, discovery };
+}
+
+/**
+ * The UDN a target names, or null for a description URL.
+ * @param {string} target
+ * @returns {string|null}
+ */
+function targetUdn(target) {
+    if (/^https?:\/\//i.test(target)) return null;
+    return /^uuid:/i.test(target) ? target : `uuid:${target}`;
+}
+
+/**
+ * Find the device a target names.
+ * @param {string} target UDN or description URL
+ * @param {object} options From `discoveryOptions`
+ * @param {object} [found] `openDiscovery` result to search with, kept
+ *   running; otherwise discovery runs only until the device answers
+ * @returns {Promise<{ registry: object, entry: object }>}
+ */
+async function resolveTarget(target, options, found = null) {
+    const udn = targetUdn(target);
+    if (!udn) {
+        const registry = found ? found.registry : createRegistry();
+        let root;
+        try {
+            ({ root } = await registry.describe(target));
+        } catch (e) {
+            throw cliError(EXIT.ERROR, `Cannot read the description at ${target}: ${e.message}`);
+        }
+        registry.upsert({ ssdp: { LOCATION: target }, ip: { address: new URL(target).hostname }, root });
+        return { registry, entry: registry.get(first(root.device[0], 'UDN')) };
+    }
+
+    const { registry, discovery } = found || openDiscovery(options, { st: udn });
+    if (found) discovery.search(udn, { mx: options.mx }).catch(e => warn(e.message));
+    const entry = registry.get(udn) || await new Promise((done) => {
+        const check = () => {
+            if (!registry.get(udn)) return;
+            clearTimeout(timer);
+            discovery.off('device', check);
+            done(registry.get(udn));
+        };
+        const timer = setTimeout(() => {
+            discovery.off('device', check);
+            done(null);
+        }, options.timeout);
+        discovery.on('device', check);
+    });
+    if (!found) discovery.stop();
+    if (!entry) throw cliError(EXIT.NOT_FOUND, `No answer from ${udn} within ${options.timeout / 1000} s`);
+    return { registry, entry };
+}
+
+/**
+ * A device and its embedded devices, depth first.
+ * @param {object} registry
+ * @param {object} entry
+ * @returns {Array<object>}
+ */
+function subtree(registry, entry) {
+    const children = registry.list().filter(e => e.parentUdn === entry.udn);
+    return [entry, ...children.flatMap(child => subtree(registry, child))];
+}
+
+/**
+ * Every service of a device and its embedded devices.
+ * @param {object} registry
+ * @param {object} entry
+ * @returns {Array<object>}
+ */
+function listServices(registry, entry) {
+    return subtree(registry, entry).flatMap(device => servicesOf(device.device).map((service) => {
+        const url = (key) => (first(service, key) ? registry.resolveUrl(device, first(service, key)) : null);
+        return {
+            udn: device.udn,
+            device: first(device.device, 'friendlyName'),
+            serviceId: first(service, 'serviceId'),
+            serviceType: first(service, 'serviceType'),
+            SCPDURL: url('SCPDURL'),
+            controlURL: url('controlURL'),
+            eventSubURL: url('eventSubURL')
+        };
+    }));
+}
+
+/**
+ * Find one service by serviceId, the last part of it or its type name.
+ * @param {object} registry
+ * @param {object} entry
+ * @param {string} name
+ * @returns {object} From `listServices`
+ */
+function findService(registry, entry, name) {
+    const services = listServices(registry, entry);
+    const exact = services.filter(s => s.serviceId === name || s.serviceType === name);
+    const matches = exact.length ? exact : services.filter(s =>
+        (s.serviceId || '').split(':').pop() === name || shortType(s.serviceType).split(':')[0] === name);
+    if (!matches.length) {
+        throw cliError(EXIT.NOT_FOUND, `No service "${name}" (${services.map(s => s.serviceId).join(', ') || 'the device has none'})`);
+    }
+    if (matches.length > 1) {
+        throw cliError(EXIT.USAGE, `"${name}" matches several services; target the embedded device that has the one you want: ` +
+            matches.map(s => `${s.serviceId} on ${s.udn}`).join(', '));
+    }
+    return matches[0];
+}
+
+/**
+ * Fetch and parse a service's SCPD.
+ * @param {object} service From `listServices`
+ * @returns {Promise<{ scpd: object, xml: string }>}
+ */
+async function loadScpd(service) {
+    if (!service.SCPDURL) throw cliError(EXIT.ERROR, `${service.serviceId} has no SCPDURL`);
+    let xml;
+    try {
+        xml = await httpGet(service.SCPDURL);
+    } catch (e) {
+        throw cliError(EXIT.ERROR, `Cannot read the SCPD at ${service.SCPDURL}: ${e.message}`);
+    }
+    try {
+        return { scpd: await parseScpd(xml), xml };
+    } catch (e) {
+        throw cliError(EXIT.ERROR, `The SCPD at ${service.SCPDURL} does not parse: ${e.message}`);
+    }
+}
+
+/**
+ * Parse `name=value` arguments.
+ * @param {Array<string>} pairs
+ * @returns {object}
+ */
+function parsePairs(pairs) {
+    const args = {};
+    for (const pair of pairs) {
+        const eq = pair.indexOf('=');
+        if (eq < 1) throw cliError(EXIT.USAGE, `Arguments are name=value, got "${pair}"`);
+        args[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+    return args;
+}
+
+/**
+ * Order arguments as the SCPD declares them, and check none is unknown or
+ * missing.
+ * @param {object} action From the SCPD
+ * @param {object} args
+ * @returns {object}
+ */
+function orderArgs(action, args) {
+    const names = action.inputs.map(a => a.name);
+    const unknown = Object.keys(args).filter(name => !names.includes(name));
+    if (unknown.length) {
+        throw cliError(EXIT.USAGE, `${action.name} has no argument ${unknown.join(', ')} (takes ${names.join(', ') || 'none'})`);
+    }
+    const missing = names.filter(name => args[name] === undefined);
+    if (missing.length) throw cliError(EXIT.USAGE, `${action.name} needs ${missing.join(', ')}`);
+    return Object.fromEntries(names.map(name => [name, args[name]]));
+}
+
+/**
+ * `scan`: search and list the root devices that answered.
+ * @param {object} values
+ * @returns {Promise<number>} Exit code
+ */
+async function scan(values) {
+    const options = discoveryOptions(values);
+    const st = values.st || 'ssdp:all';
+    const { registry, discovery } = openDiscovery(options, {
+        st,
+        onDevice: (root, added) => {
+            if (values.ndjson && added) process.stdout.write(JSON.stringify(deviceSummary(root)) + '\n');
+        }
+    });
+    await new Promise(done => setTimeout(done, options.timeout));
+    discovery.stop();
+
+    const devices = registry.roots()
+        .map(deviceSummary)
+        .sort((a, b) => (a.friendlyName || '').localeCompare(b.friendlyName || ''));
+    if (!values.ndjson) {
+        output(values, devices, devices, () => (devices.length
+            ? table(devices, [
+                ['NAME', d => d.friendlyName],
+                ['TYPE', d => shortType(d.deviceType)],
+                ['ADDRESS', d => d.address],
+                ['INTERFACE', d => d.interface],
+                ['UDN', d => d.udn]
+            ])
+            : ''));
+    }
+    if (!devices.length) {
+        warn(`No device answered ${st} within ${options.timeout / 1000} s`);
+        return EXIT.NOT_FOUND;
+    }
+    return EXIT.OK;
+}
+
+/**
+ * `describe <target>`
+ * @param {object} values
+ * @param {Array<string>} positionals
+ * @returns {Promise<number>}
+ */
+async function describe(values, [target]) {
+    if (!target) throw cliError(EXIT.USAGE, 'describe needs a UDN or description URL');
+    const { registry, entry } = await resolveTarget(target, discoveryOptions(values));
+    const summary = { ...deviceSummary(entry), tree: registry.tree(entry.udn) };
+
+    output(values, summary, [summary], () => {
+        const fields = Object.entries(deviceSummary(entry)).filter(([, value]) => value !== null);
+        const width = Math.max(...fields.map(([key]) => key.length));
+        const lines = fields.map(([key, value]) => `${key.padEnd(width)}  ${value}`);
+        (function walk(node, depth) {
+            const indent = '  '.repeat(depth);
+            lines.push(`${indent}${node.friendlyName || node.udn} [${shortType(node.deviceType)}] ${node.udn}`);
+            for (const s of node.services) lines.push(`${indent}  - ${s.serviceId}${s.evented ? ' (evented)' : ''}`);
+            node.devices.forEach(child => walk(child, depth + 1));
+        })(summary.tree, 0);
+        return [...lines.slice(0, fields.length), '', ...lines.slice(fields.length)].join('\n') + '\n';
+    });
+    return EXIT.OK;
+}
+
+/**
+ * `services <target>`
+ * @param {object} values
+ * @param {Array<string>} positionals
+ * @returns {Promise<number>}
+ */
+async function services(values, [target]) {
+    if (!target) throw cliError(EXIT.USAGE, 'services needs a UDN or description URL');
+    const { registry, entry } = await resolveTarget(target, discoveryOptions(values));
+    const list = listServices(registry, entry);
+
+    output(values, list, list, () => table(list, [
+        ['SERVICE', s => (s.serviceId || '').split(':').pop()],
+        ['TYPE', s => shortType(s.serviceType)],
+        ['DEVICE', s => s.device],
+        ['EVENTED', s => (s.eventSubURL ? 'yes' : 'no')],
+        ['CONTROL URL', s => s.controlURL]
+    ]));
+    return list.length ? EXIT.OK : EXIT.NOT_FOUND;
+}
+
+/**
+ * `scpd <target> <service>`
+ * @param {object} values
+ * @param {Array<string>} positionals
+ * @returns {Promise<number>}
+ */
+async function scpd(values, [target, name]) {
+    if (!target || !name) throw cliError(EXIT.USAGE, 'scpd needs a device and a service');
+    const { registry, entry } = await resolveTarget(target, discoveryOptions(values));
+    const service = findService(registry, entry, name);
+    const { scpd: parsed, xml } = await loadScpd(service);
+
+    if (values.xml) {
+        process.stdout.write(xml.endsWith('\n') ? xml : `${xml}\n`);
+        return EXIT.OK;
+    }
+    const describeArg = (a) => `${a.name}: ${(a.stateVariable && a.stateVariable.dataType) || '?'}`;
+    output(values, { serviceId: service.serviceId, serviceType: service.serviceType, ...parsed }, parsed.actions, () =>
+        parsed.actions.map(a => `${a.name}(${a.inputs.map(describeArg).join(', ')})` +
+            (a.outputs.length ? ` -> ${a.outputs.map(describeArg).join(', ')}` : '')).join('\n') + '\n' +
+        (parsed.eventedVariables.length ? `\nEvented: ${parsed.eventedVariables.join(', ')}\n` : ''));
+    return EXIT.OK;
+}
+
+/**
+ * `invoke <target> <service> <action> [name=value...]`
+ * @param {object} values
+ * @param {Array<string>} positionals
+ * @returns {Promise<number>}
+ */
+async function invoke(values, [target, name, actionName, ...pairs]) {
+    if (!target || !name || !actionName) throw cliError(EXIT.USAGE, 'invoke needs a device, a service and an action');
+    let args = parsePairs(pairs);
+    const { registry, entry } = await resolveTarget(target, discoveryOptions(values));
+    const service = findService(registry, entry, name);
+    if (!service.controlURL) throw cliError(EXIT.ERROR, `${service.serviceId} has no controlURL`);
+
+    let doc = null;
+    try {
+        ({ scpd: doc } = await loadScpd(service));
+    } catch (e) {
+        warn(`${e.message}; sending the arguments as given`);
+    }
+    if (doc) {
+        const action = doc.actions.find(a => a.name === actionName);
+        if (!action) {
+            throw cliError(EXIT.NOT_FOUND, `${service.serviceId} has no action ${actionName} ` +
+                `(${doc.actions.map(a => a.name).join(', ')})`);
+        }
+        args = orderArgs(action, args);
+    }
+
+    let result;
+    try {
+        result = await invokeAction({ controlURL: service.controlURL, serviceType: service.serviceType, action: actionName, args });
+    } catch (e) {
+        throw cliError(EXIT.ERROR, `${actionName} failed: ${e.message}`);
+    }
+
+    if (!result.ok) {
+        const fault = result.fault || {};
+        if (values.json || values.ndjson) output(values, result, [result], () => '');
+        process.stderr.write(`UPnP fault${fault.errorCode ? ` ${fault.errorCode}` : ''}: ` +
+            `${fault.errorDescription || fault.faultString || 'no description'}\n`);
+        return EXIT.FAULT;
+    }
+    const outputs = Object.entries(result.outputs || {}).map(([key, value]) => ({ name: key, value }));
+    output(values, result, [result], () => (outputs.length
+        ? table(outputs, [['NAME', o => o.name], ['VALUE', o => o.value]])
+        : `${actionName}: OK\n`));
+    return EXIT.OK;
+}
+
+/**
+ * `watch [<target> [<service>...]]`: stream presence and GENA events
+ * until SIGINT/SIGTERM or `--duration`.
+ * @param {object} values
+ * @param {Array<string>} positionals
+ * @returns {Promise<number>}
+ */
+async function watch(values, [target, ...names]) {
+    const options = discoveryOptions(values);
+    const duration = values.duration === undefined ? null : numberOption(values.duration, 'duration', 0) * 1000;
+    const port = values.port === undefined ? 0 : Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw cliError(EXIT.USAGE, '--port must be a port number');
+
+    const print = (event) => {
+        const line = { at: new Date().toISOString(), ...event };
+        if (values.json || values.ndjson) {
+            process.stdout.write(JSON.stringify(line) + '\n');
+            return;
+        }
+        const detail = event.changes
+            ? event.changes.map(c => `${c.name}${c.channel ? `[${c.channel}]` : ''}=${c.value}`).join(' ')
+            : [event.friendlyName, event.location, event.reason].filter(Boolean).join(' ');
+        process.stdout.write(`${line.at}  ${event.event.padEnd(7)}  ${event.serviceId || event.udn || ''}  ${detail}\n`);
+    };
+
+    // Listen before looking for the target, so its first `alive` is seen
+    const found = openDiscovery(options, { listen: true, st: values.st || 'ssdp:all' });
+    const { registry, discovery } = found;
+    const udn = target ? targetUdn(target) : null;
+    const mine = (loc) => !target || loc === target || (udn && registry.byLocation(loc).some(e => e.udn === udn));
+    const nameOf = (loc) => {
+        const root = registry.byLocation(loc).find(e => !e.embedded);
+        return root ? { udn: root.udn, friendlyName: first(root.device, 'friendlyName') } : {};
+    };
+
+    discovery.on('device-online', (d) => mine(d.location) && print({ event: 'alive', location: d.location, ...nameOf(d.location) }));
+    discovery.on('device-updated', (d) => mine(d.location) && print({ event: 'update', location: d.location, ...nameOf(d.location) }));
+    discovery.on('device-offline', (d) => mine(d.location) &&
+        print({ event: d.reason === 'byebye' ? 'byebye' : 'expired', location: d.location, reason: d.reason, ...nameOf(d.location) }));
+    if (values.seen) {
+        discovery.on('device-seen', (d) => mine(d.location) && print({ event: 'seen', location: d.location, ...nameOf(d.location) }));
+    }
+
+    let entry = null;
+    if (target) {
+        try {
+            ({ entry } = await resolveTarget(target, options, found));
+        } catch (e) {
+            discovery.stop();
+            throw e;
+        }
+    }
+
+    // GENA callbacks come to a small server of our own
+    let server = null;
+    let eventing = null;
+    const keys = [];
+    if (entry) {
+        const wanted = names.length
+            ? names.map(name => findService(registry, entry, name))
+            : listServices(registry, entry).filter(s => s.eventSubURL);
+        const evented = wanted.filter(s => s.eventSubURL);
+        if (wanted.length > evented.length) warn(`Not evented: ${wanted.filter(s => !s.eventSubURL).map(s => s.serviceId).join(', ')}`);
+
+        const app = express();
+        server = app.listen(port);
+        await new Promise((done, fail) => server.once('listening', done).once('error', fail));
+        eventing = createEventing({ getCallbackPort: () => server.address().port, callbackPath: '/upnp/events' });
+        app.all('/upnp/events/:id', express.text({ type: () => true, limit: '1mb' }), eventing.handleNotify);
+        eventing.on('event', (e) => {
+            const [udn, serviceId] = e.key.split('::');
+            print({ event: 'state', udn, serviceId, seq: e.seq, changes: e.changes });
+        });
+        eventing.on('expired', ({ key, error }) => warn(`Subscription to ${key.split('::')[1]} expired: ${error.message}`));
+        eventing.on('error', (err) => warn(err.message));
+
+        const remoteAddress = (entry.ip && entry.ip.address) || new URL(entry.location).hostname;
+        for (const service of evented) {
+            const key = `${service.udn}::${service.serviceId}`;
+            try {
+                await eventing.subscribe({ key, eventSubURL: service.eventSubURL, remoteAddress });
+                keys.push(key);
+            } catch (e) {
+                warn(`Cannot subscribe to ${service.serviceId}: ${e.message}`);
+            }
+        }
+        if (evented.length && !keys.length) {
+            discovery.stop();
+            server.close();
+            throw cliError(EXIT.ERROR, 'No subscription was accepted');
+        }
+    }
+
+    await new Promise((done) => {
+        process.once('SIGINT', done);
+        process.once('SIGTERM', done);
+        if (duration) setTimeout(done, duration);
+    });
+
+    discovery.stop();
+    if (eventing) {
+        await Promise.all(keys.map(key => eventing.unsubscribe(key).catch(e => warn(`Cannot unsubscribe ${key}: ${e.message}`))));
+    }
+    if (server) server.close();
+    return EXIT.OK;
+}
+
+const COMMANDS = { scan, describe, services, scpd, invoke, watch };
+
+/**
+ * Run the tool.
+ * @param {Array<string>} argv Arguments after `node cli.mjs`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        process.stderr.write(`${e.message}\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+    const { values, positionals: [command, ...rest] } = parsed;
+    if (values.help || !command) {
+        (values.help ? process.stdout : process.stderr).write(USAGE);
+        return values.help ? EXIT.OK : EXIT.USAGE;
+    }
+    if (!COMMANDS[command]) {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+    if (values.json && values.ndjson) {
+        process.stderr.write('Use either --json or --ndjson\n');
+        return EXIT.USAGE;
+    }
+
+    try {
+        return await COMMANDS[command](values, rest);
+    } catch (e) {
+        process.stderr.write(`upnp-explorer: ${e.message}\n`);
+        return e.exitCode || EXIT.ERROR;
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -22,58 +22,585 @@
  * - Dependencies: express, socket.io, node-ssdp, xml2js, upnp-device-client
  *
  * Events / public API (Socket.IO):
+ * - `session` -> sent on connecting: who the socket is logged in as
+ *   ({ name, role, authRequired, canControl }). A socket without a user,
+ *   token or anonymous role is refused with `unauthorized`.
+ * - `discover` -> starts an SSDP scan (or joins the one running for the
+ *   same ST and interfaces); replies `scan:started`
+ *   and `scan:complete` once the MX window (env `SSDP_MX`, default 3 s)
+ *   has passed. Devices are broadcast as they are parsed:
+ *   `device:added` / `device:updated` (root device entries). A `filter`
+ *   naming a single device type, service type or UDN (see
+ *   modules/device-filter.mjs) searches for that ST instead of `ssdp:all`,
+ *   and an `iface:` term naming interfaces searches only on those
+ * - `interfaces` -> emits the host's network interfaces, whether each is
+ *   searched on and how many online devices were found on it
  * - `devices` -> emits array of discovered devices
- * - `services` -> emits list of services for the selected device
- * - `actions`  -> send control actions (Play/Pause/etc.)
+ * - `inventory` -> emits the persisted device history, optionally only
+ *   devices not seen for `staleDays` days
+ * - `services` -> emits the device tree (services and embedded devices)
+ *   of the selected device
+ * - `metadata` -> emits the description fields of a device (manufacturer,
+ *   model, serial number, UPC, presentationURL), the SSDP headers of its
+ *   last sighting, its address and port, the raw description XML and its
+ *   change history
+ * - `device:changed` -> broadcast when a device is described again and
+ *   its description, CONFIGID, address, LOCATION or service list differ
+ *   from the previous time ({ udn, location, friendlyName, at, changes },
+ *   see modules/device-changes.mjs)
+ * - `actions`  -> emits the parsed SCPD (actions with resolved arguments,
+ *   state variables) for a service, plus the raw XML
+ * - `invoke`   -> calls an action over SOAP and emits its out-arguments
+ *   or the UPnP fault (errorCode/errorDescription)
+ * - `renderer` -> emits the state of a MediaRenderer (transport, position,
+ *   volume, now-playing track), or `supported: false` for other devices
+ * - `renderer:command` -> runs Play/Pause/Stop/Next/Previous/Seek/
+ *   SetVolume/SetMute on a MediaRenderer and emits its new `renderer` state
+ * - `browse` -> emits a page of a MediaServer's ContentDirectory (the
+ *   children of `objectId`, or its metadata), with the server's search
+ *   capabilities
+ * - `search` -> searches a ContentDirectory for a free-text `query` (or raw
+ *   `criteria`) and emits the page of results as `search`
+ * - `renderers` -> emits the discovered MediaRenderers ({ udn, friendlyName })
+ * - `play-on` -> sends library items (`{ serverUdn, objectId }`, a folder
+ *   plays its items) or URLs (`{ url, title }`) to a renderer's play
+ *   queue, after checking them against its ConnectionManager sink list;
+ *   replies `play-on` with the entries that were skipped
+ * - `queue` -> emits a renderer's play queue; every change to a queue is
+ *   broadcast as `queue`
+ * - `queue:command` -> next/previous/jump/remove/clear on a play queue
+ * - `vendor` -> emits the vendor plugin cards of a device and its embedded
+ *   devices (`refresh: true` reads them again)
+ * - `vendor:action` -> runs a plugin's vendor action and emits its result
+ * - `gateway` -> emits an Internet Gateway Device's WAN connections
+ *   (external IP, status) and the port mappings of one of them, each
+ *   flagged when its internal client is no longer on the network
+ * - `gateway:add` / `gateway:delete` -> adds or deletes a port mapping and
+ *   emits the new `gateway` state
+ * - `device-status` -> broadcast when a device comes online, re-advertises,
+ *   changes or goes offline ({ location, udn, status, lastSeen })
+ * - `device:error` -> broadcast when a device's description cannot be
+ *   fetched or parsed ({ location, udn, address, interface, error: { code,
+ *   message, url, httpStatus }, at }), and with `error: null` once it
+ *   loads again; `fetch-errors` emits the current ones
+ * - `suspicious:seen` -> broadcast when a device names a URL the URL
+ *   policy refuses, or claims the UDN of a device online elsewhere
+ *   ({ kind, url, usn, udn, address, interface, reason,
+ *   count, firstAt, lastAt }); `suspicious` emits the current list
+ * - `watch` / `unwatch` -> (un)subscribes the socket to GENA events of a
+ *   service; changes are pushed as `state` events to every watching socket
+ * - `ssdp:traffic` -> emits the SSDP datagrams discovery sent and received
+ *   (most recent first, narrowed by a `filter`, see
+ *   modules/ssdp-inspector.mjs) with their timing and the summaries
+ * - `ssdp:watch` / `ssdp:unwatch` -> (un)subscribes the socket to new
+ *   datagrams matching its `filter`, pushed as `ssdp:packets` batches
+ *   along with the capture status and fresh summaries
+ * - `ssdp:capture` -> pauses, resumes or clears the capture (operators
+ *   only); the new state is sent to every watching socket
+ *
+ * HTTP routes:
+ * - `NOTIFY /upnp/events/:id` -> GENA callback endpoint for subscriptions
+ * - `/api/...` -> REST API mirroring the events above, described by
+ *   `GET /api/openapi.json` (see modules/api.mjs)
+ * - `/virtual/...` -> description, SCPDs and SOAP control of the virtual
+ *   device, when one is published (see below)
+ *
+ * Record / replay (modules/recording.mjs):
+ * - `SSDP_RECORD=<dir>` records SSDP traffic, descriptions and the SCPDs
+ *   of every discovered service into a fixture bundle while discovering
+ *   as usual.
+ * - `SSDP_REPLAY=<dir>` serves discovery and SCPDs from a bundle instead of
+ *   the network; `SSDP_REPLAY_TIMING=1` keeps the recorded delays. Actions
+ *   and GENA subscriptions still go to the network.
+ *
+ * Network interfaces (modules/ssdp-discovery.mjs):
+ * - Discovery searches and listens on every non-internal IPv4 interface;
+ *   `SSDP_INTERFACES=eth0,192.168.2.10` limits it to some (names or
+ *   addresses). `SSDP_IPV6=link` adds IPv6 discovery over ff02::c,
+ *   `SSDP_IPV6=link,site` over ff05::c as well. Each device's `ip` names
+ *   the `interface` and `family` it was found on.
+ *
+ * Access control (modules/auth.mjs, modules/audit-log.mjs):
+ * - `AUTH_FILE` (default `data/auth.json`) lists local users and API
+ *   tokens with their role: `viewer` may discover and browse, `operator`
+ *   may also control (invoke, renderer:command, play-on, queue:command,
+ *   vendor:action, gateway:add/delete and their REST routes). Without the
+ *   file everyone is a viewer; `ANONYMOUS_ROLE=operator` lets anyone who
+ *   can reach the server control devices, as before.
+ * - The UI logs in through `POST /api/auth/login` (session cookie);
+ *   scripts send `Authorization: Bearer <token>` or Basic credentials,
+ *   sockets the cookie or `auth: { token }`.
+ * - Browser pages of other origins are refused unless listed in
+ *   `CORS_ORIGINS` (comma-separated) or the file's `corsOrigins`.
+ * - Every control action, allowed or not, is appended to `AUDIT_FILE`
+ *   (default `data/audit.log`) with who sent it.
+ * - Each socket keeps its own state (`socket.data`).
+ *
+ * URL policy (modules/url-policy.mjs):
+ * - LOCATIONs, and the SCPD, control and event URLs of descriptions, are
+ *   only requested when their host is the address the device answered
+ *   from or lies in a private range; loopback and cloud metadata
+ *   addresses are always refused. Refused URLs (and redirects) are listed
+ *   as suspicious responses. `URL_ALLOWED_RANGES=10.0.0.0/8,fd00::/8`
+ *   replaces the private ranges; `URL_ALLOW=loopback,metadata,hostnames`
+ *   lifts the other restrictions.
+ * - A device keeps the LOCATION it was first described at while it is
+ *   online and still advertised there; another LOCATION announcing its
+ *   UDN meanwhile is ignored and listed as suspicious (`kind: conflict`).
+ *   Once its USNs are announced at the new LOCATION only, it moves. A
+ *   dual-stack device announcing an IPv4 and an IPv6 LOCATION is listed
+ *   once, at the first, and moves to the other when the first goes
+ *   offline.
+ *
+ * SSDP inspector (modules/ssdp-inspector.mjs):
+ * - Every M-SEARCH sent and every response, NOTIFY (and other control
+ *   points' M-SEARCHes) received is kept with its raw text, sender, size
+ *   and, for responses, the delay since the search it answers; the last
+ *   `SSDP_INSPECTOR_CAPACITY` (2000) datagrams are kept. The Traffic view
+ *   and `GET /api/ssdp/traffic` sum them up per device, duplicate answer,
+ *   failing LOCATION, search and search target.
+ *
+ * Device icons (modules/device-icons.mjs):
+ * - `GET /api/devices/:udn/icon?size=48` serves the icon of the device
+ *   (or of its root device) best suited to that size, fetched under the
+ *   URL policy and kept in `ICON_CACHE_DIR` (default `data/icons`, at most
+ *   `ICON_CACHE_MAX_MB`, 20). The UI falls back to an icon generated from
+ *   the deviceType.
+ *
+ * Vendor plugins (modules/plugins.mjs):
+ * - Plugins in `modules/plugins` are always loaded; `PLUGIN_DIRS` adds
+ *   directories (separated like PATH) for plugins of your own hardware.
+ *   Matching devices are enriched when discovered, their fields are kept
+ *   as `vendor` on the device entries.
+ *
+ * Virtual device:
+ * - Set `VIRTUAL_DEVICE` to a profile in `modules/profiles` (e.g.
+ *   `media-renderer`) to advertise a device implemented by the server
+ *   itself; `VIRTUAL_DEVICE_NAME` overrides its friendly name.
  */
 
 const express = require("express");
 const app = express();
 const http = require("http");
+const path = require("path");
+const os = require("os");
+const { once } = require("events");
 // const https = require("https");
-const SSDP = require("node-ssdp").Client;
 // const UPNP = require("upnp-device-client");
 
-// const path = require("path");
-// const xml2js = require("xml2js");
 // const cheerio = require("cheerio");
 const bodyParser = require("body-parser");
 
 const webServer = http.createServer(app);
 var io = require("socket.io")(webServer, {
+  // Pages of other sites may only connect from the CORS allow-list
+  // (WebSocket upgrades are not subject to CORS, so check them here too)
+  allowRequest: (req, callback) => callback(null, corsAllowed(req.headers.origin, req.headers.host)),
   cors: {
-    origin: "*",
+    origin: (origin, callback) => callback(null, corsAllowed(origin)),
+    credentials: true,
   },
 });
-const ssdpClient = new SSDP({ explicitSocketBind: true });
 
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
 // let xml = "";
-let devices = {};
+// Device registry (modules/device-registry.mjs): entries keyed by UDN,
+// root and embedded devices alike. Set once the module has loaded.
+let registry = null;
 // let devicesByLocation = [];
-let selectedDevice = undefined;
 // var upnpClient = undefined;
+let eventing = null;
+let discovery = null;
+let inventory = null;
+let virtualDevice = null;
+let pluginHost = null;
+// Device filter syntax (modules/device-filter.mjs), shared with the UI
+let deviceFilter = null;
+
+// Record / replay of SSDP traffic and documents (modules/recording.mjs)
+const SSDP_RECORD = process.env.SSDP_RECORD || "";
+const SSDP_REPLAY = process.env.SSDP_REPLAY || "";
+const SSDP_REPLAY_TIMING = /^(1|true|yes)$/i.test(process.env.SSDP_REPLAY_TIMING || "");
+let recorder = null;
+
+// Interfaces to discover on (names or addresses, comma-separated; default
+// every IPv4 interface) and the IPv6 multicast scopes to add (`link,site`)
+const SSDP_INTERFACES = (process.env.SSDP_INTERFACES || "").split(",").map((s) => s.trim()).filter(Boolean);
+const SSDP_IPV6 = (process.env.SSDP_IPV6 || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+// Fetches descriptions and SCPDs: the network, or the replayed bundle
+let fetchDocument = null;
+
+// Which device URLs may be requested (modules/url-policy.mjs): CIDRs
+// accepted besides the device's own address (default: private ranges),
+// and the restrictions to lift (`loopback,metadata,hostnames`)
+const URL_ALLOWED_RANGES = (process.env.URL_ALLOWED_RANGES || "").split(",").map((s) => s.trim()).filter(Boolean);
+const URL_ALLOW = (process.env.URL_ALLOW || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+let urlPolicy = null;
+
+// URLs the policy refused, by kind, URL and sender; the oldest are dropped
+// past the limit
+const suspicious = new Map();
+const SUSPICIOUS_LIMIT = 200;
+
+// Persistent inventory (modules/inventory.mjs): where it is stored, how
+// long unseen devices are kept (days, 0 = forever) and how often to prune.
+// A replayed network gets its own file so it does not mix with the real one.
+const INVENTORY_FILE = process.env.INVENTORY_FILE ||
+  path.join(__dirname, "data", SSDP_REPLAY ? "inventory-replay.json" : "inventory.json");
+const INVENTORY_RETENTION_DAYS = Number(process.env.INVENTORY_RETENTION_DAYS || 30);
+const INVENTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// MX (seconds) sent with M-SEARCH; devices spread their answers over it
+const SCAN_MX = clampMx(process.env.SSDP_MX || 3);
+// Scans running, by ST and interfaces
+const scans = new Map();
+let scanCount = 0;
+
+// How long an offline device stays listed before it is dropped
+const OFFLINE_RETENTION_MS = 10 * 60 * 1000;
+
+// SSDP inspector (modules/ssdp-inspector.mjs): datagrams kept, and the
+// room of sockets watching the traffic live, which get it in batches
+const SSDP_INSPECTOR_CAPACITY = Number(process.env.SSDP_INSPECTOR_CAPACITY || 2000);
+const INSPECTOR_ROOM = "ssdp-inspector";
+const INSPECTOR_BATCH_MS = 500;
+let inspector = null;
+// Id of the last entry sent to the watching sockets
+let inspectorSent = 0;
+let inspectorTimer = null;
+const removeTimers = new Map();
+
+// Descriptions that could not be fetched or parsed, by LOCATION; kept as
+// long as the device keeps advertising (each sighting retries)
+const fetchErrors = new Map();
+
+// Access control (modules/auth.mjs): users and tokens, with their roles
+// and the CORS allow-list, from AUTH_FILE; without it anyone who can reach
+// the server is a viewer (or ANONYMOUS_ROLE). Control actions are audited
+// to AUDIT_FILE (modules/audit-log.mjs).
+const AUTH_FILE = process.env.AUTH_FILE || path.join(__dirname, "data", "auth.json");
+const ANONYMOUS_ROLE = process.env.ANONYMOUS_ROLE || "viewer";
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, "data", "audit.log");
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+let accessControl = null;
+let auth = null;
+let audit = null;
+let corsOrigins = CORS_ORIGINS;
+
+// Device icons (modules/device-icons.mjs), proxied and cached on disk
+const ICON_CACHE_DIR = process.env.ICON_CACHE_DIR || path.join(__dirname, "data", "icons");
+const ICON_CACHE_MAX_MB = Number(process.env.ICON_CACHE_MAX_MB || 20);
+let deviceIcons = null;
+let iconCache = null;
+
+// Search capabilities per ContentDirectory, asked once per server run
+const searchCapabilities = new Map();
+
+// Play queues by renderer UDN (modules/play-queue.mjs)
+const queues = new Map();
+
+// Vendor plugins: built-in ones plus PLUGIN_DIRS
+const PLUGIN_DIRS = [
+  path.join(__dirname, "modules", "plugins"),
+  ...(process.env.PLUGIN_DIRS || "").split(path.delimiter).filter(Boolean),
+];
+// Vendor fields older than this are read again when a device is opened
+const VENDOR_MAX_AGE_MS = 30 * 1000;
+
+// ==================== access control ====================
+// Requests wait until the config has loaded. One that does not load stops
+// the server rather than leaving it open.
+let authRouter = null;
+const accessReady = (async () => {
+  try {
+    accessControl = await import('./modules/auth.mjs');
+    const config = await accessControl.loadAuthConfig(AUTH_FILE);
+    auth = accessControl.createAuth(config, { anonymousRole: ANONYMOUS_ROLE });
+    authRouter = auth.router();
+    corsOrigins = [...CORS_ORIGINS, ...auth.corsOrigins];
+    const { openAuditLog } = await import('./modules/audit-log.mjs');
+    audit = await openAuditLog({ file: AUDIT_FILE });
+    if (config) {
+      console.log("auth: %d users and %d tokens from %s%s", config.users.length, config.tokens.length, AUTH_FILE,
+        config.anonymousRole ? `, anonymous ${config.anonymousRole}` : "");
+    } else if (ANONYMOUS_ROLE === "operator") {
+      console.warn("auth: %s not found and ANONYMOUS_ROLE=operator; anyone who can reach the server may control devices", AUTH_FILE);
+    } else {
+      console.warn("auth: %s not found; everyone is a %s and control actions are refused", AUTH_FILE, ANONYMOUS_ROLE);
+    }
+  } catch (e) {
+    console.error('Failed to load access control:', e);
+    process.exit(1);
+  }
+})();
+
+// Whether a browser page from `origin` may use the server: its own pages
+// and the CORS allow-list (CORS_ORIGINS and the auth file's corsOrigins)
+function corsAllowed(origin, host) {
+  return accessControl ? accessControl.originAllowed(origin, host, corsOrigins) : !origin;
+}
+
+// Who sent a control request over a socket, for the audit log
+function socketActor(socket) {
+  return { principal: socket.data.principal, via: "socket", address: socket.handshake.address };
+}
+
+// Run a control action (`run`) for an actor ({ principal, via, address })
+// and audit it. Without the operator role, or once its session has ended,
+// it is refused (403 / 401) and audited as denied.
+async function runControl(actor, action, target, run) {
+  await accessReady;
+  const principal = actor.principal;
+  const entry = {
+    user: principal ? principal.name : null,
+    role: principal ? principal.role : null,
+    via: actor.via,
+    address: actor.address || null,
+    action,
+    target,
+  };
+  if (!auth.active(principal) || !accessControl.can(principal, "control")) {
+    audit.record({ ...entry, outcome: "denied" });
+    console.warn("audit: denied %s to %s (%s)", action, entry.user || "anonymous", entry.role || "no role");
+    throw auth.active(principal)
+      ? httpError(403, "The operator role is required to control devices")
+      : httpError(401, "Log in again to control devices");
+  }
+  try {
+    const result = await run();
+    audit.record({ ...entry, outcome: result && result.ok === false ? "fault" : "ok" });
+    return result;
+  } catch (e) {
+    audit.record({ ...entry, outcome: "error", error: e.message });
+    throw e;
+  }
+}
 
 // ==================== pulling upnp devices ====================
 (async () => {
   try {
+    const { createRegistry, httpGet, servicesOf } = await import('./modules/device-registry.mjs');
+    deviceFilter = await import('./modules/device-filter.mjs');
+    const { createRecorder, openRecording } = await import('./modules/recording.mjs');
+    const { createUrlPolicy } = await import('./modules/url-policy.mjs');
+    for (const name of URL_ALLOW) {
+      if (!["loopback", "metadata", "hostnames"].includes(name)) {
+        console.error('URL_ALLOW: unknown value "%s" (use loopback, metadata, hostnames)', name);
+      }
+    }
+    urlPolicy = createUrlPolicy({
+      ...(URL_ALLOWED_RANGES.length ? { allowedRanges: URL_ALLOWED_RANGES } : {}),
+      allowLoopback: URL_ALLOW.includes("loopback"),
+      allowMetadata: URL_ALLOW.includes("metadata"),
+      allowHostnames: URL_ALLOW.includes("hostnames"),
+    });
+    const guardedGet = (url, options) => httpGet(url, { ...options, checkRedirect: redirectGuard(url) });
+    let replay = null;
+    if (SSDP_REPLAY) {
+      replay = await openRecording(SSDP_REPLAY);
+      fetchDocument = replay.fetch;
+      console.log("recording: replaying %s (recorded %s)%s", SSDP_REPLAY, replay.recordedAt,
+        SSDP_REPLAY_TIMING ? " with timing" : "");
+    } else if (SSDP_RECORD) {
+      recorder = createRecorder({ dir: SSDP_RECORD });
+      fetchDocument = recorder.wrapFetch(guardedGet);
+      console.log("recording: recording to %s", SSDP_RECORD);
+    } else {
+      fetchDocument = guardedGet;
+    }
+    registry = createRegistry({ fetch: fetchDocument });
+
+    // Restore known devices first so the UI lists them right away; they
+    // stay "unconfirmed" until they answer again
+    const { openInventory } = await import('./modules/inventory.mjs');
+    inventory = await openInventory({ file: INVENTORY_FILE, retentionDays: INVENTORY_RETENTION_DAYS });
+    pruneInventory();
+    for (const record of inventory.list()) {
+      if (!record.root || !record.ssdp || !record.location) continue;
+      const address = record.ipHistory.length ? record.ipHistory[0].address : undefined;
+      registry.upsert({ ssdp: record.ssdp, ip: { address }, root: record.root });
+      registry.setStatus(record.location, {
+        status: 'unconfirmed',
+        lastSeen: record.lastSeen,
+        firstSeen: record.firstSeen,
+        seenCount: record.seenCount,
+      });
+    }
+    console.log("inventory: restored %d devices from %s", inventory.list().length, INVENTORY_FILE);
+    setInterval(pruneInventory, INVENTORY_PRUNE_INTERVAL_MS).unref();
+
+    const { createInspector } = await import('./modules/ssdp-inspector.mjs');
+    inspector = createInspector({ capacity: SSDP_INSPECTOR_CAPACITY });
+
     const mod = await import('./modules/ssdp-discovery.mjs');
     const startDiscovery = mod.startDiscovery || mod.default;
-    const discovery = startDiscovery();
+    // Share the registry's description cache so each LOCATION is fetched once
+    const ipv6Scopes = SSDP_IPV6.filter((scope) => {
+      if (mod.SSDP_ADDRESS_V6[scope]) return true;
+      console.error('SSDP_IPV6: unknown scope "%s" (use %s)', scope, Object.keys(mod.SSDP_ADDRESS_V6).join(", "));
+      return false;
+    });
+    discovery = startDiscovery({
+      describe: registry.describe,
+      recorder,
+      replay,
+      timing: SSDP_REPLAY_TIMING,
+      interfaces: SSDP_INTERFACES.length ? SSDP_INTERFACES : null,
+      ipv6Scopes,
+      policy: urlPolicy,
+    });
+    for (const iface of discovery.interfaces().filter((i) => i.searching)) {
+      console.log("discovery: searching on %s (%s %s)", iface.name, iface.family, iface.address);
+    }
 
-    discovery.on('device', (d) => {
+    discovery.on('packet', (packet) => {
+      if (!inspector.record(packet) || inspectorTimer) return;
+      inspectorTimer = setTimeout(sendTraffic, INSPECTOR_BATCH_MS);
+      inspectorTimer.unref();
+    });
+
+    function onDevice(d) {
       // console.log('Discovered device:', d);
-      // devices.push(d);
-      const key = d.ssdp.LOCATION
-      // const key = d.friendlyName || (d.extendedInfo && d.extendedInfo.friendlyName) || '';
-      devices[key] = {
-        ...d,
-        //   ...(d.extendedInfo || {}),
-        //   ...(d.deviceInfo || {}),
-      };
-      // devicesByLocation.push(d.deviceInfo || {});
+      const key = d.ssdp.LOCATION;
+      clearTimeout(removeTimers.get(key));
+      removeTimers.delete(key);
+      const { added, removed, conflict, alias } = registry.upsert(d, { present: discovery.present });
+      // The same device over its other address family keeps its LOCATION,
+      // and moves to this one if that goes offline first
+      if (alias) return;
+      // A known device online elsewhere keeps its LOCATION; the claim is
+      // listed, and not taken for a device online at this LOCATION
+      if (conflict) {
+        discovery.forget(key);
+        console.warn("Device %s announced at %s while online at %s", conflict.udn, key, conflict.owner);
+        recordSuspicious({
+          kind: "conflict",
+          url: key,
+          usn: d.ssdp.USN,
+          udn: conflict.udn,
+          address: d.ip && d.ip.address,
+          interface: d.ip && d.ip.interface,
+          reason: `${conflict.udn} is online at ${conflict.owner}`,
+        });
+        return;
+      }
+      // The LOCATION now serves another device
+      for (const entry of removed) {
+        if (!entry.embedded) io.emit("device-status", { location: key, udn: entry.udn, status: 'removed' });
+      }
+      const root = registry.byLocation(key).find((e) => !e.embedded);
+      if (!root) return;
+      if (fetchErrors.delete(key)) {
+        registry.setStatus(key, { fetchError: undefined });
+        io.emit("device:error", { location: key, udn: root.udn, error: null });
+      }
+      if (added.length) enrichLocation(key);
+      checkDescriptionUrls(key, servicesOf);
+      const lastChange = (inventory.get(root.udn)?.changes || [])[0];
+      const record = inventory.observe({ udn: root.udn, location: key, ssdp: d.ssdp, ip: d.ip, root: d.root, xml: d.xml });
+      if (record.changes[0] && record.changes[0] !== lastChange) {
+        console.log("Device changed: %s (%s)", root.udn, record.changes[0].changes.map((c) => c.field).join(", "));
+        io.emit("device:changed", { udn: root.udn, location: key, friendlyName: record.friendlyName, ...record.changes[0] });
+      }
+      registry.setStatus(key, {
+        status: 'online',
+        offlineReason: undefined,
+        lastSeen: record.lastSeen,
+        firstSeen: record.firstSeen,
+        seenCount: record.seenCount,
+      });
+      // Push the root device as soon as its description is parsed
+      io.emit(added.includes(root.udn) ? "device:added" : "device:updated", root);
+      for (const scan of scansFor(d.ssdp.ST || d.ssdp.NT, d.ip)) scan.found.add(root.udn);
+
+      // Put every SCPD in the recording, not only the ones opened
+      if (recorder) {
+        for (const entry of registry.byLocation(key)) {
+          for (const service of servicesOf(entry.device)) {
+            if (!service.SCPDURL || !service.SCPDURL[0]) continue;
+            try {
+              fetchDocument(resolveDeviceUrl(entry, service.SCPDURL[0], "scpd")).catch(() => {});
+            } catch {
+              // Refused by the URL policy, and listed as suspicious
+            }
+          }
+        }
+      }
+    }
+
+    discovery.on('device', onDevice);
+
+    discovery.on('device-online', (d) => {
+      console.log('Device online:', d.location);
+      emitDeviceStatus(d.location);
+    });
+
+    discovery.on('device-updated', (d) => {
+      console.log('Device updated:', d.location);
+      emitDeviceStatus(d.location);
+      enrichLocation(d.location);
+    });
+
+    // Keep the failure next to the device: on its entry when it is known
+    // (a changed description that no longer loads), else on its own
+    discovery.on('device-error', (e) => {
+      console.error('Device description failed:', e.location, e.error.code, e.error.message);
+      const record = { ...e, at: Date.now() };
+      fetchErrors.set(e.location, record);
+      registry.setStatus(e.location, { fetchError: record.error });
+      io.emit("device:error", record);
+    });
+
+    discovery.on('device-seen', ({ location, address, interface: iface, lastSeen, response, st }) => {
+      const root = registry.byLocation(location).find((e) => !e.embedded);
+      if (!root) return;
+      // A known device answering a scan was found by it too
+      if (response) {
+        for (const scan of scansFor(st, { interface: iface })) scan.found.add(root.udn);
+      }
+      const record = inventory.seen(root.udn, { address, at: lastSeen });
+      registry.setStatus(location, { lastSeen, seenCount: record ? record.seenCount : root.seenCount });
+      emitDeviceStatus(location);
+    });
+
+    // Mark the device offline, and drop it once it has been gone for a while
+    function markOffline(location, reason) {
+      if (!registry.setStatus(location, { status: 'offline', offlineReason: reason }).length) return;
+      console.log('Device offline:', location, reason);
+      emitDeviceStatus(location);
+      const timer = setTimeout(() => {
+        removeTimers.delete(location);
+        const entries = registry.byLocation(location);
+        if (!entries.length || entries[0].status !== 'offline') return;
+        registry.remove(location);
+        for (const d of entries) {
+          if (!d.embedded) io.emit("device-status", { location, udn: d.udn, status: 'removed' });
+        }
+      }, OFFLINE_RETENTION_MS);
+      timer.unref();
+      removeTimers.set(location, timer);
+    }
+
+    // A dual-stack device still announced over its other address family
+    // moves to that LOCATION instead
+    discovery.on('device-offline', ({ location, reason }) => {
+      const root = registry.byLocation(location).find((e) => !e.embedded);
+      const alias = root && (root.aliases || []).find((a) => discovery.present(root.udn, a.location));
+      if (!alias) return markOffline(location, reason);
+      console.log('Device %s moves from %s to %s', root.udn, location, alias.location);
+      registry.describe(alias.location)
+        .then(({ root: description, xml }) => {
+          onDevice({ ssdp: alias.ssdp, ip: alias.ip, device: description.device[0], root: description, xml });
+          emitDeviceStatus(alias.location);
+        })
+        .catch(() => markOffline(location, reason));
+    });
+
+    discovery.on('suspicious', (e) => {
+      console.error('Suspicious LOCATION from %s: %s (%s)', e.address, e.url, e.reason);
+      recordSuspicious(e);
     });
 
     discovery.on('error', (err) => {
@@ -84,142 +611,598 @@ let selectedDevice = undefined;
   }
 })();
 
+// ==================== GENA eventing ====================
+(async () => {
+  try {
+    const { createEventing } = await import('./modules/gena.mjs');
+    eventing = createEventing({
+      getCallbackPort: () => webServer.address().port,
+      callbackPath: '/upnp/events',
+    });
+
+    // Push each change to the sockets watching that service
+    eventing.on('event', (e) => {
+      const [deviceUdn, serviceId] = e.key.split('::');
+      io.to(watchRoom(e.key)).emit("state", {
+        deviceUdn,
+        serviceId,
+        seq: e.seq,
+        changes: e.changes,
+      });
+    });
+
+    eventing.on('expired', ({ key, error }) => {
+      console.error('GENA subscription expired:', key, error.message);
+      const [deviceUdn, serviceId] = key.split('::');
+      io.to(watchRoom(key)).emit("watch", { deviceUdn, serviceId, watching: false, error: 'Subscription expired' });
+      io.in(watchRoom(key)).socketsLeave(watchRoom(key));
+    });
+
+    eventing.on('error', (err) => {
+      console.error('GENA error:', err);
+    });
+  } catch (e) {
+    console.error('Failed to load gena module:', e);
+  }
+})();
+
+app.all("/upnp/events/:id", express.text({ type: () => true, limit: "1mb" }), (req, res) => {
+  if (!eventing) {
+    res.status(503).end();
+    return;
+  }
+  eventing.handleNotify(req, res);
+});
+
+// ==================== device icons ====================
+(async () => {
+  try {
+    deviceIcons = await import('./modules/device-icons.mjs');
+    const { fetchBuffer } = await import('./modules/http-fetch.mjs');
+    iconCache = await deviceIcons.openIconCache({
+      dir: ICON_CACHE_DIR,
+      maxBytes: ICON_CACHE_MAX_MB * 1024 * 1024,
+      fetch: (url) => fetchBuffer(url, {
+        headers: { Accept: "image/png, image/jpeg, image/gif, image/*;q=0.8" },
+        maxBytes: 256 * 1024,
+        retries: 0,
+        checkRedirect: redirectGuard(url),
+      }),
+    });
+    const { icons, bytes } = iconCache.stats();
+    console.log("icons: %d cached (%d KiB) in %s", icons, Math.round(bytes / 1024), ICON_CACHE_DIR);
+  } catch (e) {
+    console.error('Failed to open the icon cache:', e);
+  }
+})();
+
+// ==================== vendor plugins ====================
+(async () => {
+  try {
+    const { loadPlugins, createPluginHost } = await import('./modules/plugins.mjs');
+    const plugins = await loadPlugins(PLUGIN_DIRS);
+    pluginHost = createPluginHost({ plugins, call: callAction });
+    console.log("plugins: loaded %s", plugins.map(p => p.name).join(", ") || "none");
+  } catch (e) {
+    console.error('Failed to load plugins:', e);
+  }
+})();
+
+// ==================== virtual device ====================
+// Advertised over SSDP once the web server listens, since LOCATION needs
+// its port (modules/virtual-device.mjs)
+const VIRTUAL_DEVICE = process.env.VIRTUAL_DEVICE || "";
+const VIRTUAL_BASE_PATH = "/virtual";
+
+if (VIRTUAL_DEVICE) {
+  (async () => {
+    try {
+      const { createVirtualDevice, loadProfile } = await import('./modules/virtual-device.mjs');
+      const device = createVirtualDevice({
+        profile: await loadProfile(VIRTUAL_DEVICE),
+        friendlyName: process.env.VIRTUAL_DEVICE_NAME,
+        basePath: VIRTUAL_BASE_PATH,
+        getPort: () => webServer.address().port,
+      });
+      virtualDevice = device;
+      if (!webServer.listening) await once(webServer, "listening");
+      await device.start();
+      console.log("virtual-device: advertising %s (%s) as %s", device.profile.friendlyName, VIRTUAL_DEVICE, device.udn);
+    } catch (e) {
+      console.error('Failed to start virtual device:', e);
+    }
+  })();
+}
+
+app.use(VIRTUAL_BASE_PATH, (req, res, next) => {
+  if (!virtualDevice) {
+    next();
+    return;
+  }
+  virtualDevice.router(req, res, next);
+});
+
 // ==================== hosting UI ====================
 app.use(express.static(__dirname + "/public"));
+// The UI filters the device list with the server's own parser
+app.get("/device-filter.mjs", (req, res) => {
+  res.type("text/javascript").sendFile(path.join(__dirname, "modules", "device-filter.mjs"));
+});
 
+// CORS: only allowed origins get CORS headers, and requests from any other
+// site that could change something are refused outright
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header(
-    "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept"
-  );
+  const origin = req.headers.origin;
+  if (origin && !corsAllowed(origin, req.headers.host)) {
+    if (req.method === "GET" || req.method === "HEAD") {
+      next();
+      return;
+    }
+    res.status(403).json({ error: `Origin ${origin} is not allowed` });
+    return;
+  }
+  if (origin) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Access-Control-Allow-Credentials", "true");
+    res.header("Vary", "Origin");
+    res.header(
+      "Access-Control-Allow-Headers",
+      "Origin, X-Requested-With, Content-Type, Accept, Authorization"
+    );
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") {
+      res.sendStatus(204);
+      return;
+    }
+  }
   next();
 });
 
+// Log in and out (POST /api/auth/login, /api/auth/logout) and read the
+// current session (GET /api/auth/session); every other API route needs a
+// user, a token or an anonymous role
+app.use("/api/auth", (req, res, next) => {
+  accessReady.then(() => authRouter(req, res, next));
+});
+
+app.use("/api", (req, res, next) => {
+  accessReady.then(() => auth.requireUser(req, res, next));
+});
+
+// ==================== REST API ====================
+// Mirrors the Socket.IO interface; see modules/api.mjs and
+// GET /api/openapi.json for the routes
+let apiRouter = null;
+
+(async () => {
+  try {
+    const { createApiRouter } = await import('./modules/api.mjs');
+    apiRouter = createApiRouter({
+      listDevices: (filter) => {
+        const result = filterDevices(listRootDevices(), filter);
+        sortDevices(result);
+        return result;
+      },
+      getDevice: findDeviceByUdn,
+      getTree: (udn) => {
+        const d = findDeviceByUdn(udn);
+        return d ? registry.tree(d.udn) : null;
+      },
+      getIcon: readIcon,
+      getMetadata: readMetadata,
+      exportNetwork,
+      listTraffic,
+      exportTraffic,
+      controlCapture,
+      loadScpd,
+      callAction,
+      startScan,
+      listInterfaces: listNetworkInterfaces,
+      listFetchErrors,
+      listSuspicious,
+      listInventory,
+      getRenderer: async (udn) => readRendererState(await resolveRenderer(udn)),
+      controlRenderer,
+      browseLibrary,
+      searchLibrary,
+      listRenderers,
+      getQueue: getQueueState,
+      playOn,
+      controlQueue,
+      listPlugins: () => (pluginHost ? pluginHost.list() : []),
+      getVendor: readVendor,
+      runVendorAction,
+      getGateway: readGatewayState,
+      changeMapping,
+      control: runControl,
+    });
+  } catch (e) {
+    console.error('Failed to load api module:', e);
+  }
+})();
+
+app.use("/api", (req, res, next) => {
+  if (!apiRouter) {
+    res.status(503).json({ error: 'API not ready' });
+    return;
+  }
+  apiRouter(req, res, next);
+});
+
 // ==================== upnpClient ====================
+// Every socket needs a user, a token or an anonymous role
+io.use((socket, next) => {
+  accessReady.then(() => auth.socketMiddleware(socket, next));
+});
+
+// Each socket keeps its own state in `socket.data`: `principal` (who it
+// is) and `selectedDevice`
 io.on("connection", (socket) => {
+  socket.emit("session", auth.describe(socket.data.principal));
 
-  // On discover request, trigger SSDP search
-  // Then after a delay, emit the current list of devices
-  socket.on("discover", () => {
-    ssdpClient.search("ssdp:all");
-    console.log("socket:discover: SSDP search triggered");
-    setTimeout(() => {
-      let result = [];
-      for (const key in devices) {
-        result.push(devices[key]);
-      }
-      sortDevices(result);
-      // console.log("socket:discover: emitting devices", result);
-      socket.emit("devices", result);
-    }, 5000); // 5s delay for responses
+  // On discover request, trigger an SSDP search, or join the one already
+  // running for the same ST and interfaces. Devices stream in as `device:added` / `device:updated`
+  // broadcasts; `scan:complete` follows once the MX window has passed.
+  socket.on("discover", (msg) => {
+    const scan = startScan((msg && msg.mx) || SCAN_MX, msg && msg.filter);
+    socket.join(scan.room);
+    socket.emit("scan:started", {
+      id: scan.id,
+      st: scan.st,
+      interfaces: scan.interfaces,
+      mx: scan.mx,
+      startedAt: scan.startedAt,
+      endsAt: scan.endsAt,
+    });
+    console.log("socket:discover: joined scan", scan.id);
+  });
+
+  socket.on("fetch-errors", () => {
+    socket.emit("fetch-errors", listFetchErrors());
+  });
+
+  socket.on("suspicious", () => {
+    socket.emit("suspicious", listSuspicious());
+  });
+
+  socket.on("interfaces", () => {
+    socket.emit("interfaces", listNetworkInterfaces());
   });
 
   // On devices request, emit the current list of discovered devices
   socket.on("devices", () => {
-    let result = [];
-    for (const key in devices) {
-      result.push(devices[key]);
-    }
+    let result = listRootDevices();
     sortDevices(result);
     // console.log("socket:devices:", result);
     socket.emit("devices", result);
   });
 
-  // On services request, emit the services for the selected device
+  // On inventory request, emit the inventory records not seen for at
+  // least `staleDays` days (all records when omitted)
+  socket.on("inventory", (msg) => {
+    const staleDays = msg && msg.staleDays !== undefined ? Number(msg.staleDays) : 0;
+    socket.emit("inventory", listInventory(staleDays));
+  });
+
+  // On services request, emit the device tree (root device, its services
+  // and its embedded devices, recursively) for the selected device
   socket.on("services", (msg) => {
     console.log("socket:services: requested for deviceUdn", msg);
-    // Grab from the devices list with matching UDN
-    selectedDevice = null;
-    for (const key in devices) {
-      const d = devices[key];
-      const udn = d.device && d.device.UDN ? d.device.UDN[0] : null;
-      if (udn === msg) {
-        selectedDevice = d;
-        break;
-      }
+    socket.data.selectedDevice = findDeviceByUdn(msg);
+    if (!socket.data.selectedDevice) {
+      socket.emit("services", { error: 'Unknown device', udn: msg });
+      return;
     }
-    // console.log("socket:services: selectedDevice", selectedDevice.device.serviceList[0]);
-    socket.emit("services", selectedDevice.device.serviceList[0]);
-    // if (selectedDevice) {
-    //   upnpClient = new UPNP(selectedDevice.ssdp.location);
-    //   upnpClient.getServices((err, services) => {
-    //     if (err) throw err;
-    //     let serviceList = [];
-    //     for (const serviceId in services) {
-    //       serviceList.push({
-    //         serviceId: serviceId,
-    //         serviceType: services[serviceId].serviceType,
-    //       });
-    //     }
-    //     console.log("socket:services:", serviceList);
-    //     socket.emit("services", serviceList);
-    //   });
-    // } else {
-    //   console.log("socket:services: no device selected");
-    // }
-  });
-
-  // On actions request, emit the list of actions for the selected service
-  socket.on("actions", (msg) => {
+    socket.emit("services", registry.tree(socket.data.selectedDevice.rootUdn));
+  });
+
+  // On metadata request, emit everything known about one device
+  socket.on("metadata", (msg) => {
+    const udn = msg && msg.deviceUdn;
+    try {
+      socket.emit("metadata", readMetadata(udn));
+    } catch (e) {
+      socket.emit("metadata", { udn, error: e.message });
+    }
+  });
+
+  // On actions request, emit the parsed SCPD for the selected service
+  socket.on("actions", async (msg) => {
     console.log("socket:actions: requested action", msg);
-    // Grab the device based on the msg.deviceUdn
-    selectedDevice = null;
-    for (const key in devices) {
-      const d = devices[key];
-      const udn = d.device && d.device.UDN ? d.device.UDN[0] : null;
-      if (udn === msg.deviceUdn) {
-        selectedDevice = d;
-        break;
+    // Grab the device (root or embedded) based on the msg.deviceUdn
+    socket.data.selectedDevice = findDeviceByUdn(msg.deviceUdn);
+    try {
+      const scpd = await loadScpd(msg.deviceUdn, msg.serviceId);
+      console.log("socket:actions: available actions", scpd.actions.map(a => a.name));
+      socket.emit("actions", scpd);
+    } catch (e) {
+      console.error('socket:actions:', e.message);
+      socket.emit("actions", { error: e.message, xml: e.xml, fetchError: e.fetchError });
+    }
+  });
+
+  // On invoke request, send a SOAP control request for the given action
+  // and emit its out-arguments or the UPnP fault. The request id is echoed
+  // back so the UI can match the result to the form that sent it.
+  socket.on("invoke", async (msg) => {
+    msg = msg || {};
+    const reply = {
+      requestId: msg.requestId,
+      deviceUdn: msg.deviceUdn,
+      serviceId: msg.serviceId,
+      actionName: msg.actionName,
+    };
+    console.log("socket:invoke: requested", msg.deviceUdn, msg.serviceId, msg.actionName);
+
+    try {
+      const result = await runControl(socketActor(socket), "invoke",
+        { deviceUdn: msg.deviceUdn, serviceId: msg.serviceId, actionName: msg.actionName, args: msg.args || {} },
+        () => callAction(msg.deviceUdn, msg.serviceId, msg.actionName, msg.args));
+      socket.emit("invoke", { ...reply, ...result });
+    } catch (e) {
+      console.error('Failed to invoke action:', e.message);
+      socket.emit("invoke", { ...reply, error: e.message });
+    }
+  });
+
+  // On renderer request, read the MediaRenderer's state. Devices without
+  // AVTransport answer `supported: false` so the UI can hide the panel.
+  socket.on("renderer", async (msg) => {
+    const deviceUdn = msg && msg.deviceUdn;
+    try {
+      const renderer = await resolveRenderer(deviceUdn);
+      if (!renderer) {
+        socket.emit("renderer", { deviceUdn, supported: false });
+        return;
+      }
+      socket.emit("renderer", { deviceUdn, supported: true, ...(await readRendererState(renderer)) });
+    } catch (e) {
+      socket.emit("renderer", { deviceUdn, supported: true, error: e.message });
+    }
+  });
+
+  // On renderer command, run it and reply with the state it led to; a
+  // refused command is reported alongside that state
+  socket.on("renderer:command", async (msg) => {
+    msg = msg || {};
+    const deviceUdn = msg.deviceUdn;
+    console.log("socket:renderer:command:", deviceUdn, msg.command, msg.value);
+    try {
+      const state = await runControl(socketActor(socket), "renderer",
+        { deviceUdn, command: msg.command, value: msg.value },
+        () => controlRenderer(deviceUdn, msg.command, msg.value));
+      socket.emit("renderer", { deviceUdn, supported: true, ...state });
+    } catch (e) {
+      console.error('Renderer command failed:', e.message);
+      let state = {};
+      try {
+        state = await readRendererState(await resolveRenderer(deviceUdn));
+      } catch {
+        // Keep the command's error
       }
+      socket.emit("renderer", { deviceUdn, supported: true, ...state, error: e.message });
+    }
+  });
+
+  // On browse request, read a page of the device's ContentDirectory
+  socket.on("browse", async (msg) => {
+    msg = msg || {};
+    const reply = { deviceUdn: msg.deviceUdn, objectId: msg.objectId, start: msg.start };
+    try {
+      socket.emit("browse", await browseLibrary(msg.deviceUdn, msg));
+    } catch (e) {
+      console.error('Failed to browse:', e.message);
+      socket.emit("browse", { ...reply, error: e.message });
+    }
+  });
+
+  // On search request, search the ContentDirectory below a container
+  socket.on("search", async (msg) => {
+    msg = msg || {};
+    const reply = { deviceUdn: msg.deviceUdn, containerId: msg.containerId, query: msg.query, start: msg.start };
+    try {
+      socket.emit("search", { ...reply, ...(await searchLibrary(msg.deviceUdn, msg)) });
+    } catch (e) {
+      console.error('Failed to search:', e.message);
+      socket.emit("search", { ...reply, error: e.message });
     }
-    // console.log("socket:actions: selectedDevice", selectedDevice);
-    // Grab the SCPD URL from the selected service
-    let scpdUrl = null;
-    if (selectedDevice) {
-      const services = selectedDevice.device.serviceList[0].service || [];
-      for (let i = 0; i < services.length; i++) {
-        const service = services[i];
-        const serviceId = service.serviceId ? service.serviceId[0] : null;
-        if (serviceId === msg.serviceId) {
-          scpdUrl = service.SCPDURL ? service.SCPDURL[0] : null;
-          break;
+  });
+
+  socket.on("renderers", async () => {
+    try {
+      socket.emit("renderers", await listRenderers());
+    } catch (e) {
+      console.error('Failed to list renderers:', e.message);
+      socket.emit("renderers", []);
+    }
+  });
+
+  // On play-on request, queue the sources on the renderer; the queue
+  // itself is broadcast as `queue`
+  socket.on("play-on", async (msg) => {
+    msg = msg || {};
+    const reply = { rendererUdn: msg.rendererUdn, mode: msg.mode };
+    console.log("socket:play-on:", msg.rendererUdn, msg.mode, (msg.sources || []).length);
+    try {
+      const result = await runControl(socketActor(socket), "play-on",
+        { deviceUdn: msg.rendererUdn, mode: msg.mode, sources: msg.sources },
+        () => playOn(msg.rendererUdn, msg));
+      socket.emit("play-on", { ...reply, ok: true, added: result.added, skipped: result.skipped });
+    } catch (e) {
+      console.error('Failed to play:', e.message);
+      socket.emit("play-on", { ...reply, ok: false, skipped: e.skipped || [], error: e.message });
+    }
+  });
+
+  socket.on("queue", async (msg) => {
+    const rendererUdn = msg && msg.rendererUdn;
+    try {
+      socket.emit("queue", await getQueueState(rendererUdn));
+    } catch (e) {
+      socket.emit("queue", { rendererUdn, entries: [], index: -1, playing: false, error: e.message });
+    }
+  });
+
+  socket.on("queue:command", async (msg) => {
+    msg = msg || {};
+    try {
+      await runControl(socketActor(socket), "queue",
+        { deviceUdn: msg.rendererUdn, command: msg.command, index: msg.index },
+        () => controlQueue(msg.rendererUdn, msg.command, msg.index));
+    } catch (e) {
+      console.error('Queue command failed:', e.message);
+      let state = {};
+      try {
+        state = await getQueueState(msg.rendererUdn);
+      } catch {
+        // Keep the command's error
+      }
+      socket.emit("queue", { rendererUdn: msg.rendererUdn, ...state, error: e.message });
+    }
+  });
+
+  // On vendor request, emit the plugin cards of the device and its
+  // embedded devices
+  socket.on("vendor", async (msg) => {
+    msg = msg || {};
+    try {
+      socket.emit("vendor", await readVendor(msg.deviceUdn, { refresh: Boolean(msg.refresh) }));
+    } catch (e) {
+      socket.emit("vendor", { deviceUdn: msg.deviceUdn, cards: [], error: e.message });
+    }
+  });
+
+  socket.on("vendor:action", async (msg) => {
+    msg = msg || {};
+    const reply = { deviceUdn: msg.deviceUdn, plugin: msg.plugin, action: msg.action };
+    console.log("socket:vendor:action:", msg.deviceUdn, msg.plugin, msg.action);
+    try {
+      const result = await runControl(socketActor(socket), "vendor",
+        { deviceUdn: msg.deviceUdn, plugin: msg.plugin, action: msg.action, args: msg.args },
+        () => runVendorAction(msg.deviceUdn, msg.plugin, msg.action, msg.args));
+      socket.emit("vendor:action", { ...reply, ...result });
+    } catch (e) {
+      console.error('Vendor action failed:', e.message);
+      socket.emit("vendor:action", { ...reply, error: e.message });
+    }
+  });
+
+  // On gateway request, read the router's connections and port mappings
+  socket.on("gateway", async (msg) => {
+    msg = msg || {};
+    try {
+      socket.emit("gateway", await readGatewayState(msg.deviceUdn, { serviceId: msg.serviceId }));
+    } catch (e) {
+      socket.emit("gateway", { deviceUdn: msg.deviceUdn, error: e.message });
+    }
+  });
+
+  // On gateway:add / gateway:delete, change a mapping and reply with the
+  // new mapping list; a refused change is reported alongside it
+  for (const command of ["add", "delete"]) {
+    socket.on(`gateway:${command}`, async (msg) => {
+      msg = msg || {};
+      console.log(`socket:gateway:${command}:`, msg.deviceUdn, msg.mapping);
+      try {
+        socket.emit("gateway", await runControl(socketActor(socket), `gateway:${command}`,
+          { deviceUdn: msg.deviceUdn, serviceId: msg.serviceId, mapping: msg.mapping },
+          () => changeMapping(msg.deviceUdn, command, msg)));
+      } catch (e) {
+        console.error('Port mapping change failed:', e.message);
+        let state = {};
+        try {
+          state = await readGatewayState(msg.deviceUdn, { serviceId: msg.serviceId });
+        } catch {
+          // Keep the command's error
         }
+        socket.emit("gateway", { deviceUdn: msg.deviceUdn, ...state, error: e.message });
       }
+    });
+  }
+
+  // On ssdp:traffic request, emit the captured SSDP traffic and its
+  // summaries; ssdp:watch / ssdp:unwatch join or leave the live feed
+  // (`ssdp:packets` batches)
+  socket.on("ssdp:traffic", (msg) => {
+    msg = msg || {};
+    try {
+      socket.emit("ssdp:traffic", listTraffic(msg));
+    } catch (e) {
+      socket.emit("ssdp:traffic", { filter: msg.filter || "", error: e.message });
     }
-    console.log("socket:actions: SCPD URL", scpdUrl);
-
-    // Construct the ip and SCPD URL for upnp-device-client
-    if (selectedDevice && scpdUrl) {
-      const locationUrl = new URL(selectedDevice.ssdp.LOCATION);
-      const baseUrl = locationUrl.origin;
-      const fullScpdUrl = new URL(scpdUrl, baseUrl).href;
-      console.log("socket:actions: full SCPD URL", fullScpdUrl);
-      http
-        .get(fullScpdUrl, (response) => {
-          let completeResponse = '';
-          response.on('data', (chunk) => {
-            completeResponse += chunk;
-          });
-          response.on('end', () => {
-            // Parse the SCPD XML to extract actions
-            // xml2js.parseString(completeResponse, (err, parsed) => {
-            //   if (err) {
-            //     console.error('Failed to parse SCPD XML:', err);
-            //     socket.emit("actions", { error: 'Failed to parse SCPD XML' });
-            //     return;
-            //   }
-            //   const actionList = parsed.scpd.actionList[0].action || [];
-            //   let actions = actionList.map(a => a.name[0]);
-            console.log("socket:actions: available actions", completeResponse);
-            socket.emit("actions", completeResponse);
-            // });
-          });
-        })
-        .on('error', (e) => {
-          console.error('Failed to fetch SCPD URL:', e);
-          socket.emit("actions", { error: 'Failed to fetch SCPD URL' });
-        });
+  });
+
+  socket.on("ssdp:watch", (msg) => {
+    socket.data.trafficFilter = (msg && msg.filter) || "";
+    socket.join(INSPECTOR_ROOM);
+  });
+
+  socket.on("ssdp:unwatch", () => socket.leave(INSPECTOR_ROOM));
+
+  // On ssdp:capture, pause, resume or clear the capture (operators only)
+  socket.on("ssdp:capture", async (msg) => {
+    const command = msg && msg.command;
+    try {
+      await runControl(socketActor(socket), "inspector", { command }, () => controlCapture(command));
+    } catch (e) {
+      socket.emit("ssdp:capture", { ...(inspector ? inspector.status() : {}), error: e.message });
+    }
+  });
+
+  // On watch request, subscribe to the service's events (once for all
+  // sockets) and send the last known values to this socket
+  socket.on("watch", async (msg) => {
+    msg = msg || {};
+    const key = `${msg.deviceUdn}::${msg.serviceId}`;
+    const reply = { deviceUdn: msg.deviceUdn, serviceId: msg.serviceId };
+    console.log("socket:watch: requested", key);
+
+    const d = findDeviceByUdn(msg.deviceUdn);
+    const service = d ? findService(d, msg.serviceId) : null;
+    if (!eventing || !service || !service.eventSubURL || !service.eventSubURL[0]) {
+      socket.emit("watch", { ...reply, watching: false, error: 'Service does not support eventing' });
+      return;
+    }
+
+    socket.join(watchRoom(key));
+    try {
+      const sub = await eventing.subscribe({
+        key,
+        eventSubURL: resolveDeviceUrl(d, service.eventSubURL[0], "event"),
+        remoteAddress: d.ip && d.ip.address,
+        // The address the device was found from, which it can reach
+        localAddress: (d.ip && d.ip.localAddress) || null,
+      });
+      socket.emit("watch", {
+        ...reply,
+        watching: true,
+        sid: sub.sid,
+        timeout: sub.timeout,
+        changes: Object.values(sub.values),
+      });
+    } catch (e) {
+      console.error('Failed to subscribe:', e);
+      socket.leave(watchRoom(key));
+      socket.emit("watch", { ...reply, watching: false, error: e.message });
+    }
+  });
+
+  // On unwatch request, leave the service's room and unsubscribe when no
+  // socket is watching it anymore
+  socket.on("unwatch", (msg) => {
+    msg = msg || {};
+    const key = `${msg.deviceUdn}::${msg.serviceId}`;
+    socket.leave(watchRoom(key));
+    socket.emit("watch", { deviceUdn: msg.deviceUdn, serviceId: msg.serviceId, watching: false });
+    releaseWatch(key);
+  });
+
+  // Release the subscriptions of a closing socket
+  socket.on("disconnecting", () => {
+    for (const room of socket.rooms) {
+      if (!room.startsWith('gena:')) continue;
+      socket.leave(room);
+      releaseWatch(room.slice('gena:'.length));
     }
   });
 
@@ -229,6 +1212,18 @@ io.on("connection", (socket) => {
 
 });
 
+// Write pending inventory changes before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    if (virtualDevice) virtualDevice.stop();
+    queues.forEach(queue => queue.dispose());
+    if (recorder) await recorder.flush();
+    if (inventory) await inventory.flush();
+    if (audit) await audit.flush();
+    process.exit(0);
+  });
+}
+
 webServer.listen(8080, () => {
   console.log(
     "Web Server started at http://localhost:%s",
@@ -247,3 +1242,796 @@ function sortDevices(result) {
   });
 }
 
+
+// Find a discovered device (root or embedded) by its UDN
+function findDeviceByUdn(udn) {
+  return registry ? registry.get(udn) : null;
+}
+
+// Root devices, as listed in the Devices panel
+function listRootDevices() {
+  return registry ? registry.roots() : [];
+}
+
+// Find a service of a device by its serviceId
+function findService(d, serviceId) {
+  return registry ? registry.findService(d.udn, serviceId) : null;
+}
+
+// Resolve a (possibly relative) URL from a device description against
+// the device's URLBase, or its LOCATION as UDA requires without one, and
+// refuse it (403) when the URL policy does; `kind` labels it in the
+// suspicious list
+function resolveDeviceUrl(d, url, kind = "url") {
+  const resolved = registry.resolveUrl(d, url);
+  const address = (d.ip && d.ip.address) || null;
+  const reason = urlPolicy ? urlPolicy.check(resolved, address) : null;
+  if (reason) {
+    recordSuspicious({ kind, url: resolved, udn: d.udn, address, interface: (d.ip && d.ip.interface) || null, reason });
+    throw httpError(403, `Refused to request ${resolved}: ${reason}`);
+  }
+  return resolved;
+}
+
+// Check redirects of a request to `url`: the target must pass the URL
+// policy as if the redirecting host had sent it, else it is refused and
+// listed as suspicious
+function redirectGuard(url) {
+  return (target) => {
+    const from = new URL(url).hostname;
+    const reason = urlPolicy ? urlPolicy.check(target, from) : null;
+    if (reason) recordSuspicious({ kind: "redirect", url: target, address: from, reason: `redirected from ${url}: ${reason}` });
+    return reason;
+  };
+}
+
+// List the SCPD, control and event URLs of a freshly described LOCATION
+// that the URL policy would refuse, before anyone tries to use them
+function checkDescriptionUrls(location, servicesOf) {
+  if (!urlPolicy) return;
+  for (const entry of registry.byLocation(location)) {
+    for (const service of servicesOf(entry.device)) {
+      for (const [kind, key] of [["scpd", "SCPDURL"], ["control", "controlURL"], ["event", "eventSubURL"]]) {
+        if (!service[key] || !service[key][0]) continue;
+        try {
+          resolveDeviceUrl(entry, service[key][0], kind);
+        } catch {
+          // Recorded by resolveDeviceUrl
+        }
+      }
+    }
+  }
+}
+
+// Add a refused URL to the suspicious list, counting repeats, and
+// broadcast it
+function recordSuspicious(e) {
+  const key = `${e.kind} ${e.url} ${e.address || ""}`;
+  const now = Date.now();
+  const known = suspicious.get(key);
+  const record = {
+    kind: e.kind,
+    url: e.url,
+    usn: e.usn || (known && known.usn) || null,
+    udn: e.udn || (known && known.udn) || null,
+    address: e.address || null,
+    interface: e.interface || null,
+    reason: e.reason,
+    count: known ? known.count + 1 : 1,
+    firstAt: known ? known.firstAt : now,
+    lastAt: now,
+  };
+  suspicious.delete(key);
+  suspicious.set(key, record);
+  if (suspicious.size > SUSPICIOUS_LIMIT) suspicious.delete(suspicious.keys().next().value);
+  io.emit("suspicious:seen", record);
+}
+
+// The suspicious list, most recent first
+function listSuspicious() {
+  return [...suspicious.values()].sort((a, b) => b.lastAt - a.lastAt);
+}
+
+// Why a LOCATION that answered SSDP gives no device: its description
+// failed, or the URL policy refused it
+function locationError(location) {
+  const failure = fetchErrors.get(location);
+  if (failure) return `${failure.error.code}: ${failure.error.message}`;
+  const refused = [...suspicious.values()].find((r) => r.kind === "location" && r.url === location);
+  return refused ? `Refused: ${refused.reason}` : null;
+}
+
+// The captured SSDP traffic (most recent first, narrowed by `filter`)
+// with the inspector's summaries
+function listTraffic({ filter, limit } = {}) {
+  if (!inspector) throw httpError(503, 'SSDP inspector not ready');
+  const { entries, errors } = inspector.entries({
+    filter,
+    limit: Math.min(Math.max(Number(limit) || 500, 1), SSDP_INSPECTOR_CAPACITY),
+  });
+  if (errors.length) throw httpError(400, errors.join("; "));
+  return { ...inspector.status(), filter: filter || "", entries, summary: inspector.summary({ locationError }) };
+}
+
+// Send the datagrams captured since the last batch to every watching
+// socket (those its filter lists), with the status and fresh summaries
+function sendTraffic() {
+  inspectorTimer = null;
+  const after = inspectorSent;
+  const room = io.sockets.adapter.rooms.get(INSPECTOR_ROOM);
+  const latest = inspector.entries({ limit: 1 }).entries[0];
+  inspectorSent = latest ? latest.id : after;
+  if (!room || !room.size || inspectorSent === after) return;
+
+  const status = inspector.status();
+  const summary = inspector.summary({ locationError });
+  for (const id of room) {
+    const socket = io.sockets.sockets.get(id);
+    if (!socket) continue;
+    const { entries } = inspector.entries({ filter: socket.data.trafficFilter, after });
+    socket.emit("ssdp:packets", { ...status, entries, summary });
+  }
+}
+
+// Pause, resume or clear the capture; every watching socket is told
+function controlCapture(command) {
+  if (!inspector) throw httpError(503, 'SSDP inspector not ready');
+  if (!["pause", "resume", "clear"].includes(command)) {
+    throw httpError(400, `Unknown capture command "${command}" (use pause, resume, clear)`);
+  }
+  inspector[command]();
+  const status = inspector.status();
+  io.to(INSPECTOR_ROOM).emit("ssdp:capture", status);
+  return status;
+}
+
+// The captured traffic as a download: JSON with the summaries, or the raw
+// datagrams as text; stamped like the device exports
+async function exportTraffic(format, { filter } = {}) {
+  if (!["json", "txt"].includes(format)) throw httpError(400, `Unknown format "${format}" (use json, txt)`);
+  const traffic = listTraffic({ filter, limit: SSDP_INSPECTOR_CAPACITY });
+  const exportedAt = new Date().toISOString();
+  const filename = `ssdp-traffic-${os.hostname().replace(/[^A-Za-z0-9.-]+/g, "_")}-` +
+    `${exportedAt.replace(/\.\d+Z$/, "Z").replace(/:/g, "-")}.${format}`;
+  if (format === "txt") {
+    const { toText } = await import('./modules/ssdp-inspector.mjs');
+    const preamble = `# SSDP traffic exported ${exportedAt} from ${os.hostname()}` +
+      (filter ? ` (filter: ${filter})` : "") + "\n# Interfaces: " +
+      listNetworkInterfaces().map((i) => `${i.name} ${i.cidr || i.address}${i.searching ? "" : " (not searched)"}`).join(", ") +
+      "\n\n";
+    return { body: preamble + toText([...traffic.entries].reverse()), contentType: "text/plain; charset=utf-8", filename };
+  }
+  const body = JSON.stringify({
+    exportedAt,
+    host: { hostname: os.hostname(), interfaces: listNetworkInterfaces() },
+    ...traffic,
+  }, null, 2);
+  return { body, contentType: "application/json; charset=utf-8", filename };
+}
+
+// Error carrying the HTTP status the REST API should answer with
+function httpError(status, message, extra) {
+  const err = new Error(message);
+  err.status = status;
+  return Object.assign(err, extra);
+}
+
+// Look up a device and one of its services, or throw a 404
+function requireService(udn, serviceId) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  const service = findService(d, serviceId);
+  if (!service) throw httpError(404, 'Unknown service');
+  return { d, service };
+}
+
+// Fetch the SCPD of a service and parse it into actions and state
+// variables, keeping the raw document so the UI can still show it
+async function loadScpd(udn, serviceId) {
+  const { d, service } = requireService(udn, serviceId);
+  const scpdUrl = service.SCPDURL ? service.SCPDURL[0] : null;
+  if (!scpdUrl) throw httpError(404, 'Service has no SCPDURL');
+
+  // Resolve the SCPD URL against the device's URLBase / LOCATION
+  const fullScpdUrl = resolveDeviceUrl(d, scpdUrl, "scpd");
+  console.log("scpd: fetching", fullScpdUrl);
+  let xml;
+  try {
+    xml = await fetchDocument(fullScpdUrl);
+  } catch (e) {
+    console.error('Failed to fetch SCPD URL:', e.message);
+    const { errorInfo } = await import('./modules/http-fetch.mjs');
+    throw httpError(502, `Failed to fetch SCPD: ${e.message}`, { fetchError: { ...errorInfo(e), device: udn } });
+  }
+
+  const { parseScpd } = await import('./modules/scpd.mjs');
+  let scpd;
+  try {
+    scpd = await parseScpd(xml);
+  } catch (e) {
+    console.error('Failed to parse SCPD XML:', e);
+    throw httpError(502, 'Failed to parse SCPD XML', { xml });
+  }
+  return { deviceUdn: udn, serviceId, ...scpd, xml };
+}
+
+// The icon of a device for a `size` px square, through the icon cache:
+// its own best icon, else its root device's. 404 when neither has one.
+async function readIcon(udn, { size } = {}) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  if (!iconCache) throw httpError(503, 'Icon cache not ready');
+  const px = Math.min(Math.max(Number(size) || 48, 16), 512);
+  const owner = [d, registry.get(d.rootUdn)].find((e) => e && deviceIcons.pickIcon(e.device, { size: px }));
+  if (!owner) throw httpError(404, 'Device has no icon');
+
+  const url = resolveDeviceUrl(owner, deviceIcons.pickIcon(owner.device, { size: px }).url, "icon");
+  try {
+    return await iconCache.get(url);
+  } catch (e) {
+    const { errorInfo } = await import('./modules/http-fetch.mjs');
+    throw httpError(502, `Failed to fetch icon: ${e.message}`, { fetchError: { ...errorInfo(e), device: udn } });
+  }
+}
+
+// Description fields, SSDP headers, address, raw XML and change history
+// of a device (root or embedded); the XML and the history are the root
+// device's, from the inventory
+function readMetadata(udn) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  const record = inventory ? inventory.get(d.rootUdn) : null;
+  const text = (key) => {
+    const value = d.device[key] ? d.device[key][0] : undefined;
+    return typeof value === "string" ? value.trim() : null;
+  };
+
+  const fields = {};
+  for (const key of ["friendlyName", "deviceType", "manufacturer", "manufacturerURL", "modelName",
+    "modelNumber", "modelDescription", "modelURL", "serialNumber", "UPC"]) {
+    fields[key] = text(key);
+  }
+  // Only a link for the browser to follow, never fetched by the server
+  let presentationURL = null;
+  if (text("presentationURL")) {
+    try {
+      const url = registry.resolveUrl(d, text("presentationURL"));
+      if (/^https?:$/.test(new URL(url).protocol)) presentationURL = url;
+    } catch {
+      // Not a URL; leave it out
+    }
+  }
+  let port = null;
+  try {
+    port = Number(new URL(d.location).port) || (d.location.startsWith("https:") ? 443 : 80);
+  } catch {
+    // Restored records always have a LOCATION; be safe anyway
+  }
+
+  return {
+    udn: d.udn,
+    rootUdn: d.rootUdn,
+    embedded: d.embedded,
+    location: d.location,
+    ...fields,
+    presentationURL,
+    ssdp: d.ssdp || {},
+    address: (d.ip && d.ip.address) || null,
+    port,
+    interface: (d.ip && d.ip.interface) || null,
+    family: (d.ip && d.ip.family) || null,
+    status: d.status,
+    firstSeen: d.firstSeen || null,
+    lastSeen: d.lastSeen || null,
+    xml: record ? record.xml || null : null,
+    changes: record ? record.changes || [] : [],
+  };
+}
+
+// Export the root devices (narrowed by `filter`) as JSON, CSV or an HTML
+// report (modules/export.mjs). SCPDs are loaded for the report, and for
+// JSON and CSV when `scpd` is set.
+async function exportNetwork(format, { filter, scpd, rows } = {}) {
+  const exporter = await import('./modules/export.mjs');
+  const type = exporter.FORMATS[format];
+  if (!type) throw httpError(400, `Unknown export format "${format}" (use ${Object.keys(exporter.FORMATS).join(", ")})`);
+  if (format === "csv" && rows && !["devices", "services"].includes(rows)) {
+    throw httpError(400, `Unknown CSV rows "${rows}" (use devices, services)`);
+  }
+
+  const devices = filterDevices(listRootDevices(), filter);
+  sortDevices(devices);
+  const snapshot = await exporter.buildSnapshot({
+    devices,
+    xmlOf: (udn) => (inventory && inventory.get(udn) ? inventory.get(udn).xml || null : null),
+    interfaces: listNetworkInterfaces(),
+    hostname: os.hostname(),
+    filter,
+    loadScpd: format === "html" || scpd ? loadScpd : null,
+  });
+  const body = format === "json" ? exporter.toJson(snapshot)
+    : format === "csv" ? exporter.toCsv(snapshot, { rows })
+      : exporter.toHtml(snapshot);
+  return { body, contentType: type.contentType, filename: exporter.exportFilename(snapshot, type.extension) };
+}
+
+// Invoke an action over SOAP; resolves to `{ ok, outputs | fault }`
+async function callAction(udn, serviceId, actionName, args) {
+  const { d, service } = requireService(udn, serviceId);
+  if (!service.controlURL || !service.controlURL[0]) throw httpError(404, 'Service has no controlURL');
+  if (!actionName) throw httpError(400, 'Missing action name');
+
+  const controlURL = resolveDeviceUrl(d, service.controlURL[0], "control");
+  const { invokeAction, isXmlName } = await import('./modules/soap.mjs');
+  const badName = [actionName, ...Object.keys(args || {})].find((name) => !isXmlName(name));
+  if (badName !== undefined) throw httpError(400, `Invalid action or argument name "${badName}"`);
+  try {
+    return await invokeAction({
+      controlURL,
+      serviceType: service.serviceType[0],
+      action: actionName,
+      args: args || {},
+    });
+  } catch (e) {
+    throw httpError(502, e.message);
+  }
+}
+
+// MediaRenderer services of a device (modules/renderer.mjs), or null when
+// it has no AVTransport
+async function resolveRenderer(udn) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  const { findRenderer } = await import('./modules/renderer.mjs');
+  return findRenderer(registry.tree(d.udn));
+}
+
+async function readRendererState(renderer) {
+  if (!renderer) throw httpError(404, 'Device is not a MediaRenderer');
+  const { readRenderer } = await import('./modules/renderer.mjs');
+  return readRenderer(callAction, renderer);
+}
+
+// Run a remote-control command and resolve to the renderer's new state.
+// With a play queue, Next/Previous move through the queue, and Stop/Play
+// stop or resume following the transport.
+async function controlRenderer(udn, command, value) {
+  const renderer = await resolveRenderer(udn);
+  if (!renderer) throw httpError(404, 'Device is not a MediaRenderer');
+  const queue = queues.get(renderer.udn);
+  const queued = queue && queue.snapshot().entries.length > 0;
+
+  if (queued && (command === 'Next' || command === 'Previous')) {
+    await (command === 'Next' ? queue.next() : queue.previous());
+  } else {
+    const { commandRenderer } = await import('./modules/renderer.mjs');
+    await commandRenderer(callAction, renderer, command, value);
+    if (queued && (command === 'Stop' || command === 'Play')) queue.setPlaying(command === 'Play');
+  }
+  return readRendererState(renderer);
+}
+
+// Every discovered device with an AVTransport, sorted by name
+async function listRenderers() {
+  const { findRenderer } = await import('./modules/renderer.mjs');
+  return listRootDevices()
+    .map(d => findRenderer(registry.tree(d.udn)))
+    .filter(Boolean)
+    .map(r => ({ udn: r.udn, friendlyName: r.friendlyName }))
+    .sort((a, b) => String(a.friendlyName).localeCompare(String(b.friendlyName)));
+}
+
+// The play queue of a renderer, created on first use
+async function queueFor(renderer) {
+  if (!queues.has(renderer.udn)) {
+    const { createPlayQueue } = await import('./modules/play-queue.mjs');
+    queues.set(renderer.udn, createPlayQueue({
+      call: callAction,
+      renderer,
+      onChange: (snapshot) => io.emit("queue", snapshot),
+    }));
+  }
+  return queues.get(renderer.udn);
+}
+
+async function getQueueState(udn) {
+  const renderer = await resolveRenderer(udn);
+  if (!renderer) throw httpError(404, 'Device is not a MediaRenderer');
+  const queue = queues.get(renderer.udn);
+  return queue
+    ? queue.snapshot()
+    : { rendererUdn: renderer.udn, friendlyName: renderer.friendlyName, entries: [], index: -1, playing: false, gapless: null, error: null };
+}
+
+// Items to play for a source: a URL, a library item, or a library
+// folder's items (its first page)
+async function resolveSource(source) {
+  const { itemFromUrl } = await import('./modules/play-queue.mjs');
+  if (source && source.url) return [itemFromUrl(source.url, source.title)];
+  if (!source || !source.serverUdn || source.objectId === undefined || source.objectId === null) {
+    throw httpError(400, 'A source is `{ url }` or `{ serverUdn, objectId }`');
+  }
+
+  const directory = await resolveLibrary(source.serverUdn);
+  const { browse, MAX_COUNT } = await import('./modules/content-directory.mjs');
+  const meta = await browse(callAction, directory, { objectId: source.objectId, flag: 'BrowseMetadata' });
+  if (meta.items.length) return meta.items;
+  if (!meta.containers.length) throw httpError(404, `No object ${source.objectId} on the server`);
+  const children = await browse(callAction, directory, { objectId: source.objectId, count: MAX_COUNT });
+  return children.items;
+}
+
+// Check the sources against what the renderer accepts and play them now
+// (`mode: 'replace'`, the default) or after the queue (`mode: 'append'`)
+async function playOn(udn, { sources, mode = 'replace' } = {}) {
+  const renderer = await resolveRenderer(udn);
+  if (!renderer) throw httpError(404, 'Device is not a MediaRenderer');
+  if (!Array.isArray(sources) || !sources.length) throw httpError(400, 'Nothing to play');
+  if (mode !== 'replace' && mode !== 'append') throw httpError(400, 'mode must be replace or append');
+
+  const { getSinkProtocols } = await import('./modules/renderer.mjs');
+  const { toEntry } = await import('./modules/play-queue.mjs');
+  const [items, sinks] = await Promise.all([
+    Promise.all(sources.map(resolveSource)).then(lists => lists.flat()),
+    getSinkProtocols(callAction, renderer),
+  ]);
+
+  const entries = [];
+  const skipped = [];
+  for (const item of items) {
+    const result = toEntry(item, sinks);
+    if (result.entry) entries.push(result.entry);
+    else skipped.push(result.skipped);
+  }
+  if (!entries.length) {
+    const reason = skipped.length === 1 ? `${skipped[0].title}: ${skipped[0].reason}` : 'The renderer cannot play any of these items';
+    throw httpError(422, items.length ? reason : 'The folder has no items', { skipped });
+  }
+
+  const queue = await queueFor(renderer);
+  await (mode === 'append' ? queue.append(entries) : queue.play(entries));
+  return { ...queue.snapshot(), added: entries.length, skipped, checked: sinks !== null };
+}
+
+// Run a queue command: next, previous, jump or remove (`index`), clear
+async function controlQueue(udn, command, index) {
+  const renderer = await resolveRenderer(udn);
+  if (!renderer) throw httpError(404, 'Device is not a MediaRenderer');
+  const queue = await queueFor(renderer);
+  switch (command) {
+    case 'next': await queue.next(); break;
+    case 'previous': await queue.previous(); break;
+    case 'jump': await queue.jump(Number(index)); break;
+    case 'remove': await queue.remove(Number(index)); break;
+    case 'clear': await queue.clear(); break;
+    default: throw httpError(400, `Unknown queue command "${command}"`);
+  }
+  return queue.snapshot();
+}
+
+// ContentDirectory of a device (modules/content-directory.mjs), or a 404
+async function resolveLibrary(udn) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  const { findContentDirectory } = await import('./modules/content-directory.mjs');
+  const directory = findContentDirectory(registry.tree(d.udn));
+  if (!directory) throw httpError(404, 'Device has no ContentDirectory');
+  return directory;
+}
+
+function getSearchCapabilities(directory) {
+  const key = `${directory.service.udn}::${directory.service.serviceId}`;
+  if (!searchCapabilities.has(key)) {
+    const pending = import('./modules/content-directory.mjs')
+      .then(({ getSearchCapabilities }) => getSearchCapabilities(callAction, directory));
+    // Retry next time when the server could not be reached
+    pending.catch(() => searchCapabilities.delete(key));
+    searchCapabilities.set(key, pending);
+  }
+  return searchCapabilities.get(key);
+}
+
+// Browse a ContentDirectory; the page carries the search capabilities so
+// the UI knows whether to offer a search box
+async function browseLibrary(udn, options) {
+  const directory = await resolveLibrary(udn);
+  const { browse } = await import('./modules/content-directory.mjs');
+  const [page, capabilities] = await Promise.all([
+    browse(callAction, directory, options),
+    getSearchCapabilities(directory).catch(() => []),
+  ]);
+  return { deviceUdn: udn, ...page, searchCapabilities: capabilities };
+}
+
+// Search a ContentDirectory for a free-text `query`, or raw `criteria`
+async function searchLibrary(udn, options) {
+  const directory = await resolveLibrary(udn);
+  const { search, buildCriteria } = await import('./modules/content-directory.mjs');
+  const capabilities = await getSearchCapabilities(directory);
+  if (!capabilities.length) throw httpError(400, 'The server does not support searching');
+
+  const criteria = options.criteria || buildCriteria(options.query, capabilities);
+  if (!criteria) throw httpError(400, 'Nothing to search for in the titles, artists or albums');
+  const page = await search(callAction, directory, { ...options, criteria });
+  return { deviceUdn: udn, ...page, searchCapabilities: capabilities };
+}
+
+// Run the matching plugins on the devices served from a LOCATION and
+// keep their fields on the entries
+async function enrichLocation(location) {
+  if (!pluginHost) return;
+  let enriched = false;
+  for (const entry of registry.byLocation(location)) {
+    if (!pluginHost.pluginsFor(entry).length) continue;
+    entry.vendor = await pluginHost.enrich(entry);
+    enriched = true;
+  }
+  const root = registry.byLocation(location).find((e) => !e.embedded);
+  if (enriched && root) io.emit("device:updated", root);
+}
+
+// Plugin cards of a device and its embedded devices, read again when
+// older than VENDOR_MAX_AGE_MS (or on `refresh`)
+async function readVendor(udn, { refresh = false } = {}) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  if (!pluginHost) return { deviceUdn: udn, cards: [] };
+
+  const entries = [d, ...registry.list().filter((e) => e.rootUdn === d.udn && e.udn !== d.udn)];
+  const cards = [];
+  for (const entry of entries) {
+    if (!pluginHost.pluginsFor(entry).length) continue;
+    const stale = !entry.vendor || Object.values(entry.vendor).some((v) => Date.now() - v.updatedAt > VENDOR_MAX_AGE_MS);
+    if (refresh || stale) entry.vendor = await pluginHost.enrich(entry);
+    for (const result of Object.values(entry.vendor)) cards.push({ deviceUdn: entry.udn, ...result });
+  }
+  return { deviceUdn: udn, cards };
+}
+
+// Run a vendor action, then read the plugin's fields again
+async function runVendorAction(udn, pluginName, actionId, args) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  if (!pluginHost) throw httpError(503, 'Plugins not loaded');
+  const result = await pluginHost.runAction(d, pluginName, actionId, args);
+  d.vendor = await pluginHost.enrich(d);
+  const card = d.vendor[pluginName] ? { deviceUdn: d.udn, ...d.vendor[pluginName] } : null;
+  return { result: result === undefined ? null : result, card };
+}
+
+// WAN connections of a router (modules/igd.mjs), or a 404
+async function resolveGateway(udn) {
+  const d = findDeviceByUdn(udn);
+  if (!d) throw httpError(404, 'Unknown device');
+  const { findGateway } = await import('./modules/igd.mjs');
+  const gateway = findGateway(registry.tree(d.udn));
+  if (!gateway) throw httpError(404, 'Device has no WANIPConnection or WANPPPConnection');
+  return gateway;
+}
+
+// The connection asked for, else the first one that is connected
+function pickConnection(connections, serviceId) {
+  if (!serviceId) return connections.find((c) => c.status === 'Connected') || connections[0];
+  const connection = connections.find((c) => c.serviceId === serviceId);
+  if (!connection) throw httpError(404, 'Unknown WAN connection service');
+  return connection;
+}
+
+// Addresses known to be on the network: devices answering discovery and
+// this host's own interfaces
+function knownAddresses() {
+  const known = new Set();
+  for (const d of registry.list()) {
+    if (d.status === 'online' && d.ip && d.ip.address) known.add(d.ip.address);
+  }
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const a of addresses || []) known.add(a.address);
+  }
+  return known;
+}
+
+// External address, status and port mappings of a router; `serviceId`
+// picks the WAN connection when it has several
+async function readGatewayState(udn, { serviceId } = {}) {
+  const gateway = await resolveGateway(udn);
+  const { readConnection, listMappings, checkClients } = await import('./modules/igd.mjs');
+  const connections = await Promise.all(gateway.connections.map((c) => readConnection(callAction, c)));
+  const connection = pickConnection(connections, serviceId);
+  const { mappings, complete } = await listMappings(callAction, connection);
+  return {
+    deviceUdn: udn,
+    friendlyName: gateway.friendlyName,
+    connections,
+    serviceId: connection.serviceId,
+    mappings: await checkClients(mappings, { known: knownAddresses() }),
+    complete,
+    updatedAt: Date.now(),
+  };
+}
+
+// Add (`mapping` as in igd.mjs) or delete (`mapping` = `{ remoteHost,
+// externalPort, protocol }`) a port mapping, then read the list again
+async function changeMapping(udn, command, { serviceId, mapping } = {}) {
+  const gateway = await resolveGateway(udn);
+  const igd = await import('./modules/igd.mjs');
+  const connections = serviceId || gateway.connections.length === 1
+    ? gateway.connections
+    : await Promise.all(gateway.connections.map((c) => igd.readConnection(callAction, c)));
+  const connection = pickConnection(connections, serviceId);
+  if (command === 'add') await igd.addMapping(callAction, connection, mapping);
+  else if (command === 'delete') await igd.deleteMapping(callAction, connection, mapping);
+  else throw httpError(400, `Unknown mapping command "${command}"`);
+  return readGatewayState(udn, { serviceId: connection.serviceId });
+}
+
+// Socket.IO room of the sockets watching a GENA subscription
+function watchRoom(key) {
+  return `gena:${key}`;
+}
+
+// Unsubscribe from a service once no socket watches it anymore
+function releaseWatch(key) {
+  const room = io.sockets.adapter.rooms.get(watchRoom(key));
+  if (room && room.size > 0) return;
+  if (!eventing || !eventing.get(key)) return;
+  eventing.unsubscribe(key).catch((e) => {
+    console.error('Failed to unsubscribe:', key, e.message);
+  });
+}
+
+// Broadcast the lifecycle status of a device to every socket
+function emitDeviceStatus(location) {
+  const d = registry.byLocation(location).find((e) => !e.embedded);
+  if (!d) return;
+  io.emit("device-status", {
+    location,
+    udn: d.udn,
+    status: d.status,
+    reason: d.offlineReason,
+    lastSeen: d.lastSeen,
+  });
+}
+
+// Descriptions that failed recently, newest first; a device that stopped
+// advertising is no longer retried, so its failure is dropped with time
+function listFetchErrors() {
+  const cutoff = Date.now() - OFFLINE_RETENTION_MS;
+  for (const [location, record] of fetchErrors) {
+    if (record.at < cutoff) fetchErrors.delete(location);
+  }
+  return [...fetchErrors.values()].sort((a, b) => b.at - a.at);
+}
+
+// Root devices matching a filter (modules/device-filter.mjs); a filter
+// that does not parse is a 400
+function filterDevices(devices, text) {
+  if (!text || !deviceFilter) return devices;
+  const filter = deviceFilter.parseFilter(text);
+  if (filter.errors.length) throw httpError(400, filter.errors.join('; '));
+  return devices.filter((d) => deviceFilter.matchesFilter(filter, d));
+}
+
+// The host's network interfaces, whether discovery uses each and how many
+// online devices were found on it
+function listNetworkInterfaces() {
+  if (!discovery) return [];
+  const devices = listRootDevices().filter((d) => d.status === 'online' && d.ip);
+  return discovery.interfaces().map((iface) => ({
+    ...iface,
+    devices: devices.filter((d) => d.ip.interface === iface.name && d.ip.family === iface.family).length,
+  }));
+}
+
+// The searched interfaces an `iface:` filter names exactly, or null to
+// search on all of them (a partial name only filters the list)
+function scanInterfaces(wanted) {
+  if (!wanted || !discovery) return null;
+  const names = discovery.interfaces()
+    .filter((i) => i.searching && (wanted.includes(i.name) || wanted.includes(i.address)))
+    .map((i) => i.name);
+  return names.length ? [...new Set(names)] : null;
+}
+
+// Scans running now that a datagram with search or notification type `st`,
+// heard on `ip.interface`, answers
+function scansFor(st, ip) {
+  return [...scans.values()].filter((scan) =>
+    (scan.st === "ssdp:all" || scan.st === st) &&
+    (!scan.interfaces || scan.interfaces.includes(ip && ip.interface)));
+}
+
+// Start an SSDP scan, or return the one in progress for the same ST and
+// interfaces so concurrent requests (e.g. several tabs) share a single
+// M-SEARCH. A filter naming a single type searches for just that type.
+function startScan(mx, filter) {
+  const parsed = filter && deviceFilter ? deviceFilter.parseFilter(filter) : null;
+  const st = (parsed && deviceFilter.searchTarget(parsed)) || "ssdp:all";
+  const interfaces = scanInterfaces(parsed && deviceFilter.searchInterfaces(parsed));
+  const key = `${st} ${interfaces ? interfaces.join(",") : "*"}`;
+  if (scans.has(key)) return scans.get(key);
+
+  const startedAt = Date.now();
+  mx = clampMx(mx);
+  // Allow a second past MX for late answers and description fetches
+  const windowMs = mx * 1000 + 1000;
+  const id = `${startedAt.toString(36)}${(scanCount++).toString(36)}`;
+  const scan = {
+    id,
+    room: `scan:${id}`,
+    st,
+    interfaces,
+    mx,
+    startedAt,
+    endsAt: startedAt + windowMs,
+    found: new Set(),
+  };
+  scan.done = new Promise((resolve) => {
+    scan.finish = resolve;
+  });
+  scans.set(key, scan);
+
+  if (discovery) {
+    discovery.search(scan.st, { mx: scan.mx, interfaces: scan.interfaces }).catch((e) => {
+      console.error('Failed to send M-SEARCH:', e);
+    });
+  }
+  console.log("scan: SSDP search triggered", scan.id, scan.st, "MX", scan.mx, "on", scan.interfaces || "every interface");
+
+  setTimeout(() => {
+    scans.delete(key);
+    const result = {
+      id: scan.id,
+      found: scan.found.size,
+      total: listRootDevices().length,
+      duration: Date.now() - startedAt,
+    };
+    io.to(scan.room).emit("scan:complete", result);
+    io.in(scan.room).socketsLeave(scan.room);
+    scan.finish(result);
+  }, windowMs);
+
+  return scan;
+}
+
+// UDA allows MX values from 1 to 5 seconds
+function clampMx(mx) {
+  return Math.min(Math.max(Math.round(Number(mx)) || 3, 1), 5);
+}
+
+// Drop inventory records past the retention period, along with devices
+// restored from them that never answered again
+function pruneInventory() {
+  if (!inventory) return;
+  const removed = inventory.prune();
+  for (const udn of removed) {
+    const d = findDeviceByUdn(udn);
+    if (!d || d.status === 'online') continue;
+    registry.remove(d.location);
+    io.emit("device-status", { location: d.location, udn, status: 'removed' });
+  }
+  if (removed.length) console.log("inventory: pruned %d devices", removed.length);
+}
+
+// Inventory records (without descriptions) not seen for `staleDays` days
+function listInventory(staleDays = 0) {
+  const records = inventory ? inventory.stale(Math.max(Number(staleDays) || 0, 0)) : [];
+  const devices = records
+    .map((r) => {
+      const current = findDeviceByUdn(r.udn);
+      return {
+        udn: r.udn,
+        friendlyName: r.friendlyName,
+        deviceType: r.deviceType,
+        manufacturer: r.manufacturer,
+        modelName: r.modelName,
+        location: r.location,
+        ipHistory: r.ipHistory,
+        firstSeen: r.firstSeen,
+        lastSeen: r.lastSeen,
+        seenCount: r.seenCount,
+        status: current ? current.status : 'forgotten',
+      };
+    })
+    .sort((a, b) => a.lastSeen - b.lastSeen);
+  return { staleDays, retentionDays: INVENTORY_RETENTION_DAYS, devices };
+}
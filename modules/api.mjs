@@ -0,0 +1,378 @@
+/**
+ * REST API module
+ *
+ * Mirrors the Socket.IO interface of `index.js` over plain HTTP/JSON so
+ * scripts and dashboards can use the explorer without a socket client.
+ *
+ * Provides `createApiRouter(services)` which returns an Express router
+ * (mount it on `/api`) with the routes below. `services` are supplied by
+ * the host:
+ *
+ * - `listDevices(filter)` -> [entry]      root devices, sorted, optionally
+ *   narrowed by a filter (see `device-filter.mjs`)
+ * - `getDevice(udn)` -> entry | null      root or embedded device
+ * - `getTree(udn)` -> tree | null         services and embedded devices
+ * - `getIcon(udn, { size })` -> Promise<{ body, contentType, fetchedAt }>
+ *   the device's best icon for `size` px, from the icon cache
+ * - `getMetadata(udn)` -> metadata       description fields, SSDP headers,
+ *   address, raw XML and change history
+ * - `exportNetwork(format, { filter, scpd, rows })` -> Promise<{ body,
+ *   contentType, filename }>  the devices as JSON, CSV or an HTML report
+ * - `listTraffic({ filter, limit })` -> traffic  captured SSDP datagrams
+ *   and their summaries (see `ssdp-inspector.mjs`)
+ * - `exportTraffic(format, { filter })` -> Promise<{ body, contentType,
+ *   filename }>  the capture as JSON or raw text
+ * - `controlCapture(command)` -> status  pause, resume or clear it
+ * - `loadScpd(udn, serviceId)` -> Promise<scpd>
+ * - `callAction(udn, serviceId, action, args)` -> Promise<result>
+ * - `startScan(mx, filter)` -> scan       `{ id, st, interfaces, mx, startedAt, endsAt, done }`
+ * - `listInterfaces()` -> [{ name, address, family, cidr, scopeid,
+ *   searching, ipv6Scopes, devices }]
+ * - `listFetchErrors()` -> [{ location, udn, address, interface, error, at }]
+ *   descriptions that could not be fetched or parsed
+ * - `listSuspicious()` -> [{ kind, url, usn, udn, address, interface,
+ *   reason, count, firstAt, lastAt }]  URLs the URL policy refused
+ * - `listInventory(staleDays)` -> { staleDays, retentionDays, devices }
+ * - `getRenderer(udn)` -> Promise<state>  MediaRenderer snapshot
+ * - `controlRenderer(udn, command, value)` -> Promise<state>
+ * - `browseLibrary(udn, options)` -> Promise<page>  ContentDirectory Browse
+ * - `searchLibrary(udn, options)` -> Promise<page>  ContentDirectory Search
+ * - `listRenderers()` -> Promise<[{ udn, friendlyName }]>
+ * - `getQueue(udn)` -> Promise<queue>   play queue of a renderer
+ * - `playOn(udn, { sources, mode })` -> Promise<queue & { added, skipped }>
+ * - `controlQueue(udn, command, index)` -> Promise<queue>
+ * - `listPlugins()` -> [{ name, title, file, actions }]
+ * - `getVendor(udn, { refresh })` -> Promise<{ deviceUdn, cards }>
+ * - `runVendorAction(udn, plugin, action, args)` -> Promise<{ result, card }>
+ * - `getGateway(udn, { serviceId })` -> Promise<gateway>  IGD connections
+ *   and port mappings
+ * - `changeMapping(udn, 'add' | 'delete', { serviceId, mapping })` ->
+ *   Promise<gateway>
+ * - `control(actor, action, target, run)` -> Promise<result of run>  runs
+ *   a control route (the POST and DELETE routes below, except `/discover`)
+ *   for `actor` ({ principal, via: 'http', address }), refusing it (401 /
+ *   403) without the operator role, and audits it
+ *
+ * Routes (see `openapi.mjs`, served at `GET /api/openapi.json`):
+ *
+ * - `GET  /devices?filter`
+ * - `GET  /devices/:udn`
+ * - `GET  /devices/:udn/services`
+ * - `GET  /devices/:udn/icon?size=48`                          image bytes
+ * - `GET  /devices/:udn/metadata`
+ * - `GET  /devices/:udn/services/:serviceId/scpd`
+ * - `POST /devices/:udn/services/:serviceId/actions/:action`  body `{ args }`
+ * - `POST /discover`                                          body `{ mx, wait, filter }`
+ * - `GET  /interfaces`
+ * - `GET  /fetch-errors`
+ * - `GET  /suspicious`
+ * - `GET  /inventory?staleDays=N`
+ * - `GET  /export/:format?filter&scpd=1&rows=services`           a download
+ * - `GET  /ssdp/traffic?filter&limit`
+ * - `GET  /ssdp/traffic/download?format=json|txt&filter`          a download
+ * - `POST /ssdp/capture/:command`                             pause, resume, clear
+ * - `GET  /devices/:udn/renderer`
+ * - `POST /devices/:udn/renderer/:command`                     body `{ value }`
+ * - `GET  /devices/:udn/library?objectId&flag&start&count&sort`
+ * - `GET  /devices/:udn/library/search?q|criteria&containerId&start&count&sort`
+ * - `GET  /renderers`
+ * - `GET  /devices/:udn/queue`
+ * - `POST /devices/:udn/queue`                                body `{ sources, mode }`
+ * - `POST /devices/:udn/queue/:command`                       body `{ index }`
+ * - `GET  /plugins`
+ * - `GET  /devices/:udn/vendor?refresh=1`
+ * - `POST /devices/:udn/vendor/:plugin/:action`               body `{ args }`
+ * - `GET  /devices/:udn/gateway?serviceId`
+ * - `POST /devices/:udn/gateway/mappings`                     body `{ serviceId, mapping }`
+ * - `DELETE /devices/:udn/gateway/mappings/:protocol/:externalPort?remoteHost&serviceId`
+ *
+ * The host authenticates requests before they reach the router and sets
+ * `req.principal` ({ name, role }).
+ *
+ * Errors are answered as `{ error }` with the `status` carried by the
+ * thrown error (403 operator role required, 404 unknown device/service,
+ * 502 device unreachable, 422 command refused by the renderer),
+ * defaulting to 500. A document the
+ * device failed to serve adds `fetchError: { code, message, url,
+ * httpStatus, device }`.
+ */
+
+import express from 'express';
+import { openApiDocument } from './openapi.mjs';
+
+/**
+ * Wrap an async route handler so rejections reach the error handler.
+ * @param {Function} handler
+ * @returns {Function}
+ */
+function route(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Who sent a request, for `services.control`.
+ * @param {import('express').Request} req
+ * @returns {{ principal: object|null, via: string, address: string }}
+ */
+function actorOf(req) {
+    return { principal: req.principal || null, via: 'http', address: req.ip };
+}
+
+/**
+ * Create the REST API router.
+ * @param {object} services
+ * @returns {import('express').Router}
+ */
+export function createApiRouter(services) {
+    const router = express.Router();
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument);
+    });
+
+    router.get('/devices', (req, res) => {
+        res.json(services.listDevices(req.query.filter));
+    });
+
+    router.get('/devices/:udn', (req, res) => {
+        const device = services.getDevice(req.params.udn);
+        if (!device) throw httpError(404, 'Unknown device');
+        res.json(device);
+    });
+
+    router.get('/devices/:udn/services', (req, res) => {
+        const tree = services.getTree(req.params.udn);
+        if (!tree) throw httpError(404, 'Unknown device');
+        res.json(tree);
+    });
+
+    // Served from our own origin so pages on https and other sites' CORS
+    // rules do not matter; the cache only keeps raster images, and the
+    // headers stop a browser from treating one as anything else
+    router.get('/devices/:udn/icon', route(async (req, res) => {
+        const icon = await services.getIcon(req.params.udn, { size: req.query.size });
+        res.set({
+            'Content-Type': icon.contentType,
+            'Cache-Control': 'private, max-age=86400',
+            'Last-Modified': new Date(icon.fetchedAt).toUTCString(),
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'none'"
+        });
+        res.send(icon.body);
+    }));
+
+    router.get('/devices/:udn/metadata', (req, res) => {
+        res.json(services.getMetadata(req.params.udn));
+    });
+
+    router.get('/devices/:udn/services/:serviceId/scpd', route(async (req, res) => {
+        res.json(await services.loadScpd(req.params.udn, req.params.serviceId));
+    }));
+
+    // A UPnP fault is a valid answer from the device, but the action did
+    // not succeed: report it as 422 with the parsed fault
+    router.post('/devices/:udn/services/:serviceId/actions/:action', route(async (req, res) => {
+        const args = (req.body && req.body.args) || {};
+        if (typeof args !== 'object' || Array.isArray(args)) {
+            throw httpError(400, '`args` must be an object of argument name to value');
+        }
+        const { udn, serviceId, action } = req.params;
+        const result = await services.control(actorOf(req), 'invoke', { deviceUdn: udn, serviceId, actionName: action, args },
+            () => services.callAction(udn, serviceId, action, args));
+        res.status(result.ok ? 200 : 422).json(result);
+    }));
+
+    router.get('/devices/:udn/renderer', route(async (req, res) => {
+        res.json(await services.getRenderer(req.params.udn));
+    }));
+
+    // Remote-control command; answers with the renderer's new state
+    router.post('/devices/:udn/renderer/:command', route(async (req, res) => {
+        const value = req.body ? req.body.value : undefined;
+        const { udn, command } = req.params;
+        res.json(await services.control(actorOf(req), 'renderer', { deviceUdn: udn, command, value },
+            () => services.controlRenderer(udn, command, value)));
+    }));
+
+    // Browse the ContentDirectory of a MediaServer
+    router.get('/devices/:udn/library', route(async (req, res) => {
+        const { objectId, flag, start, count, sort } = req.query;
+        res.json(await services.browseLibrary(req.params.udn, { objectId, flag, start, count, sort }));
+    }));
+
+    router.get('/devices/:udn/library/search', route(async (req, res) => {
+        const { q, criteria, containerId, start, count, sort } = req.query;
+        res.json(await services.searchLibrary(req.params.udn, { query: q, criteria, containerId, start, count, sort }));
+    }));
+
+    router.get('/renderers', route(async (req, res) => {
+        res.json(await services.listRenderers());
+    }));
+
+    // Play queue of a renderer; POSTing sources plays or appends them
+    router.get('/devices/:udn/queue', route(async (req, res) => {
+        res.json(await services.getQueue(req.params.udn));
+    }));
+
+    router.post('/devices/:udn/queue', route(async (req, res) => {
+        const { sources, mode } = req.body || {};
+        res.json(await services.control(actorOf(req), 'play-on', { deviceUdn: req.params.udn, mode, sources },
+            () => services.playOn(req.params.udn, { sources, mode })));
+    }));
+
+    router.post('/devices/:udn/queue/:command', route(async (req, res) => {
+        const index = req.body ? req.body.index : undefined;
+        const { udn, command } = req.params;
+        res.json(await services.control(actorOf(req), 'queue', { deviceUdn: udn, command, index },
+            () => services.controlQueue(udn, command, index)));
+    }));
+
+    router.get('/plugins', (req, res) => {
+        res.json(services.listPlugins());
+    });
+
+    // Vendor plugin cards of a device and its embedded devices
+    router.get('/devices/:udn/vendor', route(async (req, res) => {
+        const refresh = ['1', 'true', 'yes'].includes(String(req.query.refresh).toLowerCase());
+        res.json(await services.getVendor(req.params.udn, { refresh }));
+    }));
+
+    router.post('/devices/:udn/vendor/:plugin/:action', route(async (req, res) => {
+        const args = req.body ? req.body.args : undefined;
+        const { udn, plugin, action } = req.params;
+        res.json(await services.control(actorOf(req), 'vendor', { deviceUdn: udn, plugin, action, args },
+            () => services.runVendorAction(udn, plugin, action, args)));
+    }));
+
+    // Port mappings of an Internet Gateway Device
+    router.get('/devices/:udn/gateway', route(async (req, res) => {
+        res.json(await services.getGateway(req.params.udn, { serviceId: req.query.serviceId }));
+    }));
+
+    router.post('/devices/:udn/gateway/mappings', route(async (req, res) => {
+        const { serviceId, mapping } = req.body || {};
+        if (!mapping || typeof mapping !== 'object') throw httpError(400, '`mapping` must be an object');
+        res.status(201).json(await services.control(actorOf(req), 'gateway:add', { deviceUdn: req.params.udn, serviceId, mapping },
+            () => services.changeMapping(req.params.udn, 'add', { serviceId, mapping })));
+    }));
+
+    router.delete('/devices/:udn/gateway/mappings/:protocol/:externalPort', route(async (req, res) => {
+        const { protocol, externalPort } = req.params;
+        const mapping = { protocol, externalPort: Number(externalPort), remoteHost: req.query.remoteHost || '' };
+        const serviceId = req.query.serviceId;
+        res.json(await services.control(actorOf(req), 'gateway:delete', { deviceUdn: req.params.udn, serviceId, mapping },
+            () => services.changeMapping(req.params.udn, 'delete', { serviceId, mapping })));
+    }));
+
+    // Start (or join) a scan. With `wait: true` the response is sent once
+    // the MX window has passed and includes the device list, narrowed by
+    // `filter` like `GET /devices`.
+    router.post('/discover', route(async (req, res) => {
+        const body = req.body || {};
+        // Reject a bad filter before sending anything
+        services.listDevices(body.filter);
+        const scan = services.startScan(body.mx, body.filter);
+        const summary = {
+            id: scan.id,
+            st: scan.st,
+            interfaces: scan.interfaces,
+            mx: scan.mx,
+            startedAt: scan.startedAt,
+            endsAt: scan.endsAt
+        };
+        if (!body.wait) {
+            res.status(202).json(summary);
+            return;
+        }
+        const result = await scan.done;
+        res.json({ ...summary, ...result, devices: services.listDevices(body.filter) });
+    }));
+
+    router.get('/export/:format', route(async (req, res) => {
+        const file = await services.exportNetwork(req.params.format, {
+            filter: req.query.filter,
+            scpd: ['1', 'true'].includes(String(req.query.scpd)),
+            rows: req.query.rows
+        });
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        // The report has no scripts; should device-supplied text ever slip
+        // through as markup, it still cannot run on our origin
+        if (req.params.format === 'html') res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+        res.send(file.body);
+    }));
+
+    router.get('/ssdp/traffic', (req, res) => {
+        res.json(services.listTraffic({ filter: req.query.filter, limit: req.query.limit }));
+    });
+
+    router.get('/ssdp/traffic/download', route(async (req, res) => {
+        const file = await services.exportTraffic(req.query.format || 'json', { filter: req.query.filter });
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.send(file.body);
+    }));
+
+    router.post('/ssdp/capture/:command', route(async (req, res) => {
+        const { command } = req.params;
+        res.json(await services.control(actorOf(req), 'inspector', { command },
+            () => services.controlCapture(command)));
+    }));
+
+    router.get('/fetch-errors', (req, res) => {
+        res.json(services.listFetchErrors());
+    });
+
+    router.get('/suspicious', (req, res) => {
+        res.json(services.listSuspicious());
+    });
+
+    router.get('/interfaces', (req, res) => {
+        res.json(services.listInterfaces());
+    });
+
+    // Device history; `staleDays` limits it to devices not seen for N days
+    router.get('/inventory', (req, res) => {
+        const staleDays = req.query.staleDays === undefined ? 0 : Number(req.query.staleDays);
+        if (!Number.isFinite(staleDays) || staleDays < 0) {
+            throw httpError(400, '`staleDays` must be a non-negative number');
+        }
+        res.json(services.listInventory(staleDays));
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    // A response already under way is Express's to end
+    router.use((err, req, res, next) => {
+        if (res.headersSent) return next(err);
+        const status = err.status || 500;
+        if (status >= 500) console.error('api:', req.method, req.originalUrl, err.message);
+        res.status(status).json(err.fetchError ? { error: err.message, fetchError: err.fetchError } : { error: err.message });
+    });
+
+    return router;
+}
+
+export default createApiRouter;
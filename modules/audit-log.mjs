@@ -0,0 +1,89 @@
+/**
+ * Audit log module
+ *
+ * Append-only record of every control action sent to a device (actions,
+ * renderer commands, play queues, vendor actions, port mappings), and of
+ * changes to the SSDP capture: who sent it, from where, what it targeted
+ * and how it ended, including attempts refused for lack of the operator
+ * role.
+ *
+ * Provides `openAuditLog(options)` which resolves to an object with:
+ *
+ * - `record(entry)` -> record  stamp `at` and append it
+ * - `recent(limit)` -> [record]  most recent first, from memory
+ * - `flush()` -> Promise<void> wait for pending writes
+ *
+ * Records have the shape:
+ *   {
+ *     at, user, role, via: 'socket' | 'http', address,
+ *     action: 'invoke' | 'renderer' | 'play-on' | 'queue' | 'vendor' |
+ *             'gateway:add' | 'gateway:delete' | 'inspector',
+ *     target: { deviceUdn, ... },
+ *     outcome: 'ok' | 'fault' | 'error' | 'denied',
+ *     error?: string
+ *   }
+ *
+ * Usage:
+ *
+ * const { openAuditLog } = await import('./modules/audit-log.mjs');
+ * const audit = await openAuditLog({ file: 'data/audit.log' });
+ * audit.record({ user: 'alice', action: 'invoke', target, outcome: 'ok' });
+ *
+ * Notes:
+ * - The file holds one JSON record per line and is only ever appended
+ *   to; rotate it with the usual tools. Writes are queued so records keep
+ *   their order.
+ * - The last `keep` records are read back at start so `recent()` survives
+ *   a restart.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Open (or create) the audit log stored at `file`.
+ * @param {object} options
+ * @param {string} options.file Path of the JSON-lines log
+ * @param {number} [options.keep=200] Records kept in memory for `recent()`
+ * @returns {Promise<object>}
+ */
+export async function openAuditLog({ file, keep = 200 }) {
+    let records = [];
+    let writing = Promise.resolve();
+
+    try {
+        const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).slice(-keep);
+        for (const line of lines) {
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                // A torn last line from a crash; the rest is still good
+            }
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error('audit: cannot read %s:', file, e.message);
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    function record(entry) {
+        const item = { at: Date.now(), ...entry };
+        records.push(item);
+        if (records.length > keep) records = records.slice(-keep);
+        writing = writing
+            .then(() => fs.appendFile(file, JSON.stringify(item) + '\n'))
+            .catch((e) => console.error('audit: cannot write %s:', file, e.message));
+        return item;
+    }
+
+    function recent(limit = keep) {
+        return records.slice(-limit).reverse();
+    }
+
+    function flush() {
+        return writing;
+    }
+
+    return { record, recent, flush };
+}
+
+export default openAuditLog;
@@ -0,0 +1,386 @@
+/**
+ * Authentication module
+ *
+ * Local users and API tokens read from a JSON file, the sessions they log
+ * in to, and the roles that decide what they may do:
+ *
+ *   viewer    discover devices, read descriptions, SCPDs, libraries,
+ *             renderer and gateway state, watch events
+ *   operator  everything a viewer may, plus control: invoking actions,
+ *             renderer commands, play queues, vendor actions, port mappings
+ *
+ * Exports:
+ *
+ * - `loadAuthConfig(file)` -> Promise<config | null>  null when the file
+ *   does not exist; a file that does not parse or names an unknown role
+ *   rejects, so a typo never leaves the server open
+ * - `createAuth(config, { anonymousRole })` -> auth with
+ *   - `enabled` false without a config: everyone is anonymous, with
+ *     `anonymousRole` (`viewer` unless the host opts in to `operator`)
+ *   - `login(name, password)` -> Promise<session | null>  `{ id, name,
+ *     role, expiresAt }`
+ *   - `logout(id)`
+ *   - `authenticate(headers, token)` -> Promise<principal | null>  from
+ *     the session cookie, `Authorization: Bearer <token or session id>`,
+ *     `Basic` credentials or an explicit `token` (Socket.IO's
+ *     `auth.token`)
+ *   - `active(principal)` -> boolean  false once its session has ended
+ *   - `describe(principal)` -> { name, role, authRequired, canControl }
+ *   - `router()` -> Express router for `POST /login`, `POST /logout` and
+ *     `GET /session`
+ *   - `requireUser` Express middleware: sets `req.principal`, 401 without
+ *   - `socketMiddleware` for `io.use()`: sets `socket.data.principal`
+ *   - `corsOrigins` the configured allow-list
+ * - `can(principal, permission)` -> boolean  `view` or `control`
+ * - `originAllowed(origin, host, allowList)` -> boolean  same-origin
+ *   requests and listed origins pass
+ * - `hashSecret(secret, kind)` -> string  `scrypt:...` (passwords) or
+ *   `sha256:...` (tokens) for the config file
+ * - `ROLES`, `SESSION_COOKIE`
+ *
+ * Config file:
+ *
+ *   {
+ *     "users": [{ "name": "alice", "password": "scrypt:...", "role": "operator" }],
+ *     "tokens": [{ "name": "dashboard", "token": "sha256:...", "role": "viewer" }],
+ *     "anonymousRole": null,         role of requests without credentials
+ *                                    (null: they are refused)
+ *     "sessionTtlHours": 12,         idle time before a session ends
+ *     "corsOrigins": ["https://dashboard.lan"]
+ *   }
+ *
+ * Hash a secret for it with:
+ *
+ *   node -e "import('./modules/auth.mjs').then(m => console.log(m.hashSecret('secret')))"
+ *
+ * Notes:
+ * - Secrets may also be written in clear text; they are still compared in
+ *   constant time, but anyone reading the file can use them.
+ * - scrypt runs on the thread pool (`crypto.scrypt`), so logins and Basic
+ *   credentials checked on every request do not stall the server.
+ * - Sessions live in memory and end with the server. The cookie is
+ *   HttpOnly and SameSite=Strict, so another site cannot ride on it.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import express from 'express';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = {
+    viewer: ['view'],
+    operator: ['view', 'control']
+};
+
+export const SESSION_COOKIE = 'upnp_explorer_session';
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Hash a secret for the config file.
+ * @param {string} secret
+ * @param {'scrypt'|'sha256'} [kind='scrypt'] scrypt for passwords; sha256
+ *   for long random tokens, checked on every request
+ * @returns {string}
+ */
+export function hashSecret(secret, kind = 'scrypt') {
+    if (kind === 'sha256') return `sha256:${crypto.createHash('sha256').update(String(secret)).digest('hex')}`;
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(secret), salt, 32);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Compare a secret with its stored form in constant time.
+ * @param {string} stored `scrypt:salt:hash`, `sha256:hash` or clear text
+ * @param {string} given
+ * @returns {Promise<boolean>}
+ */
+async function verifySecret(stored, given) {
+    if (typeof stored !== 'string' || typeof given !== 'string') return false;
+    const [kind, ...parts] = stored.split(':');
+    let expected;
+    let actual;
+    if (kind === 'scrypt' && parts.length === 2) {
+        expected = Buffer.from(parts[1], 'hex');
+        actual = await scrypt(given, Buffer.from(parts[0], 'hex'), expected.length);
+    } else if (kind === 'sha256' && parts.length === 1) {
+        expected = Buffer.from(parts[0], 'hex');
+        actual = crypto.createHash('sha256').update(given).digest();
+    } else {
+        expected = crypto.createHash('sha256').update(stored).digest();
+        actual = crypto.createHash('sha256').update(given).digest();
+    }
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read the auth config file.
+ * @param {string} file
+ * @returns {Promise<object|null>}
+ */
+export async function loadAuthConfig(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+
+    const config = JSON.parse(text);
+    const users = Array.isArray(config.users) ? config.users : [];
+    const tokens = Array.isArray(config.tokens) ? config.tokens : [];
+    for (const entry of [...users, ...tokens]) {
+        if (!entry || !entry.name) throw new Error(`${file}: every user and token needs a name`);
+        if (!ROLES[entry.role]) {
+            throw new Error(`${file}: unknown role "${entry.role}" for ${entry.name} (use ${Object.keys(ROLES).join(', ')})`);
+        }
+    }
+    if (config.anonymousRole && !ROLES[config.anonymousRole]) {
+        throw new Error(`${file}: unknown anonymousRole "${config.anonymousRole}"`);
+    }
+    return {
+        users,
+        tokens,
+        anonymousRole: config.anonymousRole || null,
+        sessionTtlHours: Number(config.sessionTtlHours) || DEFAULT_SESSION_TTL_HOURS,
+        corsOrigins: Array.isArray(config.corsOrigins) ? config.corsOrigins : []
+    };
+}
+
+/**
+ * Whether a principal has a permission.
+ * @param {object|null} principal
+ * @param {'view'|'control'} permission
+ * @returns {boolean}
+ */
+export function can(principal, permission) {
+    return Boolean(principal && ROLES[principal.role] && ROLES[principal.role].includes(permission));
+}
+
+/**
+ * Whether a request's Origin may use the server: no Origin (not a
+ * browser), the server's own origin, or one of the allow-list.
+ * @param {string|undefined} origin
+ * @param {string|undefined} host Host header of the request
+ * @param {Array<string>} allowList
+ * @returns {boolean}
+ */
+export function originAllowed(origin, host, allowList) {
+    if (!origin) return true;
+    let parsed;
+    try {
+        parsed = new URL(origin);
+    } catch {
+        return false;
+    }
+    if (host && parsed.host === host) return true;
+    return allowList.includes('*') || allowList.includes(parsed.origin);
+}
+
+/**
+ * Parse a Cookie header.
+ * @param {string} [header]
+ * @returns {object}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const eq = part.indexOf('=');
+        if (eq < 0) continue;
+        try {
+            cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+        } catch {
+            // Not ours to judge
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Create the authentication layer.
+ * @param {object|null} config From `loadAuthConfig`; null disables it
+ * @param {object} [options]
+ * @param {string} [options.anonymousRole='viewer'] Role of everyone when
+ *   there is no config
+ * @returns {object}
+ */
+export function createAuth(config, { anonymousRole: openRole = 'viewer' } = {}) {
+    if (!ROLES[openRole]) throw new Error(`Unknown anonymous role "${openRole}" (use ${Object.keys(ROLES).join(', ')})`);
+    const enabled = Boolean(config);
+    const users = enabled ? config.users : [];
+    const tokens = enabled ? config.tokens : [];
+    const anonymousRole = enabled ? config.anonymousRole : openRole;
+    const sessionTtl = (enabled ? config.sessionTtlHours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+    const sessions = new Map();
+    // Checked against unknown names so they take as long as wrong passwords
+    const decoy = enabled ? hashSecret(crypto.randomBytes(16).toString('hex')) : null;
+
+    const anonymous = () => (anonymousRole ? { name: 'anonymous', role: anonymousRole, via: 'anonymous' } : null);
+
+    async function login(name, password) {
+        const user = users.find(u => u.name === name);
+        const ok = await verifySecret(user ? user.password : decoy, String(password || ''));
+        if (!user || !ok) return null;
+        const session = { id: crypto.randomBytes(24).toString('base64url'), name: user.name, role: user.role, expiresAt: Date.now() + sessionTtl };
+        sessions.set(session.id, session);
+        return session;
+    }
+
+    function logout(id) {
+        sessions.delete(id);
+    }
+
+    // Look a session up, extending it while it is used
+    function sessionPrincipal(id) {
+        const session = id ? sessions.get(id) : null;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(id);
+            return null;
+        }
+        session.expiresAt = Date.now() + sessionTtl;
+        return { name: session.name, role: session.role, via: 'session', session: session.id };
+    }
+
+    async function tokenPrincipal(value) {
+        for (const entry of tokens) {
+            if (await verifySecret(entry.token, value)) return { name: entry.name, role: entry.role, via: 'token' };
+        }
+        return null;
+    }
+
+    async function authenticate(headers = {}, token = null) {
+        if (!enabled) return anonymous();
+
+        if (token) return sessionPrincipal(token) || tokenPrincipal(token);
+
+        const authorization = String(headers.authorization || '');
+        const [scheme, value] = authorization.split(/\s+/, 2);
+        if (/^bearer$/i.test(scheme) && value) return sessionPrincipal(value) || tokenPrincipal(value);
+        if (/^basic$/i.test(scheme) && value) {
+            const decoded = Buffer.from(value, 'base64').toString('utf8');
+            const colon = decoded.indexOf(':');
+            const user = users.find(u => u.name === decoded.slice(0, colon));
+            return colon > 0 && user && await verifySecret(user.password, decoded.slice(colon + 1))
+                ? { name: user.name, role: user.role, via: 'basic' }
+                : null;
+        }
+
+        return sessionPrincipal(parseCookies(headers.cookie)[SESSION_COOKIE]) || anonymous();
+    }
+
+    function active(principal) {
+        if (!principal) return false;
+        if (principal.via !== 'session') return true;
+        const session = sessions.get(principal.session);
+        return Boolean(session && session.expiresAt > Date.now());
+    }
+
+    function describe(principal) {
+        return {
+            name: principal ? principal.name : null,
+            role: principal ? principal.role : null,
+            authRequired: enabled,
+            canControl: can(principal, 'control')
+        };
+    }
+
+    async function requireUser(req, res, next) {
+        try {
+            req.principal = await authenticate(req.headers);
+        } catch (e) {
+            next(e);
+            return;
+        }
+        if (!req.principal) {
+            res.status(401).json({ error: 'Log in or send an API token' });
+            return;
+        }
+        next();
+    }
+
+    async function socketMiddleware(socket, next) {
+        let principal;
+        try {
+            principal = await authenticate(socket.handshake.headers, socket.handshake.auth && socket.handshake.auth.token);
+        } catch (e) {
+            next(e);
+            return;
+        }
+        if (!principal) {
+            const err = new Error('unauthorized');
+            err.data = { authRequired: true };
+            next(err);
+            return;
+        }
+        socket.data.principal = principal;
+        next();
+    }
+
+    function router() {
+        const routes = express.Router();
+        const cookie = (id, maxAge) =>
+            `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAge / 1000)}`;
+
+        // Express 4 does not catch rejected handlers
+        const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+        routes.post('/login', route(async (req, res) => {
+            const { name, password } = req.body || {};
+            if (!enabled) throw statusError(400, 'Authentication is not configured');
+            const session = await login(name, password);
+            if (!session) throw statusError(401, 'Unknown user or wrong password');
+            console.log('auth: %s logged in (%s) from %s', session.name, session.role, req.ip);
+            res.setHeader('Set-Cookie', cookie(session.id, sessionTtl));
+            res.json(describe({ name: session.name, role: session.role }));
+        }));
+
+        routes.post('/logout', route(async (req, res) => {
+            const principal = await authenticate(req.headers);
+            if (principal && principal.session) logout(principal.session);
+            res.setHeader('Set-Cookie', cookie('', 0));
+            res.json(describe(anonymous()));
+        }));
+
+        routes.get('/session', route(async (req, res) => {
+            res.json(describe(await authenticate(req.headers)));
+        }));
+
+        routes.use((err, req, res, next) => {
+            if (res.headersSent) return next(err);
+            res.status(err.status || 500).json({ error: err.message });
+        });
+        return routes;
+    }
+
+    return {
+        enabled,
+        login,
+        logout,
+        authenticate,
+        active,
+        describe,
+        router,
+        requireUser,
+        socketMiddleware,
+        corsOrigins: enabled ? config.corsOrigins : []
+    };
+}
+
+export default createAuth;
@@ -0,0 +1,231 @@
+/**
+ * ContentDirectory module
+ *
+ * Browses and searches the library of a UPnP AV MediaServer through its
+ * `ContentDirectory` service, returning pages of DIDL-Lite containers and
+ * items parsed by `didl.mjs`.
+ *
+ * Exports:
+ *
+ * - `findContentDirectory(tree)` -> directory | null
+ *   Look for ContentDirectory in a device tree (`registry.tree()`), the
+ *   root device or its embedded devices. The directory is
+ *   `{ udn, friendlyName, service: { udn, serviceId } }`.
+ * - `browse(call, directory, options)` -> Promise<page>
+ *   `options`: `{ objectId = '0', flag = 'BrowseDirectChildren', start,
+ *   count, filter, sort }`; `flag` may be `BrowseMetadata` to read the
+ *   object itself.
+ * - `getSearchCapabilities(call, directory)` -> Promise<[string]>
+ *   Searchable properties (`dc:title`, `upnp:artist`, ...); empty when the
+ *   server cannot search.
+ * - `search(call, directory, options)` -> Promise<page>
+ *   `options`: `{ containerId = '0', criteria, start, count, filter, sort }`
+ * - `buildCriteria(text, capabilities)` -> criteria | null
+ *   SearchCriteria matching `text` in the title, artist, album or creator,
+ *   restricted to the properties the server can search.
+ *
+ * `call(udn, serviceId, action, args)` invokes an action and resolves to
+ * `{ ok, outputs | fault }`, like the host's `callAction`.
+ *
+ * Pages have the shape:
+ *   {
+ *     start, count,                  // as requested
+ *     numberReturned, totalMatches,  // as reported by the server
+ *     updateId,
+ *     containers: [Entry], items: [Entry]   // see didl.mjs
+ *   }
+ *
+ * Notes:
+ * - Errors carry `status` like the REST API expects: 400 for invalid
+ *   paging or criteria, 404 for a missing service, 422 when the server
+ *   answers with a UPnP fault (also attached as `fault`), 502 when the
+ *   result is not DIDL-Lite.
+ * - `count` is capped at `MAX_COUNT`; servers may return fewer entries
+ *   than asked for, so paging follows `numberReturned`.
+ */
+
+import { parseDidl } from './didl.mjs';
+
+export const DEFAULT_COUNT = 50;
+export const MAX_COUNT = 200;
+
+const BROWSE_FLAGS = ['BrowseDirectChildren', 'BrowseMetadata'];
+
+// Properties matched by `buildCriteria`, in order
+const TEXT_PROPERTIES = ['dc:title', 'upnp:artist', 'upnp:album', 'dc:creator'];
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Find the ContentDirectory service in a device tree.
+ * @param {object} tree `{ udn, friendlyName, services, devices }`
+ * @returns {object|null}
+ */
+export function findContentDirectory(tree) {
+    if (!tree) return null;
+
+    let found = null;
+    (function walk(node) {
+        if (found) return;
+        const service = (node.services || []).find(s => /:service:ContentDirectory:\d+$/.test(s.serviceType || ''));
+        if (service) {
+            found = { udn: node.udn, serviceId: service.serviceId };
+            return;
+        }
+        (node.devices || []).forEach(walk);
+    })(tree);
+
+    return found ? { udn: tree.udn, friendlyName: tree.friendlyName, service: found } : null;
+}
+
+/**
+ * Call an action and return its outputs; throws on a UPnP fault.
+ * @param {Function} call
+ * @param {object} directory
+ * @param {string} action
+ * @param {object} args
+ * @returns {Promise<object>}
+ */
+async function run(call, directory, action, args) {
+    const { udn, serviceId } = directory.service;
+    const result = await call(udn, serviceId, action, args);
+    if (!result.ok) {
+        const fault = result.fault || {};
+        const err = statusError(422, `${action} failed: ${fault.errorDescription || fault.faultString || 'UPnP fault'}` +
+            (fault.errorCode ? ` (${fault.errorCode})` : ''));
+        err.fault = fault;
+        throw err;
+    }
+    return result.outputs || {};
+}
+
+/**
+ * Validate and default the paging options.
+ * @param {*} start
+ * @param {*} count
+ * @returns {{start: number, count: number}}
+ */
+function paging(start, count) {
+    const s = start === undefined || start === null || start === '' ? 0 : Number(start);
+    const c = count === undefined || count === null || count === '' ? DEFAULT_COUNT : Number(count);
+    if (!Number.isInteger(s) || s < 0) throw statusError(400, 'start must be a non-negative integer');
+    if (!Number.isInteger(c) || c < 1) throw statusError(400, 'count must be a positive integer');
+    return { start: s, count: Math.min(c, MAX_COUNT) };
+}
+
+/**
+ * Turn a Browse/Search result into a page.
+ * @param {object} outputs
+ * @param {{start: number, count: number}} page
+ * @returns {Promise<object>}
+ */
+async function toPage(outputs, page) {
+    let didl;
+    try {
+        didl = await parseDidl(outputs.Result);
+    } catch (e) {
+        throw statusError(502, `Invalid DIDL-Lite result: ${e.message}`);
+    }
+    const returned = Number(outputs.NumberReturned);
+    const total = Number(outputs.TotalMatches);
+    const entries = didl.containers.length + didl.items.length;
+    return {
+        ...page,
+        numberReturned: Number.isFinite(returned) ? returned : entries,
+        // Some servers report 0 when they do not know the total
+        totalMatches: Number.isFinite(total) && total > 0 ? total : null,
+        updateId: outputs.UpdateID !== undefined && outputs.UpdateID !== '' ? Number(outputs.UpdateID) : null,
+        ...didl
+    };
+}
+
+/**
+ * Browse a container's children or an object's metadata.
+ * @param {Function} call
+ * @param {object} directory From `findContentDirectory`
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+export async function browse(call, directory, { objectId = '0', flag = 'BrowseDirectChildren', start, count, filter = '*', sort = '' } = {}) {
+    if (!BROWSE_FLAGS.includes(flag)) throw statusError(400, `flag must be one of ${BROWSE_FLAGS.join(', ')}`);
+    const page = flag === 'BrowseMetadata' ? { start: 0, count: 1 } : paging(start, count);
+
+    const outputs = await run(call, directory, 'Browse', {
+        ObjectID: String(objectId),
+        BrowseFlag: flag,
+        Filter: filter,
+        StartingIndex: page.start,
+        RequestedCount: page.count,
+        SortCriteria: sort
+    });
+    return { objectId: String(objectId), flag, ...(await toPage(outputs, page)) };
+}
+
+/**
+ * Read the properties the server can search on.
+ * @param {Function} call
+ * @param {object} directory
+ * @returns {Promise<Array<string>>}
+ */
+export async function getSearchCapabilities(call, directory) {
+    try {
+        const outputs = await run(call, directory, 'GetSearchCapabilities', {});
+        return String(outputs.SearchCaps || '').split(',').map(c => c.trim()).filter(Boolean);
+    } catch (e) {
+        // Search is optional: servers without it fault with 401
+        if (e.status === 422) return [];
+        throw e;
+    }
+}
+
+/**
+ * Search a container and its descendants.
+ * @param {Function} call
+ * @param {object} directory
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+export async function search(call, directory, { containerId = '0', criteria, start, count, filter = '*', sort = '' } = {}) {
+    if (!criteria || !String(criteria).trim()) throw statusError(400, 'Missing search criteria');
+    const page = paging(start, count);
+
+    const outputs = await run(call, directory, 'Search', {
+        ContainerID: String(containerId),
+        SearchCriteria: String(criteria),
+        Filter: filter,
+        StartingIndex: page.start,
+        RequestedCount: page.count,
+        SortCriteria: sort
+    });
+    return { containerId: String(containerId), criteria: String(criteria), ...(await toPage(outputs, page)) };
+}
+
+/**
+ * Build a SearchCriteria string for a free-text query.
+ * @param {string} text
+ * @param {Array<string>} capabilities From `getSearchCapabilities`
+ * @returns {string|null} null when no text property is searchable
+ */
+export function buildCriteria(text, capabilities) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const all = capabilities.includes('*');
+    const properties = TEXT_PROPERTIES.filter(p => all || capabilities.includes(p));
+    if (!properties.length) return null;
+
+    const quoted = `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    return properties.map(p => `${p} contains ${quoted}`).join(' or ');
+}
+
+export default browse;
@@ -0,0 +1,222 @@
+/**
+ * Device changes module
+ *
+ * Compares two sightings of a root device and tells what changed between
+ * them: its description, its CONFIGID, its address or LOCATION, and its
+ * service list. Firmware updates show up as a new description (and, on
+ * UDA 1.1 devices, a new CONFIGID), DHCP moves as a new address.
+ *
+ * Exports:
+ *
+ * - `compareSightings(before, after)` -> [change]  empty when nothing
+ *   changed; sightings are `{ location, ssdp, address, root, xml }`
+ * - `serviceKeys(root)` -> [string]  `<udn> <serviceId>` of every service
+ *   of a description, embedded devices included
+ * - `lineDiff(before, after, { context })` -> [string]  unified diff of
+ *   two texts (`@@` hunk headers, then ` `, `-` and `+` lines)
+ * - `splitXml(xml)` -> [string]  one tag per line, trimmed, so diffs do not
+ *   depend on how a device indents (or does not break) its XML
+ *
+ * Changes have the shape:
+ *   { field: 'description', diff: [line] }
+ *   { field: 'configId' | 'address' | 'location', before, after }
+ *   { field: 'services', added: [key], removed: [key] }
+ *
+ * Notes:
+ * - Addresses and LOCATIONs are only compared within one address family:
+ *   a device found over IPv4 and IPv6 answers on both, which is not a move.
+ *   A LOCATION that changed along with the address is not reported twice.
+ * - Descriptions are compared tag by tag (see `splitXml`); when either
+ *   sighting has no XML (records from before it was kept) the parsed
+ *   descriptions are compared instead and the change has no `diff`.
+ * - Large descriptions are not diffed line by line: past `maxCells` the
+ *   diff replaces every line.
+ */
+
+import net from 'net';
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Host of a URL, without brackets, or null.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^\[|\]$/g, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Services of a description, as `<udn> <serviceId>` keys.
+ * @param {object} root xml2js `<root>` node
+ * @returns {Array<string>}
+ */
+export function serviceKeys(root) {
+    const keys = [];
+    const walk = (device) => {
+        if (!device) return;
+        const udn = first(device, 'UDN');
+        const list = device.serviceList && device.serviceList[0];
+        for (const service of (list && Array.isArray(list.service) ? list.service : [])) {
+            keys.push(`${udn} ${first(service, 'serviceId')}`);
+        }
+        const children = device.deviceList && device.deviceList[0];
+        for (const child of (children && Array.isArray(children.device) ? children.device : [])) walk(child);
+    };
+    walk(root && root.device ? root.device[0] : null);
+    return keys.sort();
+}
+
+/**
+ * One tag (or text run) per line, trimmed, blank lines dropped.
+ * @param {string} xml
+ * @returns {Array<string>}
+ */
+export function splitXml(xml) {
+    return String(xml || '')
+        .replace(/>\s*</g, '>\n<')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Unified diff of two texts (or arrays of lines).
+ * @param {string|Array<string>} before
+ * @param {string|Array<string>} after
+ * @param {object} [options]
+ * @param {number} [options.context=3] Unchanged lines kept around changes
+ * @param {number} [options.maxCells=4000000] Largest before × after line
+ *   count compared line by line
+ * @returns {Array<string>}
+ */
+export function lineDiff(before, after, { context = 3, maxCells = 4000000 } = {}) {
+    const a = Array.isArray(before) ? before : String(before).split(/\r?\n/);
+    const b = Array.isArray(after) ? after : String(after).split(/\r?\n/);
+
+    // Longest common subsequence, walked from the start
+    let ops;
+    if (a.length * b.length > maxCells) {
+        ops = [...a.map(line => ['-', line]), ...b.map(line => ['+', line])];
+    } else {
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+        ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                ops.push([' ', a[i++]]);
+                j++;
+            } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                ops.push(['-', a[i++]]);
+            } else {
+                ops.push(['+', b[j++]]);
+            }
+        }
+    }
+
+    // Group the changed lines, with their context, into hunks
+    const out = [];
+    let k = 0;
+    let lineA = 1;
+    let lineB = 1;
+    while (k < ops.length) {
+        if (ops[k][0] === ' ') {
+            k++;
+            lineA++;
+            lineB++;
+            continue;
+        }
+        const start = Math.max(k - context, 0);
+        let end = k;
+        // Extend while the next change is within two contexts
+        for (let next = k; next < ops.length; next++) {
+            if (ops[next][0] !== ' ') end = next;
+            else if (next - end > context * 2) break;
+        }
+        end = Math.min(end + context, ops.length - 1);
+
+        const hunk = ops.slice(start, end + 1);
+        const fromA = lineA - (k - start);
+        const fromB = lineB - (k - start);
+        const countA = hunk.filter(op => op[0] !== '+').length;
+        const countB = hunk.filter(op => op[0] !== '-').length;
+        out.push(`@@ -${fromA},${countA} +${fromB},${countB} @@`);
+        for (const [op, line] of hunk) out.push(op + line);
+
+        for (let n = k; n <= end; n++) {
+            if (ops[n][0] !== '+') lineA++;
+            if (ops[n][0] !== '-') lineB++;
+        }
+        k = end + 1;
+    }
+    return out;
+}
+
+/**
+ * What changed between two sightings of a device.
+ * @param {object} before `{ location, ssdp, address, root, xml }`
+ * @param {object} after Same shape
+ * @returns {Array<object>}
+ */
+export function compareSightings(before, after) {
+    const changes = [];
+
+    if (before.xml && after.xml) {
+        const a = splitXml(before.xml);
+        const b = splitXml(after.xml);
+        if (a.join('\n') !== b.join('\n')) changes.push({ field: 'description', diff: lineDiff(a, b) });
+    } else if (before.root && after.root && JSON.stringify(before.root) !== JSON.stringify(after.root)) {
+        changes.push({ field: 'description' });
+    }
+
+    const configOf = (s) => (s.ssdp && s.ssdp['CONFIGID.UPNP.ORG']) || null;
+    if (configOf(before) !== configOf(after) && configOf(after) !== null) {
+        changes.push({ field: 'configId', before: configOf(before), after: configOf(after) });
+    }
+
+    const sameFamily = (x, y) => x && y && net.isIP(x) === net.isIP(y);
+    const moved = sameFamily(before.address, after.address) && before.address !== after.address;
+    if (moved) {
+        changes.push({ field: 'address', before: before.address, after: after.address });
+    }
+    // A LOCATION that only followed the address is part of the move
+    if (before.location && after.location && before.location !== after.location &&
+        sameFamily(hostOf(before.location), hostOf(after.location)) &&
+        !(moved && hostOf(after.location) === after.address)) {
+        changes.push({ field: 'location', before: before.location, after: after.location });
+    }
+
+    if (before.root && after.root) {
+        const a = serviceKeys(before.root);
+        const b = serviceKeys(after.root);
+        const added = b.filter(key => !a.includes(key));
+        const removed = a.filter(key => !b.includes(key));
+        if (added.length || removed.length) changes.push({ field: 'services', added, removed });
+    }
+
+    return changes;
+}
+
+export default compareSightings;
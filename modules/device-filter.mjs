@@ -0,0 +1,292 @@
+/**
+ * Device filter module
+ *
+ * Parses the filter typed in the Devices panel and matches discovered
+ * devices against it. The module has no dependencies so the same code runs
+ * in the browser (served as `/device-filter.mjs`) and on the server, where
+ * a filter naming a single type turns into a targeted M-SEARCH.
+ *
+ * Filter syntax: whitespace-separated terms, all of which must match.
+ *
+ *   sonos                          free text: name, manufacturer, model,
+ *                                  IP address, UDN, device type or
+ *                                  interface
+ *   name:"Living Room"             quotes keep spaces together
+ *   manufacturer:Sonos             also `mfr:`, `vendor:`
+ *   model:S1                       modelName or modelNumber
+ *   ip:192.168.1.20                exact address; `ip:192.168.1.` prefix;
+ *   ip:192.168.1.0/24              IPv4 subnet
+ *   type:MediaRenderer             deviceType of the root or an embedded
+ *                                  device
+ *   service:AVTransport            serviceType offered anywhere in the tree
+ *   udn:uuid:1234...
+ *   iface:eth0                     interface the device was found on (also
+ *                                  `interface:`), by name or local address
+ *   family:IPv6                    address family it was found over
+ *   type:MediaRenderer,MediaServer commas separate alternatives
+ *   -type:InternetGatewayDevice    a leading `-` negates a term
+ *
+ * Text matches are case-insensitive substrings.
+ *
+ * Exports:
+ *
+ * - `parseFilter(text)` -> `{ text, terms: [{ key, values, negate }],
+ *   errors: [string] }`  unknown keys and empty values are reported in
+ *   `errors` and left out of `terms`
+ * - `deviceFacts(entry)` -> `{ udn, friendlyName, manufacturer, modelName,
+ *   modelNumber, address, interface, localAddress, family, deviceTypes,
+ *   serviceTypes }`  from a registry entry (`device` as xml2js parses it,
+ *   `ip`), embedded devices included
+ * - `matchesFilter(filter, entry)` -> boolean
+ * - `searchTarget(filter)` -> ST | null  the M-SEARCH target when the filter
+ *   asks for exactly one device type, service type or UDN, else null
+ *   (search `ssdp:all`)
+ * - `searchInterfaces(filter)` -> [name | address] | null  the interfaces
+ *   an `iface:` term limits the M-SEARCH to, else null (every interface)
+ * - `tokenize(text)` -> [string]  the terms of a filter, quotes removed
+ *   (shared with the SSDP inspector's filter)
+ *
+ * Notes:
+ * - A bare type name becomes a targeted search only when it is a standard
+ *   UPnP type (`KNOWN_DEVICE_TYPES`, `KNOWN_SERVICE_TYPES`), since the
+ *   filter matches substrings but M-SEARCH needs the exact URN; pass a full
+ *   URN (`type:urn:schemas-sonos-com:device:ZonePlayer:1`) for others.
+ *   Devices answer a search for version 1 when they implement any version.
+ */
+
+const KEYS = {
+    name: 'name',
+    manufacturer: 'manufacturer',
+    mfr: 'manufacturer',
+    vendor: 'manufacturer',
+    model: 'model',
+    ip: 'ip',
+    type: 'type',
+    service: 'service',
+    udn: 'udn',
+    iface: 'iface',
+    interface: 'iface',
+    family: 'family'
+};
+
+export const KNOWN_DEVICE_TYPES = [
+    'MediaRenderer', 'MediaServer', 'InternetGatewayDevice', 'WANDevice', 'WANConnectionDevice',
+    'LANDevice', 'WFADevice', 'Basic', 'BinaryLight', 'DimmableLight', 'Printer', 'Scanner',
+    'HVAC_System', 'HVAC_ZoneThermostat', 'DigitalSecurityCamera', 'RemoteUIClientDevice',
+    'RemoteUIServerDevice', 'SolarProtectionBlind', 'TelephonyServer', 'TelephonyClient'
+];
+
+export const KNOWN_SERVICE_TYPES = [
+    'AVTransport', 'RenderingControl', 'ConnectionManager', 'ContentDirectory', 'ScheduledRecording',
+    'WANIPConnection', 'WANPPPConnection', 'WANCommonInterfaceConfig', 'WANIPv6FirewallControl',
+    'Layer3Forwarding', 'LANHostConfigManagement', 'WFAWLANConfig', 'SwitchPower', 'Dimming',
+    'PrintBasic', 'PrintEnhanced', 'Scan'
+];
+
+/**
+ * Split a filter into tokens, keeping quoted parts together.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+    let match;
+    while ((match = re.exec(text)) !== null) tokens.push(match[0].replace(/"/g, ''));
+    return tokens;
+}
+
+/**
+ * Parse filter text.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseFilter(text) {
+    const source = String(text || '').trim();
+    const terms = [];
+    const errors = [];
+
+    for (let token of tokenize(source)) {
+        const negate = token.startsWith('-') && token.length > 1;
+        if (negate) token = token.slice(1);
+
+        // `udn:uuid:...` and full URNs contain colons of their own
+        const colon = token.indexOf(':');
+        const name = colon > 0 ? token.slice(0, colon).toLowerCase() : null;
+        let key = 'text';
+        let value = token;
+        if (name && KEYS[name]) {
+            key = KEYS[name];
+            value = token.slice(colon + 1);
+        } else if (name && !/^(uuid|urn|https?)$/.test(name)) {
+            errors.push(`Unknown filter "${name}:" (use ${Object.keys(KEYS).join(', ')})`);
+            continue;
+        }
+
+        const values = value.split(',').map(v => v.trim()).filter(Boolean);
+        if (!values.length) {
+            errors.push(`"${token}" needs a value`);
+            continue;
+        }
+        terms.push({ key, values, negate });
+    }
+
+    return { text: source, terms, errors };
+}
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    return typeof value === 'object' ? (value._ !== undefined ? String(value._).trim() : null) : String(value).trim();
+}
+
+/**
+ * The facts a filter looks at.
+ * @param {object} entry Registry entry
+ * @returns {object}
+ */
+export function deviceFacts(entry) {
+    const device = (entry && entry.device) || {};
+    const deviceTypes = [];
+    const serviceTypes = [];
+    (function walk(node) {
+        const type = first(node, 'deviceType');
+        if (type) deviceTypes.push(type);
+        const services = node.serviceList && node.serviceList[0] && node.serviceList[0].service;
+        for (const service of services || []) {
+            const serviceType = first(service, 'serviceType');
+            if (serviceType) serviceTypes.push(serviceType);
+        }
+        const children = node.deviceList && node.deviceList[0] && node.deviceList[0].device;
+        (children || []).forEach(walk);
+    })(device);
+
+    return {
+        udn: entry.udn || first(device, 'UDN'),
+        friendlyName: first(device, 'friendlyName'),
+        manufacturer: first(device, 'manufacturer'),
+        modelName: first(device, 'modelName'),
+        modelNumber: first(device, 'modelNumber'),
+        address: (entry.ip && entry.ip.address) || null,
+        interface: (entry.ip && entry.ip.interface) || null,
+        localAddress: (entry.ip && entry.ip.localAddress) || null,
+        family: (entry.ip && entry.ip.family) || null,
+        deviceTypes,
+        serviceTypes
+    };
+}
+
+/**
+ * Case-insensitive substring match.
+ * @param {string|null} haystack
+ * @param {string} needle
+ * @returns {boolean}
+ */
+function contains(haystack, needle) {
+    return haystack !== null && haystack !== undefined && String(haystack).toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * IPv4 address as a 32-bit number, or null.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function ipv4(value) {
+    const parts = String(value || '').split('.');
+    if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+    return parts.reduce((n, p) => n * 256 + Number(p), 0);
+}
+
+/**
+ * Whether an address matches an `ip:` value: exact, prefix or CIDR subnet.
+ * @param {string|null} address
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesIp(address, value) {
+    if (!address) return false;
+    const [network, bits] = value.split('/');
+    if (bits !== undefined) {
+        const prefix = Number(bits);
+        const net = ipv4(network);
+        const addr = ipv4(address);
+        if (net === null || addr === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) return false;
+        const size = 2 ** (32 - prefix);
+        return Math.floor(addr / size) === Math.floor(net / size);
+    }
+    return ipv4(value) !== null ? address === value : address.startsWith(value);
+}
+
+/**
+ * Whether one value of a term matches the device.
+ * @param {string} key
+ * @param {string} value
+ * @param {object} facts
+ * @returns {boolean}
+ */
+function matchesValue(key, value, facts) {
+    switch (key) {
+        case 'name': return contains(facts.friendlyName, value);
+        case 'manufacturer': return contains(facts.manufacturer, value);
+        case 'model': return contains(facts.modelName, value) || contains(facts.modelNumber, value);
+        case 'ip': return matchesIp(facts.address, value);
+        case 'type': return facts.deviceTypes.some(t => contains(t, value));
+        case 'service': return facts.serviceTypes.some(t => contains(t, value));
+        case 'udn': return contains(facts.udn, value);
+        case 'iface': return contains(facts.interface, value) || facts.localAddress === value;
+        case 'family': return contains(facts.family, value);
+        default:
+            return [facts.friendlyName, facts.manufacturer, facts.modelName, facts.modelNumber, facts.address, facts.udn, facts.interface]
+                .some(f => contains(f, value)) || facts.deviceTypes.some(t => contains(t, value));
+    }
+}
+
+/**
+ * Whether a device passes a filter.
+ * @param {object} filter From `parseFilter`
+ * @param {object} entry Registry entry
+ * @returns {boolean}
+ */
+export function matchesFilter(filter, entry) {
+    if (!filter || !filter.terms.length) return true;
+    const facts = deviceFacts(entry);
+    return filter.terms.every(term => term.values.some(v => matchesValue(term.key, v, facts)) !== term.negate);
+}
+
+/**
+ * The M-SEARCH target for a filter, when it names exactly one type.
+ * @param {object} filter From `parseFilter`
+ * @returns {string|null}
+ */
+export function searchTarget(filter) {
+    if (!filter) return null;
+    const targets = filter.terms.filter(t => !t.negate && ['type', 'service', 'udn'].includes(t.key));
+    if (targets.length !== 1 || targets[0].values.length !== 1) return null;
+
+    const { key, values: [value] } = targets[0];
+    if (key === 'udn') return /^uuid:[^\s]+$/i.test(value) ? value : null;
+    if (/^urn:[^:]+:(device|service):[^:]+:\d+$/i.test(value)) return value;
+
+    const known = key === 'type' ? KNOWN_DEVICE_TYPES : KNOWN_SERVICE_TYPES;
+    const name = known.find(k => k.toLowerCase() === value.toLowerCase());
+    return name ? `urn:schemas-upnp-org:${key === 'type' ? 'device' : 'service'}:${name}:1` : null;
+}
+
+/**
+ * The interfaces to search on for a filter, when it names some.
+ * @param {object} filter From `parseFilter`
+ * @returns {Array<string>|null}
+ */
+export function searchInterfaces(filter) {
+    if (!filter) return null;
+    const terms = filter.terms.filter(t => !t.negate && t.key === 'iface');
+    return terms.length === 1 ? terms[0].values : null;
+}
+
+export default parseFilter;
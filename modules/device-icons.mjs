@@ -0,0 +1,225 @@
+/**
+ * Device icons module
+ *
+ * Picks the icon a device description's `iconList` offers that suits the
+ * UI best, and keeps the icons the server proxied in a small on-disk
+ * cache, so the browser loads them same-origin (no mixed content, no
+ * CORS) and each device is asked once.
+ *
+ * Exports:
+ *
+ * - `iconsOf(device)` -> [{ mimetype, width, height, depth, url }]  the
+ *   icons of an xml2js device node; `url` as written (often relative)
+ * - `pickIcon(device, { size })` -> icon | null  the best icon for a
+ *   `size` px square: the smallest one at least that large (else the
+ *   largest), PNG before JPEG before GIF before the rest; SVG is never
+ *   picked since it is not served
+ * - `sniffImage(buffer)` -> mimetype | null  from the first bytes; only
+ *   raster formats are recognized
+ * - `openIconCache(options)` -> Promise<cache> with
+ *   - `get(url)` -> Promise<{ body: Buffer, contentType, size, fetchedAt }>
+ *     from disk when cached and fresh, else fetched, checked and stored
+ *   - `stats()` -> { icons, bytes, maxBytes }
+ *
+ * Cache options:
+ *
+ *   dir           where icons are stored (required)
+ *   fetch         `(url) => Promise<{ body: Buffer, contentType }>`
+ *                 (`fetchBuffer` from `http-fetch.mjs`)
+ *   maxIconBytes  largest icon accepted (256 KiB)
+ *   maxBytes      total size kept; least recently used icons are dropped
+ *                 past it (20 MiB)
+ *   ttl           ms before an icon is fetched again (7 days)
+ *   failureTtl    ms a failed URL is not retried (5 minutes)
+ *
+ * Notes:
+ * - Icons are stored as `<sha1 of url>` with a `.json` sidecar (URL, type,
+ *   size, fetch time), read back at start.
+ * - The body must look like an image whatever Content-Type the device
+ *   sent: devices get it wrong, and the server must not serve HTML or SVG
+ *   (which can carry script) from its own origin.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fetchError } from './http-fetch.mjs';
+
+const FORMAT_RANK = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/x-icon'];
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    return typeof value === 'object' ? (value._ !== undefined ? String(value._).trim() : null) : String(value).trim();
+}
+
+/**
+ * Icons of a device node.
+ * @param {object} device xml2js device node
+ * @returns {Array<object>}
+ */
+export function iconsOf(device) {
+    const list = device && device.iconList && device.iconList[0];
+    const icons = (list && Array.isArray(list.icon)) ? list.icon : [];
+    return icons
+        .map(icon => ({
+            mimetype: (first(icon, 'mimetype') || '').toLowerCase(),
+            width: Number(first(icon, 'width')) || 0,
+            height: Number(first(icon, 'height')) || 0,
+            depth: Number(first(icon, 'depth')) || 0,
+            url: first(icon, 'url')
+        }))
+        .filter(icon => icon.url);
+}
+
+/**
+ * The best icon for a square of `size` pixels.
+ * @param {object} device xml2js device node
+ * @param {object} [options]
+ * @param {number} [options.size=48]
+ * @returns {object|null}
+ */
+export function pickIcon(device, { size = 48 } = {}) {
+    const rank = (icon) => {
+        const index = FORMAT_RANK.indexOf(icon.mimetype);
+        return index < 0 ? FORMAT_RANK.length : index;
+    };
+    // Scaling down looks fine, scaling up does not
+    const fit = (icon) => {
+        const edge = Math.min(icon.width, icon.height) || size;
+        return edge >= size ? edge - size : (size - edge) * 4;
+    };
+
+    const candidates = iconsOf(device).filter(icon => !/svg/.test(icon.mimetype));
+    candidates.sort((a, b) => fit(a) - fit(b) || rank(a) - rank(b) || b.depth - a.depth);
+    return candidates[0] || null;
+}
+
+/**
+ * Recognize a raster image from its first bytes.
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+export function sniffImage(buffer) {
+    const starts = (...bytes) => bytes.every((b, i) => buffer[i] === b);
+    if (starts(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) return 'image/png';
+    if (starts(0xff, 0xd8, 0xff)) return 'image/jpeg';
+    if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    if (starts(0x42, 0x4d) && buffer.length > 26) return 'image/bmp';
+    if (starts(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+    return null;
+}
+
+/**
+ * Open (or create) the icon cache in `dir`.
+ * @param {object} options See the module notes
+ * @returns {Promise<object>}
+ */
+export async function openIconCache({
+    dir,
+    fetch,
+    maxIconBytes = 256 * 1024,
+    maxBytes = 20 * 1024 * 1024,
+    ttl = 7 * 24 * 60 * 60 * 1000,
+    failureTtl = 5 * 60 * 1000
+}) {
+    // key -> { url, contentType, size, fetchedAt, usedAt }
+    const entries = new Map();
+    const failures = new Map();
+    const pending = new Map();
+
+    await fs.mkdir(dir, { recursive: true });
+    for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+            const meta = JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+            entries.set(name.slice(0, -5), { ...meta, usedAt: meta.fetchedAt });
+        } catch {
+            // A broken sidecar only costs a refetch
+        }
+    }
+
+    const keyOf = (url) => crypto.createHash('sha1').update(url).digest('hex');
+    const total = () => [...entries.values()].reduce((sum, e) => sum + e.size, 0);
+
+    async function drop(key) {
+        entries.delete(key);
+        await Promise.all([
+            fs.rm(path.join(dir, key), { force: true }),
+            fs.rm(path.join(dir, `${key}.json`), { force: true })
+        ]);
+    }
+
+    // Drop the least recently used icons until the cache fits
+    async function evict() {
+        let bytes = total();
+        const oldest = [...entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+        for (const [key, entry] of oldest) {
+            if (bytes <= maxBytes) break;
+            bytes -= entry.size;
+            await drop(key);
+        }
+    }
+
+    async function download(url, key) {
+        const failed = failures.get(url);
+        if (failed && Date.now() - failed.at < failureTtl) throw failed.error;
+
+        try {
+            const res = await fetch(url);
+            if (res.body.length > maxIconBytes) {
+                throw fetchError('TOO_LARGE', `Icon ${url} is ${res.body.length} bytes, above the ${maxIconBytes} byte limit`, { url });
+            }
+            const contentType = sniffImage(res.body);
+            if (!contentType) {
+                throw fetchError('BAD_DOCUMENT', `${url} is not a PNG, JPEG, GIF, WebP, BMP or ICO image (${res.contentType || 'no Content-Type'})`, { url });
+            }
+
+            const entry = { url, contentType, size: res.body.length, fetchedAt: Date.now() };
+            await fs.writeFile(path.join(dir, key), res.body);
+            await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(entry));
+            entries.set(key, { ...entry, usedAt: Date.now() });
+            failures.delete(url);
+            await evict();
+            return { body: res.body, contentType, size: entry.size, fetchedAt: entry.fetchedAt };
+        } catch (e) {
+            failures.set(url, { error: e, at: Date.now() });
+            throw e;
+        }
+    }
+
+    async function get(url) {
+        const key = keyOf(url);
+        const entry = entries.get(key);
+        if (entry && Date.now() - entry.fetchedAt < ttl) {
+            try {
+                const body = await fs.readFile(path.join(dir, key));
+                entry.usedAt = Date.now();
+                return { body, contentType: entry.contentType, size: entry.size, fetchedAt: entry.fetchedAt };
+            } catch {
+                entries.delete(key);
+            }
+        }
+
+        // Concurrent requests for one icon share its download
+        if (!pending.has(url)) {
+            pending.set(url, download(url, key).finally(() => pending.delete(url)));
+        }
+        return pending.get(url);
+    }
+
+    function stats() {
+        return { icons: entries.size, bytes: total(), maxBytes };
+    }
+
+    return { get, stats };
+}
+
+export default pickIcon;
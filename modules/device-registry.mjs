@@ -0,0 +1,332 @@
+/**
+ * Device registry module
+ *
+ * Indexes discovered devices by UDN, including the embedded devices of a
+ * root device's `deviceList` (e.g. WANDevice -> WANConnectionDevice inside
+ * an InternetGatewayDevice), and caches device descriptions per LOCATION so
+ * each one is downloaded only once while in flight or cached.
+ *
+ * Provides `createRegistry(options)` which returns an object with:
+ *
+ * - `describe(location, { force })` -> Promise<{ xml, root }>
+ *   Fetch and parse the description at `location`. Concurrent calls share
+ *   one request; results are cached for `cacheTtl` ms unless `force`.
+ *   Errors carry a `code` (see `http-fetch.mjs`, plus `BAD_DOCUMENT` for a
+ *   document that is not a device description) and the `url`.
+ * - `upsert({ ssdp, ip, root }, { present })` -> { added: [udn],
+ *   updated: [udn], removed: [entry], conflict, alias }
+ *   Store a root device and walk its embedded devices recursively.
+ *   `removed` holds the devices of another root the LOCATION served
+ *   before. `conflict` is `{ udn, location, owner }` when the root's UDN
+ *   is online at another LOCATION (`owner`); nothing is stored then.
+ *   `alias` is `{ udn, location, owner }` instead when the same device
+ *   serves itself at `owner` over the other address family (an IPv4 and
+ *   an IPv6 LOCATION, on the same interface); it is added to the root's
+ *   `aliases` and nothing else is stored.
+ *   `present(udn, location)` (discovery's) tells whether the device still
+ *   advertises at a LOCATION; one that no longer does has moved.
+ * - `get(udn)`, `list()`, `roots()`, `byLocation(location)`
+ * - `setStatus(location, patch)` -> [entry] merge `patch` into every
+ *   entry (root and embedded) of the root device served from `location`.
+ * - `remove(location)` -> [entry] forget a LOCATION and its devices.
+ * - `findService(udn, serviceId)` -> raw xml2js `<service>` node | null
+ * - `resolveUrl(entry, url)` -> absolute URL against URLBase / LOCATION
+ * - `tree(udn)` -> { udn, friendlyName, deviceType, hasIcon, services,
+ *   devices }  `hasIcon` when the device, or its root device, has an icon
+ *   the server can serve (see `device-icons.mjs`)
+ *
+ * Entries have the shape:
+ *   {
+ *     udn, rootUdn, parentUdn, embedded, location, urlBase,
+ *     ssdp, ip, status, lastSeen,
+ *     conflicts: [{ location, address, at }]  on roots: other LOCATIONs
+ *       that claimed the UDN while it was online, most recent first,
+ *     aliases: [{ location, ssdp, ip, at }]  on roots: LOCATIONs of the
+ *       other address family the device also announced, most recent first,
+ *     device: <the device's xml2js node, as in `root.device[0]`>
+ *   }
+ *
+ * Usage:
+ *
+ * const { createRegistry } = await import('./modules/device-registry.mjs');
+ * const registry = createRegistry();
+ * const { root } = await registry.describe(resp.LOCATION);
+ * registry.upsert({ ssdp: resp, ip: rinfo, root });
+ *
+ * Notes:
+ * - Device nodes are kept exactly as xml2js parses them (every field is
+ *   an array) so existing consumers reading `device.UDN[0]` keep working.
+ * - `first(node, key)`, reading a text field the way the registry does,
+ *   is exported for other readers of device nodes (`export.mjs`).
+ * - The default fetcher is exported as `httpGet(url)` so hosts can fetch
+ *   SCPDs the same way, or wrap it (see `recording.mjs`).
+ * - A UDN belongs to one LOCATION at a time: the first one described keeps
+ *   it while the device is online (status neither `offline` nor
+ *   `unconfirmed`) and still advertised there, so anyone announcing a
+ *   known UDN elsewhere cannot redirect its control traffic (nor list it
+ *   as an embedded device). A device that went offline, or whose USNs
+ *   are now announced at another LOCATION only (a new DHCP lease), moves
+ *   there with its embedded devices. The device's LOCATION over its other
+ *   address family is kept as an alias, not a conflict. Status changes
+ *   and removals by LOCATION only touch the root device served there and
+ *   its embedded devices.
+ */
+
+import xml2js from 'xml2js';
+import { fetchText, fetchError } from './http-fetch.mjs';
+import { pickIcon } from './device-icons.mjs';
+import { urlFamily } from './url-policy.mjs';
+
+const DEFAULT_CACHE_TTL = 10 * 60 * 1000;
+// Conflicting LOCATIONs remembered per root device
+const MAX_CONFLICTS = 10;
+// Other-family LOCATIONs remembered per root device
+const MAX_ALIASES = 4;
+
+/**
+ * First text value of an xml2js field, or null. Fields with attributes
+ * (`{ _: 'text', $: {...} }`) give their text.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    return typeof value === 'object' ? (value._ !== undefined ? String(value._).trim() : null) : String(value).trim();
+}
+
+/**
+ * Default description fetcher: GET the LOCATION and return the body.
+ * Also used for SCPDs, so a recorder can wrap both. Timeouts, size limits,
+ * redirects, retries and charsets are handled by `http-fetch.mjs`; its
+ * errors carry a `code` and the `url`.
+ * @param {string} location
+ * @param {object} [options] `fetchText` options
+ * @returns {Promise<string>}
+ */
+export async function httpGet(location, options) {
+    return (await fetchText(location, options)).body;
+}
+
+/**
+ * Embedded devices of an xml2js device node.
+ * @param {object} device
+ * @returns {Array<object>}
+ */
+function childrenOf(device) {
+    return device && device.deviceList && device.deviceList[0]
+        ? device.deviceList[0].device || []
+        : [];
+}
+
+/**
+ * Services of an xml2js device node.
+ * @param {object} device
+ * @returns {Array<object>}
+ */
+export function servicesOf(device) {
+    return device && device.serviceList && device.serviceList[0]
+        ? device.serviceList[0].service || []
+        : [];
+}
+
+/**
+ * Create a device registry.
+ * @param {object} [options]
+ * @param {(location: string) => Promise<string>} [options.fetch] Fetches a description body
+ * @param {number} [options.cacheTtl] How long (ms) a parsed description is reused
+ * @returns {object}
+ */
+export function createRegistry({ fetch = httpGet, cacheTtl = DEFAULT_CACHE_TTL } = {}) {
+    const descriptions = new Map();
+    const devices = new Map();
+
+    function describe(location, { force = false } = {}) {
+        const cached = descriptions.get(location);
+        if (cached && !force) {
+            if (cached.pending || Date.now() - cached.fetchedAt < cacheTtl) {
+                return cached.promise;
+            }
+        }
+
+        const record = { pending: true, fetchedAt: 0, promise: null };
+        record.promise = fetch(location)
+            .then(async (xml) => {
+                let parsed;
+                try {
+                    parsed = await xml2js.parseStringPromise(xml);
+                } catch (e) {
+                    throw fetchError('BAD_DOCUMENT', `Description at ${location} is not XML: ${e.message}`, { url: location });
+                }
+                const device = parsed && parsed.root && Array.isArray(parsed.root.device) ? parsed.root.device[0] : null;
+                if (!device || typeof device !== 'object' || !first(device, 'UDN')) {
+                    throw fetchError('BAD_DOCUMENT', `Description at ${location} has no <root><device> with a UDN`, { url: location });
+                }
+                record.pending = false;
+                record.fetchedAt = Date.now();
+                return { xml, root: parsed.root };
+            })
+            .catch((err) => {
+                // Do not cache failures: the next sighting should retry
+                if (descriptions.get(location) === record) descriptions.delete(location);
+                throw err;
+            });
+        descriptions.set(location, record);
+        return record.promise;
+    }
+
+    // Whether an entry still answers where it is
+    function live(entry) {
+        return entry.status !== 'offline' && entry.status !== 'unconfirmed';
+    }
+
+    // Whether `location` is the root `owner` over its other address family
+    function sameDevice(owner, location, ip) {
+        const family = urlFamily(location);
+        const ownerFamily = urlFamily(owner.location);
+        if (!family || !ownerFamily || family === ownerFamily) return false;
+        const iface = ip && ip.interface;
+        const ownerIface = owner.ip && owner.ip.interface;
+        return !iface || !ownerIface || iface === ownerIface;
+    }
+
+    function upsert({ ssdp, ip, root }, { present = null } = {}) {
+        const location = ssdp.LOCATION;
+        const urlBase = first(root, 'URLBase');
+        const rootUdn = first(root.device[0], 'UDN');
+        const added = [];
+        const updated = [];
+        const removed = [];
+
+        // The UDN is online elsewhere: keep it there, and note the claim
+        const owner = devices.get(rootUdn);
+        if (owner && owner.location !== location && live(owner) &&
+            (!present || present(rootUdn, owner.location))) {
+            // A dual-stack device announcing both its addresses
+            if (sameDevice(owner, location, ip)) {
+                const aliases = (owner.aliases || []).filter(a => a.location !== location);
+                aliases.unshift({ location, ssdp, ip, at: Date.now() });
+                owner.aliases = aliases.slice(0, MAX_ALIASES);
+                return { added, updated, removed, conflict: null, alias: { udn: rootUdn, location, owner: owner.location } };
+            }
+            const conflicts = (owner.conflicts || []).filter(c => c.location !== location);
+            conflicts.unshift({ location, address: (ip && ip.address) || null, at: Date.now() });
+            owner.conflicts = conflicts.slice(0, MAX_CONFLICTS);
+            return { added, updated, removed, conflict: { udn: rootUdn, location, owner: owner.location }, alias: null };
+        }
+
+        // The LOCATION served another root device before: it is gone
+        for (const entry of byLocation(location)) {
+            if (entry.rootUdn === rootUdn) continue;
+            devices.delete(entry.udn);
+            removed.push(entry);
+        }
+
+        const seen = new Set();
+        function walk(device, parentUdn) {
+            const udn = first(device, 'UDN');
+            if (!udn || seen.has(udn)) return;
+            seen.add(udn);
+
+            const previous = devices.get(udn);
+            // Nor can an embedded device take over another online device
+            if (previous && previous.rootUdn !== rootUdn && live(previous)) return;
+            devices.set(udn, {
+                ...(previous || {}),
+                udn,
+                rootUdn,
+                parentUdn,
+                embedded: Boolean(parentUdn),
+                location,
+                urlBase,
+                ssdp,
+                ip,
+                device
+            });
+            (previous ? updated : added).push(udn);
+
+            for (const child of childrenOf(device)) {
+                walk(child, udn);
+            }
+        }
+
+        walk(root.device[0], null);
+        const stored = devices.get(rootUdn);
+        if (stored && stored.aliases) stored.aliases = stored.aliases.filter(a => a.location !== location);
+
+        // Drop embedded devices that disappeared from this description, or
+        // stayed behind at the LOCATION the device moved away from
+        for (const [udn, entry] of devices) {
+            if (entry.rootUdn === rootUdn && !seen.has(udn)) devices.delete(udn);
+        }
+
+        return { added, updated, removed, conflict: null, alias: null };
+    }
+
+    // Entries of the root device served from `location`
+    function byLocation(location) {
+        const root = [...devices.values()].find(e => !e.embedded && e.location === location);
+        return root ? [...devices.values()].filter(e => e.rootUdn === root.udn) : [];
+    }
+
+    function setStatus(location, patch) {
+        const entries = byLocation(location);
+        for (const entry of entries) Object.assign(entry, patch);
+        return entries;
+    }
+
+    function remove(location) {
+        const entries = byLocation(location);
+        for (const entry of entries) devices.delete(entry.udn);
+        descriptions.delete(location);
+        return entries;
+    }
+
+    function findService(udn, serviceId) {
+        const entry = devices.get(udn);
+        if (!entry) return null;
+        return servicesOf(entry.device).find(s => first(s, 'serviceId') === serviceId) || null;
+    }
+
+    function resolveUrl(entry, url) {
+        return new URL(url, entry.urlBase || entry.location).href;
+    }
+
+    function tree(udn) {
+        const entry = devices.get(udn);
+        if (!entry) return null;
+
+        const children = [...devices.values()].filter(e => e.parentUdn === udn);
+        const root = devices.get(entry.rootUdn);
+        return {
+            udn,
+            friendlyName: first(entry.device, 'friendlyName'),
+            deviceType: first(entry.device, 'deviceType'),
+            embedded: entry.embedded,
+            hasIcon: Boolean(pickIcon(entry.device) || (root && pickIcon(root.device))),
+            services: servicesOf(entry.device).map(s => ({
+                serviceId: first(s, 'serviceId'),
+                serviceType: first(s, 'serviceType'),
+                evented: Boolean(first(s, 'eventSubURL'))
+            })),
+            devices: children.map(c => tree(c.udn))
+        };
+    }
+
+    return {
+        describe,
+        upsert,
+        get: (udn) => devices.get(udn) || null,
+        list: () => [...devices.values()],
+        roots: () => [...devices.values()].filter(e => !e.embedded),
+        byLocation,
+        setStatus,
+        remove,
+        findService,
+        resolveUrl,
+        tree
+    };
+}
+
+export default createRegistry;
@@ -0,0 +1,192 @@
+/**
+ * DIDL-Lite parsing module
+ *
+ * Turns the DIDL-Lite metadata that AVTransport (`CurrentURIMetaData`,
+ * `TrackMetaData`) and ContentDirectory (`Browse`) return as escaped XML
+ * strings into plain objects the UI can render.
+ *
+ * Exports:
+ *
+ * - `parseDidl(xml)` -> Promise<{ containers: [Entry], items: [Entry] }>
+ *   resolving to empty lists for an empty or `NOT_IMPLEMENTED` value.
+ * - `parseDuration('H+:MM:SS[.F+]')` -> seconds | null
+ * - `formatDuration(seconds)` -> `H:MM:SS`
+ * - `buildDidl(entry, res)` -> DIDL-Lite document describing one item with
+ *   the given resource, for `SetAVTransportURI` metadata
+ *
+ * where an `Entry` is:
+ *   {
+ *     id, parentId, restricted, class,
+ *     title, creator, artist, album, genre, date, albumArtURI,
+ *     childCount,                          // containers only, or null
+ *     res: [{ uri, protocolInfo, duration, size, bitrate, resolution }]
+ *   }
+ *
+ * Usage:
+ *
+ * const { parseDidl } = await import('./modules/didl.mjs');
+ * const { items } = await parseDidl(outputs.TrackMetaData);
+ * console.log(items[0] && items[0].title);
+ *
+ * Notes:
+ * - Namespace prefixes (`dc:`, `upnp:`) are stripped, so `dc:title`
+ *   is read as `title`. When a field repeats (several artists) the first
+ *   value is used.
+ * - `duration` is in seconds (null when absent); `size` and `bitrate`
+ *   are numbers.
+ */
+
+import xml2js from 'xml2js';
+import { escapeXml } from './soap.mjs';
+
+const DIDL_NAMESPACES = 'xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+    'xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"';
+
+/**
+ * Text of the first child element `key`, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function text(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    const s = typeof value === 'object' ? (value._ !== undefined ? String(value._) : '') : String(value);
+    return s.trim() || null;
+}
+
+/**
+ * Numeric attribute, or null.
+ * @param {object} attrs
+ * @param {string} key
+ * @returns {number|null}
+ */
+function numberAttr(attrs, key) {
+    if (!attrs || attrs[key] === undefined || attrs[key] === '') return null;
+    const n = Number(attrs[key]);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * `H+:MM:SS[.F+]` (or `H+:MM:SS.F0/F1`) -> seconds.
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+    const match = /^\s*(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d+)(?:\/(\d+))?)?\s*$/.exec(value || '');
+    if (!match) return null;
+    let seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    if (match[4] !== undefined) {
+        seconds += match[5] !== undefined ? Number(match[4]) / Number(match[5]) || 0 : Number(`0.${match[4]}`);
+    }
+    return seconds;
+}
+
+/**
+ * Seconds -> `H:MM:SS`.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    const s = Math.max(0, Math.floor(Number(seconds) || 0));
+    const mm = String(Math.floor(s / 60) % 60).padStart(2, '0');
+    const ss = String(s % 60).padStart(2, '0');
+    return `${Math.floor(s / 3600)}:${mm}:${ss}`;
+}
+
+/**
+ * Normalize a `<container>` or `<item>` element.
+ * @param {object} node
+ * @param {boolean} container
+ * @returns {object}
+ */
+function parseEntry(node, container) {
+    const attrs = node.$ || {};
+    return {
+        id: attrs.id || null,
+        parentId: attrs.parentID || null,
+        restricted: attrs.restricted === '1' || attrs.restricted === 'true',
+        class: text(node, 'class'),
+        title: text(node, 'title'),
+        creator: text(node, 'creator'),
+        artist: text(node, 'artist'),
+        album: text(node, 'album'),
+        genre: text(node, 'genre'),
+        date: text(node, 'date'),
+        albumArtURI: text(node, 'albumArtURI'),
+        childCount: container ? numberAttr(attrs, 'childCount') : null,
+        res: (node.res || []).map((res) => {
+            const resAttrs = (typeof res === 'object' && res.$) || {};
+            return {
+                uri: (typeof res === 'object' ? res._ || '' : String(res)).trim(),
+                protocolInfo: resAttrs.protocolInfo || null,
+                duration: parseDuration(resAttrs.duration),
+                size: numberAttr(resAttrs, 'size'),
+                bitrate: numberAttr(resAttrs, 'bitrate'),
+                resolution: resAttrs.resolution || null
+            };
+        })
+    };
+}
+
+/**
+ * Parse a DIDL-Lite document.
+ * @param {string} xml
+ * @returns {Promise<{containers: Array<object>, items: Array<object>}>}
+ */
+export async function parseDidl(xml) {
+    if (!xml || !xml.trim() || xml.trim() === 'NOT_IMPLEMENTED') {
+        return { containers: [], items: [] };
+    }
+    const parsed = await xml2js.parseStringPromise(xml, {
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    if (!parsed || parsed['DIDL-Lite'] === undefined) {
+        throw new Error('Metadata is not a DIDL-Lite document');
+    }
+    // An empty <DIDL-Lite/> parses to a string
+    const root = typeof parsed['DIDL-Lite'] === 'object' ? parsed['DIDL-Lite'] : {};
+    return {
+        containers: (root.container || []).map(node => parseEntry(node, true)),
+        items: (root.item || []).map(node => parseEntry(node, false))
+    };
+}
+
+/**
+ * Build the DIDL-Lite metadata of one item.
+ * @param {object} entry Item as returned by `parseDidl`; only `title` is required
+ * @param {object} res The resource being played, `{ uri, protocolInfo, duration, size, ... }`
+ * @returns {string}
+ */
+export function buildDidl(entry, res) {
+    const element = (name, value) => value === null || value === undefined || value === ''
+        ? ''
+        : `<${name}>${escapeXml(value)}</${name}>`;
+
+    const resAttrs = [
+        ['protocolInfo', res.protocolInfo || 'http-get:*:*:*'],
+        ['duration', res.duration ? formatDuration(res.duration) : null],
+        ['size', res.size],
+        ['bitrate', res.bitrate],
+        ['resolution', res.resolution]
+    ].filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join('');
+
+    return `<DIDL-Lite ${DIDL_NAMESPACES}>` +
+        `<item id="${escapeXml(entry.id || '0')}" parentID="${escapeXml(entry.parentId || '-1')}" restricted="1">` +
+        element('dc:title', entry.title || res.uri) +
+        element('dc:creator', entry.creator) +
+        element('upnp:artist', entry.artist) +
+        element('upnp:album', entry.album) +
+        element('upnp:genre', entry.genre) +
+        element('dc:date', entry.date) +
+        element('upnp:albumArtURI', entry.albumArtURI) +
+        element('upnp:class', entry.class || 'object.item') +
+        `<res${resAttrs}>${escapeXml(res.uri)}</res>` +
+        '</item></DIDL-Lite>';
+}
+
+export default parseDidl;
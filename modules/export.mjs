@@ -0,0 +1,348 @@
+/**
+ * Export module
+ *
+ * Snapshots of the discovered network for support tickets and for
+ * comparing sites: every root device with its full description, its
+ * services (embedded devices included) and, optionally, their parsed
+ * SCPDs, stamped with the time and the interfaces of the scanning host.
+ *
+ * Exports:
+ *
+ * - `buildSnapshot(options)` -> Promise<snapshot>
+ * - `toJson(snapshot)` -> string
+ * - `toCsv(snapshot, { rows })` -> string  one row per device
+ *   (`rows: 'devices'`, the default) or per service (`rows: 'services'`)
+ * - `toHtml(snapshot)` -> string  standalone report: devices grouped by
+ *   type, with their services and actions; no scripts, no external assets
+ * - `exportFilename(snapshot, extension)` -> string
+ *   `upnp-explorer-<host>-<time>.<extension>`
+ * - `FORMATS`  `{ json, csv, html }` -> { contentType, extension }
+ *
+ * `buildSnapshot` options:
+ *
+ *   devices      root device entries of the registry (`device-registry.mjs`)
+ *   xmlOf        `(udn) => string | null`  raw description of a root device
+ *   interfaces   the host's interfaces (`listNetworkInterfaces()`)
+ *   hostname     name of the scanning host
+ *   filter       device filter the list was narrowed by, if any
+ *   loadScpd     `(udn, serviceId) => Promise<scpd>`; SCPDs are only
+ *                loaded when given
+ *   concurrency  SCPDs fetched at once (4)
+ *
+ * Snapshots have the shape:
+ *   {
+ *     format: 'upnp-explorer-export', version: 1, exportedAt,
+ *     host: { hostname, interfaces }, filter,
+ *     devices: [{
+ *       udn, friendlyName, deviceType, manufacturer, modelName,
+ *       modelNumber, serialNumber, location, address, interface,
+ *       localAddress, status, firstSeen, lastSeen, ssdp,
+ *       description: <root device node as parsed by xml2js>, xml,
+ *       services: [{ deviceUdn, deviceType, friendlyName, serviceId,
+ *                    serviceType, SCPDURL, controlURL, eventSubURL,
+ *                    scpd?, scpdError? }]
+ *     }]
+ *   }
+ *
+ * Notes:
+ * - SCPDs are only fetched from online devices; an SCPD that cannot be
+ *   loaded is reported on its service as `scpdError` instead of failing
+ *   the export. Parsed SCPDs leave out their raw XML.
+ * - CSV cells starting with `=`, `+`, `-` or `@` are prefixed with `'` so
+ *   a spreadsheet does not run names a device chose as formulas.
+ */
+
+import { first, servicesOf } from './device-registry.mjs';
+
+export const FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+/**
+ * A device node and its embedded devices, depth first.
+ * @param {object} device xml2js device node
+ * @returns {Array<object>}
+ */
+function walk(device) {
+    const children = device && device.deviceList && device.deviceList[0]
+        ? device.deviceList[0].device || []
+        : [];
+    return [device, ...children.flatMap(walk)];
+}
+
+/**
+ * Run `task` over `items`, at most `limit` at a time.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} task
+ * @returns {Promise<void>}
+ */
+async function eachLimit(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) await task(items[next++]);
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Snapshot the discovered network.
+ * @param {object} options See the module notes
+ * @returns {Promise<object>}
+ */
+export async function buildSnapshot({
+    devices,
+    xmlOf = () => null,
+    interfaces = [],
+    hostname = null,
+    filter = null,
+    loadScpd = null,
+    concurrency = 4
+}) {
+    const snapshot = {
+        format: 'upnp-explorer-export',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        host: { hostname, interfaces },
+        filter: filter || null,
+        devices: devices.map((d) => ({
+            udn: d.udn,
+            friendlyName: first(d.device, 'friendlyName'),
+            deviceType: first(d.device, 'deviceType'),
+            manufacturer: first(d.device, 'manufacturer'),
+            modelName: first(d.device, 'modelName'),
+            modelNumber: first(d.device, 'modelNumber'),
+            serialNumber: first(d.device, 'serialNumber'),
+            location: d.location,
+            address: (d.ip && d.ip.address) || null,
+            interface: (d.ip && d.ip.interface) || null,
+            localAddress: (d.ip && d.ip.localAddress) || null,
+            status: d.status || 'online',
+            firstSeen: d.firstSeen || null,
+            lastSeen: d.lastSeen || null,
+            ssdp: d.ssdp || {},
+            description: d.device,
+            xml: xmlOf(d.udn),
+            services: walk(d.device).flatMap(node => servicesOf(node).map(service => ({
+                deviceUdn: first(node, 'UDN'),
+                deviceType: first(node, 'deviceType'),
+                friendlyName: first(node, 'friendlyName'),
+                serviceId: first(service, 'serviceId'),
+                serviceType: first(service, 'serviceType'),
+                SCPDURL: first(service, 'SCPDURL'),
+                controlURL: first(service, 'controlURL'),
+                eventSubURL: first(service, 'eventSubURL')
+            })))
+        }))
+    };
+
+    if (loadScpd) {
+        const jobs = snapshot.devices.flatMap(d => d.services.map(service => ({ device: d, service })));
+        await eachLimit(jobs, concurrency, async ({ device, service }) => {
+            if (device.status !== 'online') {
+                service.scpdError = `Device is ${device.status}`;
+                return;
+            }
+            try {
+                const { specVersion, actions, stateVariables, eventedVariables } =
+                    await loadScpd(service.deviceUdn, service.serviceId);
+                service.scpd = { specVersion, actions, stateVariables, eventedVariables };
+            } catch (e) {
+                service.scpdError = e.message;
+            }
+        });
+    }
+
+    return snapshot;
+}
+
+/**
+ * The snapshot as JSON.
+ * @param {object} snapshot
+ * @returns {string}
+ */
+export function toJson(snapshot) {
+    return JSON.stringify(snapshot, null, 2);
+}
+
+/**
+ * One CSV cell.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The snapshot as CSV (RFC 4180, CRLF line ends). Every row carries the
+ * export time and host, so rows pasted elsewhere keep their origin.
+ * @param {object} snapshot
+ * @param {object} [options]
+ * @param {'devices'|'services'} [options.rows='devices']
+ * @returns {string}
+ */
+export function toCsv(snapshot, { rows = 'devices' } = {}) {
+    const stamp = [snapshot.exportedAt, snapshot.host.hostname];
+    const time = (ms) => (ms ? new Date(ms).toISOString() : '');
+    let header;
+    let lines;
+
+    if (rows === 'services') {
+        header = ['exportedAt', 'scanHost', 'rootUdn', 'rootFriendlyName', 'address', 'interface',
+            'deviceUdn', 'deviceType', 'serviceId', 'serviceType', 'SCPDURL', 'controlURL', 'eventSubURL',
+            'actions', 'scpdError'];
+        lines = snapshot.devices.flatMap(d => d.services.map(s => [
+            ...stamp, d.udn, d.friendlyName, d.address, d.interface,
+            s.deviceUdn, s.deviceType, s.serviceId, s.serviceType, s.SCPDURL, s.controlURL, s.eventSubURL,
+            s.scpd ? s.scpd.actions.map(a => a.name).join(' ') : '', s.scpdError
+        ]));
+    } else {
+        header = ['exportedAt', 'scanHost', 'udn', 'friendlyName', 'deviceType', 'manufacturer', 'modelName',
+            'modelNumber', 'serialNumber', 'address', 'interface', 'localAddress', 'location', 'status',
+            'firstSeen', 'lastSeen', 'server', 'configId', 'embeddedDevices', 'services'];
+        lines = snapshot.devices.map(d => [
+            ...stamp, d.udn, d.friendlyName, d.deviceType, d.manufacturer, d.modelName,
+            d.modelNumber, d.serialNumber, d.address, d.interface, d.localAddress, d.location, d.status,
+            time(d.firstSeen), time(d.lastSeen), d.ssdp.SERVER, d.ssdp['CONFIGID.UPNP.ORG'],
+            walk(d.description).length - 1, d.services.length
+        ]);
+    }
+
+    return [header, ...lines].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const REPORT_STYLE = `
+body { font: 14px/1.45 system-ui, sans-serif; margin: 24px; color: #111827; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+h3 { font-size: 14px; margin: 16px 0 4px; }
+table { border-collapse: collapse; width: 100%; margin: 4px 0 8px; font-size: 13px; }
+th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { color: #4b5563; font-weight: 600; }
+.muted { color: #6b7280; }
+.device { margin: 0 0 16px 0; padding: 8px 12px; border: 1px solid #e5e7eb; border-radius: 6px; }
+.error { color: #b91c1c; }
+code { font-size: 12px; }
+ul { margin: 2px 0; padding-left: 18px; }
+`;
+
+/**
+ * One action with its arguments.
+ * @param {object} action Parsed SCPD action
+ * @returns {string} HTML
+ */
+function htmlAction(action) {
+    const args = (list) => list.map(a => escapeHtml(a.name)).join(', ');
+    const outputs = action.outputs.length ? ` → ${args(action.outputs)}` : '';
+    return `<li><code>${escapeHtml(action.name)}(${args(action.inputs)})${outputs}</code></li>`;
+}
+
+/**
+ * One device with its services and actions.
+ * @param {object} d Snapshot device
+ * @returns {string} HTML
+ */
+function htmlDevice(d) {
+    const services = d.services.map((s) => {
+        let actions = '<span class="muted">SCPD not loaded</span>';
+        if (s.scpdError) actions = `<span class="error">${escapeHtml(s.scpdError)}</span>`;
+        else if (s.scpd) actions = s.scpd.actions.length ? `<ul>${s.scpd.actions.map(htmlAction).join('')}</ul>` : '<span class="muted">No actions</span>';
+        const owner = s.deviceUdn === d.udn ? '' : `<br><span class="muted">${escapeHtml(s.friendlyName || s.deviceUdn)}</span>`;
+        return `<tr><td>${escapeHtml(s.serviceId)}${owner}</td><td>${escapeHtml(s.serviceType)}</td><td>${actions}</td></tr>`;
+    }).join('');
+
+    const model = [d.manufacturer, d.modelName, d.modelNumber].filter(Boolean).join(' ');
+    return `
+<div class="device">
+  <h3>${escapeHtml(d.friendlyName || d.udn)} <span class="muted">(${escapeHtml(d.status)})</span></h3>
+  <table>
+    <tr><th>UDN</th><td>${escapeHtml(d.udn)}</td></tr>
+    <tr><th>Model</th><td>${escapeHtml(model)}</td></tr>
+    <tr><th>Serial number</th><td>${escapeHtml(d.serialNumber)}</td></tr>
+    <tr><th>Address</th><td>${escapeHtml(d.address)}${d.interface ? ` on ${escapeHtml(d.interface)}` : ''}</td></tr>
+    <tr><th>LOCATION</th><td>${escapeHtml(d.location)}</td></tr>
+    <tr><th>SERVER</th><td>${escapeHtml(d.ssdp.SERVER)}</td></tr>
+  </table>
+  ${d.services.length
+        ? `<table><tr><th>Service</th><th>Type</th><th>Actions</th></tr>${services}</table>`
+        : '<p class="muted">No services</p>'}
+</div>`;
+}
+
+/**
+ * The snapshot as a standalone HTML report.
+ * @param {object} snapshot
+ * @returns {string}
+ */
+export function toHtml(snapshot) {
+    const groups = new Map();
+    for (const d of snapshot.devices) {
+        const type = d.deviceType || 'Unknown device type';
+        if (!groups.has(type)) groups.set(type, []);
+        groups.get(type).push(d);
+    }
+    const sections = [...groups]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([type, devices]) => `
+<h2>${escapeHtml(type)} <span class="muted">(${devices.length})</span></h2>
+${devices.map(htmlDevice).join('')}`)
+        .join('');
+
+    const interfaces = snapshot.host.interfaces.map(i => `
+    <tr><td>${escapeHtml(i.name)}</td><td>${escapeHtml(i.family)}</td><td>${escapeHtml(i.cidr || i.address)}</td>` +
+        `<td>${i.searching ? 'yes' : 'no'}</td><td>${escapeHtml(i.devices)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>UPnP network report — ${escapeHtml(snapshot.host.hostname)} — ${escapeHtml(snapshot.exportedAt)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>UPnP network report</h1>
+<p class="muted">Exported ${escapeHtml(snapshot.exportedAt)} from ${escapeHtml(snapshot.host.hostname)}` +
+        `${snapshot.filter ? ` • filter <code>${escapeHtml(snapshot.filter)}</code>` : ''} • ${snapshot.devices.length} devices</p>
+<h2>Interfaces of the scanning host</h2>
+${interfaces
+        ? `<table><tr><th>Name</th><th>Family</th><th>Address</th><th>Searched</th><th>Devices</th></tr>${interfaces}</table>`
+        : '<p class="muted">Unknown</p>'}
+${sections || '<p class="muted">No devices</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for an export.
+ * @param {object} snapshot
+ * @param {string} extension
+ * @returns {string}
+ */
+export function exportFilename(snapshot, extension) {
+    const host = String(snapshot.host.hostname || 'host').replace(/[^A-Za-z0-9.-]+/g, '_');
+    const time = snapshot.exportedAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    return `upnp-explorer-${host}-${time}.${extension}`;
+}
+
+export default buildSnapshot;
@@ -0,0 +1,341 @@
+/**
+ * GENA eventing module
+ *
+ * Manages UPnP event subscriptions (GENA: SUBSCRIBE / renew / UNSUBSCRIBE)
+ * and parses the NOTIFY messages devices send back to our callback URL.
+ *
+ * Provides `createEventing(options)` which returns an EventEmitter with:
+ *
+ * - `subscribe({ key, eventSubURL, remoteAddress, localAddress })` ->
+ *   Promise<subscription>
+ *   Subscribes to a service. `key` is chosen by the host (e.g.
+ *   `${udn}::${serviceId}`) and identifies the subscription in events.
+ *   The callback URL uses `localAddress`, the address the device was
+ *   discovered from (IPv4 or IPv6), else a local IPv4 address on the
+ *   subnet of `remoteAddress` (see `localAddressFor`).
+ * - `unsubscribe(key)` -> Promise<void>
+ * - `get(key)` -> subscription | undefined
+ * - `handleNotify(req, res)` Express handler for the callback route; it
+ *   expects the body as a string (mount it behind `express.text()`).
+ *
+ * Emitted events:
+ *
+ * - `event` ({ key, sid, seq, changes: [{ name, value, instanceId, channel }] })
+ *   One entry per changed variable. Variables carried inside the
+ *   `LastChange` XML of AVTransport / RenderingControl are flattened into
+ *   the same list with their `instanceId` (and `channel` where present).
+ * - `expired` ({ key, error }) the subscription could not be renewed.
+ * - `error` (Error)
+ *
+ * Usage:
+ *
+ * const { createEventing } = await import('./modules/gena.mjs');
+ * const eventing = createEventing({ getCallbackPort: () => 8080 });
+ * app.all('/upnp/events/:id', express.text({ type: () => true }), eventing.handleNotify);
+ * eventing.on('event', (e) => console.log(e.key, e.changes));
+ * await eventing.subscribe({ key, eventSubURL, remoteAddress: '192.168.1.20' });
+ *
+ * Notes:
+ * - The callback path carries a local id rather than the SID, because a
+ *   device may send the initial NOTIFY before its SUBSCRIBE response has
+ *   reached us.
+ * - Subscriptions are renewed at half their granted timeout. A renewal the
+ *   device rejects (e.g. 412 after a reboot) falls back to a fresh
+ *   SUBSCRIBE before the subscription is reported as expired.
+ * - Unsubscribing while the SUBSCRIBE is still on its way waits for its
+ *   SID, so the device is not left with a subscription nobody renews or
+ *   cancels.
+ * - Requests go through `sendRequest` (`http-fetch.mjs`), so https
+ *   eventSubURLs work and every request has a deadline.
+ */
+
+import os from 'os';
+import net from 'net';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import xml2js from 'xml2js';
+import { sendRequest } from './http-fetch.mjs';
+
+const DEFAULT_TIMEOUT = 1800;
+const REQUEST_TIMEOUT = 10000;
+// GENA replies have no body worth reading
+const MAX_REPLY_BYTES = 64 * 1024;
+
+/**
+ * Pick the local IPv4 address on the same subnet as `remoteAddress`, so the
+ * device can reach our callback URL. Falls back to the first external IPv4.
+ * @param {string} remoteAddress
+ * @returns {string}
+ */
+export function localAddressFor(remoteAddress) {
+    const toInt = (ip) => ip.split('.').reduce((acc, o) => ((acc << 8) + Number(o)) >>> 0, 0);
+    let fallback = '127.0.0.1';
+
+    for (const addrs of Object.values(os.networkInterfaces())) {
+        for (const a of addrs || []) {
+            if (a.family !== 'IPv4' && a.family !== 4) continue;
+            if (a.internal) continue;
+            if (fallback === '127.0.0.1') fallback = a.address;
+            if (!remoteAddress || !a.netmask) continue;
+            const mask = toInt(a.netmask);
+            if ((toInt(a.address) & mask) === (toInt(remoteAddress) & mask)) {
+                return a.address;
+            }
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Parse a `TIMEOUT: Second-N` header value.
+ * @param {string} header
+ * @returns {number} seconds
+ */
+function parseTimeout(header) {
+    const match = /Second-(\d+|infinite)/i.exec(header || '');
+    if (!match) return DEFAULT_TIMEOUT;
+    return match[1].toLowerCase() === 'infinite' ? DEFAULT_TIMEOUT : Number(match[1]);
+}
+
+/**
+ * Send a bodiless GENA request and resolve with the response.
+ * @param {string} method SUBSCRIBE | UNSUBSCRIBE
+ * @param {string} url
+ * @param {object} headers
+ * @returns {Promise<{ statusCode: number, headers: object }>}
+ */
+function genaRequest(method, url, headers) {
+    return sendRequest(url, { method, headers, timeout: REQUEST_TIMEOUT, maxBytes: MAX_REPLY_BYTES });
+}
+
+/**
+ * Flatten an xml2js value to text.
+ * @param {*} node
+ * @returns {string}
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) return textOf(node[0]);
+    if (typeof node === 'object') return node._ !== undefined ? String(node._) : '';
+    return String(node);
+}
+
+/**
+ * Parse the `LastChange` event XML (`<Event><InstanceID val="0">...`).
+ * @param {string} xml
+ * @returns {Promise<Array<object>>}
+ */
+export async function parseLastChange(xml) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+        tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const instances = (parsed && parsed.Event && parsed.Event.InstanceID) || [];
+    const changes = [];
+
+    for (const instance of instances) {
+        const instanceId = instance.$ ? instance.$.val : null;
+        for (const name of Object.keys(instance)) {
+            if (name === '$') continue;
+            for (const node of instance[name]) {
+                const attrs = (node && node.$) || {};
+                changes.push({
+                    name,
+                    value: attrs.val !== undefined ? attrs.val : textOf(node),
+                    instanceId,
+                    channel: attrs.channel || null
+                });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Parse a GENA `propertyset` body into a flat list of changes.
+ * @param {string} xml
+ * @returns {Promise<Array<object>>}
+ */
+export async function parsePropertySet(xml) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+        tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const properties = (parsed && parsed.propertyset && parsed.propertyset.property) || [];
+    const changes = [];
+
+    for (const property of properties) {
+        for (const name of Object.keys(property || {})) {
+            if (name === '$') continue;
+            const value = textOf(property[name]);
+            if (name === 'LastChange' && value.trim()) {
+                try {
+                    changes.push(...await parseLastChange(value));
+                    continue;
+                } catch {
+                    // Not valid XML; report the raw value below
+                }
+            }
+            changes.push({ name, value, instanceId: null, channel: null });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Create a GENA subscription manager.
+ * @param {object} options
+ * @param {() => number} options.getCallbackPort Port of the HTTP server hosting the callback route
+ * @param {string} [options.callbackPath] Path the callback route is mounted on
+ * @param {number} [options.timeout] Requested subscription timeout in seconds
+ * @returns {import('events').EventEmitter}
+ */
+export function createEventing({ getCallbackPort, callbackPath = '/upnp/events', timeout = DEFAULT_TIMEOUT }) {
+    const emitter = new EventEmitter();
+    const byKey = new Map();
+    const byId = new Map();
+
+    function callbackUrl(sub) {
+        const host = sub.localAddress || localAddressFor(sub.remoteAddress);
+        return `<http://${net.isIPv6(host) ? `[${host}]` : host}:${getCallbackPort()}${callbackPath}/${sub.id}>`;
+    }
+
+    function schedule(sub) {
+        clearTimeout(sub.timer);
+        const delay = Math.max(Math.floor(sub.timeout / 2), 15) * 1000;
+        sub.timer = setTimeout(() => renew(sub), delay);
+        sub.timer.unref();
+    }
+
+    async function sendSubscribe(sub) {
+        const res = await genaRequest('SUBSCRIBE', sub.eventSubURL, {
+            'CALLBACK': callbackUrl(sub),
+            'NT': 'upnp:event',
+            'TIMEOUT': `Second-${timeout}`
+        });
+        if (res.statusCode !== 200 || !res.headers.sid) {
+            const err = new Error(`SUBSCRIBE failed with HTTP ${res.statusCode}`);
+            err.statusCode = res.statusCode;
+            throw err;
+        }
+        sub.sid = res.headers.sid;
+        sub.timeout = parseTimeout(res.headers.timeout);
+        sub.expiresAt = Date.now() + sub.timeout * 1000;
+        schedule(sub);
+    }
+
+    async function renew(sub) {
+        if (byKey.get(sub.key) !== sub) return;
+        try {
+            const res = await genaRequest('SUBSCRIBE', sub.eventSubURL, {
+                'SID': sub.sid,
+                'TIMEOUT': `Second-${timeout}`
+            });
+            if (res.statusCode === 200) {
+                sub.timeout = parseTimeout(res.headers.timeout);
+                sub.expiresAt = Date.now() + sub.timeout * 1000;
+                schedule(sub);
+                return;
+            }
+            // The device forgot us (412) or refused: start over
+            await sendSubscribe(sub);
+        } catch (error) {
+            remove(sub);
+            emitter.emit('expired', { key: sub.key, error });
+        }
+    }
+
+    function remove(sub) {
+        clearTimeout(sub.timer);
+        // A newer subscription may hold the key already
+        if (byKey.get(sub.key) === sub) byKey.delete(sub.key);
+        byId.delete(sub.id);
+    }
+
+    emitter.subscribe = async ({ key, eventSubURL, remoteAddress, localAddress = null }) => {
+        const existing = byKey.get(key);
+        if (existing) return existing.ready;
+
+        const sub = {
+            id: crypto.randomBytes(8).toString('hex'),
+            key,
+            eventSubURL,
+            remoteAddress,
+            localAddress,
+            sid: null,
+            timeout,
+            expiresAt: null,
+            timer: null,
+            lastSeq: null,
+            values: {}
+        };
+        byKey.set(key, sub);
+        byId.set(sub.id, sub);
+
+        sub.ready = sendSubscribe(sub).then(() => sub, (err) => {
+            remove(sub);
+            throw err;
+        });
+        return sub.ready;
+    };
+
+    emitter.unsubscribe = async (key) => {
+        const sub = byKey.get(key);
+        if (!sub) return;
+        remove(sub);
+        if (!sub.sid) {
+            // Still subscribing: cancel once the device has answered
+            try {
+                await sub.ready;
+            } catch {
+                return;
+            }
+            clearTimeout(sub.timer);
+        }
+        const res = await genaRequest('UNSUBSCRIBE', sub.eventSubURL, { 'SID': sub.sid });
+        if (res.statusCode !== 200) {
+            const err = new Error(`UNSUBSCRIBE failed with HTTP ${res.statusCode}`);
+            err.statusCode = res.statusCode;
+            throw err;
+        }
+    };
+
+    emitter.get = (key) => byKey.get(key);
+
+    emitter.handleNotify = async (req, res) => {
+        if (req.method !== 'NOTIFY') {
+            res.status(405).end();
+            return;
+        }
+
+        const sub = byId.get(req.params.id);
+        const sid = req.headers.sid;
+        // Before the SUBSCRIBE response arrives the SID is still unknown;
+        // accept the initial event on the id alone in that case
+        if (!sub || (sub.sid && sid !== sub.sid)) {
+            res.status(412).end();
+            return;
+        }
+        if (req.headers.nt !== 'upnp:event' || req.headers.nts !== 'upnp:propchange') {
+            res.status(400).end();
+            return;
+        }
+        res.status(200).end();
+
+        try {
+            const body = typeof req.body === 'string' ? req.body : '';
+            const changes = await parsePropertySet(body);
+            const seq = Number(req.headers.seq);
+            sub.lastSeq = seq;
+            for (const c of changes) {
+                const id = [c.name, c.instanceId, c.channel].filter(p => p !== null).join('/');
+                sub.values[id] = c;
+            }
+            emitter.emit('event', { key: sub.key, sid: sub.sid || sid, seq, changes });
+        } catch (e) {
+            emitter.emit('error', e);
+        }
+    };
+
+    return emitter;
+}
+
+export default createEventing;
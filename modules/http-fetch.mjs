@@ -0,0 +1,309 @@
+/**
+ * HTTP fetch module
+ *
+ * Fetches the documents devices serve (descriptions, SCPDs) defensively:
+ * devices are often slow, misconfigured or simply gone, and one of them
+ * must not be able to hang or flood the explorer.
+ *
+ * Exports:
+ *
+ * - `fetchText(url, options)` -> Promise<{ body, url, statusCode,
+ *   contentType, charset }>  GET `url` over http or https and decode the
+ *   body; `url` is the final URL after redirects
+ * - `fetchBuffer(url, options)` -> Promise<{ body: Buffer, url, statusCode,
+ *   contentType }>  the same, for binary documents (icons)
+ * - `sendRequest(url, options)` -> Promise<{ statusCode, headers, body:
+ *   Buffer }>  one request with `method` and `body` (SOAP control), under
+ *   the same limits; any status resolves, and it neither follows
+ *   redirects nor retries
+ * - `decodeBody(buffer, contentType)` -> { text, charset }  decode with the
+ *   charset of the Content-Type header, else the byte order mark, else the
+ *   XML declaration, else UTF-8
+ * - `fetchError(code, message, extra)` -> Error with `code` and `extra`
+ * - `errorInfo(err)` -> { code, message, url, httpStatus }  the JSON-safe
+ *   part of an error, for the UI and the API
+ * - `FETCH_DEFAULTS` the default options
+ *
+ * Options (all optional):
+ *
+ *   connectTimeout  ms to establish the connection (5000)
+ *   timeout         ms for the whole response, body included (10000)
+ *   maxBytes        largest body accepted (2 MiB)
+ *   maxRedirects    redirects followed (3)
+ *   retries         extra attempts after a network error, a timeout or an
+ *                   HTTP 5xx / 429 (2)
+ *   backoff         ms before the first retry, doubled each time (250)
+ *   headers         extra request headers
+ *   checkRedirect   `(url) => reason | null`, asked before following each
+ *                   redirect; a reason refuses it (none)
+ *
+ * Errors carry `code`, `url` (the URL that failed, after redirects) and,
+ * for HTTP errors, `httpStatus`:
+ *
+ *   BAD_URL              not an http(s) URL
+ *   CONNECT_TIMEOUT      no connection within `connectTimeout`
+ *   TIMEOUT              no complete response within `timeout`
+ *   NETWORK              refused, reset, unreachable, DNS, TLS... (`cause`
+ *                        holds the system code, e.g. ECONNREFUSED)
+ *   HTTP_STATUS          a status other than 200
+ *   TOO_LARGE            body (or Content-Length) above `maxBytes`
+ *   TOO_MANY_REDIRECTS   more than `maxRedirects`
+ *   REDIRECT_REFUSED     `checkRedirect` refused the redirect target
+ *
+ * Notes:
+ * - Certificates are not verified: devices serve self-signed ones on the
+ *   LAN, and the documents are only read, never trusted for identity.
+ * - Unknown charsets fall back to UTF-8 rather than failing.
+ */
+
+import http from 'http';
+import https from 'https';
+
+export const FETCH_DEFAULTS = {
+    connectTimeout: 5000,
+    timeout: 10000,
+    maxBytes: 2 * 1024 * 1024,
+    maxRedirects: 3,
+    retries: 2,
+    backoff: 250,
+    headers: {},
+    checkRedirect: null
+};
+
+const REDIRECTS = [301, 302, 303, 307, 308];
+const RETRY_CODES = ['CONNECT_TIMEOUT', 'TIMEOUT', 'NETWORK'];
+
+/**
+ * Error with a fetch error code.
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [extra] `url`, `httpStatus`, `cause`
+ * @returns {Error}
+ */
+export function fetchError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    return Object.assign(err, extra);
+}
+
+/**
+ * The JSON-safe description of an error.
+ * @param {Error} err
+ * @returns {{ code: string, message: string, url: string|null, httpStatus: number|null }}
+ */
+export function errorInfo(err) {
+    return {
+        code: (err && err.code) || 'ERROR',
+        message: (err && err.message) || String(err),
+        url: (err && err.url) || null,
+        httpStatus: (err && err.httpStatus) || null
+    };
+}
+
+/**
+ * Decode a body with the charset it declares.
+ * @param {Buffer} buffer
+ * @param {string} [contentType]
+ * @returns {{ text: string, charset: string }}
+ */
+export function decodeBody(buffer, contentType = '') {
+    let charset = null;
+    let skip = 0;
+
+    const header = /charset\s*=\s*"?([^";\s]+)/i.exec(contentType || '');
+    if (header) charset = header[1];
+
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        charset = charset || 'utf-8';
+        skip = 3;
+    } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        charset = charset || 'utf-16le';
+        skip = 2;
+    } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        charset = charset || 'utf-16be';
+        skip = 2;
+    }
+
+    if (!charset) {
+        // The declaration is ASCII in every encoding it can name here
+        const prolog = buffer.subarray(0, 200).toString('latin1');
+        const declared = /^\s*<\?xml[^>]*\bencoding\s*=\s*["']([^"']+)["']/i.exec(prolog);
+        charset = declared ? declared[1] : 'utf-8';
+    }
+
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset.toLowerCase());
+    } catch {
+        charset = 'utf-8';
+        decoder = new TextDecoder('utf-8');
+    }
+    return { text: decoder.decode(buffer.subarray(skip)), charset: decoder.encoding };
+}
+
+/**
+ * One request (a GET unless `options.method` says otherwise), without
+ * following redirects or retrying.
+ * @param {URL} url
+ * @param {object} options
+ * @returns {Promise<{ statusCode: number, headers: object, body: Buffer }>}
+ */
+function request(url, options) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const fail = (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(connectTimer);
+            clearTimeout(totalTimer);
+            req.destroy();
+            reject(err);
+        };
+
+        const req = client.request(url, {
+            method: options.method || 'GET',
+            headers: { 'Accept': 'text/xml, application/xml, */*', ...options.headers },
+            rejectUnauthorized: false
+        }, (res) => {
+            const length = Number(res.headers['content-length']);
+            if (res.statusCode === 200 && length > options.maxBytes) {
+                fail(fetchError('TOO_LARGE', `${url.href} is ${length} bytes, above the ${options.maxBytes} byte limit`, { url: url.href }));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > options.maxBytes) {
+                    fail(fetchError('TOO_LARGE', `${url.href} is larger than the ${options.maxBytes} byte limit`, { url: url.href }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(totalTimer);
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+            });
+            res.on('error', (e) => fail(fetchError('NETWORK', `${url.href}: ${e.message}`, { url: url.href, cause: e.code })));
+        });
+
+        const connectTimer = setTimeout(() => {
+            fail(fetchError('CONNECT_TIMEOUT', `No connection to ${url.host} within ${options.connectTimeout} ms`, { url: url.href }));
+        }, options.connectTimeout);
+        const totalTimer = setTimeout(() => {
+            fail(fetchError('TIMEOUT', `${url.href} did not answer within ${options.timeout} ms`, { url: url.href }));
+        }, options.timeout);
+
+        req.on('socket', (socket) => {
+            if (!socket.connecting) clearTimeout(connectTimer);
+            else socket.once('connect', () => clearTimeout(connectTimer));
+        });
+        req.on('error', (e) => fail(fetchError('NETWORK', `${url.href}: ${e.message}`, { url: url.href, cause: e.code })));
+        req.end(options.body);
+    });
+}
+
+/**
+ * GET a document, following redirects.
+ * @param {string} location
+ * @param {object} options
+ * @returns {Promise<{ body: Buffer, url: string, statusCode: number, contentType: string|null }>}
+ */
+async function fetchOnce(location, options) {
+    let url;
+    try {
+        url = new URL(location);
+    } catch {
+        throw fetchError('BAD_URL', `Invalid URL "${location}"`, { url: location });
+    }
+
+    for (let redirects = 0; ; redirects++) {
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw fetchError('BAD_URL', `Cannot fetch ${url.protocol} URLs (${url.href})`, { url: url.href });
+        }
+        const res = await request(url, options);
+
+        if (REDIRECTS.includes(res.statusCode) && res.headers.location) {
+            if (redirects >= options.maxRedirects) {
+                throw fetchError('TOO_MANY_REDIRECTS', `${location} redirected more than ${options.maxRedirects} times`, { url: url.href });
+            }
+            const target = new URL(res.headers.location, url);
+            const reason = options.checkRedirect && options.checkRedirect(target.href);
+            if (reason) {
+                throw fetchError('REDIRECT_REFUSED', `${url.href} redirected to ${target.href}: ${reason}`, { url: target.href });
+            }
+            url = target;
+            continue;
+        }
+        if (res.statusCode !== 200) {
+            throw fetchError('HTTP_STATUS', `GET ${url.href} failed with HTTP ${res.statusCode}`, {
+                url: url.href,
+                httpStatus: res.statusCode
+            });
+        }
+
+        return { body: res.body, url: url.href, statusCode: res.statusCode, contentType: res.headers['content-type'] || null };
+    }
+}
+
+/**
+ * Fetch a document as bytes, retrying transient failures.
+ * @param {string} url
+ * @param {object} [options] See the module notes
+ * @returns {Promise<object>}
+ */
+export async function fetchBuffer(url, options = {}) {
+    const opts = { ...FETCH_DEFAULTS, ...options };
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchOnce(url, opts);
+        } catch (err) {
+            const transient = RETRY_CODES.includes(err.code) ||
+                (err.code === 'HTTP_STATUS' && (err.httpStatus >= 500 || err.httpStatus === 429));
+            if (!transient || attempt >= opts.retries) {
+                err.attempts = attempt + 1;
+                throw err;
+            }
+            await new Promise(done => setTimeout(done, opts.backoff * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Send one request and take whatever status comes back.
+ * @param {string} location
+ * @param {object} [options] See the module notes, plus `method` and `body`
+ * @returns {Promise<{ statusCode: number, headers: object, body: Buffer }>}
+ */
+export async function sendRequest(location, options = {}) {
+    const opts = { ...FETCH_DEFAULTS, ...options };
+    let url;
+    try {
+        url = new URL(location);
+    } catch {
+        throw fetchError('BAD_URL', `Invalid URL "${location}"`, { url: location });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw fetchError('BAD_URL', `Cannot send to ${url.protocol} URLs (${url.href})`, { url: url.href });
+    }
+    return request(url, opts);
+}
+
+/**
+ * Fetch a text document, retrying transient failures.
+ * @param {string} url
+ * @param {object} [options] See the module notes
+ * @returns {Promise<object>}
+ */
+export async function fetchText(url, options = {}) {
+    const res = await fetchBuffer(url, options);
+    const { text, charset } = decodeBody(res.body, res.contentType);
+    return { ...res, body: text, charset };
+}
+
+export default fetchText;
@@ -0,0 +1,333 @@
+/**
+ * Internet Gateway Device module
+ *
+ * Manages the port mappings of a router through the WANIPConnection or
+ * WANPPPConnection service of its InternetGatewayDevice: reads the
+ * external address and connection status, lists the mappings, adds and
+ * deletes them, and checks whether the internal clients they point at are
+ * still on the network.
+ *
+ * Exports:
+ *
+ * - `findGateway(tree)` -> gateway | null
+ *   Look for WAN*Connection services in a device tree (`registry.tree()`);
+ *   on an IGD they sit in WANDevice/WANConnectionDevice. The gateway is
+ *   `{ udn, friendlyName, connections: [{ udn, serviceId, kind }] }`,
+ *   `kind` being `WANIPConnection` or `WANPPPConnection`.
+ * - `readConnection(call, connection)` -> Promise<{ udn, serviceId, kind,
+ *   externalIp, status, lastError, uptime }>
+ * - `listMappings(call, connection)` -> Promise<{ mappings: [Mapping],
+ *   complete }>  walks `GetGenericPortMappingEntry` from index 0 until the
+ *   router answers 713 (SpecifiedArrayIndexInvalid)
+ * - `checkMapping(input)` -> Mapping  validated and defaulted, or a 400
+ * - `addMapping(call, connection, input)` -> Promise<Mapping>
+ * - `deleteMapping(call, connection, { remoteHost, externalPort, protocol })`
+ *   -> Promise<void>
+ * - `checkClients(mappings, { known, timeout })` -> Promise<[Mapping]>
+ *   the mappings with `client: { status: 'online' | 'missing', via }`
+ *
+ * `call(udn, serviceId, action, args)` invokes an action and resolves to
+ * `{ ok, outputs | fault }`, like the host's `callAction`.
+ *
+ * Mappings have the shape:
+ *   {
+ *     remoteHost,                 // '' for any remote host
+ *     externalPort, protocol,     // protocol is TCP or UDP
+ *     internalClient, internalPort,
+ *     enabled, description,
+ *     leaseDuration               // seconds left, 0 for a permanent mapping
+ *   }
+ *
+ * Notes:
+ * - Errors carry `status` like the REST API expects: 400 for an invalid
+ *   mapping, 422 when the router answers with a UPnP fault (also attached
+ *   as `fault`; the message explains the usual IGD error codes).
+ * - A client counts as online when it is in `known` (addresses seen by
+ *   discovery or of this host) or answers a TCP connection to the mapped
+ *   port, even with a refusal. Hosts whose firewall drops everything show
+ *   up as missing too, so the flag is a hint rather than a verdict.
+ * - The walk stops after `MAX_MAPPINGS` entries (`complete: false`), in
+ *   case a router never reports the end of its table.
+ */
+
+import net from 'net';
+
+export const MAX_MAPPINGS = 1024;
+
+// Seconds; IGD:2 caps leases at one week
+const MAX_LEASE = 604800;
+const PROTOCOLS = ['TCP', 'UDP'];
+const CONNECTION_KINDS = ['WANIPConnection', 'WANPPPConnection'];
+
+// GetGenericPortMappingEntry past the end of the table
+const END_OF_TABLE = ['713', '714'];
+
+// What the IGD error codes mean for the user
+const FAULT_HINTS = {
+    402: 'the router rejected an argument',
+    606: 'the router does not allow this from the LAN',
+    714: 'no such mapping',
+    715: 'the router does not allow wildcard remote hosts',
+    716: 'the router does not allow wildcard external ports',
+    718: 'the external port is already mapped to another client',
+    724: 'the router requires the same internal and external port',
+    725: 'the router only accepts permanent mappings (lease 0)',
+    726: 'the router requires a wildcard remote host',
+    727: 'the router requires a wildcard external port',
+    728: 'the router has no free port mapping left',
+    729: 'the mapping conflicts with another mechanism (e.g. PCP or a static rule)'
+};
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Find the WAN connection services in a device tree.
+ * @param {object} tree `{ udn, friendlyName, services, devices }`
+ * @returns {object|null}
+ */
+export function findGateway(tree) {
+    if (!tree) return null;
+
+    const connections = [];
+    (function walk(node) {
+        for (const service of node.services || []) {
+            const kind = CONNECTION_KINDS.find(k => new RegExp(`:service:${k}:\\d+$`).test(service.serviceType || ''));
+            if (kind) connections.push({ udn: node.udn, serviceId: service.serviceId, kind });
+        }
+        (node.devices || []).forEach(walk);
+    })(tree);
+
+    return connections.length ? { udn: tree.udn, friendlyName: tree.friendlyName, connections } : null;
+}
+
+/**
+ * Call an action and return its outputs; throws on a UPnP fault.
+ * @param {Function} call
+ * @param {object} connection `{ udn, serviceId }`
+ * @param {string} action
+ * @param {object} args
+ * @returns {Promise<object>}
+ */
+async function run(call, connection, action, args) {
+    const result = await call(connection.udn, connection.serviceId, action, args);
+    if (!result.ok) {
+        const fault = result.fault || {};
+        const hint = FAULT_HINTS[fault.errorCode];
+        const err = statusError(422, `${action} failed: ${fault.errorDescription || fault.faultString || 'UPnP fault'}` +
+            (fault.errorCode ? ` (${fault.errorCode})` : '') + (hint ? `: ${hint}` : ''));
+        err.fault = fault;
+        throw err;
+    }
+    return result.outputs || {};
+}
+
+/**
+ * Read the external address and status of a connection. Either may be
+ * missing on a router that does not implement the action.
+ * @param {Function} call
+ * @param {object} connection From `findGateway`
+ * @returns {Promise<object>}
+ */
+export async function readConnection(call, connection) {
+    const [address, status] = await Promise.all([
+        run(call, connection, 'GetExternalIPAddress', {}).catch(() => null),
+        run(call, connection, 'GetStatusInfo', {}).catch(() => null)
+    ]);
+    const uptime = status ? Number(status.NewUptime) : NaN;
+    return {
+        ...connection,
+        externalIp: (address && address.NewExternalIPAddress) || null,
+        status: (status && status.NewConnectionStatus) || null,
+        lastError: (status && status.NewLastConnectionError) || null,
+        uptime: Number.isFinite(uptime) ? uptime : null
+    };
+}
+
+/**
+ * Turn GetGenericPortMappingEntry outputs into a mapping.
+ * @param {object} outputs
+ * @returns {object}
+ */
+function toMapping(outputs) {
+    return {
+        remoteHost: outputs.NewRemoteHost || '',
+        externalPort: Number(outputs.NewExternalPort),
+        protocol: String(outputs.NewProtocol || '').toUpperCase(),
+        internalClient: outputs.NewInternalClient || '',
+        internalPort: Number(outputs.NewInternalPort),
+        enabled: /^(1|true|yes)$/i.test(String(outputs.NewEnabled)),
+        description: outputs.NewPortMappingDescription || '',
+        leaseDuration: Number(outputs.NewLeaseDuration) || 0
+    };
+}
+
+/**
+ * List every port mapping of a connection.
+ * @param {Function} call
+ * @param {object} connection
+ * @returns {Promise<{mappings: Array<object>, complete: boolean}>}
+ */
+export async function listMappings(call, connection) {
+    const mappings = [];
+    for (let index = 0; index < MAX_MAPPINGS; index++) {
+        try {
+            const outputs = await run(call, connection, 'GetGenericPortMappingEntry', { NewPortMappingIndex: index });
+            mappings.push(toMapping(outputs));
+        } catch (e) {
+            if (e.fault && END_OF_TABLE.includes(String(e.fault.errorCode))) return { mappings, complete: true };
+            throw e;
+        }
+    }
+    return { mappings, complete: false };
+}
+
+/**
+ * Whether a value is a dotted IPv4 address.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIpv4(value) {
+    return net.isIPv4(String(value || ''));
+}
+
+/**
+ * Parse an integer field within bounds, or throw a 400.
+ * @param {*} value
+ * @param {string} name
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function integer(value, name, min, max) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(n) || n < min || n > max) throw statusError(400, `${name} must be an integer from ${min} to ${max}`);
+    return n;
+}
+
+/**
+ * Validate a mapping to add, filling in the defaults.
+ * @param {object} input
+ * @returns {object}
+ */
+export function checkMapping(input = {}) {
+    const protocol = String(input.protocol || '').toUpperCase();
+    if (!PROTOCOLS.includes(protocol)) throw statusError(400, `protocol must be one of ${PROTOCOLS.join(', ')}`);
+    const remoteHost = String(input.remoteHost || '').trim();
+    if (remoteHost && !isIpv4(remoteHost)) throw statusError(400, 'remoteHost must be an IPv4 address, or empty for any host');
+    const internalClient = String(input.internalClient || '').trim();
+    if (!isIpv4(internalClient)) throw statusError(400, 'internalClient must be an IPv4 address');
+    const externalPort = integer(input.externalPort, 'externalPort', 1, 65535);
+
+    return {
+        remoteHost,
+        externalPort,
+        protocol,
+        internalClient,
+        internalPort: input.internalPort === undefined || input.internalPort === ''
+            ? externalPort
+            : integer(input.internalPort, 'internalPort', 1, 65535),
+        enabled: input.enabled === undefined ? true : /^(1|true|yes|on)$/i.test(String(input.enabled)),
+        description: String(input.description || '').trim(),
+        leaseDuration: input.leaseDuration === undefined || input.leaseDuration === ''
+            ? 0
+            : integer(input.leaseDuration, 'leaseDuration', 0, MAX_LEASE)
+    };
+}
+
+/**
+ * Add (or replace, for the same client) a port mapping.
+ * @param {Function} call
+ * @param {object} connection
+ * @param {object} input See `checkMapping`
+ * @returns {Promise<object>} The mapping as sent
+ */
+export async function addMapping(call, connection, input) {
+    const mapping = checkMapping(input);
+    await run(call, connection, 'AddPortMapping', {
+        NewRemoteHost: mapping.remoteHost,
+        NewExternalPort: mapping.externalPort,
+        NewProtocol: mapping.protocol,
+        NewInternalPort: mapping.internalPort,
+        NewInternalClient: mapping.internalClient,
+        NewEnabled: mapping.enabled ? 1 : 0,
+        NewPortMappingDescription: mapping.description,
+        NewLeaseDuration: mapping.leaseDuration
+    });
+    return mapping;
+}
+
+/**
+ * Delete a port mapping.
+ * @param {Function} call
+ * @param {object} connection
+ * @param {object} key `{ remoteHost, externalPort, protocol }`
+ * @returns {Promise<void>}
+ */
+export async function deleteMapping(call, connection, { remoteHost = '', externalPort, protocol } = {}) {
+    const proto = String(protocol || '').toUpperCase();
+    if (!PROTOCOLS.includes(proto)) throw statusError(400, `protocol must be one of ${PROTOCOLS.join(', ')}`);
+    await run(call, connection, 'DeletePortMapping', {
+        NewRemoteHost: String(remoteHost || ''),
+        NewExternalPort: integer(externalPort, 'externalPort', 1, 65535),
+        NewProtocol: proto
+    });
+}
+
+/**
+ * Whether a host answers on a TCP port. A refused connection still proves
+ * the host is there.
+ * @param {string} address
+ * @param {number} port
+ * @param {number} timeout ms
+ * @returns {Promise<boolean>}
+ */
+function probeHost(address, port, timeout) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host: address, port });
+        const done = (alive) => {
+            socket.destroy();
+            resolve(alive);
+        };
+        socket.setTimeout(timeout, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', (e) => done(e.code === 'ECONNREFUSED' || e.code === 'ECONNRESET'));
+    });
+}
+
+/**
+ * Flag the mappings whose internal client is gone.
+ * @param {Array<object>} mappings
+ * @param {object} [options]
+ * @param {Set<string>} [options.known] Addresses known to be online
+ * @param {number} [options.timeout=1000] ms per probe
+ * @returns {Promise<Array<object>>}
+ */
+export async function checkClients(mappings, { known = new Set(), timeout = 1000 } = {}) {
+    // One probe per client, on the first port mapped to it
+    const probes = new Map();
+    for (const m of mappings) {
+        if (known.has(m.internalClient) || probes.has(m.internalClient) || !isIpv4(m.internalClient)) continue;
+        probes.set(m.internalClient, probeHost(m.internalClient, m.internalPort, timeout));
+    }
+
+    const results = new Map();
+    await Promise.all([...probes].map(async ([address, probe]) => results.set(address, await probe)));
+
+    return mappings.map((m) => {
+        if (known.has(m.internalClient)) return { ...m, client: { status: 'online', via: 'known' } };
+        if (!results.has(m.internalClient)) return { ...m, client: { status: 'missing', via: 'address' } };
+        return { ...m, client: { status: results.get(m.internalClient) ? 'online' : 'missing', via: 'probe' } };
+    });
+}
+
+export default findGateway;
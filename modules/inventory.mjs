@@ -0,0 +1,239 @@
+/**
+ * Device inventory module
+ *
+ * File-backed history of every root device the explorer has seen, so a
+ * restart does not lose what was discovered. The store is a single JSON
+ * file; no database is needed.
+ *
+ * Provides `openInventory(options)` which resolves to an object with:
+ *
+ * - `list()` -> [record]
+ * - `get(udn)` -> record | undefined
+ * - `observe({ udn, location, ssdp, ip, root, xml })` -> record
+ *   Record a (re)described device: description, SSDP headers, IP.
+ *   Counts as a sighting. What changed since the previous description
+ *   (see `device-changes.mjs`) is added to the front of `changes`.
+ * - `seen(udn, { address, at })` -> record | undefined
+ *   Note a datagram from a known device (e.g. an `ssdp:alive`). It counts
+ *   as another sighting only `sightingGap` ms after the last one counted:
+ *   a device sends one NOTIFY (or response) per USN, so one announcement
+ *   or answer is a burst of them.
+ * - `stale(days)` -> [record] not seen for at least `days` days.
+ * - `prune()` -> [udn] drop records older than the retention period.
+ * - `flush()` -> Promise<void> write pending changes now.
+ *
+ * Records have the shape:
+ *   {
+ *     udn, location, friendlyName, deviceType, manufacturer, modelName,
+ *     root: <description as parsed by xml2js>,
+ *     xml: <description as served>,
+ *     ssdp: { ...headers of the last sighting },
+ *     address: <address of the last description's sighting>,
+ *     ipHistory: [{ address, firstSeen, lastSeen }],
+ *     changes: [{ at, changes: [change] }]  most recent first,
+ *     firstSeen, lastSeen, seenCount
+ *   }
+ *
+ * Usage:
+ *
+ * const { openInventory } = await import('./modules/inventory.mjs');
+ * const inventory = await openInventory({ file: 'data/inventory.json' });
+ * inventory.observe({ udn, location, ssdp, ip, root });
+ *
+ * Notes:
+ * - Writes are debounced (`saveDelay`) and go to a temporary file that is
+ *   renamed over the store, so a crash never leaves a half-written file.
+ * - An unreadable store is moved aside as `<file>.corrupt` and the
+ *   inventory starts empty rather than refusing to start.
+ * - Only the last `maxChanges` change entries are kept per device. Since
+ *   the store survives restarts, a device updated while the explorer was
+ *   not running is caught when it is next described.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { compareSightings } from './device-changes.mjs';
+
+const STORE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Open (or create) the inventory stored at `file`.
+ * @param {object} options
+ * @param {string} options.file Path of the JSON store
+ * @param {number} [options.retentionDays=30] Records unseen for longer are pruned; 0 keeps everything
+ * @param {number} [options.maxIpHistory=10] IP addresses kept per device
+ * @param {number} [options.maxChanges=10] Change entries kept per device
+ * @param {number} [options.saveDelay=2000] Debounce (ms) for writes
+ * @param {number} [options.sightingGap=60000] ms after a counted sighting
+ *   during which datagrams of the device do not count again
+ * @returns {Promise<object>}
+ */
+export async function openInventory({
+    file,
+    retentionDays = 30,
+    maxIpHistory = 10,
+    maxChanges = 10,
+    saveDelay = 2000,
+    sightingGap = 60000
+}) {
+    const records = new Map();
+    // udn -> time of the last sighting counted in `seenCount`
+    const counted = new Map();
+    let saveTimer = null;
+    let writing = Promise.resolve();
+
+    try {
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        for (const record of Object.values(data.devices || {})) {
+            if (record && record.udn) records.set(record.udn, record);
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error('inventory: cannot read %s, starting empty:', file, e.message);
+            await fs.rename(file, `${file}.corrupt`).catch(() => {});
+        }
+    }
+
+    async function write() {
+        const data = {
+            version: STORE_VERSION,
+            savedAt: new Date().toISOString(),
+            devices: Object.fromEntries(records)
+        };
+        const tmp = `${file}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+        await fs.rename(tmp, file);
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        writing = writing.then(write).catch((e) => {
+            console.error('inventory: failed to save %s:', file, e.message);
+        });
+        return writing;
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, saveDelay);
+        saveTimer.unref();
+    }
+
+    function trackIp(record, address, at) {
+        if (!address) return;
+        let item = record.ipHistory.find(i => i.address === address);
+        if (!item) {
+            item = { address, firstSeen: at, lastSeen: at };
+            record.ipHistory.push(item);
+        }
+        item.lastSeen = at;
+        // Most recent first, bounded
+        record.ipHistory.sort((a, b) => b.lastSeen - a.lastSeen);
+        record.ipHistory.length = Math.min(record.ipHistory.length, maxIpHistory);
+    }
+
+    function observe({ udn, location, ssdp, ip, root, xml }) {
+        const at = Date.now();
+        const device = root && root.device ? root.device[0] : null;
+        const record = records.get(udn) || {
+            udn,
+            ipHistory: [],
+            firstSeen: at,
+            seenCount: 0
+        };
+        if (!record.changes) record.changes = [];
+
+        if (record.root) {
+            const previous = {
+                location: record.location,
+                ssdp: record.ssdp,
+                // Sightings of other USNs update ipHistory before the description comes in
+                address: record.address || (record.ipHistory.length ? record.ipHistory[0].address : null),
+                root: record.root,
+                xml: record.xml
+            };
+            const changes = compareSightings(previous, { location, ssdp, address: (ip && ip.address) || null, root, xml });
+            if (changes.length) {
+                record.changes.unshift({ at, changes });
+                record.changes.length = Math.min(record.changes.length, maxChanges);
+            }
+        }
+
+        Object.assign(record, {
+            location,
+            friendlyName: first(device, 'friendlyName'),
+            deviceType: first(device, 'deviceType'),
+            manufacturer: first(device, 'manufacturer'),
+            modelName: first(device, 'modelName'),
+            root,
+            xml: xml || null,
+            ssdp,
+            address: (ip && ip.address) || null,
+            lastSeen: at,
+            seenCount: record.seenCount + 1
+        });
+        counted.set(udn, at);
+        trackIp(record, ip && ip.address, at);
+
+        records.set(udn, record);
+        scheduleSave();
+        return record;
+    }
+
+    function seen(udn, { address, at = Date.now() } = {}) {
+        const record = records.get(udn);
+        if (!record) return undefined;
+        record.lastSeen = at;
+        if (at - (counted.get(udn) || 0) >= sightingGap) {
+            record.seenCount += 1;
+            counted.set(udn, at);
+        }
+        trackIp(record, address, at);
+        scheduleSave();
+        return record;
+    }
+
+    function stale(days) {
+        const cutoff = Date.now() - days * DAY_MS;
+        return [...records.values()].filter(r => r.lastSeen <= cutoff);
+    }
+
+    function prune() {
+        if (!retentionDays) return [];
+        const removed = stale(retentionDays).map(r => r.udn);
+        for (const udn of removed) {
+            records.delete(udn);
+            counted.delete(udn);
+        }
+        if (removed.length) scheduleSave();
+        return removed;
+    }
+
+    return {
+        file,
+        retentionDays,
+        list: () => [...records.values()],
+        get: (udn) => records.get(udn),
+        observe,
+        seen,
+        stale,
+        prune,
+        flush
+    };
+}
+
+export default openInventory;
@@ -0,0 +1,1480 @@
+/**
+ * OpenAPI description of the REST API in `api.mjs`.
+ *
+ * Served at `GET /api/openapi.json` so clients can be generated. Device
+ * entries are described loosely: the `device` field is the description
+ * as xml2js parses it (every element is an array of values).
+ */
+
+const udnParam = {
+    name: 'udn',
+    in: 'path',
+    required: true,
+    description: 'Unique Device Name, e.g. `uuid:4d696e69-444c-164e-9d41-b827eb54e3ff`',
+    schema: { type: 'string' }
+};
+
+const serviceIdParam = {
+    name: 'serviceId',
+    in: 'path',
+    required: true,
+    description: 'Service id, e.g. `urn:upnp-org:serviceId:AVTransport`',
+    schema: { type: 'string' }
+};
+
+const pagingParams = [
+    { name: 'start', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+    { name: 'count', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+    { name: 'sort', in: 'query', schema: { type: 'string' }, description: 'SortCriteria, e.g. `+dc:title`' }
+];
+
+const filterParam = {
+    name: 'filter',
+    in: 'query',
+    description: 'Device filter, e.g. `type:MediaRenderer manufacturer:Sonos` or `ip:192.168.1.0/24` ' +
+        '(keys: name, manufacturer, model, ip, type, service, udn; `-` negates, commas separate alternatives)',
+    schema: { type: 'string' }
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+export const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'UPnP Explorer API',
+        version: '1.0.0',
+        description: 'Discover UPnP devices on the LAN, read their service descriptions and invoke actions. ' +
+            'When the server has an auth file, requests need a session cookie (`POST /auth/login`), ' +
+            'a Bearer token or Basic credentials; controlling devices needs the operator role.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ session: [] }, { bearer: [] }, { basic: [] }],
+    paths: {
+        '/auth/login': {
+            post: {
+                operationId: 'login',
+                summary: 'Log in as a local user and receive a session cookie',
+                security: [],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['name', 'password'],
+                                properties: { name: { type: 'string' }, password: { type: 'string' } }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Logged in; the session cookie is set',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Session' } } }
+                    },
+                    400: errorResponse('The server has no auth file'),
+                    401: errorResponse('Unknown user or wrong password')
+                }
+            }
+        },
+        '/auth/logout': {
+            post: {
+                operationId: 'logout',
+                summary: 'End the current session',
+                security: [],
+                responses: {
+                    200: {
+                        description: 'Logged out; what an anonymous request may do',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Session' } } }
+                    }
+                }
+            }
+        },
+        '/auth/session': {
+            get: {
+                operationId: 'getSession',
+                summary: 'Who the request is authenticated as',
+                security: [],
+                responses: {
+                    200: {
+                        description: 'The current user, or nulls when not logged in',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Session' } } }
+                    }
+                }
+            }
+        },
+        '/devices': {
+            get: {
+                operationId: 'listDevices',
+                summary: 'List discovered root devices, sorted by friendly name',
+                parameters: [filterParam],
+                responses: {
+                    200: {
+                        description: 'Root devices',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'array', items: { $ref: '#/components/schemas/Device' } }
+                            }
+                        }
+                    },
+                    400: errorResponse('The filter does not parse')
+                }
+            }
+        },
+        '/devices/{udn}': {
+            get: {
+                operationId: 'getDevice',
+                summary: 'Get a root or embedded device',
+                parameters: [udnParam],
+                responses: {
+                    200: {
+                        description: 'Device',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Device' } } }
+                    },
+                    404: errorResponse('Unknown device')
+                }
+            }
+        },
+        '/devices/{udn}/services': {
+            get: {
+                operationId: 'getServices',
+                summary: 'Get the services of a device and its embedded devices as a tree',
+                parameters: [udnParam],
+                responses: {
+                    200: {
+                        description: 'Device tree',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/DeviceTree' } } }
+                    },
+                    404: errorResponse('Unknown device')
+                }
+            }
+        },
+        '/devices/{udn}/icon': {
+            get: {
+                operationId: 'getDeviceIcon',
+                summary: 'The device icon best suited to a size, proxied and cached by the server',
+                description: 'Picked from the iconList of the device, else of its root device: the smallest icon ' +
+                    'at least `size` px, PNG first. Only raster images are served.',
+                parameters: [udnParam, {
+                    name: 'size',
+                    in: 'query',
+                    description: 'Edge of the square the icon is shown in, in px',
+                    schema: { type: 'integer', minimum: 16, maximum: 512, default: 48 }
+                }],
+                responses: {
+                    200: {
+                        description: 'The icon',
+                        content: {
+                            'image/png': { schema: { type: 'string', format: 'binary' } },
+                            'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+                            'image/gif': { schema: { type: 'string', format: 'binary' } }
+                        }
+                    },
+                    403: errorResponse('The icon URL is refused by the URL policy'),
+                    404: errorResponse('Unknown device, or no icon'),
+                    502: errorResponse('The icon could not be fetched, is too large or is not an image')
+                }
+            }
+        },
+        '/devices/{udn}/metadata': {
+            get: {
+                operationId: 'getDeviceMetadata',
+                summary: 'Description fields, SSDP headers, address, raw description and change history of a device',
+                parameters: [udnParam],
+                responses: {
+                    200: {
+                        description: 'Device metadata',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/DeviceMetadata' } } }
+                    },
+                    404: errorResponse('Unknown device')
+                }
+            }
+        },
+        '/devices/{udn}/services/{serviceId}/scpd': {
+            get: {
+                operationId: 'getScpd',
+                summary: 'Fetch and parse the service description (SCPD)',
+                parameters: [udnParam, serviceIdParam],
+                responses: {
+                    200: {
+                        description: 'Parsed SCPD',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Scpd' } } }
+                    },
+                    403: errorResponse('The SCPD URL is refused by the URL policy'),
+                    404: errorResponse('Unknown device or service'),
+                    502: errorResponse('The device could not be reached or returned an invalid SCPD')
+                }
+            }
+        },
+        '/devices/{udn}/services/{serviceId}/actions/{action}': {
+            post: {
+                operationId: 'invokeAction',
+                summary: 'Invoke an action over SOAP',
+                parameters: [
+                    udnParam,
+                    serviceIdParam,
+                    { name: 'action', in: 'path', required: true, schema: { type: 'string' } }
+                ],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    args: {
+                                        type: 'object',
+                                        description: 'In-arguments by name, in SCPD order',
+                                        additionalProperties: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Out-arguments',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/ActionResult' } } }
+                    },
+                    400: errorResponse('Invalid arguments'),
+                    403: errorResponse('The operator role is required, or the control URL is refused by the URL policy'),
+                    404: errorResponse('Unknown device or service'),
+                    422: {
+                        description: 'The device answered with a UPnP fault',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/ActionResult' } } }
+                    },
+                    502: errorResponse('The device could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/renderer': {
+            get: {
+                operationId: 'getRenderer',
+                summary: 'Read the state of a MediaRenderer',
+                parameters: [udnParam],
+                responses: {
+                    200: {
+                        description: 'Renderer state',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Renderer' } } }
+                    },
+                    404: errorResponse('Unknown device, or not a MediaRenderer'),
+                    422: errorResponse('The renderer answered GetTransportInfo with a UPnP fault'),
+                    502: errorResponse('The device could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/renderer/{command}': {
+            post: {
+                operationId: 'controlRenderer',
+                summary: 'Run a remote-control command on a MediaRenderer',
+                parameters: [
+                    udnParam,
+                    {
+                        name: 'command',
+                        in: 'path',
+                        required: true,
+                        schema: {
+                            type: 'string',
+                            enum: ['Play', 'Pause', 'Stop', 'Next', 'Previous', 'Seek', 'SetVolume', 'SetMute']
+                        }
+                    }
+                ],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    value: {
+                                        description: 'Seek: seconds into the track; SetVolume: 0-100; SetMute: boolean'
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Renderer state after the command',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Renderer' } } }
+                    },
+                    400: errorResponse('Unknown command or invalid value'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device, or not a MediaRenderer'),
+                    422: errorResponse('The renderer refused the command (UPnP fault)'),
+                    502: errorResponse('The device could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/library': {
+            get: {
+                operationId: 'browseLibrary',
+                summary: 'Browse the ContentDirectory of a MediaServer',
+                parameters: [
+                    udnParam,
+                    { name: 'objectId', in: 'query', schema: { type: 'string', default: '0' }, description: 'Container (or object) to browse; `0` is the root' },
+                    { name: 'flag', in: 'query', schema: { type: 'string', enum: ['BrowseDirectChildren', 'BrowseMetadata'], default: 'BrowseDirectChildren' } },
+                    ...pagingParams
+                ],
+                responses: {
+                    200: {
+                        description: 'A page of containers and items',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/LibraryPage' } } }
+                    },
+                    400: errorResponse('Invalid paging or flag'),
+                    404: errorResponse('Unknown device, or no ContentDirectory'),
+                    422: errorResponse('The server answered with a UPnP fault'),
+                    502: errorResponse('The server could not be reached or returned invalid DIDL-Lite')
+                }
+            }
+        },
+        '/devices/{udn}/library/search': {
+            get: {
+                operationId: 'searchLibrary',
+                summary: 'Search the ContentDirectory of a MediaServer',
+                description: 'Either `q` (matched against title, artist, album and creator, as far as the server can search them) or a raw `criteria` is required.',
+                parameters: [
+                    udnParam,
+                    { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Free-text query' },
+                    { name: 'criteria', in: 'query', schema: { type: 'string' }, description: 'UPnP SearchCriteria, e.g. `upnp:class derivedfrom "object.item.audioItem"`' },
+                    { name: 'containerId', in: 'query', schema: { type: 'string', default: '0' } },
+                    ...pagingParams
+                ],
+                responses: {
+                    200: {
+                        description: 'A page of matching containers and items',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/LibraryPage' } } }
+                    },
+                    400: errorResponse('Invalid paging, nothing to search for, or searching not supported'),
+                    404: errorResponse('Unknown device, or no ContentDirectory'),
+                    422: errorResponse('The server answered with a UPnP fault'),
+                    502: errorResponse('The server could not be reached or returned invalid DIDL-Lite')
+                }
+            }
+        },
+        '/renderers': {
+            get: {
+                operationId: 'listRenderers',
+                summary: 'List discovered devices that have an AVTransport',
+                responses: {
+                    200: {
+                        description: 'Renderers, sorted by friendly name',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { udn: { type: 'string' }, friendlyName: { type: 'string', nullable: true } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/devices/{udn}/queue': {
+            get: {
+                operationId: 'getQueue',
+                summary: 'Get the play queue the server runs on a MediaRenderer',
+                parameters: [udnParam],
+                responses: {
+                    200: {
+                        description: 'Play queue',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Queue' } } }
+                    },
+                    404: errorResponse('Unknown device, or not a MediaRenderer')
+                }
+            },
+            post: {
+                operationId: 'playOn',
+                summary: 'Play library items or URLs on a MediaRenderer',
+                description: 'Sources are checked against the renderer\'s ConnectionManager sink list; ' +
+                    'those it cannot play are skipped. A library folder plays its items.',
+                parameters: [udnParam],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['sources'],
+                                properties: {
+                                    sources: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            description: '`{ url, title }` or `{ serverUdn, objectId }`',
+                                            properties: {
+                                                url: { type: 'string' },
+                                                title: { type: 'string' },
+                                                serverUdn: { type: 'string' },
+                                                objectId: { type: 'string' }
+                                            }
+                                        }
+                                    },
+                                    mode: { type: 'string', enum: ['replace', 'append'], default: 'replace' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'The queue, with what was added and skipped',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    allOf: [
+                                        { $ref: '#/components/schemas/Queue' },
+                                        {
+                                            type: 'object',
+                                            properties: {
+                                                added: { type: 'integer' },
+                                                skipped: { type: 'array', items: { $ref: '#/components/schemas/SkippedEntry' } },
+                                                checked: { type: 'boolean', description: 'False when the renderer did not list what it accepts' }
+                                            }
+                                        }
+                                    ]
+                                }
+                            }
+                        }
+                    },
+                    400: errorResponse('No sources, an invalid source or URL, or an unknown mode'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device, not a MediaRenderer, or unknown library object'),
+                    422: errorResponse('The renderer cannot play any of the sources, or refused them'),
+                    502: errorResponse('A device could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/queue/{command}': {
+            post: {
+                operationId: 'controlQueue',
+                summary: 'Move through or edit the play queue',
+                parameters: [
+                    udnParam,
+                    {
+                        name: 'command',
+                        in: 'path',
+                        required: true,
+                        schema: { type: 'string', enum: ['next', 'previous', 'jump', 'remove', 'clear'] }
+                    }
+                ],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: { index: { type: 'integer', description: 'Entry for jump and remove' } }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'The queue after the command',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Queue' } } }
+                    },
+                    400: errorResponse('Unknown command or invalid index'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device, or not a MediaRenderer'),
+                    422: errorResponse('The renderer refused the entry'),
+                    502: errorResponse('The renderer could not be reached')
+                }
+            }
+        },
+        '/plugins': {
+            get: {
+                operationId: 'listPlugins',
+                summary: 'List the loaded vendor plugins',
+                responses: {
+                    200: {
+                        description: 'Plugins, in load order',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            name: { type: 'string' },
+                                            title: { type: 'string' },
+                                            file: { type: 'string' },
+                                            actions: { type: 'array', items: { type: 'string' } }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/devices/{udn}/vendor': {
+            get: {
+                operationId: 'getVendor',
+                summary: 'Get the vendor plugin cards of a device and its embedded devices',
+                parameters: [
+                    udnParam,
+                    { name: 'refresh', in: 'query', schema: { type: 'boolean' }, description: 'Read the fields again even when recent' }
+                ],
+                responses: {
+                    200: {
+                        description: 'One card per matching plugin and device',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        deviceUdn: { type: 'string' },
+                                        cards: { type: 'array', items: { $ref: '#/components/schemas/VendorCard' } }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    404: errorResponse('Unknown device')
+                }
+            }
+        },
+        '/devices/{udn}/vendor/{plugin}/{action}': {
+            post: {
+                operationId: 'runVendorAction',
+                summary: 'Run a vendor action of a plugin',
+                parameters: [
+                    udnParam,
+                    { name: 'plugin', in: 'path', required: true, schema: { type: 'string' } },
+                    { name: 'action', in: 'path', required: true, schema: { type: 'string' } }
+                ],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: { args: { type: 'object', description: 'Values of the action\'s params' } }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'The action\'s result and the refreshed card',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        result: { description: 'Whatever the plugin returns', nullable: true },
+                                        card: { allOf: [{ $ref: '#/components/schemas/VendorCard' }], nullable: true }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    400: errorResponse('Invalid action arguments'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device, plugin not matching the device, unknown action or missing service'),
+                    422: errorResponse('The device answered with a UPnP fault'),
+                    502: errorResponse('The device could not be reached'),
+                    503: errorResponse('Plugins are not loaded yet')
+                }
+            }
+        },
+        '/devices/{udn}/gateway': {
+            get: {
+                operationId: 'getGateway',
+                summary: 'Get the WAN connections and port mappings of an Internet Gateway Device',
+                description: 'Mappings are listed with GetGenericPortMappingEntry until the router answers 713. ' +
+                    'Each is flagged with whether its internal client is still on the network.',
+                parameters: [
+                    udnParam,
+                    { name: 'serviceId', in: 'query', schema: { type: 'string' }, description: 'WAN connection to list; defaults to the connected one' }
+                ],
+                responses: {
+                    200: {
+                        description: 'Connections and mappings',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Gateway' } } }
+                    },
+                    404: errorResponse('Unknown device or connection service, or not a gateway'),
+                    422: errorResponse('The router refused to list its mappings'),
+                    502: errorResponse('The router could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/gateway/mappings': {
+            post: {
+                operationId: 'addPortMapping',
+                summary: 'Add a port mapping',
+                parameters: [udnParam],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['mapping'],
+                                properties: {
+                                    serviceId: { type: 'string', description: 'WAN connection; defaults to the connected one' },
+                                    mapping: {
+                                        type: 'object',
+                                        required: ['externalPort', 'protocol', 'internalClient'],
+                                        properties: {
+                                            remoteHost: { type: 'string', default: '', description: 'Empty for any remote host' },
+                                            externalPort: { type: 'integer', minimum: 1, maximum: 65535 },
+                                            protocol: { type: 'string', enum: ['TCP', 'UDP'] },
+                                            internalClient: { type: 'string', description: 'IPv4 address' },
+                                            internalPort: { type: 'integer', minimum: 1, maximum: 65535, description: 'Defaults to externalPort' },
+                                            enabled: { type: 'boolean', default: true },
+                                            description: { type: 'string', default: '' },
+                                            leaseDuration: { type: 'integer', minimum: 0, maximum: 604800, default: 0, description: 'Seconds, 0 for permanent' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    201: {
+                        description: 'The mappings after adding',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Gateway' } } }
+                    },
+                    400: errorResponse('Invalid mapping'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device or connection service, or not a gateway'),
+                    422: errorResponse('The router refused the mapping (e.g. 718 conflict, 725 permanent leases only)'),
+                    502: errorResponse('The router could not be reached')
+                }
+            }
+        },
+        '/devices/{udn}/gateway/mappings/{protocol}/{externalPort}': {
+            delete: {
+                operationId: 'deletePortMapping',
+                summary: 'Delete a port mapping',
+                parameters: [
+                    udnParam,
+                    { name: 'protocol', in: 'path', required: true, schema: { type: 'string', enum: ['TCP', 'UDP'] } },
+                    { name: 'externalPort', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 65535 } },
+                    { name: 'remoteHost', in: 'query', schema: { type: 'string', default: '' } },
+                    { name: 'serviceId', in: 'query', schema: { type: 'string' }, description: 'WAN connection; defaults to the connected one' }
+                ],
+                responses: {
+                    200: {
+                        description: 'The mappings after deleting',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Gateway' } } }
+                    },
+                    400: errorResponse('Invalid protocol or port'),
+                    403: errorResponse('The operator role is required'),
+                    404: errorResponse('Unknown device or connection service, or not a gateway'),
+                    422: errorResponse('The router refused (e.g. 714 no such mapping)'),
+                    502: errorResponse('The router could not be reached')
+                }
+            }
+        },
+        '/discover': {
+            post: {
+                operationId: 'discover',
+                summary: 'Send an SSDP M-SEARCH (or join the scan in progress)',
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    mx: { type: 'integer', minimum: 1, maximum: 5 },
+                                    wait: { type: 'boolean', description: 'Respond when the scan completes' },
+                                    filter: {
+                                        type: 'string',
+                                        description: 'Device filter; one naming a single type searches for that ST, ' +
+                                            'an `iface:` term naming interfaces searches only on those, ' +
+                                            'and the devices of a completed scan are filtered by it'
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Scan completed (`wait: true`)',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Scan' } } }
+                    },
+                    202: {
+                        description: 'Scan started',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Scan' } } }
+                    },
+                    400: errorResponse('The filter does not parse')
+                }
+            }
+        },
+        '/fetch-errors': {
+            get: {
+                operationId: 'listFetchErrors',
+                summary: 'List the device descriptions that could not be fetched or parsed',
+                responses: {
+                    200: {
+                        description: 'Recent failures, newest first',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            location: { type: 'string' },
+                                            usn: { type: 'string' },
+                                            udn: { type: 'string', nullable: true },
+                                            address: { type: 'string', nullable: true },
+                                            interface: { type: 'string', nullable: true },
+                                            error: { $ref: '#/components/schemas/FetchError' },
+                                            at: { type: 'integer', description: 'Epoch milliseconds' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/suspicious': {
+            get: {
+                operationId: 'listSuspicious',
+                summary: 'List the device URLs the URL policy refused',
+                description: 'LOCATIONs, SCPD, control and event URLs and redirects whose host is neither ' +
+                    'the responding device nor in an allowed range, or is a loopback or metadata address.',
+                responses: {
+                    200: {
+                        description: 'Refused URLs, most recently seen first',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            kind: { type: 'string', enum: ['location', 'scpd', 'control', 'event', 'icon', 'redirect', 'url', 'conflict'] },
+                                            url: { type: 'string' },
+                                            usn: { type: 'string', nullable: true },
+                                            udn: { type: 'string', nullable: true },
+                                            address: { type: 'string', nullable: true, description: 'Sender address' },
+                                            interface: { type: 'string', nullable: true },
+                                            reason: { type: 'string' },
+                                            count: { type: 'integer' },
+                                            firstAt: { type: 'integer', description: 'Epoch milliseconds' },
+                                            lastAt: { type: 'integer', description: 'Epoch milliseconds' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/interfaces': {
+            get: {
+                operationId: 'listInterfaces',
+                summary: 'List the network interfaces and the devices found on each',
+                responses: {
+                    200: {
+                        description: 'Non-internal addresses of the host',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'array', items: { $ref: '#/components/schemas/NetworkInterface' } }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/inventory': {
+            get: {
+                operationId: 'listInventory',
+                summary: 'List the persisted device history',
+                parameters: [{
+                    name: 'staleDays',
+                    in: 'query',
+                    description: 'Only devices not seen for at least this many days',
+                    schema: { type: 'number', minimum: 0 }
+                }],
+                responses: {
+                    200: {
+                        description: 'Inventory records',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Inventory' } } }
+                    },
+                    400: errorResponse('Invalid `staleDays`')
+                }
+            }
+        },
+        '/export/{format}': {
+            get: {
+                operationId: 'exportNetwork',
+                summary: 'Download the discovered devices as JSON, CSV or a standalone HTML report',
+                description: 'Every export is stamped with its time and the interfaces (or, in CSV, the name) of the ' +
+                    'scanning host. JSON holds the full descriptions; the HTML report lists the devices grouped by ' +
+                    'type with their services and actions.',
+                parameters: [{
+                    name: 'format',
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string', enum: ['json', 'csv', 'html'] }
+                }, {
+                    name: 'filter',
+                    in: 'query',
+                    description: 'Device filter (see GET /devices)',
+                    schema: { type: 'string' }
+                }, {
+                    name: 'scpd',
+                    in: 'query',
+                    description: 'Load and include the parsed SCPDs (JSON) or action names (CSV); the HTML report always does',
+                    schema: { type: 'boolean', default: false }
+                }, {
+                    name: 'rows',
+                    in: 'query',
+                    description: 'CSV only: one row per device or per service',
+                    schema: { type: 'string', enum: ['devices', 'services'], default: 'devices' }
+                }],
+                responses: {
+                    200: {
+                        description: 'The export, as an attachment',
+                        content: {
+                            'application/json': { schema: { type: 'object', description: 'See modules/export.mjs' } },
+                            'text/csv': { schema: { type: 'string' } },
+                            'text/html': { schema: { type: 'string' } }
+                        }
+                    },
+                    400: errorResponse('Unknown format or rows, or the filter does not parse')
+                }
+            }
+        },
+        '/ssdp/traffic': {
+            get: {
+                operationId: 'listTraffic',
+                summary: 'List the captured SSDP datagrams and sum them up',
+                description: 'M-SEARCHes sent and responses, NOTIFYs and other datagrams received, most recent ' +
+                    'first, with responses timed against the search they answer. The summaries cover the ' +
+                    'whole capture, whatever the filter.',
+                parameters: [{
+                    name: 'filter',
+                    in: 'query',
+                    description: 'Terms such as `kind:response`, `dir:in`, `ip:192.168.1.`, `iface:eth0`, ' +
+                        '`st:MediaRenderer`, `usn:uuid:1234` or raw text; `-` negates, commas separate alternatives',
+                    schema: { type: 'string' }
+                }, {
+                    name: 'limit',
+                    in: 'query',
+                    schema: { type: 'integer', minimum: 1, default: 500 }
+                }],
+                responses: {
+                    200: {
+                        description: 'The capture',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Traffic' } } }
+                    },
+                    400: errorResponse('The filter does not parse')
+                }
+            }
+        },
+        '/ssdp/traffic/download': {
+            get: {
+                operationId: 'exportTraffic',
+                summary: 'Download the captured SSDP traffic',
+                description: 'JSON holds the entries and summaries; text holds the raw datagrams, oldest first, ' +
+                    'each under a `#` line with its time, peer, interface and timing.',
+                parameters: [{
+                    name: 'format',
+                    in: 'query',
+                    schema: { type: 'string', enum: ['json', 'txt'], default: 'json' }
+                }, {
+                    name: 'filter',
+                    in: 'query',
+                    description: 'See GET /ssdp/traffic',
+                    schema: { type: 'string' }
+                }],
+                responses: {
+                    200: {
+                        description: 'The capture, as an attachment',
+                        content: {
+                            'application/json': { schema: { $ref: '#/components/schemas/Traffic' } },
+                            'text/plain': { schema: { type: 'string' } }
+                        }
+                    },
+                    400: errorResponse('Unknown format, or the filter does not parse')
+                }
+            }
+        },
+        '/ssdp/capture/{command}': {
+            post: {
+                operationId: 'controlCapture',
+                summary: 'Pause, resume or clear the SSDP capture',
+                parameters: [{
+                    name: 'command',
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string', enum: ['pause', 'resume', 'clear'] }
+                }],
+                responses: {
+                    200: {
+                        description: 'The capture status',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/CaptureStatus' } } }
+                    },
+                    400: errorResponse('Unknown command'),
+                    403: errorResponse('The operator role is required')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            session: { type: 'apiKey', in: 'cookie', name: 'upnp_explorer_session' },
+            bearer: { type: 'http', scheme: 'bearer', description: 'API token from the auth file, or a session id' },
+            basic: { type: 'http', scheme: 'basic' }
+        },
+        schemas: {
+            Session: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', nullable: true },
+                    role: { type: 'string', enum: ['viewer', 'operator'], nullable: true },
+                    authRequired: { type: 'boolean', description: 'The server has an auth file' },
+                    canControl: { type: 'boolean' }
+                }
+            },
+            Error: {
+                type: 'object',
+                properties: {
+                    error: { type: 'string' },
+                    fetchError: {
+                        description: 'Set when a document the device serves could not be fetched',
+                        allOf: [{ $ref: '#/components/schemas/FetchError' }]
+                    }
+                },
+                required: ['error']
+            },
+            FetchError: {
+                type: 'object',
+                properties: {
+                    code: {
+                        type: 'string',
+                        enum: ['BAD_URL', 'CONNECT_TIMEOUT', 'TIMEOUT', 'NETWORK', 'HTTP_STATUS', 'TOO_LARGE',
+                            'TOO_MANY_REDIRECTS', 'REDIRECT_REFUSED', 'BAD_DOCUMENT', 'ERROR']
+                    },
+                    message: { type: 'string' },
+                    url: { type: 'string', nullable: true },
+                    httpStatus: { type: 'integer', nullable: true },
+                    device: { type: 'string', description: 'UDN, on SCPD failures' }
+                }
+            },
+            Device: {
+                type: 'object',
+                properties: {
+                    udn: { type: 'string' },
+                    rootUdn: { type: 'string' },
+                    parentUdn: { type: 'string', nullable: true },
+                    embedded: { type: 'boolean' },
+                    location: { type: 'string' },
+                    status: { type: 'string', enum: ['online', 'offline', 'unconfirmed'] },
+                    firstSeen: { type: 'integer', description: 'Epoch milliseconds' },
+                    seenCount: { type: 'integer' },
+                    lastSeen: { type: 'integer', description: 'Epoch milliseconds' },
+                    ssdp: { type: 'object', additionalProperties: { type: 'string' } },
+                    ip: {
+                        type: 'object',
+                        properties: {
+                            address: { type: 'string' },
+                            port: { type: 'integer' },
+                            family: { type: 'string', enum: ['IPv4', 'IPv6'] },
+                            interface: { type: 'string', nullable: true, description: 'Interface the device was found on' },
+                            localAddress: { type: 'string', nullable: true, description: 'Address of that interface' }
+                        }
+                    },
+                    device: { type: 'object', description: 'Device description as parsed by xml2js' },
+                    fetchError: {
+                        description: 'The description changed and could not be read again',
+                        allOf: [{ $ref: '#/components/schemas/FetchError' }]
+                    },
+                    vendor: {
+                        type: 'object',
+                        description: 'Vendor plugin results by plugin name, once a plugin has enriched the device',
+                        additionalProperties: { $ref: '#/components/schemas/VendorCard' }
+                    }
+                }
+            },
+            DeviceTree: {
+                type: 'object',
+                properties: {
+                    udn: { type: 'string' },
+                    friendlyName: { type: 'string', nullable: true },
+                    deviceType: { type: 'string', nullable: true },
+                    embedded: { type: 'boolean' },
+                    hasIcon: { type: 'boolean', description: 'GET /devices/{udn}/icon has an icon to serve' },
+                    services: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                serviceId: { type: 'string' },
+                                serviceType: { type: 'string' },
+                                evented: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    devices: { type: 'array', items: { $ref: '#/components/schemas/DeviceTree' } }
+                }
+            },
+            DeviceMetadata: {
+                type: 'object',
+                properties: {
+                    udn: { type: 'string' },
+                    rootUdn: { type: 'string' },
+                    embedded: { type: 'boolean' },
+                    location: { type: 'string' },
+                    friendlyName: { type: 'string', nullable: true },
+                    deviceType: { type: 'string', nullable: true },
+                    manufacturer: { type: 'string', nullable: true },
+                    manufacturerURL: { type: 'string', nullable: true },
+                    modelName: { type: 'string', nullable: true },
+                    modelNumber: { type: 'string', nullable: true },
+                    modelDescription: { type: 'string', nullable: true },
+                    modelURL: { type: 'string', nullable: true },
+                    serialNumber: { type: 'string', nullable: true },
+                    UPC: { type: 'string', nullable: true },
+                    presentationURL: { type: 'string', nullable: true, description: 'Resolved against URLBase / LOCATION; http(s) only' },
+                    ssdp: { type: 'object', additionalProperties: { type: 'string' }, description: 'Headers of the last sighting (SERVER, USN, ST or NT, BOOTID.UPNP.ORG, CONFIGID.UPNP.ORG...)' },
+                    address: { type: 'string', nullable: true },
+                    port: { type: 'integer', nullable: true, description: 'Port of the LOCATION' },
+                    interface: { type: 'string', nullable: true },
+                    family: { type: 'string', nullable: true, enum: ['IPv4', 'IPv6', null] },
+                    status: { type: 'string', enum: ['online', 'offline', 'unconfirmed'] },
+                    firstSeen: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+                    lastSeen: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+                    xml: { type: 'string', nullable: true, description: 'Description of the root device, as served' },
+                    changes: {
+                        type: 'array',
+                        description: 'Changes between descriptions of the root device, most recent first',
+                        items: { $ref: '#/components/schemas/DeviceChange' }
+                    }
+                }
+            },
+            CaptureStatus: {
+                type: 'object',
+                properties: {
+                    capturing: { type: 'boolean' },
+                    capacity: { type: 'integer', description: 'Datagrams kept' },
+                    size: { type: 'integer' },
+                    dropped: { type: 'integer', description: 'Datagrams pushed out of the buffer' },
+                    skipped: { type: 'integer', description: 'Datagrams that arrived while paused' },
+                    since: { type: 'integer', description: 'Epoch milliseconds of the last clear' }
+                }
+            },
+            Traffic: {
+                allOf: [{ $ref: '#/components/schemas/CaptureStatus' }, {
+                    type: 'object',
+                    properties: {
+                        filter: { type: 'string' },
+                        entries: { type: 'array', items: { $ref: '#/components/schemas/SsdpPacket' } },
+                        summary: {
+                            type: 'object',
+                            description: 'See modules/ssdp-inspector.mjs',
+                            properties: {
+                                devices: { type: 'array', items: { type: 'object' } },
+                                duplicates: { type: 'array', items: { type: 'object' } },
+                                failing: { type: 'array', items: { type: 'object' } },
+                                searches: { type: 'array', items: { type: 'object' } },
+                                targets: { type: 'array', items: { type: 'object' } }
+                            }
+                        }
+                    }
+                }]
+            },
+            SsdpPacket: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    at: { type: 'integer', description: 'Epoch milliseconds' },
+                    direction: { type: 'string', enum: ['in', 'out'] },
+                    kind: { type: 'string', enum: ['m-search', 'response', 'notify', 'other'] },
+                    startLine: { type: 'string' },
+                    headers: { type: 'object', additionalProperties: { type: 'string' } },
+                    raw: { type: 'string' },
+                    size: { type: 'integer', description: 'Bytes' },
+                    address: { type: 'string', description: 'Peer (the multicast group for datagrams sent)' },
+                    port: { type: 'integer' },
+                    interface: { type: 'string', nullable: true },
+                    localAddress: { type: 'string', nullable: true },
+                    family: { type: 'string', enum: ['IPv4', 'IPv6'] },
+                    st: { type: 'string', nullable: true, description: 'ST or NT' },
+                    usn: { type: 'string', nullable: true },
+                    udn: { type: 'string', nullable: true },
+                    location: { type: 'string', nullable: true },
+                    searchId: { type: 'integer', nullable: true },
+                    delayMs: { type: 'integer', nullable: true, description: 'Responses: ms since the search' },
+                    late: { type: 'boolean', description: 'Responses: after the search\'s MX' },
+                    stMismatch: { type: 'boolean', description: 'Responses: another ST than the one searched' }
+                }
+            },
+            DeviceChange: {
+                type: 'object',
+                properties: {
+                    at: { type: 'integer', description: 'Epoch milliseconds' },
+                    changes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string', enum: ['description', 'configId', 'address', 'location', 'services'] },
+                                before: { type: 'string', nullable: true },
+                                after: { type: 'string', nullable: true },
+                                diff: { type: 'array', items: { type: 'string' }, description: 'Unified diff of the description, one tag per line' },
+                                added: { type: 'array', items: { type: 'string' }, description: '"<udn> <serviceId>" of new services' },
+                                removed: { type: 'array', items: { type: 'string' }, description: '"<udn> <serviceId>" of services gone' }
+                            },
+                            required: ['field']
+                        }
+                    }
+                }
+            },
+            StateVariable: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    dataType: { type: 'string' },
+                    defaultValue: { type: 'string', nullable: true },
+                    sendEvents: { type: 'boolean' },
+                    multicast: { type: 'boolean' },
+                    allowedValueList: { type: 'array', items: { type: 'string' }, nullable: true },
+                    allowedValueRange: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            minimum: { type: 'string', nullable: true },
+                            maximum: { type: 'string', nullable: true },
+                            step: { type: 'string', nullable: true }
+                        }
+                    }
+                }
+            },
+            Argument: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    direction: { type: 'string', enum: ['in', 'out'] },
+                    retval: { type: 'boolean' },
+                    relatedStateVariable: { type: 'string' },
+                    stateVariable: { allOf: [{ $ref: '#/components/schemas/StateVariable' }], nullable: true }
+                }
+            },
+            Scpd: {
+                type: 'object',
+                properties: {
+                    deviceUdn: { type: 'string' },
+                    serviceId: { type: 'string' },
+                    specVersion: { type: 'string', nullable: true },
+                    actions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                inputs: { type: 'array', items: { $ref: '#/components/schemas/Argument' } },
+                                outputs: { type: 'array', items: { $ref: '#/components/schemas/Argument' } }
+                            }
+                        }
+                    },
+                    stateVariables: { type: 'array', items: { $ref: '#/components/schemas/StateVariable' } },
+                    eventedVariables: { type: 'array', items: { type: 'string' } },
+                    xml: { type: 'string', description: 'Raw SCPD document' }
+                }
+            },
+            ActionResult: {
+                type: 'object',
+                properties: {
+                    ok: { type: 'boolean' },
+                    statusCode: { type: 'integer', description: 'HTTP status of the SOAP response' },
+                    outputs: { type: 'object', additionalProperties: { type: 'string' } },
+                    fault: {
+                        type: 'object',
+                        properties: {
+                            faultCode: { type: 'string' },
+                            faultString: { type: 'string' },
+                            errorCode: { type: 'integer', nullable: true },
+                            errorDescription: { type: 'string', nullable: true }
+                        }
+                    }
+                }
+            },
+            Inventory: {
+                type: 'object',
+                properties: {
+                    staleDays: { type: 'number' },
+                    retentionDays: { type: 'number' },
+                    devices: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                udn: { type: 'string' },
+                                friendlyName: { type: 'string', nullable: true },
+                                deviceType: { type: 'string', nullable: true },
+                                manufacturer: { type: 'string', nullable: true },
+                                modelName: { type: 'string', nullable: true },
+                                location: { type: 'string' },
+                                ipHistory: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            address: { type: 'string' },
+                                            firstSeen: { type: 'integer' },
+                                            lastSeen: { type: 'integer' }
+                                        }
+                                    }
+                                },
+                                firstSeen: { type: 'integer' },
+                                lastSeen: { type: 'integer' },
+                                seenCount: { type: 'integer' },
+                                status: { type: 'string', enum: ['online', 'offline', 'unconfirmed', 'forgotten'] }
+                            }
+                        }
+                    }
+                }
+            },
+            DidlEntry: {
+                type: 'object',
+                description: 'DIDL-Lite item or container',
+                properties: {
+                    id: { type: 'string', nullable: true },
+                    parentId: { type: 'string', nullable: true },
+                    restricted: { type: 'boolean' },
+                    class: { type: 'string', nullable: true },
+                    title: { type: 'string', nullable: true },
+                    creator: { type: 'string', nullable: true },
+                    artist: { type: 'string', nullable: true },
+                    album: { type: 'string', nullable: true },
+                    genre: { type: 'string', nullable: true },
+                    date: { type: 'string', nullable: true },
+                    albumArtURI: { type: 'string', nullable: true },
+                    childCount: { type: 'integer', nullable: true },
+                    res: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                uri: { type: 'string' },
+                                protocolInfo: { type: 'string', nullable: true },
+                                duration: { type: 'number', nullable: true, description: 'Seconds' },
+                                size: { type: 'integer', nullable: true },
+                                bitrate: { type: 'integer', nullable: true },
+                                resolution: { type: 'string', nullable: true }
+                            }
+                        }
+                    }
+                }
+            },
+            LibraryPage: {
+                type: 'object',
+                properties: {
+                    deviceUdn: { type: 'string' },
+                    objectId: { type: 'string', description: 'Browse only' },
+                    flag: { type: 'string', description: 'Browse only' },
+                    containerId: { type: 'string', description: 'Search only' },
+                    criteria: { type: 'string', description: 'Search only' },
+                    start: { type: 'integer' },
+                    count: { type: 'integer' },
+                    numberReturned: { type: 'integer' },
+                    totalMatches: { type: 'integer', nullable: true, description: 'Null when the server does not know' },
+                    updateId: { type: 'integer', nullable: true },
+                    containers: { type: 'array', items: { $ref: '#/components/schemas/DidlEntry' } },
+                    items: { type: 'array', items: { $ref: '#/components/schemas/DidlEntry' } },
+                    searchCapabilities: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            Queue: {
+                type: 'object',
+                properties: {
+                    rendererUdn: { type: 'string' },
+                    friendlyName: { type: 'string', nullable: true },
+                    entries: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                title: { type: 'string' },
+                                artist: { type: 'string', nullable: true },
+                                album: { type: 'string', nullable: true },
+                                albumArtURI: { type: 'string', nullable: true },
+                                class: { type: 'string', nullable: true },
+                                uri: { type: 'string' },
+                                protocolInfo: { type: 'string', nullable: true },
+                                duration: { type: 'number', nullable: true }
+                            }
+                        }
+                    },
+                    index: { type: 'integer', description: 'Current entry, -1 before the first' },
+                    playing: { type: 'boolean', description: 'Whether the server follows the transport to advance' },
+                    gapless: { type: 'boolean', nullable: true, description: 'Whether the renderer takes SetNextAVTransportURI; null until tried' },
+                    error: { type: 'string', nullable: true },
+                    updatedAt: { type: 'integer' }
+                }
+            },
+            SkippedEntry: {
+                type: 'object',
+                properties: { title: { type: 'string' }, reason: { type: 'string' } }
+            },
+            VendorCard: {
+                type: 'object',
+                properties: {
+                    deviceUdn: { type: 'string', description: 'The (possibly embedded) device the plugin matched' },
+                    plugin: { type: 'string' },
+                    title: { type: 'string' },
+                    fields: { type: 'object', description: 'Plugin-specific fields' },
+                    card: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            title: { type: 'string' },
+                            rows: { type: 'array', items: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 2 } }
+                        }
+                    },
+                    actions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string' },
+                                label: { type: 'string' },
+                                description: { type: 'string', nullable: true },
+                                params: { type: 'array', items: { type: 'object' } }
+                            }
+                        }
+                    },
+                    error: { type: 'string', nullable: true },
+                    updatedAt: { type: 'integer' }
+                }
+            },
+            Gateway: {
+                type: 'object',
+                properties: {
+                    deviceUdn: { type: 'string' },
+                    friendlyName: { type: 'string', nullable: true },
+                    connections: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                udn: { type: 'string', description: 'The (embedded) WANConnectionDevice' },
+                                serviceId: { type: 'string' },
+                                kind: { type: 'string', enum: ['WANIPConnection', 'WANPPPConnection'] },
+                                externalIp: { type: 'string', nullable: true },
+                                status: { type: 'string', nullable: true, description: 'e.g. Connected, Disconnected' },
+                                lastError: { type: 'string', nullable: true },
+                                uptime: { type: 'integer', nullable: true, description: 'Seconds' }
+                            }
+                        }
+                    },
+                    serviceId: { type: 'string', description: 'The connection the mappings belong to' },
+                    mappings: { type: 'array', items: { $ref: '#/components/schemas/PortMapping' } },
+                    complete: { type: 'boolean', description: 'False when the listing stopped before the end of the table' },
+                    updatedAt: { type: 'integer' }
+                }
+            },
+            PortMapping: {
+                type: 'object',
+                properties: {
+                    remoteHost: { type: 'string', description: 'Empty for any remote host' },
+                    externalPort: { type: 'integer' },
+                    protocol: { type: 'string', enum: ['TCP', 'UDP'] },
+                    internalClient: { type: 'string' },
+                    internalPort: { type: 'integer' },
+                    enabled: { type: 'boolean' },
+                    description: { type: 'string' },
+                    leaseDuration: { type: 'integer', description: 'Seconds left, 0 for permanent' },
+                    client: {
+                        type: 'object',
+                        properties: {
+                            status: { type: 'string', enum: ['online', 'missing'] },
+                            via: { type: 'string', enum: ['known', 'probe', 'address'], description: 'Seen by discovery or this host, probed over TCP, or not an address' }
+                        }
+                    }
+                }
+            },
+            Renderer: {
+                type: 'object',
+                properties: {
+                    udn: { type: 'string' },
+                    friendlyName: { type: 'string', nullable: true },
+                    transport: {
+                        type: 'object',
+                        properties: {
+                            state: { type: 'string', nullable: true, description: 'e.g. PLAYING, PAUSED_PLAYBACK, STOPPED' },
+                            status: { type: 'string', nullable: true },
+                            speed: { type: 'string', nullable: true },
+                            actions: { type: 'array', items: { type: 'string' }, nullable: true }
+                        }
+                    },
+                    position: {
+                        type: 'object',
+                        properties: {
+                            track: { type: 'integer', nullable: true },
+                            duration: { type: 'number', nullable: true, description: 'Seconds' },
+                            relTime: { type: 'number', nullable: true, description: 'Seconds' },
+                            trackUri: { type: 'string', nullable: true }
+                        }
+                    },
+                    media: {
+                        type: 'object',
+                        properties: {
+                            uri: { type: 'string', nullable: true },
+                            nextUri: { type: 'string', nullable: true },
+                            duration: { type: 'number', nullable: true }
+                        }
+                    },
+                    track: { allOf: [{ $ref: '#/components/schemas/DidlEntry' }], nullable: true },
+                    volume: { type: 'integer', nullable: true },
+                    mute: { type: 'boolean', nullable: true },
+                    updatedAt: { type: 'integer' }
+                }
+            },
+            Scan: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    st: { type: 'string' },
+                    interfaces: {
+                        type: 'array',
+                        nullable: true,
+                        items: { type: 'string' },
+                        description: 'Interfaces searched on; null for all of them'
+                    },
+                    mx: { type: 'integer' },
+                    startedAt: { type: 'integer' },
+                    endsAt: { type: 'integer' },
+                    found: { type: 'integer' },
+                    total: { type: 'integer' },
+                    duration: { type: 'integer' },
+                    devices: { type: 'array', items: { $ref: '#/components/schemas/Device' } }
+                }
+            },
+            NetworkInterface: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    address: { type: 'string' },
+                    family: { type: 'string', enum: ['IPv4', 'IPv6'] },
+                    cidr: { type: 'string', nullable: true },
+                    scopeid: { type: 'integer', nullable: true },
+                    searching: { type: 'boolean', description: 'Discovery searches and listens on it' },
+                    ipv6Scopes: { type: 'array', items: { type: 'string', enum: ['link', 'site'] } },
+                    devices: { type: 'integer', description: 'Online root devices found on it' }
+                }
+            }
+        }
+    }
+};
+
+export default openApiDocument;
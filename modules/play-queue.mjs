@@ -0,0 +1,344 @@
+/**
+ * Play queue module
+ *
+ * Runs a playlist on a MediaRenderer from the server, for renderers that
+ * have no queue of their own. Each entry is loaded with
+ * `SetAVTransportURI` and started with `Play`; the following entry is
+ * handed to the renderer in advance with `SetNextAVTransportURI` when it
+ * supports that (gapless), and otherwise loaded once the transport is
+ * seen to stop at the end of a track.
+ *
+ * Exports:
+ *
+ * - `createPlayQueue({ call, renderer, pollInterval, onChange })` -> queue
+ *   with
+ *   - `play(entries, index)` replace the queue and start at `index`
+ *   - `append(entries)` add to the end; starts them when nothing is playing
+ *   - `jump(index)`, `next()`, `previous()`, `remove(index)`, `clear()`
+ *   - `setPlaying(playing)` stop or resume following the transport (the
+ *     host calls it when the renderer is stopped or played directly)
+ *   - `snapshot()` -> `{ rendererUdn, friendlyName, entries, index,
+ *     playing, gapless, error, updatedAt }`
+ *   - `dispose()` stop polling
+ *   All but `snapshot`, `setPlaying` and `dispose` return promises.
+ * - `toEntry(item, sinks)` -> `{ entry }` | `{ skipped: { title, reason } }`
+ *   Pick the resource of a DIDL-Lite item the renderer accepts (see
+ *   `protocol-info.mjs`) and build its metadata.
+ * - `itemFromUrl(url, title)` -> DIDL-Lite item for a pasted URL
+ *
+ * `call` and `renderer` are as in `renderer.mjs`; `onChange(snapshot)` is
+ * called whenever the queue or its position changes.
+ *
+ * Notes:
+ * - The transport is polled every `pollInterval` ms while the queue plays.
+ *   A stop within a poll of the end of the track (or of a track of unknown
+ *   duration) counts as the track ending; any other stop ends the queue.
+ * - `gapless` is null until the renderer has accepted or refused
+ *   SetNextAVTransportURI.
+ * - Errors carry `status`: 400 for an invalid index or entry list, and the
+ *   renderer's 422/502 from `renderer.mjs`.
+ */
+
+import { readPlayback, commandRenderer, setTransportUri } from './renderer.mjs';
+import { buildDidl } from './didl.mjs';
+import { pickResource, guessProtocolInfo, parseProtocolInfo } from './protocol-info.mjs';
+
+// Seconds before the end of a track where a stop still counts as its end
+const END_MARGIN = 3;
+
+const PLAYING_STATES = ['PLAYING', 'TRANSITIONING'];
+const STOPPED_STATES = ['STOPPED', 'NO_MEDIA_PRESENT'];
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Build a queue entry from a DIDL-Lite item.
+ * @param {object} item See `didl.mjs`
+ * @param {Array<string>|null} sinks Renderer sink list, null when unknown
+ * @returns {{entry: object}|{skipped: {title: string, reason: string}}}
+ */
+export function toEntry(item, sinks) {
+    const res = pickResource(item, sinks);
+    if (!res) {
+        const formats = [...new Set((item.res || [])
+            .map(r => (parseProtocolInfo(r.protocolInfo) || {}).contentFormat)
+            .filter(Boolean))];
+        return {
+            skipped: {
+                title: item.title || item.id,
+                reason: formats.length ? `The renderer does not accept ${formats.join(', ')}` : 'Nothing to stream'
+            }
+        };
+    }
+    return {
+        entry: {
+            title: item.title || res.uri,
+            artist: item.artist || item.creator || null,
+            album: item.album || null,
+            albumArtURI: item.albumArtURI || null,
+            class: item.class || null,
+            uri: res.uri,
+            protocolInfo: res.protocolInfo,
+            duration: res.duration,
+            metadata: buildDidl(item, res)
+        }
+    };
+}
+
+/**
+ * Describe a pasted URL as a DIDL-Lite item.
+ * @param {string} url
+ * @param {string} [title]
+ * @returns {object}
+ */
+export function itemFromUrl(url, title) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw statusError(400, `Invalid URL "${url}"`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) throw statusError(400, 'Only http and https URLs can be played');
+
+    const protocolInfo = guessProtocolInfo(url);
+    const kind = parseProtocolInfo(protocolInfo).contentFormat.split('/')[0];
+    const fileName = decodeURIComponent(parsed.pathname.split('/').pop() || '');
+    return {
+        id: null,
+        parentId: null,
+        title: title || fileName || parsed.host,
+        class: {
+            audio: 'object.item.audioItem.musicTrack',
+            video: 'object.item.videoItem',
+            image: 'object.item.imageItem.photo'
+        }[kind] || 'object.item',
+        res: [{ uri: url, protocolInfo, duration: null, size: null, bitrate: null, resolution: null }]
+    };
+}
+
+/**
+ * Create the play queue of a renderer.
+ * @param {object} options
+ * @param {Function} options.call
+ * @param {object} options.renderer From `findRenderer`
+ * @param {number} [options.pollInterval=2000]
+ * @param {(snapshot: object) => void} [options.onChange]
+ * @returns {object}
+ */
+export function createPlayQueue({ call, renderer, pollInterval = 2000, onChange = () => {} }) {
+    const queue = {
+        entries: [],
+        index: -1,
+        playing: false,
+        gapless: null,
+        // Entry handed over with SetNextAVTransportURI: null once the
+        // renderer's next URI was cleared, undefined when unknown (after
+        // loading or moving on, the renderer may still hold one)
+        armed: undefined,
+        error: null
+    };
+    let timer = null;
+    let last = null;
+    let busy = Promise.resolve();
+
+    function snapshot() {
+        return {
+            rendererUdn: renderer.udn,
+            friendlyName: renderer.friendlyName,
+            // The DIDL-Lite metadata only matters to the renderer
+            entries: queue.entries.map(entry => ({ ...entry, metadata: undefined })),
+            index: queue.index,
+            playing: queue.playing,
+            gapless: queue.gapless,
+            error: queue.error,
+            updatedAt: Date.now()
+        };
+    }
+
+    function changed() {
+        onChange(snapshot());
+    }
+
+    // Run operations one at a time so a poll never interleaves a command
+    function exclusive(fn) {
+        const result = busy.then(fn);
+        busy = result.catch(() => {});
+        return result;
+    }
+
+    function follow() {
+        if (timer || !queue.playing) return;
+        timer = setInterval(() => {
+            exclusive(tick).catch((e) => {
+                queue.error = e.message;
+                changed();
+            });
+        }, pollInterval);
+        timer.unref();
+    }
+
+    function halt() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= queue.entries.length) {
+            throw statusError(400, `No entry ${index} in the queue`);
+        }
+    }
+
+    async function start(index) {
+        const entry = queue.entries[index];
+        await setTransportUri(call, renderer, entry);
+        await commandRenderer(call, renderer, 'Play');
+        Object.assign(queue, { index, playing: true, armed: undefined, error: null });
+        last = null;
+        await arm();
+        follow();
+        changed();
+    }
+
+    // Hand the following entry to the renderer, if it takes one, or clear
+    // what it may still hold when there is none
+    async function arm() {
+        const next = queue.entries[queue.index + 1];
+        if (!queue.playing || queue.gapless === false || queue.armed === (next || null)) return;
+        try {
+            await setTransportUri(call, renderer, next || { uri: '', metadata: '' }, { next: true });
+            queue.gapless = true;
+            queue.armed = next || null;
+        } catch (e) {
+            if (e.status !== 422) throw e;
+            // Clearing may fail where arming works; only a refused entry says no
+            if (next) queue.gapless = false;
+        }
+    }
+
+    async function tick() {
+        if (!queue.playing) {
+            halt();
+            return;
+        }
+        const playback = await readPlayback(call, renderer);
+        const previous = last;
+        last = playback;
+        if (queue.error) {
+            queue.error = null;
+            changed();
+        }
+
+        const current = queue.entries[queue.index];
+        const next = queue.entries[queue.index + 1];
+
+        // The renderer moved on to the entry handed over in advance
+        if (next && queue.armed === next && playback.trackUri === next.uri && next.uri !== current.uri) {
+            queue.index += 1;
+            queue.armed = undefined;
+            await arm();
+            changed();
+            return;
+        }
+
+        if (!STOPPED_STATES.includes(playback.state) || !previous || !PLAYING_STATES.includes(previous.state)) return;
+
+        const ended = !previous.duration || previous.relTime === null ||
+            previous.relTime >= previous.duration - pollInterval / 1000 - END_MARGIN;
+        if (ended && next) {
+            await start(queue.index + 1);
+            return;
+        }
+        queue.playing = false;
+        halt();
+        changed();
+    }
+
+    function play(entries, index = 0) {
+        if (!Array.isArray(entries) || !entries.length) return Promise.reject(statusError(400, 'Nothing to play'));
+        return exclusive(async () => {
+            Object.assign(queue, { entries: [...entries], index: -1, playing: false, armed: undefined });
+            checkIndex(index);
+            await start(index);
+        });
+    }
+
+    function append(entries) {
+        if (!Array.isArray(entries) || !entries.length) return Promise.reject(statusError(400, 'Nothing to add'));
+        return exclusive(async () => {
+            const first = queue.entries.length;
+            queue.entries.push(...entries);
+            if (queue.playing) {
+                await arm();
+                changed();
+            } else {
+                await start(first);
+            }
+        });
+    }
+
+    function jump(index) {
+        return exclusive(async () => {
+            checkIndex(index);
+            await start(index);
+        });
+    }
+
+    function next() {
+        return exclusive(async () => {
+            if (queue.index + 1 >= queue.entries.length) throw statusError(400, 'End of the queue');
+            await start(queue.index + 1);
+        });
+    }
+
+    function previous() {
+        return exclusive(async () => {
+            if (queue.index < 0) throw statusError(400, 'The queue is empty');
+            // Like a CD player: restart the first track
+            await start(Math.max(queue.index - 1, 0));
+        });
+    }
+
+    function remove(index) {
+        return exclusive(async () => {
+            checkIndex(index);
+            queue.entries.splice(index, 1);
+            // Removing the current entry lets it finish; the one after it plays next
+            if (index <= queue.index) queue.index -= 1;
+            await arm();
+            changed();
+        });
+    }
+
+    function clear() {
+        return exclusive(async () => {
+            Object.assign(queue, { entries: [], index: -1, error: null });
+            await arm().catch(() => {});
+            queue.playing = false;
+            halt();
+            changed();
+        });
+    }
+
+    function setPlaying(playing) {
+        if (queue.playing === Boolean(playing) || queue.index < 0) return;
+        queue.playing = Boolean(playing);
+        last = null;
+        if (queue.playing) follow();
+        else halt();
+        changed();
+    }
+
+    return { renderer, snapshot, play, append, jump, next, previous, remove, clear, setPlaying, dispose: halt };
+}
+
+export default createPlayQueue;
@@ -0,0 +1,290 @@
+/**
+ * Vendor plugin module
+ *
+ * Lets device-specific code enrich what the explorer knows about a
+ * device: extra fields read through vendor actions, vendor actions the UI
+ * can run, and a card summarizing them. Plugins are ES modules loaded from
+ * directories, so teams can add plugins for their own hardware without
+ * changing the app.
+ *
+ * A plugin module default-exports (or exports as `plugin`):
+ *
+ *   {
+ *     name: 'linkplay',                // unique, used in routes
+ *     title: 'Linkplay / WiiM',        // card heading (defaults to name)
+ *     match: { manufacturer: /Linkplay/i } | [match, ...] | (device) => boolean,
+ *     async enrich(ctx) -> fields,     // optional, plain JSON object
+ *     card(fields, device) -> { title, rows: [[label, value]] },  // optional
+ *     actions: {                       // optional
+ *       [id]: { label, description, params: [{ name, label, options: [{ value, label }] }],
+ *               async run(ctx, args) -> result }
+ *     }
+ *   }
+ *
+ * `match` compares `manufacturer`, `modelName`, `modelNumber` and
+ * `deviceType` (strings match as substrings, case-insensitively; regular
+ * expressions are tested). Every key of one object must match; an array
+ * matches when any of its objects does.
+ *
+ * Plugins receive a context:
+ *
+ *   {
+ *     device: { udn, friendlyName, manufacturer, modelName, modelNumber,
+ *               deviceType, location, services: [{ serviceId, serviceType }] },
+ *     hasService(name) -> boolean,
+ *     invoke(name, action, args) -> Promise<outputs>
+ *   }
+ *
+ * where `name` is the service name within its type (`AVTransport` for
+ * `urn:...:service:AVTransport:1`) and `invoke` throws on a UPnP fault.
+ *
+ * Provides:
+ *
+ * - `loadPlugins(dirs)` -> Promise<[plugin]>  every valid plugin in `dirs`,
+ *   in file name order; invalid files are reported and skipped
+ * - `createPluginHost({ plugins, call })` -> host with
+ *   - `pluginsFor(entry)` -> [plugin] matching a registry entry
+ *   - `enrich(entry)` -> Promise<vendor>  `{ [name]: { plugin, title,
+ *     fields, card, actions, error, updatedAt } }`
+ *   - `runAction(entry, name, actionId, args)` -> Promise<result>
+ *   - `list()` -> [{ name, title, file, actions }]
+ *
+ * `call(udn, serviceId, action, args)` invokes an action and resolves to
+ * `{ ok, outputs | fault }`, like the host's `callAction`.
+ *
+ * Notes:
+ * - Errors from `runAction` carry `status`: 404 for an unknown plugin or
+ *   action (or a missing service), 422 for a UPnP fault.
+ * - A failing `enrich` does not throw; its message lands in `error`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { servicesOf } from './device-registry.mjs';
+
+const MATCH_KEYS = ['manufacturer', 'modelName', 'modelNumber', 'deviceType'];
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * First text value of an xml2js field, or null.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function first(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    return typeof value === 'object' ? (value._ !== undefined ? String(value._).trim() : null) : String(value).trim();
+}
+
+/**
+ * The plain device description plugins see.
+ * @param {object} entry Registry entry
+ * @returns {object}
+ */
+function deviceInfo(entry) {
+    const device = entry.device || {};
+    return {
+        udn: entry.udn,
+        friendlyName: first(device, 'friendlyName'),
+        manufacturer: first(device, 'manufacturer'),
+        modelName: first(device, 'modelName'),
+        modelNumber: first(device, 'modelNumber'),
+        deviceType: first(device, 'deviceType'),
+        location: entry.location,
+        services: servicesOf(device).map(s => ({ serviceId: first(s, 'serviceId'), serviceType: first(s, 'serviceType') }))
+    };
+}
+
+/**
+ * Check a plugin's shape.
+ * @param {object} plugin
+ * @returns {string|null} What is wrong, or null
+ */
+function validate(plugin) {
+    if (!plugin || typeof plugin !== 'object') return 'no plugin exported';
+    if (!plugin.name || typeof plugin.name !== 'string') return '`name` must be a string';
+    if (!plugin.match) return '`match` is required';
+    if (plugin.enrich && typeof plugin.enrich !== 'function') return '`enrich` must be a function';
+    if (plugin.card && typeof plugin.card !== 'function') return '`card` must be a function';
+    for (const [id, action] of Object.entries(plugin.actions || {})) {
+        if (!action || typeof action.run !== 'function') return `action "${id}" has no run()`;
+    }
+    return null;
+}
+
+/**
+ * Load the plugins found in directories.
+ * @param {Array<string>} dirs
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadPlugins(dirs) {
+    const plugins = [];
+    for (const dir of dirs) {
+        let files;
+        try {
+            files = (await fs.readdir(dir)).filter(f => /\.m?js$/.test(f)).sort();
+        } catch (e) {
+            console.error('plugins: cannot read %s:', dir, e.message);
+            continue;
+        }
+        for (const file of files) {
+            const full = path.resolve(dir, file);
+            try {
+                const mod = await import(pathToFileURL(full).href);
+                const plugin = mod.default || mod.plugin;
+                const problem = validate(plugin);
+                if (problem) throw new Error(problem);
+                if (plugins.some(p => p.name === plugin.name)) throw new Error(`duplicate plugin name "${plugin.name}"`);
+                plugins.push({ ...plugin, file: full });
+            } catch (e) {
+                console.error('plugins: skipping %s:', full, e.message);
+            }
+        }
+    }
+    return plugins;
+}
+
+/**
+ * Whether one value matches a `match` pattern.
+ * @param {string|RegExp} pattern
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+function matchValue(pattern, value) {
+    if (value === null || value === undefined) return false;
+    if (pattern instanceof RegExp) return pattern.test(value);
+    return value.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Whether a plugin applies to a device.
+ * @param {object} plugin
+ * @param {object} device From `deviceInfo`
+ * @returns {boolean}
+ */
+function matches(plugin, device) {
+    if (typeof plugin.match === 'function') return Boolean(plugin.match(device));
+    const rules = Array.isArray(plugin.match) ? plugin.match : [plugin.match];
+    return rules.some(rule => {
+        const keys = MATCH_KEYS.filter(k => rule[k] !== undefined);
+        return keys.length > 0 && keys.every(k => matchValue(rule[k], device[k]));
+    });
+}
+
+/**
+ * Create the host that runs plugins against registry entries.
+ * @param {object} options
+ * @param {Array<object>} options.plugins From `loadPlugins`
+ * @param {Function} options.call
+ * @returns {object}
+ */
+export function createPluginHost({ plugins, call }) {
+    function context(entry) {
+        const device = deviceInfo(entry);
+        const find = (name) => device.services.find(s => new RegExp(`:service:${name}:\\d+$`).test(s.serviceType || ''));
+        return {
+            device,
+            hasService: (name) => Boolean(find(name)),
+            async invoke(name, action, args = {}) {
+                const service = find(name);
+                if (!service) throw statusError(404, `Device has no ${name} service`);
+                const result = await call(entry.udn, service.serviceId, action, args);
+                if (!result.ok) {
+                    const fault = result.fault || {};
+                    const err = statusError(422, `${action} failed: ${fault.errorDescription || fault.faultString || 'UPnP fault'}` +
+                        (fault.errorCode ? ` (${fault.errorCode})` : ''));
+                    err.fault = fault;
+                    throw err;
+                }
+                return result.outputs || {};
+            }
+        };
+    }
+
+    function pluginsFor(entry) {
+        const device = deviceInfo(entry);
+        return plugins.filter(p => {
+            try {
+                return matches(p, device);
+            } catch (e) {
+                console.error('plugins: %s match failed:', p.name, e.message);
+                return false;
+            }
+        });
+    }
+
+    // Fields shown when a plugin has no card of its own
+    function defaultCard(plugin, fields) {
+        return {
+            title: plugin.title || plugin.name,
+            rows: Object.entries(fields || {})
+                .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+                .map(([key, value]) => [key, String(value)])
+        };
+    }
+
+    async function enrich(entry) {
+        const ctx = context(entry);
+        const vendor = {};
+        for (const plugin of pluginsFor(entry)) {
+            const result = {
+                plugin: plugin.name,
+                title: plugin.title || plugin.name,
+                fields: {},
+                card: null,
+                actions: Object.entries(plugin.actions || {}).map(([id, a]) => ({
+                    id,
+                    label: a.label || id,
+                    description: a.description || null,
+                    params: a.params || []
+                })),
+                error: null,
+                updatedAt: Date.now()
+            };
+            try {
+                result.fields = plugin.enrich ? (await plugin.enrich(ctx)) || {} : {};
+                result.card = plugin.card ? plugin.card(result.fields, ctx.device) : defaultCard(plugin, result.fields);
+            } catch (e) {
+                result.error = e.message;
+            }
+            vendor[plugin.name] = result;
+        }
+        return vendor;
+    }
+
+    async function runAction(entry, name, actionId, args) {
+        const plugin = pluginsFor(entry).find(p => p.name === name);
+        if (!plugin) throw statusError(404, `Plugin "${name}" does not apply to this device`);
+        const actions = plugin.actions || {};
+        if (!Object.prototype.hasOwnProperty.call(actions, actionId)) {
+            throw statusError(404, `Plugin "${name}" has no action "${actionId}"`);
+        }
+        return actions[actionId].run(context(entry), args || {});
+    }
+
+    function list() {
+        return plugins.map(p => ({
+            name: p.name,
+            title: p.title || p.name,
+            file: p.file,
+            actions: Object.keys(p.actions || {})
+        }));
+    }
+
+    return { pluginsFor, enrich, runAction, list };
+}
+
+export default loadPlugins;
@@ -0,0 +1,163 @@
+/**
+ * Linkplay plugin (WiiM, Arylic, Audio Pro and other Linkplay-based
+ * streamers)
+ *
+ * Linkplay renderers answer a vendor-only `AVTransport.GetInfoEx` action
+ * that returns transport, volume, multiroom and device status in one
+ * call, mostly as numeric codes and JSON strings. This plugin decodes it
+ * into readable fields (see `decodeInfoEx`) and offers the loop mode of the
+ * device's own play queue as an action.
+ *
+ * See `../plugins.mjs` for the plugin interface.
+ */
+
+import { parseDidl, parseDuration } from '../didl.mjs';
+
+// LoopMode of GetInfoEx and SetQueueLoopMode
+const LOOP_MODES = {
+    0: 'Repeat all',
+    1: 'Repeat one',
+    2: 'Shuffle, repeat all',
+    3: 'Shuffle',
+    4: 'No repeat',
+    5: 'Shuffle, repeat one'
+};
+
+const CHANNELS = { 0: 'Stereo', 1: 'Left', 2: 'Right' };
+
+/**
+ * Parse a JSON string field, or null.
+ * @param {string} value
+ * @returns {*}
+ */
+function json(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Number of a numeric string field, or null.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function number(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Turn GetInfoEx outputs into readable fields.
+ * @param {object} outputs
+ * @returns {Promise<object>}
+ */
+export async function decodeInfoEx(outputs) {
+    let track = null;
+    try {
+        track = (await parseDidl(outputs.TrackMetaData)).items[0] || null;
+    } catch {
+        // Some sources put plain text here
+    }
+
+    const loopMode = number(outputs.LoopMode);
+    const channel = number(outputs.CurrentChannel);
+    const slaves = json(outputs.SlaveList);
+    const followers = slaves && Array.isArray(slaves.slave_list)
+        ? slaves.slave_list.map(s => ({ name: s.name || null, ip: s.ip || null, uuid: s.uuid || null }))
+        : [];
+
+    let groupRole = 'Standalone';
+    if (outputs.SlaveFlag === '1') groupRole = 'Follower';
+    else if (followers.length) groupRole = 'Leader';
+
+    return {
+        transportState: outputs.CurrentTransportState || null,
+        title: track ? track.title : null,
+        artist: track ? track.artist || track.creator : null,
+        album: track ? track.album : null,
+        position: parseDuration(outputs.RelTime),
+        duration: parseDuration(outputs.TrackDuration) || null,
+        source: outputs.TrackSource || null,
+        playMedium: outputs.PlayMedium || null,
+        loopMode,
+        loopModeLabel: loopMode === null ? null : LOOP_MODES[loopMode] || `Mode ${loopMode}`,
+        volume: number(outputs.CurrentVolume),
+        channel: channel === null ? null : CHANNELS[channel] || `Channel ${channel}`,
+        groupRole,
+        groupLeader: outputs.SlaveFlag === '1' ? outputs.MasterUUID || null : null,
+        followers,
+        internetAccess: outputs.InternetAccess === undefined ? null : outputs.InternetAccess === '1',
+        battery: outputs.BatteryFlag === '1' ? number(outputs.BatteryPercent) : null,
+        firmwareUpdate: outputs.VerUpdateFlag === '1' ? outputs.VerUpdateStatus || 'available' : null,
+        raw: outputs
+    };
+}
+
+/**
+ * Seconds -> `M:SS`.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function clock(seconds) {
+    const s = Math.floor(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export default {
+    name: 'linkplay',
+    title: 'Linkplay',
+    // The root MediaRenderer of the streamer carries the vendor actions
+    match: [
+        { manufacturer: 'linkplay', deviceType: 'MediaRenderer' },
+        { modelName: 'wiim', deviceType: 'MediaRenderer' }
+    ],
+
+    async enrich(ctx) {
+        return decodeInfoEx(await ctx.invoke('AVTransport', 'GetInfoEx', { InstanceID: 0 }));
+    },
+
+    card(fields, device) {
+        const rows = [
+            ['State', fields.transportState],
+            ['Playing', [fields.title, fields.artist].filter(Boolean).join(' — ') || null],
+            ['Position', fields.position !== null && fields.duration ? `${clock(fields.position)} / ${clock(fields.duration)}` : null],
+            ['Source', [fields.source, fields.playMedium].filter(Boolean).join(' • ') || null],
+            ['Loop mode', fields.loopModeLabel],
+            ['Volume', fields.volume !== null ? `${fields.volume} (${fields.channel || 'Stereo'})` : null],
+            ['Multiroom', fields.groupRole +
+                (fields.followers.length ? `: ${fields.followers.map(f => f.name || f.ip).join(', ')}` : '') +
+                (fields.groupLeader ? ` of ${fields.groupLeader}` : '')],
+            ['Internet', fields.internetAccess === null ? null : fields.internetAccess ? 'Connected' : 'No access'],
+            ['Battery', fields.battery !== null ? `${fields.battery}%` : null],
+            ['Firmware update', fields.firmwareUpdate]
+        ];
+        return {
+            title: `${device.modelName || 'Linkplay'} (GetInfoEx)`,
+            rows: rows.filter(([, value]) => value !== null && value !== undefined && value !== '')
+        };
+    },
+
+    actions: {
+        setLoopMode: {
+            label: 'Set loop mode',
+            description: 'Loop mode of the device\'s own play queue (wiimu PlayQueue service)',
+            params: [{
+                name: 'mode',
+                label: 'Mode',
+                options: Object.entries(LOOP_MODES).map(([value, label]) => ({ value, label }))
+            }],
+            async run(ctx, { mode }) {
+                if (!Object.prototype.hasOwnProperty.call(LOOP_MODES, mode)) {
+                    const err = new Error(`mode must be one of ${Object.keys(LOOP_MODES).join(', ')}`);
+                    err.status = 400;
+                    throw err;
+                }
+                await ctx.invoke('PlayQueue', 'SetQueueLoopMode', { LoopMode: Number(mode) });
+                return { loopMode: Number(mode), loopModeLabel: LOOP_MODES[mode] };
+            }
+        }
+    }
+};
@@ -0,0 +1,482 @@
+/**
+ * MediaRenderer profile for the virtual device
+ *
+ * A basic UPnP AV MediaRenderer:1 with AVTransport, RenderingControl and
+ * ConnectionManager (see `virtual-device.mjs` for the profile shape).
+ * State lives in memory and nothing is actually played: the transport
+ * moves between states and the position advances with the clock, so
+ * control points see a renderer that behaves plausibly.
+ *
+ * Default export: `createProfile({ friendlyName })` -> profile. Each call
+ * builds a renderer with its own state.
+ *
+ * Notes:
+ * - Only instance 0 exists (InstanceID / ConnectionID other than 0 are
+ *   rejected with 718 / 702 / 706).
+ * - Track duration is read from the `duration` attribute of the `<res>`
+ *   element in the DIDL-Lite metadata; without it the position keeps
+ *   running until Stop.
+ * - Playback does not loop: at the end of a track the renderer moves on to
+ *   the next URI (SetNextAVTransportURI) or stops.
+ */
+
+import { upnpError } from '../virtual-device.mjs';
+import { parseDuration, formatDuration } from '../didl.mjs';
+
+const AVT = 'urn:schemas-upnp-org:service:AVTransport:1';
+const RCS = 'urn:schemas-upnp-org:service:RenderingControl:1';
+const CMS = 'urn:schemas-upnp-org:service:ConnectionManager:1';
+
+const SINK_PROTOCOL_INFO = [
+    'http-get:*:audio/mpeg:*',
+    'http-get:*:audio/mp4:*',
+    'http-get:*:audio/aac:*',
+    'http-get:*:audio/flac:*',
+    'http-get:*:audio/x-flac:*',
+    'http-get:*:audio/wav:*',
+    'http-get:*:audio/L16;rate=44100;channels=2:*',
+    'http-get:*:audio/ogg:*',
+    'http-get:*:video/mp4:*',
+    'http-get:*:image/jpeg:*',
+    'http-get:*:image/png:*'
+].join(',');
+
+const TRANSPORT_STATES = ['STOPPED', 'PLAYING', 'PAUSED_PLAYBACK', 'TRANSITIONING', 'NO_MEDIA_PRESENT'];
+const PLAY_MODES = ['NORMAL', 'REPEAT_ONE', 'REPEAT_ALL', 'SHUFFLE'];
+const DEFAULT_VOLUME = 20;
+
+/**
+ * State variable definition in the shape `scpd.mjs` produces.
+ * @param {string} name
+ * @param {string} dataType
+ * @param {object} [extra] defaultValue, sendEvents, allowedValueList, allowedValueRange
+ * @returns {object}
+ */
+function sv(name, dataType, extra = {}) {
+    return {
+        name,
+        dataType,
+        defaultValue: null,
+        sendEvents: false,
+        multicast: false,
+        allowedValueList: null,
+        allowedValueRange: null,
+        ...extra
+    };
+}
+
+/**
+ * Action definition; arguments are `[name, relatedStateVariable]` pairs.
+ * @param {string} name
+ * @param {Array<Array<string>>} inputs
+ * @param {Array<Array<string>>} outputs
+ * @returns {object}
+ */
+function action(name, inputs = [], outputs = []) {
+    const arg = ([argName, relatedStateVariable]) => ({ name: argName, relatedStateVariable });
+    return { name, inputs: inputs.map(arg), outputs: outputs.map(arg) };
+}
+
+/**
+ * Track duration (seconds) from DIDL-Lite metadata, or 0 when unknown.
+ * @param {string} metadata
+ * @returns {number}
+ */
+function durationOf(metadata) {
+    const match = /<res\b[^>]*\sduration="([^"]+)"/i.exec(metadata || '');
+    return (match && parseDuration(match[1])) || 0;
+}
+
+/**
+ * Build a MediaRenderer profile.
+ * @param {object} [options]
+ * @param {string} [options.friendlyName]
+ * @returns {object}
+ */
+export function createProfile({ friendlyName = 'UPnP Explorer Renderer' } = {}) {
+    const transport = {
+        state: 'NO_MEDIA_PRESENT',
+        status: 'OK',
+        playMode: 'NORMAL',
+        uri: '',
+        metadata: '',
+        nextUri: '',
+        nextMetadata: '',
+        duration: 0,
+        // Position (s) when `since` was taken; advances while PLAYING
+        position: 0,
+        since: null
+    };
+    const rendering = { volume: DEFAULT_VOLUME, mute: false };
+
+    function checkInstance(args, code) {
+        if (Number(args.InstanceID) !== 0) throw upnpError(code, 'Invalid InstanceID');
+    }
+
+    function load(uri, metadata) {
+        transport.uri = uri;
+        transport.metadata = metadata;
+        transport.duration = durationOf(metadata);
+        transport.position = 0;
+        transport.since = transport.state === 'PLAYING' ? Date.now() : null;
+        if (!uri) {
+            transport.state = 'NO_MEDIA_PRESENT';
+            transport.since = null;
+        } else if (transport.state === 'NO_MEDIA_PRESENT') {
+            transport.state = 'STOPPED';
+        }
+    }
+
+    // Bring the position up to date; move on to the next URI (or stop)
+    // once the current track has ended
+    function tick() {
+        if (transport.state !== 'PLAYING' || transport.since === null) return;
+        const now = Date.now();
+        transport.position += (now - transport.since) / 1000;
+        transport.since = now;
+        if (!transport.duration || transport.position < transport.duration) return;
+
+        if (transport.nextUri) {
+            const { nextUri, nextMetadata } = transport;
+            transport.nextUri = '';
+            transport.nextMetadata = '';
+            load(nextUri, nextMetadata);
+        } else {
+            transport.state = 'STOPPED';
+            transport.position = 0;
+            transport.since = null;
+        }
+    }
+
+    function currentActions() {
+        switch (transport.state) {
+            case 'PLAYING': return 'Stop,Pause,Seek,Next,Previous';
+            case 'PAUSED_PLAYBACK': return 'Play,Stop,Seek,Next,Previous';
+            case 'STOPPED': return 'Play,Seek,Next,Previous';
+            default: return '';
+        }
+    }
+
+    const avTransport = {
+        id: 'AVTransport',
+        serviceType: AVT,
+        serviceId: 'urn:upnp-org:serviceId:AVTransport',
+        stateVariables: [
+            sv('TransportState', 'string', { defaultValue: 'NO_MEDIA_PRESENT', allowedValueList: TRANSPORT_STATES }),
+            sv('TransportStatus', 'string', { allowedValueList: ['OK', 'ERROR_OCCURRED'] }),
+            sv('PlaybackStorageMedium', 'string', { allowedValueList: ['NONE', 'NETWORK'] }),
+            sv('RecordStorageMedium', 'string', { allowedValueList: ['NOT_IMPLEMENTED'] }),
+            sv('PossiblePlaybackStorageMedia', 'string'),
+            sv('PossibleRecordStorageMedia', 'string'),
+            sv('CurrentPlayMode', 'string', { defaultValue: 'NORMAL', allowedValueList: PLAY_MODES }),
+            sv('TransportPlaySpeed', 'string', { defaultValue: '1', allowedValueList: ['1'] }),
+            sv('RecordMediumWriteStatus', 'string', { allowedValueList: ['NOT_IMPLEMENTED'] }),
+            sv('CurrentRecordQualityMode', 'string', { allowedValueList: ['NOT_IMPLEMENTED'] }),
+            sv('PossibleRecordQualityModes', 'string'),
+            sv('NumberOfTracks', 'ui4', { allowedValueRange: { minimum: '0', maximum: '1', step: null } }),
+            sv('CurrentTrack', 'ui4', { allowedValueRange: { minimum: '0', maximum: '1', step: '1' } }),
+            sv('CurrentTrackDuration', 'string'),
+            sv('CurrentMediaDuration', 'string'),
+            sv('CurrentTrackMetaData', 'string'),
+            sv('CurrentTrackURI', 'string'),
+            sv('AVTransportURI', 'string'),
+            sv('AVTransportURIMetaData', 'string'),
+            sv('NextAVTransportURI', 'string'),
+            sv('NextAVTransportURIMetaData', 'string'),
+            sv('RelativeTimePosition', 'string'),
+            sv('AbsoluteTimePosition', 'string'),
+            sv('RelativeCounterPosition', 'i4'),
+            sv('AbsoluteCounterPosition', 'i4'),
+            sv('CurrentTransportActions', 'string'),
+            sv('LastChange', 'string'),
+            sv('A_ARG_TYPE_SeekMode', 'string', { allowedValueList: ['REL_TIME', 'ABS_TIME', 'TRACK_NR'] }),
+            sv('A_ARG_TYPE_SeekTarget', 'string'),
+            sv('A_ARG_TYPE_InstanceID', 'ui4')
+        ],
+        actions: [
+            action('SetAVTransportURI',
+                [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['CurrentURI', 'AVTransportURI'], ['CurrentURIMetaData', 'AVTransportURIMetaData']]),
+            action('SetNextAVTransportURI',
+                [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['NextURI', 'NextAVTransportURI'], ['NextURIMetaData', 'NextAVTransportURIMetaData']]),
+            action('GetMediaInfo', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['NrTracks', 'NumberOfTracks'],
+                ['MediaDuration', 'CurrentMediaDuration'],
+                ['CurrentURI', 'AVTransportURI'],
+                ['CurrentURIMetaData', 'AVTransportURIMetaData'],
+                ['NextURI', 'NextAVTransportURI'],
+                ['NextURIMetaData', 'NextAVTransportURIMetaData'],
+                ['PlayMedium', 'PlaybackStorageMedium'],
+                ['RecordMedium', 'RecordStorageMedium'],
+                ['WriteStatus', 'RecordMediumWriteStatus']
+            ]),
+            action('GetTransportInfo', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['CurrentTransportState', 'TransportState'],
+                ['CurrentTransportStatus', 'TransportStatus'],
+                ['CurrentSpeed', 'TransportPlaySpeed']
+            ]),
+            action('GetPositionInfo', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['Track', 'CurrentTrack'],
+                ['TrackDuration', 'CurrentTrackDuration'],
+                ['TrackMetaData', 'CurrentTrackMetaData'],
+                ['TrackURI', 'CurrentTrackURI'],
+                ['RelTime', 'RelativeTimePosition'],
+                ['AbsTime', 'AbsoluteTimePosition'],
+                ['RelCount', 'RelativeCounterPosition'],
+                ['AbsCount', 'AbsoluteCounterPosition']
+            ]),
+            action('GetDeviceCapabilities', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['PlayMedia', 'PossiblePlaybackStorageMedia'],
+                ['RecMedia', 'PossibleRecordStorageMedia'],
+                ['RecQualityModes', 'PossibleRecordQualityModes']
+            ]),
+            action('GetTransportSettings', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['PlayMode', 'CurrentPlayMode'],
+                ['RecQualityMode', 'CurrentRecordQualityMode']
+            ]),
+            action('GetCurrentTransportActions', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [
+                ['Actions', 'CurrentTransportActions']
+            ]),
+            action('Stop', [['InstanceID', 'A_ARG_TYPE_InstanceID']]),
+            action('Play', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Speed', 'TransportPlaySpeed']]),
+            action('Pause', [['InstanceID', 'A_ARG_TYPE_InstanceID']]),
+            action('Seek', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Unit', 'A_ARG_TYPE_SeekMode'], ['Target', 'A_ARG_TYPE_SeekTarget']]),
+            action('Next', [['InstanceID', 'A_ARG_TYPE_InstanceID']]),
+            action('Previous', [['InstanceID', 'A_ARG_TYPE_InstanceID']]),
+            action('SetPlayMode', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['NewPlayMode', 'CurrentPlayMode']])
+        ],
+        handlers: {
+            SetAVTransportURI(args) {
+                checkInstance(args, 718);
+                tick();
+                load(args.CurrentURI, args.CurrentURIMetaData);
+            },
+            SetNextAVTransportURI(args) {
+                checkInstance(args, 718);
+                transport.nextUri = args.NextURI;
+                transport.nextMetadata = args.NextURIMetaData;
+            },
+            GetMediaInfo(args) {
+                checkInstance(args, 718);
+                return {
+                    NrTracks: transport.uri ? 1 : 0,
+                    MediaDuration: formatDuration(transport.duration),
+                    CurrentURI: transport.uri,
+                    CurrentURIMetaData: transport.metadata,
+                    NextURI: transport.nextUri,
+                    NextURIMetaData: transport.nextMetadata,
+                    PlayMedium: transport.uri ? 'NETWORK' : 'NONE',
+                    RecordMedium: 'NOT_IMPLEMENTED',
+                    WriteStatus: 'NOT_IMPLEMENTED'
+                };
+            },
+            GetTransportInfo(args) {
+                checkInstance(args, 718);
+                tick();
+                return {
+                    CurrentTransportState: transport.state,
+                    CurrentTransportStatus: transport.status,
+                    CurrentSpeed: '1'
+                };
+            },
+            GetPositionInfo(args) {
+                checkInstance(args, 718);
+                tick();
+                const seconds = Math.floor(transport.position);
+                return {
+                    Track: transport.uri ? 1 : 0,
+                    TrackDuration: formatDuration(transport.duration),
+                    TrackMetaData: transport.metadata,
+                    TrackURI: transport.uri,
+                    RelTime: formatDuration(seconds),
+                    AbsTime: formatDuration(seconds),
+                    RelCount: seconds,
+                    AbsCount: seconds
+                };
+            },
+            GetDeviceCapabilities(args) {
+                checkInstance(args, 718);
+                return { PlayMedia: 'NETWORK', RecMedia: 'NOT_IMPLEMENTED', RecQualityModes: 'NOT_IMPLEMENTED' };
+            },
+            GetTransportSettings(args) {
+                checkInstance(args, 718);
+                return { PlayMode: transport.playMode, RecQualityMode: 'NOT_IMPLEMENTED' };
+            },
+            GetCurrentTransportActions(args) {
+                checkInstance(args, 718);
+                tick();
+                return { Actions: currentActions() };
+            },
+            Stop(args) {
+                checkInstance(args, 718);
+                if (transport.state === 'NO_MEDIA_PRESENT') throw upnpError(701, 'Transition not available');
+                transport.state = 'STOPPED';
+                transport.position = 0;
+                transport.since = null;
+            },
+            Play(args) {
+                checkInstance(args, 718);
+                if (transport.state === 'NO_MEDIA_PRESENT') throw upnpError(701, 'Transition not available');
+                if (transport.state !== 'PLAYING') {
+                    transport.state = 'PLAYING';
+                    transport.since = Date.now();
+                }
+            },
+            Pause(args) {
+                checkInstance(args, 718);
+                if (transport.state !== 'PLAYING') throw upnpError(701, 'Transition not available');
+                tick();
+                transport.state = 'PAUSED_PLAYBACK';
+                transport.since = null;
+            },
+            Seek(args) {
+                checkInstance(args, 718);
+                if (transport.state === 'NO_MEDIA_PRESENT') throw upnpError(701, 'Transition not available');
+                let target;
+                if (args.Unit === 'TRACK_NR') {
+                    if (Number(args.Target) !== 1) throw upnpError(711, 'Illegal seek target');
+                    target = 0;
+                } else {
+                    target = parseDuration(args.Target);
+                }
+                if (target === null || (transport.duration && target > transport.duration)) {
+                    throw upnpError(711, 'Illegal seek target');
+                }
+                transport.position = target;
+                if (transport.state === 'PLAYING') transport.since = Date.now();
+            },
+            Next(args) {
+                checkInstance(args, 718);
+                if (!transport.nextUri) throw upnpError(711, 'Illegal seek target');
+                const { nextUri, nextMetadata } = transport;
+                transport.nextUri = '';
+                transport.nextMetadata = '';
+                load(nextUri, nextMetadata);
+            },
+            Previous(args) {
+                checkInstance(args, 718);
+                if (transport.state === 'NO_MEDIA_PRESENT') throw upnpError(701, 'Transition not available');
+                transport.position = 0;
+                if (transport.state === 'PLAYING') transport.since = Date.now();
+            },
+            SetPlayMode(args) {
+                checkInstance(args, 718);
+                transport.playMode = args.NewPlayMode;
+            }
+        }
+    };
+
+    const renderingControl = {
+        id: 'RenderingControl',
+        serviceType: RCS,
+        serviceId: 'urn:upnp-org:serviceId:RenderingControl',
+        stateVariables: [
+            sv('PresetNameList', 'string', { defaultValue: 'FactoryDefaults' }),
+            sv('Mute', 'boolean', { defaultValue: '0' }),
+            sv('Volume', 'ui2', { defaultValue: String(DEFAULT_VOLUME), allowedValueRange: { minimum: '0', maximum: '100', step: '1' } }),
+            sv('LastChange', 'string'),
+            sv('A_ARG_TYPE_Channel', 'string', { allowedValueList: ['Master'] }),
+            sv('A_ARG_TYPE_InstanceID', 'ui4'),
+            sv('A_ARG_TYPE_PresetName', 'string', { allowedValueList: ['FactoryDefaults'] })
+        ],
+        actions: [
+            action('ListPresets', [['InstanceID', 'A_ARG_TYPE_InstanceID']], [['CurrentPresetNameList', 'PresetNameList']]),
+            action('SelectPreset', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['PresetName', 'A_ARG_TYPE_PresetName']]),
+            action('GetMute', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Channel', 'A_ARG_TYPE_Channel']], [['CurrentMute', 'Mute']]),
+            action('SetMute', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Channel', 'A_ARG_TYPE_Channel'], ['DesiredMute', 'Mute']]),
+            action('GetVolume', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Channel', 'A_ARG_TYPE_Channel']], [['CurrentVolume', 'Volume']]),
+            action('SetVolume', [['InstanceID', 'A_ARG_TYPE_InstanceID'], ['Channel', 'A_ARG_TYPE_Channel'], ['DesiredVolume', 'Volume']])
+        ],
+        handlers: {
+            ListPresets(args) {
+                checkInstance(args, 702);
+                return { CurrentPresetNameList: 'FactoryDefaults' };
+            },
+            SelectPreset(args) {
+                checkInstance(args, 702);
+                rendering.volume = DEFAULT_VOLUME;
+                rendering.mute = false;
+            },
+            GetMute(args) {
+                checkInstance(args, 702);
+                return { CurrentMute: rendering.mute ? '1' : '0' };
+            },
+            SetMute(args) {
+                checkInstance(args, 702);
+                rendering.mute = ['1', 'true', 'yes'].includes(args.DesiredMute.trim().toLowerCase());
+            },
+            GetVolume(args) {
+                checkInstance(args, 702);
+                return { CurrentVolume: rendering.volume };
+            },
+            SetVolume(args) {
+                checkInstance(args, 702);
+                rendering.volume = Number(args.DesiredVolume);
+            }
+        }
+    };
+
+    const connectionManager = {
+        id: 'ConnectionManager',
+        serviceType: CMS,
+        serviceId: 'urn:upnp-org:serviceId:ConnectionManager',
+        stateVariables: [
+            sv('SourceProtocolInfo', 'string'),
+            sv('SinkProtocolInfo', 'string'),
+            sv('CurrentConnectionIDs', 'string'),
+            sv('A_ARG_TYPE_ConnectionStatus', 'string', {
+                allowedValueList: ['OK', 'ContentFormatMismatch', 'InsufficientBandwidth', 'UnreliableChannel', 'Unknown']
+            }),
+            sv('A_ARG_TYPE_ConnectionManager', 'string'),
+            sv('A_ARG_TYPE_Direction', 'string', { allowedValueList: ['Input', 'Output'] }),
+            sv('A_ARG_TYPE_ProtocolInfo', 'string'),
+            sv('A_ARG_TYPE_ConnectionID', 'i4'),
+            sv('A_ARG_TYPE_AVTransportID', 'i4'),
+            sv('A_ARG_TYPE_RcsID', 'i4')
+        ],
+        actions: [
+            action('GetProtocolInfo', [], [['Source', 'SourceProtocolInfo'], ['Sink', 'SinkProtocolInfo']]),
+            action('GetCurrentConnectionIDs', [], [['ConnectionIDs', 'CurrentConnectionIDs']]),
+            action('GetCurrentConnectionInfo', [['ConnectionID', 'A_ARG_TYPE_ConnectionID']], [
+                ['RcsID', 'A_ARG_TYPE_RcsID'],
+                ['AVTransportID', 'A_ARG_TYPE_AVTransportID'],
+                ['ProtocolInfo', 'A_ARG_TYPE_ProtocolInfo'],
+                ['PeerConnectionManager', 'A_ARG_TYPE_ConnectionManager'],
+                ['PeerConnectionID', 'A_ARG_TYPE_ConnectionID'],
+                ['Direction', 'A_ARG_TYPE_Direction'],
+                ['Status', 'A_ARG_TYPE_ConnectionStatus']
+            ])
+        ],
+        handlers: {
+            GetProtocolInfo() {
+                return { Source: '', Sink: SINK_PROTOCOL_INFO };
+            },
+            GetCurrentConnectionIDs() {
+                return { ConnectionIDs: '0' };
+            },
+            GetCurrentConnectionInfo(args) {
+                if (Number(args.ConnectionID) !== 0) throw upnpError(706, 'Invalid connection reference');
+                return {
+                    RcsID: 0,
+                    AVTransportID: 0,
+                    ProtocolInfo: '',
+                    PeerConnectionManager: '',
+                    PeerConnectionID: -1,
+                    Direction: 'Input',
+                    Status: 'OK'
+                };
+            }
+        }
+    };
+
+    return {
+        deviceType: 'urn:schemas-upnp-org:device:MediaRenderer:1',
+        friendlyName,
+        manufacturer: 'test-ssdp',
+        modelName: 'Virtual MediaRenderer',
+        modelDescription: 'In-memory UPnP AV renderer served by the explorer',
+        modelNumber: '1',
+        services: [avTransport, renderingControl, connectionManager]
+    };
+}
+
+export default createProfile;
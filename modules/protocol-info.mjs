@@ -0,0 +1,148 @@
+/**
+ * protocolInfo module
+ *
+ * Decides whether a renderer can play a resource by comparing the
+ * resource's `protocolInfo` (from DIDL-Lite `<res>`) with the sink list a
+ * renderer's ConnectionManager returns from `GetProtocolInfo`.
+ *
+ * A protocolInfo is `<protocol>:<network>:<contentFormat>:<additionalInfo>`,
+ * e.g. `http-get:*:audio/mpeg:DLNA.ORG_PN=MP3`.
+ *
+ * Exports:
+ *
+ * - `parseProtocolInfo(value)` -> `{ protocol, network, contentFormat,
+ *   additionalInfo, profile }` | null
+ * - `parseSinkList(value)` -> [string]  the comma-separated `Sink` output
+ * - `matchesSink(protocolInfo, sinks)` -> boolean
+ * - `pickResource(entry, sinks)` -> res | null  first resource of a
+ *   DIDL-Lite entry the renderer accepts; without a sink list (renderer
+ *   does not say) the first `http-get` resource is used
+ * - `guessProtocolInfo(url)` -> protocolInfo from the URL's extension
+ *
+ * Notes:
+ * - Content formats are compared without parameters (`audio/L16;rate=...`
+ *   matches `audio/L16`) and case-insensitively; `*` and `type/*` in a sink
+ *   match any format of that kind.
+ * - The DLNA profile (`DLNA.ORG_PN`) only has to match when both sides
+ *   declare one.
+ * - A resource of unknown format (`*`, e.g. a pasted URL without a known
+ *   extension) cannot be checked and is accepted by any sink of its
+ *   protocol.
+ */
+
+// Extension -> content format for pasted URLs
+const MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    flac: 'audio/flac',
+    wav: 'audio/wav',
+    aac: 'audio/aac',
+    m4a: 'audio/mp4',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    wma: 'audio/x-ms-wma',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mkv: 'video/x-matroska',
+    webm: 'video/webm',
+    avi: 'video/x-msvideo',
+    mov: 'video/quicktime',
+    ts: 'video/mp2t',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    m3u8: 'application/vnd.apple.mpegurl'
+};
+
+/**
+ * Split a protocolInfo into its fields.
+ * @param {string} value
+ * @returns {object|null}
+ */
+export function parseProtocolInfo(value) {
+    const parts = String(value || '').trim().split(':');
+    if (parts.length < 4) return null;
+    const [protocol, network, contentFormat] = parts;
+    // The additional info may itself contain colons
+    const additionalInfo = parts.slice(3).join(':');
+    const profile = /(?:^|;)DLNA\.ORG_PN=([^;]+)/.exec(additionalInfo);
+    return {
+        protocol: protocol.toLowerCase(),
+        network,
+        contentFormat: contentFormat.split(';')[0].trim().toLowerCase(),
+        additionalInfo,
+        profile: profile ? profile[1] : null
+    };
+}
+
+/**
+ * Split the `Sink` output of `GetProtocolInfo`.
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+export function parseSinkList(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a content format accepts another, honouring `*` and `type/*`.
+ * @param {string} sink
+ * @param {string} source
+ * @returns {boolean}
+ */
+function formatMatches(sink, source) {
+    if (sink === '*' || sink === source) return true;
+    if (sink.endsWith('/*')) return source.startsWith(sink.slice(0, -1));
+    return false;
+}
+
+/**
+ * Whether any sink accepts the resource.
+ * @param {string} protocolInfo
+ * @param {Array<string>} sinks
+ * @returns {boolean}
+ */
+export function matchesSink(protocolInfo, sinks) {
+    const source = parseProtocolInfo(protocolInfo);
+    if (!source) return false;
+    return sinks.some((value) => {
+        const sink = parseProtocolInfo(value);
+        if (!sink) return false;
+        if (sink.protocol !== '*' && sink.protocol !== source.protocol) return false;
+        if (source.contentFormat === '*') return true;
+        if (!formatMatches(sink.contentFormat, source.contentFormat)) return false;
+        return !sink.profile || !source.profile || sink.profile === source.profile;
+    });
+}
+
+/**
+ * Pick the resource to play.
+ * @param {object} entry DIDL-Lite item, see `didl.mjs`
+ * @param {Array<string>|null} sinks Null when the renderer's sink list is unknown
+ * @returns {object|null}
+ */
+export function pickResource(entry, sinks) {
+    const streamable = (entry.res || []).filter(r => r.uri && /^http-get:/i.test(r.protocolInfo || 'http-get:'));
+    if (!sinks) return streamable[0] || null;
+    return streamable.find(r => matchesSink(r.protocolInfo, sinks)) || null;
+}
+
+/**
+ * Guess a protocolInfo for a URL from its file extension.
+ * @param {string} url
+ * @returns {string}
+ */
+export function guessProtocolInfo(url) {
+    let pathname = '';
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        // Not a URL: no extension to go by
+    }
+    const extension = (/\.([a-z0-9]+)$/i.exec(pathname) || [])[1];
+    const mime = extension ? MIME_TYPES[extension.toLowerCase()] : null;
+    return `http-get:*:${mime || '*'}:*`;
+}
+
+export default matchesSink;
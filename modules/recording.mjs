@@ -0,0 +1,220 @@
+/**
+ * SSDP recording module
+ *
+ * Captures what discovery sees on a real network into a fixture bundle
+ * on disk, and serves it back later, so the explorer can run without the
+ * devices: offline demos, sharing a captured network, server tests.
+ *
+ * A bundle is a directory:
+ *
+ *   <dir>/manifest.json
+ *     {
+ *       version, recordedAt,
+ *       searches: [{ at, st, mx }],
+ *       ssdp: [{ at, type: 'response'|'notify', search, delay, headers, rinfo }],
+ *       documents: { [url]: { file, fetchedAt } | { error, code, fetchedAt } }
+ *     }
+ *   <dir>/documents/<hash>.xml   description and SCPD bodies, as fetched
+ *
+ * `at` is ms since the recording started; for responses, `search` is the
+ * index of the M-SEARCH they answered and `delay` the ms since it was sent.
+ *
+ * Provides:
+ *
+ * - `createRecorder({ dir })` -> recorder with
+ *   - `search(st, mx)` note an M-SEARCH being sent
+ *   - `ssdp(type, headers, rinfo)` record a response or NOTIFY
+ *   - `wrapFetch(fetch)` -> fetch that records every body (or failure)
+ *   - `flush()` -> Promise<void> write the manifest now
+ * - `openRecording(dir)` -> Promise<recording> with
+ *   - `fetch(url)` -> Promise<string> the recorded body; rejects like the
+ *     original fetch did, or when the URL was never fetched
+ *   - `responses(st)` -> recorded M-SEARCH responses matching `st`, one
+ *     per USN and LOCATION
+ *   - `notifies()` -> recorded NOTIFYs, in order
+ * - `schedule(events, handler, { timing, key })` -> cancel function; runs
+ *   `handler(event)` for each event, spaced by `event[key]` ms when
+ *   `timing` is set, otherwise all at once on the next tick.
+ *
+ * Usage:
+ *
+ * const recorder = createRecorder({ dir: 'fixtures/home' });
+ * const registry = createRegistry({ fetch: recorder.wrapFetch(httpGet) });
+ * startDiscovery({ describe: registry.describe, recorder });
+ *
+ * const recording = await openRecording('fixtures/home');
+ * startDiscovery({ describe: createRegistry({ fetch: recording.fetch }).describe, replay: recording });
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const BUNDLE_VERSION = 1;
+const MANIFEST = 'manifest.json';
+const DOCUMENTS = 'documents';
+
+/**
+ * The serializable part of a dgram `rinfo`.
+ * @param {object} rinfo
+ * @returns {object|null}
+ */
+function pickRinfo(rinfo) {
+    if (!rinfo) return null;
+    const { address, port, family, size } = rinfo;
+    return { address, port, family, size };
+}
+
+/**
+ * Start a new recording in `dir`. Existing documents are overwritten.
+ * @param {object} options
+ * @param {string} options.dir Bundle directory
+ * @param {number} [options.saveDelay=1000] Debounce (ms) for manifest writes
+ * @returns {object}
+ */
+export function createRecorder({ dir, saveDelay = 1000 }) {
+    const startedAt = Date.now();
+    const manifest = {
+        version: BUNDLE_VERSION,
+        recordedAt: new Date(startedAt).toISOString(),
+        searches: [],
+        ssdp: [],
+        documents: {}
+    };
+    let lastSearchAt = null;
+    let saveTimer = null;
+    let writing = Promise.resolve();
+    let ready = null;
+
+    function ensureDir() {
+        if (!ready) ready = fs.mkdir(path.join(dir, DOCUMENTS), { recursive: true });
+        return ready;
+    }
+
+    async function write() {
+        await ensureDir();
+        const tmp = path.join(dir, `${MANIFEST}.tmp`);
+        await fs.writeFile(tmp, JSON.stringify(manifest, null, 2));
+        await fs.rename(tmp, path.join(dir, MANIFEST));
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        writing = writing.then(write).catch((e) => {
+            console.error('recording: failed to save %s:', dir, e.message);
+        });
+        return writing;
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, saveDelay);
+        saveTimer.unref();
+    }
+
+    function search(st, mx) {
+        lastSearchAt = Date.now();
+        manifest.searches.push({ at: lastSearchAt - startedAt, st, mx });
+        scheduleSave();
+    }
+
+    function ssdp(type, headers, rinfo) {
+        const now = Date.now();
+        const event = { at: now - startedAt, type, headers, rinfo: pickRinfo(rinfo) };
+        if (type === 'response') {
+            event.search = manifest.searches.length - 1;
+            event.delay = lastSearchAt === null ? 0 : now - lastSearchAt;
+        }
+        manifest.ssdp.push(event);
+        scheduleSave();
+    }
+
+    async function saveDocument(url, body) {
+        const file = `${DOCUMENTS}/${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.xml`;
+        await ensureDir();
+        await fs.writeFile(path.join(dir, file), body);
+        manifest.documents[url] = { file, fetchedAt: new Date().toISOString() };
+        scheduleSave();
+    }
+
+    function wrapFetch(fetch) {
+        return async (url) => {
+            let body;
+            try {
+                body = await fetch(url);
+            } catch (e) {
+                manifest.documents[url] = { error: e.message, code: e.code, fetchedAt: new Date().toISOString() };
+                scheduleSave();
+                throw e;
+            }
+            await saveDocument(url, body).catch((e) => {
+                console.error('recording: failed to save %s:', url, e.message);
+            });
+            return body;
+        };
+    }
+
+    return { dir, search, ssdp, wrapFetch, flush };
+}
+
+/**
+ * Open a recorded bundle for replay.
+ * @param {string} dir Bundle directory
+ * @returns {Promise<object>}
+ */
+export async function openRecording(dir) {
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST), 'utf8'));
+    if (manifest.version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported recording version ${manifest.version} in ${dir}`);
+    }
+    const events = manifest.ssdp || [];
+    const documents = manifest.documents || {};
+
+    async function fetch(url) {
+        const doc = documents[url];
+        if (!doc) throw new Error(`GET ${url} is not in the recording`);
+        if (doc.error) throw Object.assign(new Error(doc.error), { code: doc.code, url });
+        return fs.readFile(path.join(dir, doc.file), 'utf8');
+    }
+
+    function responses(st = 'ssdp:all') {
+        const seen = new Set();
+        return events.filter((e) => {
+            if (e.type !== 'response') return false;
+            if (st !== 'ssdp:all' && e.headers.ST !== st) return false;
+            const key = `${e.headers.USN} ${e.headers.LOCATION}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    return {
+        dir,
+        recordedAt: manifest.recordedAt,
+        fetch,
+        responses,
+        notifies: () => events.filter(e => e.type === 'notify')
+    };
+}
+
+/**
+ * Run `handler` for each event, optionally with the recorded spacing.
+ * @param {Array<object>} events
+ * @param {(event: object) => void} handler
+ * @param {object} [options]
+ * @param {boolean} [options.timing=false] Replay the recorded delays
+ * @param {string} [options.key='at'] Event field holding the delay in ms
+ * @returns {() => void} Cancels the events not yet run
+ */
+export function schedule(events, handler, { timing = false, key = 'at' } = {}) {
+    const timers = events.map((event) => {
+        const timer = setTimeout(() => handler(event), timing ? event[key] || 0 : 0);
+        timer.unref();
+        return timer;
+    });
+    return () => timers.forEach(clearTimeout);
+}
+
+export default openRecording;
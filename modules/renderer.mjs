@@ -0,0 +1,308 @@
+/**
+ * MediaRenderer control module
+ *
+ * Drives a UPnP AV MediaRenderer through its AVTransport and
+ * RenderingControl services: reads transport state, position, volume and
+ * the now-playing track as one snapshot, and runs remote-control commands.
+ *
+ * Exports:
+ *
+ * - `findRenderer(tree)` -> renderer | null
+ *   Look for AVTransport (required), RenderingControl and
+ *   ConnectionManager in a device tree (`registry.tree()`), the root
+ *   device or its embedded devices. The renderer is `{ udn, friendlyName,
+ *   avTransport, renderingControl, connectionManager }`, each service being
+ *   `{ udn, serviceId }` (all but AVTransport may be null).
+ * - `readRenderer(call, renderer)` -> Promise<snapshot>
+ * - `readPlayback(call, renderer)` -> Promise<{ state, trackUri, relTime,
+ *   duration }>  the part of the snapshot a play queue polls for
+ * - `commandRenderer(call, renderer, command, value)` -> Promise<void>
+ * - `setTransportUri(call, renderer, { uri, metadata }, { next })` ->
+ *   Promise<void>  `SetAVTransportURI`, or `SetNextAVTransportURI` with
+ *   `next: true`
+ * - `getSinkProtocols(call, renderer)` -> Promise<[protocolInfo] | null>
+ *   what the renderer accepts, null when it does not say
+ *
+ * `call(udn, serviceId, action, args)` invokes an action and resolves to
+ * `{ ok, outputs | fault }`, like the host's `callAction`.
+ *
+ * Snapshots have the shape:
+ *   {
+ *     udn, friendlyName,
+ *     transport: { state, status, speed, actions: [string] | null },
+ *     position: { track, duration, relTime, trackUri },   // seconds or null
+ *     media: { uri, nextUri, duration },
+ *     track: <DIDL-Lite item, see didl.mjs> | null,
+ *     volume, mute,                                       // null when unknown
+ *     updatedAt
+ *   }
+ *
+ * Commands: `Play`, `Pause`, `Stop`, `Next`, `Previous`, `Seek` (value:
+ * seconds into the track), `SetVolume` (value: 0-100), `SetMute` (value:
+ * boolean).
+ *
+ * Notes:
+ * - Errors carry `status` like the REST API expects: 400 for an unknown
+ *   command or value, 404 for a missing service, 422 when the renderer
+ *   answers with a UPnP fault (also attached as `fault`).
+ * - Only GetTransportInfo is required; renderers lacking the other Get*
+ *   actions (or RenderingControl) leave the matching fields null.
+ */
+
+import { parseDidl, parseDuration, formatDuration } from './didl.mjs';
+import { parseSinkList } from './protocol-info.mjs';
+
+const INSTANCE = { InstanceID: 0 };
+
+/**
+ * Error with an HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Whether a service type is `service:<name>:<version>`.
+ * @param {string} serviceType
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isService(serviceType, name) {
+    return new RegExp(`:service:${name}:\\d+$`).test(serviceType || '');
+}
+
+/**
+ * Find the renderer services in a device tree.
+ * @param {object} tree `{ udn, friendlyName, services, devices }`
+ * @returns {object|null}
+ */
+export function findRenderer(tree) {
+    if (!tree) return null;
+
+    const nodes = [];
+    (function walk(node) {
+        nodes.push(node);
+        (node.devices || []).forEach(walk);
+    })(tree);
+
+    const find = (node, name) => (node.services || []).find(s => isService(s.serviceType, name));
+
+    const transportNode = nodes.find(n => find(n, 'AVTransport'));
+    if (!transportNode) return null;
+
+    // Prefer the services next to AVTransport
+    const sibling = (name) => {
+        const node = [transportNode, ...nodes].find(n => find(n, name));
+        return node ? { udn: node.udn, serviceId: find(node, name).serviceId } : null;
+    };
+
+    return {
+        udn: tree.udn,
+        friendlyName: tree.friendlyName,
+        avTransport: { udn: transportNode.udn, serviceId: find(transportNode, 'AVTransport').serviceId },
+        renderingControl: sibling('RenderingControl'),
+        connectionManager: sibling('ConnectionManager')
+    };
+}
+
+/**
+ * Call an action and return its outputs; throws on a UPnP fault.
+ * @param {Function} call
+ * @param {object} service `{ udn, serviceId }`
+ * @param {string} action
+ * @param {object} args
+ * @returns {Promise<object>}
+ */
+async function run(call, service, action, args) {
+    const result = await call(service.udn, service.serviceId, action, args);
+    if (!result.ok) {
+        const fault = result.fault || {};
+        const err = statusError(422, `${action} failed: ${fault.errorDescription || fault.faultString || 'UPnP fault'}` +
+            (fault.errorCode ? ` (${fault.errorCode})` : ''));
+        err.fault = fault;
+        throw err;
+    }
+    return result.outputs || {};
+}
+
+/**
+ * Like `run`, but resolves to null on any failure or without a service.
+ * @param {Function} call
+ * @param {object|null} service
+ * @param {string} action
+ * @param {object} args
+ * @returns {Promise<object|null>}
+ */
+function tryRun(call, service, action, args) {
+    if (!service) return Promise.resolve(null);
+    return run(call, service, action, args).catch(() => null);
+}
+
+/**
+ * First DIDL-Lite item of a metadata string, or null.
+ * @param {string} metadata
+ * @returns {Promise<object|null>}
+ */
+async function firstItem(metadata) {
+    try {
+        const { items } = await parseDidl(metadata);
+        return items[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the renderer's state.
+ * @param {Function} call
+ * @param {object} renderer From `findRenderer`
+ * @returns {Promise<object>}
+ */
+export async function readRenderer(call, renderer) {
+    const { avTransport, renderingControl } = renderer;
+    const master = { ...INSTANCE, Channel: 'Master' };
+
+    const [info, position, media, actions, volume, mute] = await Promise.all([
+        run(call, avTransport, 'GetTransportInfo', INSTANCE),
+        tryRun(call, avTransport, 'GetPositionInfo', INSTANCE),
+        tryRun(call, avTransport, 'GetMediaInfo', INSTANCE),
+        tryRun(call, avTransport, 'GetCurrentTransportActions', INSTANCE),
+        tryRun(call, renderingControl, 'GetVolume', master),
+        tryRun(call, renderingControl, 'GetMute', master)
+    ]);
+
+    const track = (position && await firstItem(position.TrackMetaData)) ||
+        (media && await firstItem(media.CurrentURIMetaData));
+    const trackDuration = position ? parseDuration(position.TrackDuration) : null;
+    const resDuration = track && track.res[0] ? track.res[0].duration : null;
+
+    return {
+        udn: renderer.udn,
+        friendlyName: renderer.friendlyName,
+        transport: {
+            state: info.CurrentTransportState || null,
+            status: info.CurrentTransportStatus || null,
+            speed: info.CurrentSpeed || null,
+            actions: actions && typeof actions.Actions === 'string'
+                ? actions.Actions.split(',').map(a => a.trim()).filter(Boolean)
+                : null
+        },
+        position: {
+            track: position ? Number(position.Track) || 0 : null,
+            // Renderers report 0:00:00 for unknown durations
+            duration: trackDuration || resDuration || null,
+            relTime: position ? parseDuration(position.RelTime) : null,
+            trackUri: position ? position.TrackURI || null : null
+        },
+        media: {
+            uri: media ? media.CurrentURI || null : null,
+            nextUri: media ? media.NextURI || null : null,
+            duration: media ? parseDuration(media.MediaDuration) || null : null
+        },
+        track,
+        volume: volume && volume.CurrentVolume !== '' ? Number(volume.CurrentVolume) : null,
+        mute: mute ? ['1', 'true', 'yes'].includes(String(mute.CurrentMute).toLowerCase()) : null,
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Read just the transport state and position.
+ * @param {Function} call
+ * @param {object} renderer From `findRenderer`
+ * @returns {Promise<object>}
+ */
+export async function readPlayback(call, renderer) {
+    const [info, position] = await Promise.all([
+        run(call, renderer.avTransport, 'GetTransportInfo', INSTANCE),
+        run(call, renderer.avTransport, 'GetPositionInfo', INSTANCE)
+    ]);
+    return {
+        state: info.CurrentTransportState || null,
+        trackUri: position.TrackURI || null,
+        relTime: parseDuration(position.RelTime),
+        duration: parseDuration(position.TrackDuration) || null
+    };
+}
+
+/**
+ * Load a URI, or queue it as the next one.
+ * @param {Function} call
+ * @param {object} renderer From `findRenderer`
+ * @param {{uri: string, metadata: string}} media
+ * @param {object} [options]
+ * @param {boolean} [options.next=false] Use SetNextAVTransportURI
+ * @returns {Promise<void>}
+ */
+export async function setTransportUri(call, renderer, { uri, metadata }, { next = false } = {}) {
+    if (next) {
+        await run(call, renderer.avTransport, 'SetNextAVTransportURI', { ...INSTANCE, NextURI: uri, NextURIMetaData: metadata || '' });
+    } else {
+        await run(call, renderer.avTransport, 'SetAVTransportURI', { ...INSTANCE, CurrentURI: uri, CurrentURIMetaData: metadata || '' });
+    }
+}
+
+/**
+ * Read the protocols the renderer accepts.
+ * @param {Function} call
+ * @param {object} renderer From `findRenderer`
+ * @returns {Promise<Array<string>|null>}
+ */
+export async function getSinkProtocols(call, renderer) {
+    const outputs = await tryRun(call, renderer.connectionManager, 'GetProtocolInfo', {});
+    const sinks = outputs ? parseSinkList(outputs.Sink) : [];
+    return sinks.length ? sinks : null;
+}
+
+// Command -> [service key, action, args(value)]
+const COMMANDS = {
+    Play: ['avTransport', 'Play', () => ({ ...INSTANCE, Speed: '1' })],
+    Pause: ['avTransport', 'Pause', () => INSTANCE],
+    Stop: ['avTransport', 'Stop', () => INSTANCE],
+    Next: ['avTransport', 'Next', () => INSTANCE],
+    Previous: ['avTransport', 'Previous', () => INSTANCE],
+    Seek: ['avTransport', 'Seek', (value) => {
+        const seconds = Number(value);
+        if (value === null || value === undefined || !Number.isFinite(seconds) || seconds < 0) {
+            throw statusError(400, 'Seek needs a position in seconds');
+        }
+        return { ...INSTANCE, Unit: 'REL_TIME', Target: formatDuration(seconds) };
+    }],
+    SetVolume: ['renderingControl', 'SetVolume', (value) => {
+        const volume = Number(value);
+        if (value === null || value === undefined || !Number.isFinite(volume)) {
+            throw statusError(400, 'SetVolume needs a volume from 0 to 100');
+        }
+        return { ...INSTANCE, Channel: 'Master', DesiredVolume: Math.min(Math.max(Math.round(volume), 0), 100) };
+    }],
+    SetMute: ['renderingControl', 'SetMute', (value) => {
+        const mute = value === true || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+        return { ...INSTANCE, Channel: 'Master', DesiredMute: mute ? 1 : 0 };
+    }]
+};
+
+/**
+ * Run a remote-control command.
+ * @param {Function} call
+ * @param {object} renderer From `findRenderer`
+ * @param {string} command One of the commands above
+ * @param {*} [value]
+ * @returns {Promise<void>}
+ */
+export async function commandRenderer(call, renderer, command, value) {
+    const spec = Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+    if (!spec) throw statusError(400, `Unknown command "${command}"`);
+
+    const [serviceKey, action, buildArgs] = spec;
+    const service = renderer[serviceKey];
+    if (!service) throw statusError(404, `Renderer has no ${serviceKey === 'avTransport' ? 'AVTransport' : 'RenderingControl'} service`);
+
+    await run(call, service, action, buildArgs(value));
+}
+
+export default readRenderer;
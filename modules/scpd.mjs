@@ -0,0 +1,160 @@
+/**
+ * SCPD parsing module
+ *
+ * Turns a UPnP Service Control Protocol Description (SCPD) XML document
+ * into a structured model the UI can render directly, instead of shipping
+ * the raw XML to the browser.
+ *
+ * Exports `parseScpd(xml)` which resolves to:
+ *   {
+ *     specVersion: string,
+ *     actions: [{
+ *       name: string,
+ *       inputs:  [Argument],
+ *       outputs: [Argument]
+ *     }],
+ *     stateVariables: [StateVariable],
+ *     eventedVariables: [string]
+ *   }
+ *
+ * where an `Argument` is `{ name, direction, retval, relatedStateVariable,
+ * stateVariable }` and `stateVariable` is the resolved `StateVariable`
+ * (or `null` when the SCPD references a variable it does not declare):
+ *   {
+ *     name, dataType, defaultValue, sendEvents, multicast,
+ *     allowedValueList: [string] | null,
+ *     allowedValueRange: { minimum, maximum, step } | null
+ *   }
+ *
+ * Usage:
+ *
+ * const { parseScpd } = await import('./modules/scpd.mjs');
+ * const scpd = await parseScpd(xml);
+ *
+ * Notes:
+ * - Parsing uses xml2js with its default options, so every element is an
+ *   array; `text()` below flattens that for single-valued fields.
+ * - Missing optional elements are normalized to `null` rather than left
+ *   undefined so the model serializes predictably over Socket.IO.
+ */
+
+import xml2js from 'xml2js';
+
+/**
+ * Read the text content of the first child element `key` of `node`.
+ * xml2js returns either a string or `{ _: text, $: attrs }` objects.
+ * @param {object} node
+ * @param {string} key
+ * @returns {string|null}
+ */
+function text(node, key) {
+    const value = node && node[key] ? node[key][0] : undefined;
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return value._ !== undefined ? String(value._).trim() : '';
+    return String(value).trim();
+}
+
+/**
+ * Normalize a `<stateVariable>` element.
+ * @param {object} node
+ * @returns {object}
+ */
+function parseStateVariable(node) {
+    const attrs = node.$ || {};
+
+    let allowedValueList = null;
+    if (node.allowedValueList && node.allowedValueList[0]) {
+        const values = node.allowedValueList[0].allowedValue || [];
+        allowedValueList = values.map(v => (typeof v === 'object' ? String(v._ || '') : String(v)).trim());
+    }
+
+    let allowedValueRange = null;
+    if (node.allowedValueRange && node.allowedValueRange[0]) {
+        const range = node.allowedValueRange[0];
+        allowedValueRange = {
+            minimum: text(range, 'minimum'),
+            maximum: text(range, 'maximum'),
+            step: text(range, 'step')
+        };
+    }
+
+    return {
+        name: text(node, 'name'),
+        dataType: text(node, 'dataType'),
+        defaultValue: text(node, 'defaultValue'),
+        // `sendEvents` defaults to "yes" per UDA 1.0 when the attribute is absent
+        sendEvents: (attrs.sendEvents || 'yes').toLowerCase() === 'yes',
+        multicast: (attrs.multicast || 'no').toLowerCase() === 'yes',
+        allowedValueList,
+        allowedValueRange
+    };
+}
+
+/**
+ * Normalize an `<action>` element, resolving each argument against the
+ * service state table.
+ * @param {object} node
+ * @param {Map<string, object>} variables
+ * @returns {object}
+ */
+function parseAction(node, variables) {
+    const argumentList = node.argumentList && node.argumentList[0]
+        ? node.argumentList[0].argument || []
+        : [];
+
+    const inputs = [];
+    const outputs = [];
+    for (const arg of argumentList) {
+        const relatedStateVariable = text(arg, 'relatedStateVariable');
+        const direction = (text(arg, 'direction') || 'in').toLowerCase();
+        const parsed = {
+            name: text(arg, 'name'),
+            direction,
+            retval: arg.retval !== undefined,
+            relatedStateVariable,
+            stateVariable: variables.get(relatedStateVariable) || null
+        };
+        (direction === 'out' ? outputs : inputs).push(parsed);
+    }
+
+    return { name: text(node, 'name'), inputs, outputs };
+}
+
+/**
+ * Parse an SCPD XML document into a structured model.
+ * @param {string} xml Raw SCPD XML
+ * @returns {Promise<object>}
+ */
+export async function parseScpd(xml) {
+    const parsed = await xml2js.parseStringPromise(xml);
+    const root = parsed && parsed.scpd;
+    if (!root) {
+        throw new Error('Document is not an SCPD (missing <scpd> root element)');
+    }
+
+    let specVersion = null;
+    if (root.specVersion && root.specVersion[0]) {
+        specVersion = `${text(root.specVersion[0], 'major') || '1'}.${text(root.specVersion[0], 'minor') || '0'}`;
+    }
+
+    const variableNodes = root.serviceStateTable && root.serviceStateTable[0]
+        ? root.serviceStateTable[0].stateVariable || []
+        : [];
+    const stateVariables = variableNodes.map(parseStateVariable);
+    const variables = new Map(stateVariables.map(v => [v.name, v]));
+
+    const actionNodes = root.actionList && root.actionList[0]
+        ? root.actionList[0].action || []
+        : [];
+    const actions = actionNodes.map(a => parseAction(a, variables));
+    actions.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    return {
+        specVersion,
+        actions,
+        stateVariables,
+        eventedVariables: stateVariables.filter(v => v.sendEvents).map(v => v.name)
+    };
+}
+
+export default parseScpd;
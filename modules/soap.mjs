@@ -0,0 +1,273 @@
+/**
+ * SOAP control module
+ *
+ * Sends UPnP control requests (SOAP 1.1 over HTTP POST) to a service's
+ * `controlURL` and returns either the out-arguments or the UPnP fault.
+ *
+ * Exports `invokeAction(options)` which resolves to one of:
+ *   { ok: true,  statusCode, outputs: { [name]: string } }
+ *   { ok: false, statusCode, fault: { faultCode, faultString,
+ *                                     errorCode, errorDescription } }
+ *
+ * Transport problems (connection refused, timeout, unparseable reply) are
+ * rejected with an `Error` instead, so callers can tell "the device said
+ * no" apart from "the device could not be reached". Action and argument
+ * names that are not XML names are refused (`status` 400) before anything
+ * is sent: they become element names in the envelope.
+ *
+ * `isXmlName(name)` is exported for hosts that check names up front.
+ *
+ * The device side is covered too, for the virtual device
+ * (`virtual-device.mjs`): `parseRequest(xml)` reads an incoming action
+ * request, `buildResponse()` and `buildFault()` write the reply.
+ *
+ * Usage:
+ *
+ * const { invokeAction } = await import('./modules/soap.mjs');
+ * const result = await invokeAction({
+ *     controlURL: 'http://192.168.1.20:49152/upnp/control/rendercontrol1',
+ *     serviceType: 'urn:schemas-upnp-org:service:RenderingControl:1',
+ *     action: 'GetVolume',
+ *     args: { InstanceID: 0, Channel: 'Master' }
+ * });
+ *
+ * Notes:
+ * - `upnp-device-client` can call actions too, but it re-fetches the
+ *   device description itself and throws on faults without an
+ *   `errorDescription`. Here the host already holds the description and
+ *   resolved URLs, so the request is built directly.
+ * - Arguments are sent in the key order of `args`; UPnP requires the SCPD
+ *   order, which the UI preserves when building the object.
+ * - Requests go through `sendRequest` (`http-fetch.mjs`): http or https,
+ *   `timeout` bounds the whole exchange and replies above `maxBytes` are
+ *   refused, so a device trickling bytes cannot hold a request.
+ */
+
+import xml2js from 'xml2js';
+import { sendRequest, decodeBody } from './http-fetch.mjs';
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+// XML names as UPnP uses them (no namespace prefix)
+const XML_NAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Escape a value for use as XML text content.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Whether a string can be used as an element name.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isXmlName(name) {
+    return typeof name === 'string' && XML_NAME.test(name);
+}
+
+/**
+ * Throw (`status` 400) unless the action and argument names are XML names.
+ * @param {string} action
+ * @param {object} args
+ */
+function checkNames(action, args) {
+    const bad = [action, ...Object.keys(args)].find(name => !isXmlName(name));
+    if (bad !== undefined) {
+        const err = new Error(`Invalid action or argument name "${bad}"`);
+        err.status = 400;
+        throw err;
+    }
+}
+
+/**
+ * Build the SOAP envelope for an action request.
+ * @param {string} serviceType
+ * @param {string} action
+ * @param {object} args
+ * @returns {string}
+ */
+export function buildEnvelope(serviceType, action, args = {}) {
+    checkNames(action, args);
+    const body = Object.keys(args)
+        .map(name => `<${name}>${escapeXml(args[name])}</${name}>`)
+        .join('');
+    return '<?xml version="1.0" encoding="utf-8"?>' +
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+        's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+        `<s:Body><u:${action} xmlns:u="${escapeXml(serviceType)}">${body}</u:${action}></s:Body>` +
+        '</s:Envelope>';
+}
+
+/**
+ * Build the SOAP envelope answering an action.
+ * @param {string} serviceType
+ * @param {string} action
+ * @param {object} outputs Out-arguments, in SCPD order
+ * @returns {string}
+ */
+export function buildResponse(serviceType, action, outputs = {}) {
+    checkNames(action, outputs);
+    const body = Object.keys(outputs)
+        .map(name => `<${name}>${escapeXml(outputs[name])}</${name}>`)
+        .join('');
+    return '<?xml version="1.0" encoding="utf-8"?>' +
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+        's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+        `<s:Body><u:${action}Response xmlns:u="${escapeXml(serviceType)}">${body}</u:${action}Response></s:Body>` +
+        '</s:Envelope>';
+}
+
+/**
+ * Build a SOAP fault carrying a UPnP error (sent with HTTP 500).
+ * @param {number} errorCode e.g. 401 Invalid Action, 402 Invalid Args
+ * @param {string} errorDescription
+ * @returns {string}
+ */
+export function buildFault(errorCode, errorDescription) {
+    return '<?xml version="1.0" encoding="utf-8"?>' +
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+        's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+        '<s:Body><s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring>' +
+        '<detail><UPnPError xmlns="urn:schemas-upnp-org:control-1-0">' +
+        `<errorCode>${escapeXml(errorCode)}</errorCode>` +
+        `<errorDescription>${escapeXml(errorDescription)}</errorDescription>` +
+        '</UPnPError></detail></s:Fault></s:Body></s:Envelope>';
+}
+
+/**
+ * Flatten an xml2js node (explicitArray: false) to its text content.
+ * @param {*} node
+ * @returns {string}
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return node._ !== undefined ? String(node._) : '';
+    return String(node);
+}
+
+/**
+ * Parse a SOAP response body into `{ outputs }` or `{ fault }`.
+ * @param {string} xml
+ * @param {string} action
+ * @returns {Promise<object>}
+ */
+export async function parseResponse(xml, action) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+        explicitArray: false,
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const body = parsed && parsed.Envelope && parsed.Envelope.Body;
+    if (!body) {
+        throw new Error('Response is not a SOAP envelope');
+    }
+
+    if (body.Fault) {
+        const fault = body.Fault;
+        const upnpError = (fault.detail && fault.detail.UPnPError) || {};
+        return {
+            fault: {
+                faultCode: textOf(fault.faultcode),
+                faultString: textOf(fault.faultstring),
+                errorCode: upnpError.errorCode !== undefined ? Number(textOf(upnpError.errorCode)) : null,
+                errorDescription: textOf(upnpError.errorDescription).trim() || null
+            }
+        };
+    }
+
+    const response = body[`${action}Response`];
+    const outputs = {};
+    if (response && typeof response === 'object') {
+        for (const name of Object.keys(response)) {
+            if (name === '$') continue;
+            outputs[name] = textOf(response[name]);
+        }
+    }
+    return { outputs };
+}
+
+/**
+ * Parse an incoming action request into `{ action, args }`.
+ * @param {string} xml
+ * @returns {Promise<{action: string, args: object}>}
+ */
+export async function parseRequest(xml) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+        explicitArray: false,
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const body = parsed && parsed.Envelope && parsed.Envelope.Body;
+    const action = body && typeof body === 'object' ? Object.keys(body).find(k => k !== '$') : undefined;
+    if (!action) {
+        throw new Error('Request is not a SOAP envelope');
+    }
+
+    const request = body[action];
+    const args = {};
+    if (request && typeof request === 'object') {
+        for (const name of Object.keys(request)) {
+            if (name === '$') continue;
+            args[name] = textOf(request[name]);
+        }
+    }
+    return { action, args };
+}
+
+/**
+ * Invoke a UPnP action.
+ * @param {object} options
+ * @param {string} options.controlURL Absolute control URL
+ * @param {string} options.serviceType Service type URN
+ * @param {string} options.action Action name
+ * @param {object} [options.args] In-arguments, in SCPD order
+ * @param {number} [options.timeout] ms for the whole request
+ * @param {number} [options.maxBytes] Largest reply accepted
+ * @returns {Promise<object>}
+ */
+export async function invokeAction({
+    controlURL,
+    serviceType,
+    action,
+    args = {},
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = MAX_RESPONSE_BYTES
+}) {
+    const payload = Buffer.from(buildEnvelope(serviceType, action, args), 'utf8');
+    const res = await sendRequest(controlURL, {
+        method: 'POST',
+        body: payload,
+        headers: {
+            'Content-Type': 'text/xml; charset="utf-8"',
+            'Content-Length': payload.length,
+            'SOAPACTION': `"${serviceType}#${action}"`,
+            'Connection': 'close'
+        },
+        timeout,
+        maxBytes
+    });
+
+    let result;
+    try {
+        result = await parseResponse(decodeBody(res.body, res.headers['content-type']).text, action);
+    } catch (e) {
+        const err = new Error(`Invalid SOAP response (HTTP ${res.statusCode}): ${e.message}`);
+        err.statusCode = res.statusCode;
+        throw err;
+    }
+    return result.fault
+        ? { ok: false, statusCode: res.statusCode, fault: result.fault }
+        : { ok: true, statusCode: res.statusCode, outputs: result.outputs };
+}
+
+export default invokeAction;
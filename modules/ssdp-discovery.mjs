@@ -1,16 +1,59 @@
 /**
  * SSDP discovery module
  *
- * Provides `startDiscovery()` which begins SSDP discovery and returns an
- * EventEmitter that emits the following events:
+ * Provides `startDiscovery(options)` which begins SSDP discovery and
+ * returns an EventEmitter that emits the following events:
  *
- * - `device` (object): emitted when a device is discovered. Object shape:
+ * - `device` (object): emitted each time a device description is fetched
+ *   and parsed. Object shape:
  *   {
- *     friendlyName: string,
- *     deviceInfo: { location: string, manufacturer: string },
- *     extendedInfo: { deviceType, friendlyName, ssidName, uuid }
+ *     ssdp: { LOCATION, USN, ST|NT, SERVER, CACHE-CONTROL, ... },
+ *     ip: { address, port, family, size, interface, localAddress },
+ *     device: <root.device[0] as parsed by xml2js>,
+ *     root: <root as parsed by xml2js, including URLBase>,
+ *     xml: <the description as served>
  *   }
- * - `error` (Error): emitted on parse / network errors.
+ * - `device-online` ({ location, usn, device... }): a LOCATION that was
+ *   unknown or offline has been seen (M-SEARCH response or `ssdp:alive`)
+ *   and its description parsed. Same shape as `device`.
+ * - `device-updated` ({ location, ... }): an online device sent
+ *   `ssdp:update` or a new BOOTID/CONFIGID; its description was re-fetched.
+ *   Same shape as `device`.
+ * - `device-seen` ({ location, address, interface, lastSeen, expiresAt,
+ *   response, st }): an online device re-advertised itself, or answered an
+ *   M-SEARCH (`response: true`, `st` its ST); nothing else changed.
+ * - `device-offline` ({ location, reason, lastSeen }): every USN of the
+ *   LOCATION either said `ssdp:byebye` (`reason: 'byebye'`) or stopped
+ *   advertising past its `CACHE-CONTROL: max-age` (`reason: 'expired'`).
+ * - `device-error` ({ location, usn, udn, address, interface, error }): the
+ *   description of a new or changed device could not be fetched or
+ *   parsed; `error` is `{ code, message, url, httpStatus }` (see
+ *   `http-fetch.mjs`). A new device is retried on its next sighting.
+ * - `suspicious` ({ kind, url, usn, address, interface, reason }): a
+ *   response or NOTIFY named a LOCATION the URL policy refuses (see
+ *   `url-policy.mjs`); it is neither fetched nor tracked. `kind` is
+ *   `location`.
+ * - `packet` ({ direction: 'in' | 'out', kind, at, startLine, headers,
+ *   raw, size, address, port, interface, localAddress, family }): every
+ *   datagram sent or received, for the SSDP inspector (`ssdp-inspector.mjs`).
+ *   `kind` is `m-search`, `response`, `notify` or `other`; for outgoing
+ *   M-SEARCHes `address` and `port` are the multicast group's. Only built
+ *   while someone listens, and not emitted when replaying.
+ * - `error` (Error): emitted on socket errors.
+ *
+ * The emitter also exposes `search(st, { mx, interfaces })` to send another
+ * M-SEARCH from the same sockets (resolving once it is sent; `interfaces`
+ * limits it to some of the chosen interfaces, by name or address),
+ * `interfaces()` listing the host's interfaces and whether each is searched
+ * on, `present(udn, location)` telling whether a USN of `udn` is still
+ * advertised at `location`, `forget(location)` dropping a LOCATION the host
+ * refused (it is described again on its next sighting, and no
+ * `device-online` follows a `device` it was refused in), and `stop()` to
+ * close the sockets and timers.
+ *
+ * `ip.interface` and `ip.localAddress` name the interface a device was
+ * found on (null when a NOTIFY cannot be traced to one); `ip.family` is
+ * `IPv4` or `IPv6`. `listInterfaces()` is exported as well.
  *
  * Usage (CommonJS hosts can use dynamic `import()`):
  *
@@ -22,82 +65,576 @@
  *   from a CommonJS file (as `app.js` does) which avoids changing the host
  *   to full ESM.
  * - The module intentionally keeps the discovery behaviour minimal and
- *   emits parsed device objects for the host to index or deduplicate.
+ *   emits parsed device objects for the host to index (see
+ *   `device-registry.mjs`, whose `describe` it can share).
+ * - M-SEARCHes go out from one socket per interface, bound to its address,
+ *   so every response is known to come from that interface. Multicast
+ *   NOTIFYs are read from a separate socket (one per address family)
+ *   bound to port 1900 with address reuse; an IPv4 sender is matched to an
+ *   interface by subnet, an IPv6 one by the scope of its link-local
+ *   address.
+ * - By default every non-internal IPv4 interface is used. IPv6 discovery
+ *   is opt-in (`ipv6Scopes`): `link` searches ff02::c, `site` ff05::c, from
+ *   each chosen interface's link-local address.
+ * - Presence is tracked per USN and address family of the LOCATION: a
+ *   LOCATION stays online while at least one of its USNs is within its
+ *   max-age. A dual-stack device announcing the same USNs at an IPv4 and
+ *   an IPv6 LOCATION keeps both online; a USN announced at a new
+ *   LOCATION of the same family has moved there.
+ * - With a `recorder` (see `recording.mjs`) every M-SEARCH, response and
+ *   NOTIFY is recorded. With a `replay` recording no socket is opened:
+ *   the recorded NOTIFYs are played back at start and `search()` answers
+ *   with the recorded responses. Replayed devices do not expire; they only
+ *   go offline on a recorded `ssdp:byebye`.
  */
 
-import http from 'http';
+import os from 'os';
+import net from 'net';
+import dgram from 'dgram';
 import { EventEmitter } from 'events';
-import pkg from 'node-ssdp';
-import xml2js from 'xml2js';
+import { createRegistry } from './device-registry.mjs';
+import { schedule } from './recording.mjs';
+import { errorInfo } from './http-fetch.mjs';
+import { createUrlPolicy, urlFamily } from './url-policy.mjs';
+
+const SSDP_ADDRESS = '239.255.255.250';
+// IPv6 multicast scopes of the SSDP group
+export const SSDP_ADDRESS_V6 = { link: 'ff02::c', site: 'ff05::c' };
+const SSDP_PORT = 1900;
+const DEFAULT_MAX_AGE = 1800;
+const DEFAULT_MX = 3;
+
+/**
+ * Read `max-age` (seconds) from a CACHE-CONTROL header.
+ * @param {string} header
+ * @returns {number}
+ */
+function parseMaxAge(header) {
+    const match = /max-age\s*=\s*(\d+)/i.exec(header || '');
+    return match ? Number(match[1]) : DEFAULT_MAX_AGE;
+}
+
+/**
+ * Extract the UDN (`uuid:...`) part of a USN.
+ * @param {string} usn
+ * @returns {string}
+ */
+function udnOf(usn) {
+    return (usn || '').split('::')[0];
+}
+
+/**
+ * Build an M-SEARCH request. node-ssdp's `search()` always sends MX: 3,
+ * so the message is built here to let callers choose the window.
+ * @param {string} st Search target
+ * @param {number} mx Maximum wait in seconds (1-5 per UDA)
+ * @param {string} [host] HOST header; `[FF02::C]:1900` etc. for IPv6
+ * @returns {Buffer}
+ */
+export function buildSearch(st, mx = DEFAULT_MX, host = `${SSDP_ADDRESS}:${SSDP_PORT}`) {
+    return Buffer.from([
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${host}`,
+        'MAN: "ssdp:discover"',
+        `MX: ${mx}`,
+        `ST: ${st}`,
+        '',
+        ''
+    ].join('\r\n'));
+}
+
+/**
+ * Parse a raw SSDP datagram into its start line and upper-cased headers.
+ * @param {Buffer} msg
+ * @returns {{ startLine: string, headers: object }}
+ */
+function parseDatagram(msg) {
+    const lines = msg.toString().split('\r\n');
+    const startLine = lines.shift() || '';
+    const headers = {};
+    for (const line of lines) {
+        const match = /^([^:]+):\s*(.*)$/.exec(line);
+        if (match) headers[match[1].toUpperCase()] = match[2];
+    }
+    return { startLine, headers };
+}
+
+/**
+ * What a datagram is, from its start line.
+ * @param {string} startLine
+ * @returns {'m-search'|'response'|'notify'|'other'}
+ */
+function kindOf(startLine) {
+    if (/^M-SEARCH\s/i.test(startLine)) return 'm-search';
+    if (/^NOTIFY\s/i.test(startLine)) return 'notify';
+    if (/^HTTP\/1\.\d\s/i.test(startLine)) return 'response';
+    return 'other';
+}
+
+/**
+ * The host's network interfaces SSDP can use: every non-internal address,
+ * one entry per address.
+ * @returns {Array<{name: string, address: string, family: string, cidr: string|null, scopeid: number|null}>}
+ */
+export function listInterfaces() {
+    const result = [];
+    for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+        for (const a of addrs || []) {
+            if (a.internal) continue;
+            result.push({
+                name,
+                address: a.address,
+                family: a.family === 6 || a.family === 'IPv6' ? 'IPv6' : 'IPv4',
+                cidr: a.cidr || null,
+                scopeid: a.scopeid !== undefined ? a.scopeid : null
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Pick the interfaces to discover on.
+ * @param {Array<object>} all From `listInterfaces`
+ * @param {Array<string>|null} wanted Interface names or addresses; null for
+ *   every IPv4 interface
+ * @param {Array<string>} ipv6Scopes Keys of `SSDP_ADDRESS_V6`
+ * @returns {{ v4: Array<object>, v6: Array<object> }}
+ */
+function selectInterfaces(all, wanted, ipv6Scopes) {
+    const chosen = (a) => !wanted || wanted.includes(a.name) || wanted.includes(a.address);
+    const v4 = all.filter(a => a.family === 'IPv4' && chosen(a));
+    // One IPv6 socket per interface, bound to its link-local address when
+    // it has one so replies to ff02::c come back to it
+    const v6 = [];
+    if (ipv6Scopes.length) {
+        for (const a of all.filter(x => x.family === 'IPv6' && chosen(x))) {
+            const existing = v6.find(x => x.name === a.name);
+            if (!existing) v6.push(a);
+            else if (/^fe80:/i.test(a.address) && !/^fe80:/i.test(existing.address)) v6[v6.indexOf(existing)] = a;
+        }
+    }
+    return { v4, v6 };
+}
+
+/**
+ * Whether an IPv4 address is inside a CIDR block.
+ * @param {string} address
+ * @param {string} cidr
+ * @returns {boolean}
+ */
+function inSubnet(address, cidr) {
+    const [network, bits] = String(cidr || '').split('/');
+    const toNumber = (ip) => ip.split('.').reduce((n, p) => n * 256 + Number(p), 0);
+    if (!net.isIPv4(address) || !net.isIPv4(network)) return false;
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(toNumber(address) / size) === Math.floor(toNumber(network) / size);
+}
+
+/**
+ * Bind a UDP socket to the SSDP port and join the multicast groups on the
+ * chosen interfaces, to receive NOTIFY advertisements.
+ * @param {object} options
+ * @param {'udp4'|'udp6'} options.type
+ * @param {Array<{group: string, iface: string}>} options.memberships
+ * @param {(headers: object, rinfo: object) => void} options.onNotify
+ * @param {(err: Error) => void} options.onError
+ * @param {(msg: Buffer, rinfo: object, parsed: object) => void} options.onPacket
+ *   Every datagram received, NOTIFY or not
+ * @returns {import('dgram').Socket}
+ */
+function listenForNotify({ type, memberships, onNotify, onError, onPacket }) {
+    const socket = dgram.createSocket({ type, reuseAddr: true, ipv6Only: type === 'udp6' });
+
+    socket.on('error', onError);
+    socket.on('message', (msg, rinfo) => {
+        const parsed = parseDatagram(msg);
+        onPacket(msg, rinfo, parsed);
+        if (/^NOTIFY\s/i.test(parsed.startLine)) onNotify(parsed.headers, rinfo);
+    });
+    socket.on('listening', () => {
+        for (const { group, iface } of memberships) {
+            try {
+                socket.addMembership(group, iface);
+            } catch (e) {
+                onError(new Error(`Cannot join ${group} on ${iface}: ${e.message}`));
+            }
+        }
+    });
+    socket.bind(SSDP_PORT);
+    socket.unref();
+
+    return socket;
+}
+
+/**
+ * Open the socket M-SEARCHes are sent from on one interface. Responses are
+ * unicast back to it, so they are tagged with that interface.
+ * @param {object} iface From `listInterfaces`
+ * @param {object} options
+ * @param {Array<string>} options.ipv6Scopes Groups an IPv6 socket sends to
+ * @param {(direction: string, msg: Buffer, rinfo: object, parsed: object) => void} options.onPacket
+ *   Every datagram sent or received
+ * @param {(headers: object, rinfo: object) => void} onResponse
+ * @param {(err: Error) => void} onError
+ * @returns {Promise<{ iface: object, send: (st: string, mx: number) => Promise<void>, close: Function }>}
+ */
+function openSearchSocket(iface, { ipv6Scopes, onPacket }, onResponse, onError) {
+    const v6 = iface.family === 'IPv6';
+    const socket = dgram.createSocket(v6 ? 'udp6' : 'udp4');
+    const address = v6 && /^fe80:/i.test(iface.address) ? `${iface.address}%${iface.name}` : iface.address;
+
+    socket.on('error', onError);
+    socket.on('message', (msg, rinfo) => {
+        const parsed = parseDatagram(msg);
+        onPacket('in', msg, rinfo, parsed);
+        if (/^HTTP\/1\.\d\s+200/i.test(parsed.startLine)) onResponse(parsed.headers, rinfo);
+    });
+
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind({ address, port: 0 }, () => {
+            socket.removeListener('error', reject);
+            try {
+                socket.setMulticastInterface(v6 ? `::%${iface.name}` : iface.address);
+            } catch (e) {
+                onError(e);
+            }
+            socket.unref();
+
+            const targets = v6
+                ? ipv6Scopes.map(scope => SSDP_ADDRESS_V6[scope])
+                : [SSDP_ADDRESS];
+            const send = (st, mx) => Promise.all(targets.map(group => new Promise((done, fail) => {
+                const host = v6 ? `[${group.toUpperCase()}]:${SSDP_PORT}` : `${group}:${SSDP_PORT}`;
+                const msg = buildSearch(st, mx, host);
+                socket.send(msg, SSDP_PORT, group, (err) => {
+                    if (err) return fail(err);
+                    onPacket('out', msg, { address: group, port: SSDP_PORT, family: iface.family }, parseDatagram(msg));
+                    done();
+                });
+            }))).then(() => {});
 
-const { Client: SSDP } = pkg;
+            resolve({ iface, send, close: () => socket.close() });
+        });
+    });
+}
 
 /**
  * Start SSDP discovery and return an EventEmitter.
+ * @param {object} [options]
+ * @param {boolean} [options.listen=true] Listen for multicast NOTIFYs
+ * @param {number} [options.sweepInterval=5000] How often (ms) to check for expired USNs
+ * @param {Function} [options.describe] `(location, { force }) => Promise<{ root, xml }>`
+ *   used to fetch descriptions; pass a registry's `describe` to share its cache
+ * @param {object} [options.recorder] Records SSDP traffic (`createRecorder()`)
+ * @param {object} [options.replay] Recording to serve instead of the network (`openRecording()`)
+ * @param {boolean} [options.timing=false] Replay with the recorded delays
+ * @param {Array<string>|null} [options.interfaces=null] Interface names or
+ *   addresses to discover on; null for every external IPv4 interface
+ * @param {Array<string>} [options.ipv6Scopes=[]] IPv6 multicast scopes to
+ *   discover on as well: `link` (ff02::c) and/or `site` (ff05::c)
+ * @param {string} [options.st='ssdp:all'] Target of the M-SEARCH sent at start
+ * @param {number} [options.mx=3] Its MX
+ * @param {object} [options.policy] URL policy LOCATIONs must pass
+ *   (`createUrlPolicy()`); the sender is the datagram's source address
  * @returns {import('events').EventEmitter}
  */
-export function startDiscovery() {
+export function startDiscovery({
+    listen = true,
+    sweepInterval = 5000,
+    describe = createRegistry().describe,
+    recorder = null,
+    replay = null,
+    timing = false,
+    interfaces = null,
+    ipv6Scopes = [],
+    st = 'ssdp:all',
+    mx = DEFAULT_MX,
+    policy = createUrlPolicy()
+} = {}) {
     const emitter = new EventEmitter();
 
-    // Create the SSDP client and immediately kick off a search.
-    const ssdpClient = new SSDP({ explicitSocketBind: true });
-    ssdpClient.search('ssdp:all');
-
-    // On each SSDP response, fetch the device description XML, parse it
-    // and emit a normalized `device` object. Any errors are re-emitted to
-    // the host via the `error` event.
-    ssdpClient.on('response', (resp, status, ip) => {
-        // console.log('SSDP response from:', resp, status, respIp);
-        http
-            .get(resp.LOCATION, (response) => {
-                let completeResponse = '';
-                response.on('data', (chunk) => {
-                    completeResponse += chunk;
-                });
-                response.on('end', () => {
-                    xml2js.parseString(completeResponse, (err, parsed) => {
-                        if (err) {
-                            emitter.emit('error', err);
-                            return;
-                        }
-                        try {
-                            // console.log('Parsed XML:', parsed.root.device[0]);
-                            // const temp = parsed.root.device[0];
-                            // const deviceInfo = {
-                            //     location: resp.LOCATION,
-                            //     manufacturer: temp.manufacturer ? temp.manufacturer[0] : '',
-                            //     modelName: temp.modelName ? temp.modelName[0] : '',
-                            //     modelNumber: temp.modelNumber ? temp.modelNumber[0] : '',
-
-                            // };
-                            // const extendedInfo = {
-                            //     deviceType: temp.deviceType ? temp.deviceType[0] : '',
-                            //     friendlyName: temp.friendlyName ? temp.friendlyName[0] : '',
-                            //     ssidName: temp.ssidName ? temp.ssidName[0] : '',
-                            //     uuid: temp.uuid ? temp.uuid[0] : '',
-                            // };
-                            // const friendlyName = extendedInfo.friendlyName || '';
-                            // const address = respIp.address || '';
-
-                            emitter.emit('device', {
-                                // address,
-                                // friendlyName,
-                                // deviceInfo,
-                                // extendedInfo,
-                                ssdp: resp,
-                                ip: ip,
-                                device: parsed.root.device[0]
-                            });
-                        } catch (e) {
-                            emitter.emit('error', e);
-                        }
-                    });
+    // `<family> <USN>` -> { usn, location, expiresAt }, and LOCATION ->
+    // presence record
+    const usns = new Map();
+    const locations = new Map();
+
+    // Fetch the device description XML at `resp.LOCATION` (through the
+    // shared description cache), and hand the normalized device object to
+    // `done`. Failures are reported to the host as `device-error` and to
+    // `fail`.
+    function describeDevice(resp, ip, done, fail = () => {}, force = false) {
+        describe(resp.LOCATION, { force })
+            .then(({ root, xml }) => {
+                done({
+                    ssdp: resp,
+                    ip: ip,
+                    device: root.device[0],
+                    root,
+                    xml
                 });
             })
-            .on('error', (e) => {
-                emitter.emit('error', e);
+            .catch((e) => {
+                fail(e);
+                emitter.emit('device-error', {
+                    location: resp.LOCATION,
+                    usn: resp.USN,
+                    udn: udnOf(resp.USN) || null,
+                    address: (ip && ip.address) || null,
+                    interface: (ip && ip.interface) || null,
+                    error: errorInfo(e)
+                });
             });
-    });
+    }
+
+    // Record that `headers.USN` is alive at `headers.LOCATION` and decide
+    // whether the device is new, changed or merely re-advertising.
+    function touch(headers, rinfo, update = false) {
+        const location = headers.LOCATION;
+        if (!location || !headers.USN) return;
+
+        const reason = policy.check(location, rinfo && rinfo.address);
+        if (reason) {
+            emitter.emit('suspicious', {
+                kind: 'location',
+                url: location,
+                usn: headers.USN,
+                address: (rinfo && rinfo.address) || null,
+                interface: (rinfo && rinfo.interface) || null,
+                reason
+            });
+            return;
+        }
+
+        const now = Date.now();
+        const expiresAt = now + parseMaxAge(headers['CACHE-CONTROL']) * 1000;
+        usns.set(`${urlFamily(location)} ${headers.USN}`, { usn: headers.USN, location, expiresAt });
+
+        let entry = locations.get(location);
+        const bootId = headers['BOOTID.UPNP.ORG'];
+        const configId = headers['CONFIGID.UPNP.ORG'];
+
+        if (!entry || entry.status === 'offline') {
+            entry = { status: 'pending', bootId, configId, lastSeen: now };
+            locations.set(location, entry);
+            describeDevice(headers, rinfo, (d) => {
+                entry.status = 'online';
+                emitter.emit('device', d);
+                // Refused by the host (`forget()`)
+                if (locations.get(location) !== entry) return;
+                emitter.emit('device-online', { location, usn: headers.USN, lastSeen: entry.lastSeen, ...d });
+            }, () => {
+                // Forget the LOCATION so the next sighting retries
+                if (locations.get(location) === entry) locations.delete(location);
+            });
+            return;
+        }
+
+        entry.lastSeen = now;
+        const changed = update ||
+            (bootId !== undefined && bootId !== entry.bootId) ||
+            (configId !== undefined && configId !== entry.configId);
+        entry.bootId = bootId;
+        entry.configId = configId;
+
+        if (changed && entry.status === 'online') {
+            describeDevice(headers, rinfo, (d) => {
+                emitter.emit('device', d);
+                emitter.emit('device-updated', { location, usn: headers.USN, lastSeen: entry.lastSeen, ...d });
+            }, undefined, true);
+        } else {
+            emitter.emit('device-seen', {
+                location,
+                address: rinfo && rinfo.address,
+                interface: (rinfo && rinfo.interface) || null,
+                lastSeen: now,
+                expiresAt,
+                // Responses carry ST, NOTIFYs NT
+                response: headers.ST !== undefined,
+                st: headers.ST || null
+            });
+        }
+    }
+
+    // Take LOCATIONs offline once none of their USNs remain
+    function settle(reason) {
+        const alive = new Set([...usns.values()].map(u => u.location));
+        for (const [location, entry] of locations) {
+            if (entry.status === 'offline' || alive.has(location)) continue;
+            if (entry.status === 'pending') {
+                // Never described, so the host never heard of it
+                locations.delete(location);
+                continue;
+            }
+            entry.status = 'offline';
+            emitter.emit('device-offline', { location, reason, lastSeen: entry.lastSeen });
+        }
+    }
+
+    function byebye(headers) {
+        const udn = udnOf(headers.USN);
+        const rootGone = /::upnp:rootdevice$/i.test(headers.USN || '');
+        const known = new Set([...usns.values()].filter(u => u.usn === headers.USN).map(u => u.location));
+
+        for (const [key, u] of usns) {
+            if (udnOf(u.usn) === udn || (rootGone && known.has(u.location))) {
+                usns.delete(key);
+            }
+        }
+        settle('byebye');
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [key, u] of usns) {
+            if (u.expiresAt <= now) usns.delete(key);
+        }
+        settle('expired');
+    }
+
+    function present(udn, location) {
+        return [...usns.values()].some(u => u.location === location && udnOf(u.usn) === udn);
+    }
+
+    function forget(location) {
+        for (const [key, u] of usns) {
+            if (u.location === location) usns.delete(key);
+        }
+        locations.delete(location);
+    }
+
+    emitter.present = present;
+    emitter.forget = forget;
+
+    function notify(headers, rinfo) {
+        const nts = (headers.NTS || '').toLowerCase();
+        if (nts === 'ssdp:alive') touch(headers, rinfo);
+        else if (nts === 'ssdp:update') touch(headers, rinfo, true);
+        else if (nts === 'ssdp:byebye') byebye(headers);
+    }
+
+    if (replay) {
+        const cancels = [
+            schedule(replay.notifies(), e => notify(e.headers, e.rinfo), { timing })
+        ];
+
+        emitter.search = async (st = 'ssdp:all') => {
+            cancels.push(schedule(replay.responses(st), e => touch(e.headers, e.rinfo), { timing, key: 'delay' }));
+        };
+        emitter.stop = () => cancels.forEach(cancel => cancel());
+        emitter.interfaces = () => [];
+
+        emitter.search(st);
+        return emitter;
+    }
+
+    const all = listInterfaces();
+    const selected = selectInterfaces(all, interfaces, ipv6Scopes);
+    if (!selected.v4.length && !selected.v6.length) {
+        setImmediate(() => emitter.emit('error', new Error(`No network interface to discover on (asked for ${(interfaces || []).join(', ')})`)));
+    }
+
+    // Tag a sender with the interface it was heard on: from its IPv6 scope,
+    // else from the chosen interface whose subnet holds it
+    function tagNotify(rinfo) {
+        const scope = /%(.+)$/.exec(rinfo.address || '');
+        const iface = scope
+            ? selected.v6.find(a => a.name === scope[1] || String(a.scopeid) === scope[1])
+            : selected.v4.find(a => inSubnet(rinfo.address, a.cidr));
+        return { ...rinfo, interface: iface ? iface.name : null, localAddress: iface ? iface.address : null };
+    }
+
+    // Hand a datagram to the inspector, if one listens
+    function packet(direction, msg, rinfo, { startLine, headers }, iface) {
+        if (!emitter.listenerCount('packet')) return;
+        emitter.emit('packet', {
+            direction,
+            kind: kindOf(startLine),
+            at: Date.now(),
+            startLine,
+            headers,
+            raw: msg.toString(),
+            size: msg.length,
+            address: rinfo.address,
+            port: rinfo.port,
+            interface: iface ? iface.name : rinfo.interface || null,
+            localAddress: iface ? iface.address : rinfo.localAddress || null,
+            family: rinfo.family === 6 || rinfo.family === 'IPv6' ? 'IPv6' : 'IPv4'
+        });
+    }
+
+    // On each SSDP response, track the USN and fetch the description
+    // when the device is new (or back after being offline).
+    const onError = (err) => emitter.emit('error', err);
+    const searchSockets = Promise.all([...selected.v4, ...selected.v6].map(iface =>
+        openSearchSocket(iface, {
+            ipv6Scopes,
+            onPacket: (direction, msg, rinfo, parsed) => packet(direction, msg, rinfo, parsed, iface)
+        }, (headers, rinfo) => {
+            const ip = { ...rinfo, interface: iface.name, localAddress: iface.address };
+            if (recorder) recorder.ssdp('response', headers, ip);
+            touch(headers, ip);
+        }, onError).catch((e) => {
+            onError(new Error(`Cannot search on ${iface.name} (${iface.address}): ${e.message}`));
+            return null;
+        })
+    )).then(sockets => sockets.filter(Boolean));
+
+    async function search(st = 'ssdp:all', { mx = DEFAULT_MX, interfaces: only = null } = {}) {
+        const sockets = (await searchSockets).filter(x => !only || only.includes(x.iface.name) || only.includes(x.iface.address));
+        if (!sockets.length) throw new Error('No network interface to search on');
+        if (recorder) recorder.search(st, mx);
+        await Promise.all(sockets.map(x => x.send(st, mx)));
+    }
+
+    search(st, { mx }).catch(onError);
+
+    const notifySockets = [];
+    if (listen) {
+        const onNotify = (headers, rinfo) => {
+            const ip = tagNotify(rinfo);
+            if (recorder) recorder.ssdp('notify', headers, ip);
+            notify(headers, ip);
+        };
+        const onPacket = (msg, rinfo, parsed) => packet('in', msg, tagNotify(rinfo), parsed);
+        if (selected.v4.length) {
+            notifySockets.push(listenForNotify({
+                type: 'udp4',
+                memberships: selected.v4.map(a => ({ group: SSDP_ADDRESS, iface: a.address })),
+                onNotify,
+                onError,
+                onPacket
+            }));
+        }
+        if (selected.v6.length) {
+            notifySockets.push(listenForNotify({
+                type: 'udp6',
+                memberships: selected.v6.flatMap(a => ipv6Scopes.map(scope => ({ group: SSDP_ADDRESS_V6[scope], iface: `::%${a.name}` }))),
+                onNotify,
+                onError,
+                onPacket
+            }));
+        }
+    }
+
+    const sweepTimer = setInterval(sweep, sweepInterval);
+    sweepTimer.unref();
+
+    emitter.search = search;
+
+    emitter.interfaces = () => all.map(a => ({
+        ...a,
+        searching: selected.v4.includes(a) || selected.v6.includes(a),
+        ipv6Scopes: a.family === 'IPv6' && selected.v6.includes(a) ? ipv6Scopes : []
+    }));
+
+    emitter.stop = () => {
+        clearInterval(sweepTimer);
+        searchSockets.then(sockets => sockets.forEach(x => x.close()));
+        notifySockets.forEach(socket => socket.close());
+        if (recorder) recorder.flush();
+    };
 
     return emitter;
 }
@@ -0,0 +1,377 @@
+/**
+ * SSDP inspector module
+ *
+ * Keeps the raw SSDP traffic of discovery (the `packet` events of
+ * `ssdp-discovery.mjs`) in a ring buffer, times every response against the
+ * M-SEARCH it answers, and sums the traffic up to diagnose multicast
+ * problems: responses per device, duplicate answers, devices that answer
+ * but whose LOCATION fails, and which search targets were answered.
+ *
+ * Provides `createInspector(options)` which returns an object with:
+ *
+ * - `record(packet)` -> entry | null  add a datagram; null while paused
+ * - `entries({ filter, limit, after })` -> { entries, errors }  most recent
+ *   first, only those with an `id` above `after` when given; `filter` uses
+ *   the syntax below
+ * - `summary({ locationError })` -> summary of the entries in the buffer;
+ *   `locationError(location)` returns why a LOCATION failed, or null
+ * - `pause()`, `resume()`, `clear()`
+ * - `status()` -> { capturing, capacity, size, dropped, skipped, since }
+ *   `dropped` entries were pushed out of the ring, `skipped` ones arrived
+ *   while paused
+ *
+ * `toText(entries)` is exported as well: the raw datagrams, each under a
+ * `#` line with its time, direction, peer, interface, size and timing.
+ *
+ * Entries are packets with:
+ *   {
+ *     id, at, direction: 'in' | 'out', kind, startLine, headers, raw, size,
+ *     address, port, interface, localAddress, family,
+ *     st: ST or NT, usn, udn, location,
+ *     searchId,   on an M-SEARCH we sent, and on a response: the search it
+ *                 answers (the last one sent on its interface)
+ *     delayMs,    on a response: ms since that search
+ *     late,       the response came after the search's MX
+ *     stMismatch  a targeted search was answered with another ST
+ *   }
+ *
+ * Filter syntax: whitespace-separated terms, all of which must match; a
+ * leading `-` negates a term, commas separate alternatives.
+ *
+ *   kind:response,notify    m-search, response, notify or other
+ *   dir:in                  in or out
+ *   ip:192.168.1.20         peer address; a trailing `.` or `:` matches a
+ *                           prefix
+ *   iface:eth0              interface, by name or local address
+ *   st:MediaRenderer        ST or NT (substring)
+ *   usn:uuid:1234           USN (substring)
+ *   anything else           substring of the raw datagram
+ *
+ * Summary shape:
+ *   {
+ *     devices: [{ udn, addresses, interfaces, locations, responses,
+ *                 notifies, byebyes, searches, duplicates, lastAt,
+ *                 failing: [{ location, error }] }],
+ *     duplicates: [{ searchId, address, usn, st, count }],
+ *     failing: [{ udn, location, address, error }],
+ *     searches: [{ searchId, at, st, mx, interface, responses, devices,
+ *                  late, stMismatch, firstMs, medianMs, maxMs }],
+ *     targets: [{ st, responses, notifies, devices }]
+ *   }
+ *
+ * Notes:
+ * - Responses are matched to the M-SEARCH last sent on the interface they
+ *   came in on, up to `matchWindow` ms later; older ones stay unmatched.
+ * - The searches are remembered apart from the ring, so responses keep
+ *   their timing after the M-SEARCH itself is pushed out.
+ */
+
+import { tokenize } from './device-filter.mjs';
+
+const FILTER_KEYS = ['kind', 'dir', 'ip', 'iface', 'st', 'usn'];
+
+/**
+ * UDN part of a USN.
+ * @param {string} usn
+ * @returns {string|null}
+ */
+function udnOf(usn) {
+    return usn ? usn.split('::')[0] : null;
+}
+
+/**
+ * Parse inspector filter text.
+ * @param {string} text
+ * @returns {{ terms: Array<{ key, values, negate }>, errors: Array<string> }}
+ */
+export function parseTrafficFilter(text) {
+    const terms = [];
+    const errors = [];
+    for (let token of tokenize(String(text || '').trim())) {
+        const negate = token.startsWith('-') && token.length > 1;
+        if (negate) token = token.slice(1);
+        const colon = token.indexOf(':');
+        const name = colon > 0 ? token.slice(0, colon).toLowerCase() : null;
+        let key = 'text';
+        let value = token;
+        if (name && FILTER_KEYS.includes(name)) {
+            key = name;
+            value = token.slice(colon + 1);
+        }
+        const values = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+        if (!values.length) {
+            errors.push(`"${token}" needs a value`);
+            continue;
+        }
+        terms.push({ key, values, negate });
+    }
+    return { terms, errors };
+}
+
+/**
+ * Whether an entry matches a parsed filter.
+ * @param {object} filter From `parseTrafficFilter`
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function matches(filter, entry) {
+    const lower = (v) => String(v || '').toLowerCase();
+    const test = (key, value) => {
+        switch (key) {
+            case 'kind': return entry.kind === value;
+            case 'dir': return entry.direction === value;
+            case 'ip': return /[.:]$/.test(value) ? lower(entry.address).startsWith(value) : lower(entry.address) === value;
+            case 'iface': return lower(entry.interface) === value || lower(entry.localAddress) === value;
+            case 'st': return lower(entry.st).includes(value);
+            case 'usn': return lower(entry.usn).includes(value);
+            default: return lower(entry.raw).includes(value);
+        }
+    };
+    return filter.terms.every(term => term.values.some(v => test(term.key, v)) !== term.negate);
+}
+
+/**
+ * Median of a list of numbers, or null.
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Create an inspector.
+ * @param {object} [options]
+ * @param {number} [options.capacity=2000] Entries kept
+ * @param {number} [options.maxSearches=200] M-SEARCHes remembered for timing
+ * @param {number} [options.matchWindow=30000] ms after an M-SEARCH a response still counts as its answer
+ * @returns {object}
+ */
+export function createInspector({ capacity = 2000, maxSearches = 200, matchWindow = 30000 } = {}) {
+    let ring = [];
+    let nextId = 1;
+    let nextSearch = 1;
+    let capturing = true;
+    let dropped = 0;
+    let skipped = 0;
+    let since = Date.now();
+    // searchId -> { searchId, at, st, mx, interface, localAddress, family }
+    const searches = new Map();
+    // `<localAddress>|<family>` -> last search sent there
+    const lastSearch = new Map();
+
+    function record(packet) {
+        if (!capturing) {
+            skipped++;
+            return null;
+        }
+
+        const headers = packet.headers || {};
+        const entry = {
+            id: nextId++,
+            ...packet,
+            st: headers.ST || headers.NT || null,
+            usn: headers.USN || null,
+            udn: udnOf(headers.USN),
+            location: headers.LOCATION || null,
+            searchId: null,
+            delayMs: null,
+            late: false,
+            stMismatch: false
+        };
+        const slot = `${packet.localAddress}|${packet.family}`;
+
+        if (entry.direction === 'out' && entry.kind === 'm-search') {
+            const search = {
+                searchId: nextSearch++,
+                at: entry.at,
+                st: entry.st,
+                mx: Number(headers.MX) || null,
+                interface: entry.interface,
+                localAddress: entry.localAddress,
+                family: entry.family
+            };
+            entry.searchId = search.searchId;
+            searches.set(search.searchId, search);
+            if (searches.size > maxSearches) searches.delete(searches.keys().next().value);
+            lastSearch.set(slot, search);
+        } else if (entry.direction === 'in' && entry.kind === 'response') {
+            const search = lastSearch.get(slot);
+            if (search && entry.at - search.at <= matchWindow) {
+                entry.searchId = search.searchId;
+                entry.delayMs = entry.at - search.at;
+                entry.late = Boolean(search.mx) && entry.delayMs > search.mx * 1000;
+                entry.stMismatch = search.st !== 'ssdp:all' && entry.st !== search.st;
+            }
+        }
+
+        ring.push(entry);
+        if (ring.length > capacity) {
+            ring.shift();
+            dropped++;
+        }
+        return entry;
+    }
+
+    function entries({ filter, limit = capacity, after = 0 } = {}) {
+        const parsed = parseTrafficFilter(filter);
+        const result = [];
+        for (let i = ring.length - 1; i >= 0 && result.length < limit && ring[i].id > after; i--) {
+            if (matches(parsed, ring[i])) result.push(ring[i]);
+        }
+        return { entries: result, errors: parsed.errors };
+    }
+
+    function summary({ locationError = () => null } = {}) {
+        const devices = new Map();
+        const answers = new Map();
+        const targets = new Map();
+        const bySearch = new Map();
+
+        for (const e of ring) {
+            if (e.direction === 'in' && e.st && (e.kind === 'response' || e.kind === 'notify')) {
+                const target = targets.get(e.st) || { st: e.st, responses: 0, notifies: 0, devices: new Set() };
+                target[e.kind === 'response' ? 'responses' : 'notifies']++;
+                if (e.udn) target.devices.add(e.udn);
+                targets.set(e.st, target);
+            }
+            if (e.searchId !== null && e.kind === 'response') {
+                const s = bySearch.get(e.searchId) || { responses: 0, devices: new Set(), late: 0, stMismatch: 0, delays: [] };
+                s.responses++;
+                if (e.udn) s.devices.add(e.udn);
+                if (e.late) s.late++;
+                if (e.stMismatch) s.stMismatch++;
+                s.delays.push(e.delayMs);
+                bySearch.set(e.searchId, s);
+            }
+            if (!e.udn || e.direction !== 'in') continue;
+
+            const d = devices.get(e.udn) || {
+                udn: e.udn,
+                addresses: new Set(),
+                interfaces: new Set(),
+                locations: new Set(),
+                responses: 0,
+                notifies: 0,
+                byebyes: 0,
+                searches: new Set(),
+                duplicates: 0,
+                lastAt: 0
+            };
+            d.addresses.add(e.address);
+            if (e.interface) d.interfaces.add(e.interface);
+            if (e.location) d.locations.add(e.location);
+            if (e.kind === 'response') d.responses++;
+            if (e.kind === 'notify') {
+                if (/ssdp:byebye/i.test(e.headers.NTS || '')) d.byebyes++;
+                else d.notifies++;
+            }
+            if (e.searchId !== null) d.searches.add(e.searchId);
+            d.lastAt = e.at;
+            devices.set(e.udn, d);
+
+            // The same answer to the same search, more than once
+            if (e.kind === 'response' && e.searchId !== null) {
+                const key = `${e.searchId}|${e.address}|${e.usn}|${e.st}`;
+                const a = answers.get(key) || { searchId: e.searchId, address: e.address, usn: e.usn, st: e.st, count: 0 };
+                a.count++;
+                answers.set(key, a);
+            }
+        }
+
+        const duplicates = [...answers.values()].filter(a => a.count > 1);
+        for (const a of duplicates) devices.get(udnOf(a.usn)).duplicates += a.count - 1;
+
+        const failing = [];
+        const deviceList = [...devices.values()].map((d) => {
+            const failures = [...d.locations]
+                .map(location => ({ location, error: locationError(location) }))
+                .filter(f => f.error);
+            for (const f of failures) failing.push({ udn: d.udn, location: f.location, address: [...d.addresses][0], error: f.error });
+            return {
+                ...d,
+                addresses: [...d.addresses],
+                interfaces: [...d.interfaces],
+                locations: [...d.locations],
+                searches: d.searches.size,
+                failing: failures
+            };
+        }).sort((a, b) => b.responses + b.notifies - (a.responses + a.notifies));
+
+        const searchList = [...searches.values()]
+            // Searches still in the ring, or answered by responses that are
+            .filter(s => (ring.length && s.at >= ring[0].at) || bySearch.has(s.searchId))
+            .map((s) => {
+                const stats = bySearch.get(s.searchId) || { responses: 0, devices: new Set(), late: 0, stMismatch: 0, delays: [] };
+                return {
+                    searchId: s.searchId,
+                    at: s.at,
+                    st: s.st,
+                    mx: s.mx,
+                    interface: s.interface,
+                    responses: stats.responses,
+                    devices: stats.devices.size,
+                    late: stats.late,
+                    stMismatch: stats.stMismatch,
+                    firstMs: stats.delays.length ? Math.min(...stats.delays) : null,
+                    medianMs: median(stats.delays),
+                    maxMs: stats.delays.length ? Math.max(...stats.delays) : null
+                };
+            })
+            .reverse();
+
+        return {
+            devices: deviceList,
+            duplicates,
+            failing,
+            searches: searchList,
+            targets: [...targets.values()]
+                .map(t => ({ ...t, devices: t.devices.size }))
+                .sort((a, b) => a.st.localeCompare(b.st))
+        };
+    }
+
+    function clear() {
+        ring = [];
+        dropped = 0;
+        skipped = 0;
+        since = Date.now();
+        searches.clear();
+        lastSearch.clear();
+    }
+
+    function status() {
+        return { capturing, capacity, size: ring.length, dropped, skipped, since };
+    }
+
+    return {
+        record,
+        entries,
+        summary,
+        pause: () => { capturing = false; },
+        resume: () => { capturing = true; },
+        clear,
+        status
+    };
+}
+
+/**
+ * The entries as text: each raw datagram under a `#` line.
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export function toText(entries) {
+    return entries.map((e) => {
+        const peer = e.family === 'IPv6' ? `[${e.address}]:${e.port}` : `${e.address}:${e.port}`;
+        const via = e.interface ? ` via ${e.interface} (${e.localAddress})` : '';
+        const timing = e.delayMs !== null
+            ? `, ${e.delayMs} ms after search ${e.searchId}${e.late ? ' (late)' : ''}${e.stMismatch ? ' (other ST)' : ''}`
+            : e.searchId !== null ? `, search ${e.searchId}` : '';
+        const header = `# ${new Date(e.at).toISOString()} ${e.direction} ${e.kind} ${e.direction === 'out' ? 'to' : 'from'} ${peer}${via}, ${e.size} bytes${timing}`;
+        return `${header}\n${e.raw.replace(/\r\n/g, '\n').trimEnd()}\n`;
+    }).join('\n');
+}
+
+export default createInspector;
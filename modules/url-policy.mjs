@@ -0,0 +1,186 @@
+/**
+ * URL policy module
+ *
+ * Decides which device URLs the explorer is willing to request. Anyone on
+ * the LAN can answer an M-SEARCH or send a NOTIFY, and whatever LOCATION
+ * it names is fetched, and the SCPD, control and event URLs of the
+ * description are resolved against it; without a policy a spoofed
+ * response can make the server request arbitrary hosts, ports and paths
+ * (cloud metadata endpoints, services on localhost...).
+ *
+ * Exports:
+ *
+ * - `createUrlPolicy(options)` -> policy with
+ *   - `check(url, sender)` -> null when `url` may be requested, else the
+ *     reason it may not; `sender` is the address the device answered from
+ *     (`rinfo.address`), or null when unknown
+ *   - `options` the effective options
+ * - `parseAddress(text)` -> { family: 4 | 6, value: BigInt } | null
+ * - `urlFamily(url)` -> 4 | 6 | null  family of a URL's host address
+ * - `inRange(address, cidr)` -> boolean  IPv4 or IPv6 CIDR
+ * - `DEFAULT_ALLOWED_RANGES`, `LOOPBACK_RANGES`, `METADATA_RANGES`
+ *
+ * Options:
+ *
+ *   allowedRanges    CIDRs accepted even when the URL's host is not the
+ *                    sender (default: the private, link-local and ULA
+ *                    ranges)
+ *   allowLoopback    accept 127.0.0.0/8, ::1 and 0.0.0.0 (false)
+ *   allowMetadata    accept cloud metadata addresses (false)
+ *   allowHostnames   accept host names, which cannot be checked without
+ *                    resolving them (false)
+ *
+ * A URL is accepted when it is http(s), its host is an address, it is not
+ * a loopback or metadata address (unless allowed), and it either is the
+ * sender's address or lies in an allowed range. Loopback and metadata are
+ * refused even from a sender with that address, since the sender address
+ * of a UDP datagram is easily forged.
+ */
+
+const DEFAULT_ALLOWED_RANGES = [
+    '10.0.0.0/8',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '169.254.0.0/16',
+    'fc00::/7',
+    'fe80::/10'
+];
+
+const LOOPBACK_RANGES = ['127.0.0.0/8', '0.0.0.0/8', '::1/128', '::/128'];
+
+// AWS/GCP/Azure/OpenStack, AWS ECS task metadata and IPv6 IMDS, Alibaba
+const METADATA_RANGES = ['169.254.169.254/32', '169.254.170.2/32', 'fd00:ec2::254/128', '100.100.100.200/32'];
+
+export { DEFAULT_ALLOWED_RANGES, LOOPBACK_RANGES, METADATA_RANGES };
+
+/**
+ * Parse an IPv4 or IPv6 address (brackets and zone id allowed). IPv4-mapped
+ * IPv6 addresses are returned as IPv4.
+ * @param {string} text
+ * @returns {{ family: 4|6, value: bigint }|null}
+ */
+export function parseAddress(text) {
+    const address = String(text || '').replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+    const v4 = (s) => {
+        const parts = s.split('.');
+        if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+        return parts.reduce((n, p) => (n << 8n) + BigInt(p), 0n);
+    };
+
+    if (!address.includes(':')) {
+        const value = v4(address);
+        return value === null ? null : { family: 4, value };
+    }
+
+    // An IPv4 tail (::ffff:192.168.1.2) counts as two groups
+    let groupsText = address;
+    let tail = null;
+    const dotted = /:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+    if (dotted) {
+        tail = v4(dotted[1]);
+        if (tail === null) return null;
+        groupsText = address.slice(0, dotted.index + 1) + '0:0';
+    }
+
+    const halves = groupsText.split('::');
+    if (halves.length > 2) return null;
+    const split = (s) => (s ? s.split(':') : []);
+    const head = split(halves[0]);
+    const rest = halves.length === 2 ? split(halves[1]) : [];
+    const missing = 8 - head.length - rest.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    if (groups.some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+
+    let value = groups.reduce((n, g) => (n << 16n) + BigInt(parseInt(g, 16)), 0n);
+    if (tail !== null) value = (value & ~0xffffffffn) | tail;
+    if (value >> 32n === 0xffffn) return { family: 4, value: value & 0xffffffffn };
+    return { family: 6, value };
+}
+
+/**
+ * Address family of a URL's host, or null for a host name or bad URL.
+ * @param {string} url
+ * @returns {4|6|null}
+ */
+export function urlFamily(url) {
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        return null;
+    }
+    const address = parseAddress(host);
+    return address ? address.family : null;
+}
+
+/**
+ * Whether an address lies in a CIDR block of the same family.
+ * @param {string|object} address Text or `parseAddress` result
+ * @param {string} cidr
+ * @returns {boolean}
+ */
+export function inRange(address, cidr) {
+    const addr = typeof address === 'string' ? parseAddress(address) : address;
+    const [network, bits] = String(cidr).split('/');
+    const net = parseAddress(network);
+    if (!addr || !net || addr.family !== net.family) return false;
+    const width = addr.family === 4 ? 32 : 128;
+    const prefix = bits === undefined ? width : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > width) return false;
+    const shift = BigInt(width - prefix);
+    return addr.value >> shift === net.value >> shift;
+}
+
+/**
+ * Create a URL policy.
+ * @param {object} [options] See the module notes
+ * @returns {{ check: Function, options: object }}
+ */
+export function createUrlPolicy({
+    allowedRanges = DEFAULT_ALLOWED_RANGES,
+    allowLoopback = false,
+    allowMetadata = false,
+    allowHostnames = false
+} = {}) {
+    for (const cidr of allowedRanges) {
+        if (!parseAddress(cidr.split('/')[0])) throw new Error(`Invalid address range "${cidr}"`);
+    }
+
+    function check(url, sender) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return 'not a valid URL';
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return `${parsed.protocol} URLs are not fetched`;
+        }
+
+        const host = parsed.hostname;
+        const address = parseAddress(host);
+        if (!address) {
+            if (allowHostnames) return null;
+            return `host "${host}" is a name, not an address`;
+        }
+        if (!allowMetadata && METADATA_RANGES.some(r => inRange(address, r))) {
+            return `${host} is a cloud metadata address`;
+        }
+        if (!allowLoopback && LOOPBACK_RANGES.some(r => inRange(address, r))) {
+            return `${host} is a loopback address`;
+        }
+
+        const from = sender ? parseAddress(sender) : null;
+        if (from && from.family === address.family && from.value === address.value) return null;
+        if (allowedRanges.some(r => inRange(address, r))) return null;
+        return sender
+            ? `${host} is neither the sender (${sender}) nor in an allowed range`
+            : `${host} is not in an allowed range`;
+    }
+
+    return { check, options: { allowedRanges, allowLoopback, allowMetadata, allowHostnames } };
+}
+
+export default createUrlPolicy;
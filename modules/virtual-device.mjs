@@ -0,0 +1,416 @@
+/**
+ * Virtual device module
+ *
+ * Publishes a UPnP device implemented in JavaScript, so the explorer (and
+ * any other control point on the LAN) has a target to find and drive.
+ *
+ * Provides `createVirtualDevice(options)` which returns an object with:
+ *
+ * - `router`: Express router to mount on `basePath`, serving
+ *   - `GET  <basePath>/description.xml`
+ *   - `GET  <basePath>/<service id>/scpd.xml`
+ *   - `POST <basePath>/<service id>/control`  SOAP control requests
+ * - `start()` -> Promise<void> bind SSDP and start advertising
+ * - `stop()` send `ssdp:byebye` and close the SSDP sockets
+ * - `udn`, `profile`, `descriptionXml`
+ *
+ * and `loadProfile(name, options)` which imports `./profiles/<name>.mjs`
+ * and calls its default export to build a profile:
+ *   {
+ *     deviceType, friendlyName, manufacturer, modelName, modelNumber,
+ *     services: [{
+ *       id: 'AVTransport',                    // path segment
+ *       serviceType, serviceId,
+ *       stateVariables: [StateVariable],      // as in scpd.mjs
+ *       actions: [{ name, inputs: [{ name, relatedStateVariable }],
+ *                   outputs: [{ name, relatedStateVariable }] }],
+ *       handlers: { [action]: (args, context) => outputs | Promise<outputs> }
+ *     }]
+ *   }
+ *
+ * Handlers receive the in-arguments by name as strings, already checked
+ * against the SCPD (present, in the allowed value list or range, numeric
+ * where the type is). They return the out-arguments by name; throw
+ * `upnpError(code, description)` to answer with a UPnP fault. Any other
+ * error is answered as 501 Action Failed.
+ *
+ * Usage:
+ *
+ * const { createVirtualDevice, loadProfile } = await import('./modules/virtual-device.mjs');
+ * const device = createVirtualDevice({
+ *     profile: await loadProfile('media-renderer'),
+ *     basePath: '/virtual',
+ *     getPort: () => webServer.address().port
+ * });
+ * app.use('/virtual', device.router);
+ * await device.start();
+ *
+ * Notes:
+ * - Advertising uses node-ssdp's Server: it answers M-SEARCH and sends
+ *   `ssdp:alive` / `ssdp:byebye` for the root device, the device type and
+ *   every service type. LOCATION is built per interface from `getPort()`.
+ * - The default UDN is derived from the host name and device type, so the
+ *   device keeps its identity across restarts.
+ * - Eventing is not implemented: `eventSubURL` is left empty and control
+ *   points have to poll (GetTransportInfo, GetVolume, ...).
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import express from 'express';
+import pkg from 'node-ssdp';
+import { escapeXml, buildResponse, buildFault, parseRequest } from './soap.mjs';
+
+const { Server: SSDPServer } = pkg;
+
+const SERVER_SIGNATURE = `${os.type()}/${os.release()} UPnP/1.0 test-ssdp/1.0`;
+
+// UPnP control error codes used below
+const INVALID_ACTION = 401;
+const INVALID_ARGS = 402;
+const ACTION_FAILED = 501;
+const ARGUMENT_VALUE_INVALID = 600;
+const ARGUMENT_OUT_OF_RANGE = 601;
+const NOT_IMPLEMENTED = 602;
+
+const INTEGER_RANGES = {
+    ui1: [0, 0xff],
+    ui2: [0, 0xffff],
+    ui4: [0, 0xffffffff],
+    i1: [-0x80, 0x7f],
+    i2: [-0x8000, 0x7fff],
+    i4: [-0x80000000, 0x7fffffff],
+    int: [-0x80000000, 0x7fffffff]
+};
+const FLOAT_TYPES = new Set(['r4', 'r8', 'number', 'float', 'fixed.14.4']);
+const BOOLEAN_VALUES = new Set(['0', '1', 'true', 'false', 'yes', 'no']);
+
+/**
+ * Error answered to the control point as a UPnP fault.
+ * @param {number} code UPnP error code
+ * @param {string} description
+ * @returns {Error}
+ */
+export function upnpError(code, description) {
+    const err = new Error(description);
+    err.upnpErrorCode = code;
+    return err;
+}
+
+/**
+ * Import a built-in profile and build it.
+ * @param {string} name File name in `./profiles`, e.g. `media-renderer`
+ * @param {object} [options] Passed to the profile factory
+ * @returns {Promise<object>}
+ */
+export async function loadProfile(name, options = {}) {
+    if (!/^[a-z0-9-]+$/.test(name)) {
+        throw new Error(`Invalid profile name "${name}"`);
+    }
+    const mod = await import(`./profiles/${name}.mjs`);
+    return (mod.createProfile || mod.default)(options);
+}
+
+/**
+ * Stable `uuid:` UDN derived from a seed string.
+ * @param {string} seed
+ * @returns {string}
+ */
+function stableUdn(seed) {
+    const hex = crypto.createHash('sha1').update(seed).digest('hex');
+    // Name-based (version 5) layout, RFC 4122 variant
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Check one in-argument against its state variable.
+ * @param {string} name
+ * @param {string} value
+ * @param {object} sv
+ * @returns {Error|null}
+ */
+function checkArgument(name, value, sv) {
+    if (!sv) return null;
+    const type = sv.dataType;
+
+    if (INTEGER_RANGES[type]) {
+        const [min, max] = INTEGER_RANGES[type];
+        if (!/^[-+]?\d+$/.test(value.trim()) || Number(value) < min || Number(value) > max) {
+            return upnpError(ARGUMENT_VALUE_INVALID, `${name} must be of type ${type}`);
+        }
+    } else if (FLOAT_TYPES.has(type)) {
+        if (value.trim() === '' || !Number.isFinite(Number(value))) {
+            return upnpError(ARGUMENT_VALUE_INVALID, `${name} must be a number`);
+        }
+    } else if (type === 'boolean') {
+        if (!BOOLEAN_VALUES.has(value.trim().toLowerCase())) {
+            return upnpError(ARGUMENT_VALUE_INVALID, `${name} must be a boolean`);
+        }
+    }
+
+    if (sv.allowedValueList && !sv.allowedValueList.includes(value)) {
+        return upnpError(ARGUMENT_VALUE_INVALID, `${name} must be one of ${sv.allowedValueList.join(', ')}`);
+    }
+
+    const range = sv.allowedValueRange;
+    if (range) {
+        const n = Number(value);
+        if ((range.minimum !== null && range.minimum !== undefined && n < Number(range.minimum)) ||
+            (range.maximum !== null && range.maximum !== undefined && n > Number(range.maximum))) {
+            return upnpError(ARGUMENT_OUT_OF_RANGE, `${name} must be between ${range.minimum} and ${range.maximum}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * SCPD document of a service definition.
+ * @param {object} service
+ * @returns {string}
+ */
+function scpdXml(service) {
+    const argument = (arg, direction) =>
+        '        <argument>' +
+        `<name>${escapeXml(arg.name)}</name>` +
+        `<direction>${direction}</direction>` +
+        (arg.retval ? '<retval/>' : '') +
+        `<relatedStateVariable>${escapeXml(arg.relatedStateVariable)}</relatedStateVariable>` +
+        '</argument>';
+
+    const actions = service.actions.map(action => [
+        '    <action>',
+        `      <name>${escapeXml(action.name)}</name>`,
+        '      <argumentList>',
+        ...(action.inputs || []).map(arg => argument(arg, 'in')),
+        ...(action.outputs || []).map(arg => argument(arg, 'out')),
+        '      </argumentList>',
+        '    </action>'
+    ].join('\n'));
+
+    const variables = service.stateVariables.map((sv) => {
+        const lines = [
+            `    <stateVariable sendEvents="${sv.sendEvents ? 'yes' : 'no'}">`,
+            `      <name>${escapeXml(sv.name)}</name>`,
+            `      <dataType>${escapeXml(sv.dataType)}</dataType>`
+        ];
+        if (sv.defaultValue !== null && sv.defaultValue !== undefined) {
+            lines.push(`      <defaultValue>${escapeXml(sv.defaultValue)}</defaultValue>`);
+        }
+        if (sv.allowedValueList) {
+            lines.push('      <allowedValueList>');
+            for (const value of sv.allowedValueList) {
+                lines.push(`        <allowedValue>${escapeXml(value)}</allowedValue>`);
+            }
+            lines.push('      </allowedValueList>');
+        }
+        if (sv.allowedValueRange) {
+            const { minimum, maximum, step } = sv.allowedValueRange;
+            lines.push('      <allowedValueRange>' +
+                `<minimum>${escapeXml(minimum)}</minimum>` +
+                `<maximum>${escapeXml(maximum)}</maximum>` +
+                (step !== null && step !== undefined ? `<step>${escapeXml(step)}</step>` : '') +
+                '</allowedValueRange>');
+        }
+        lines.push('    </stateVariable>');
+        return lines.join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<scpd xmlns="urn:schemas-upnp-org:service-1-0">',
+        '  <specVersion><major>1</major><minor>0</minor></specVersion>',
+        '  <actionList>',
+        ...actions,
+        '  </actionList>',
+        '  <serviceStateTable>',
+        ...variables,
+        '  </serviceStateTable>',
+        '</scpd>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Device description document.
+ * @param {object} profile
+ * @param {string} udn
+ * @param {string} basePath
+ * @returns {string}
+ */
+function descriptionXml(profile, udn, basePath) {
+    const optional = ['manufacturerURL', 'modelDescription', 'modelNumber', 'modelURL', 'serialNumber']
+        .filter(key => profile[key])
+        .map(key => `    <${key}>${escapeXml(profile[key])}</${key}>`);
+
+    const services = profile.services.map(service => [
+        '      <service>',
+        `        <serviceType>${escapeXml(service.serviceType)}</serviceType>`,
+        `        <serviceId>${escapeXml(service.serviceId)}</serviceId>`,
+        `        <SCPDURL>${escapeXml(`${basePath}/${service.id}/scpd.xml`)}</SCPDURL>`,
+        `        <controlURL>${escapeXml(`${basePath}/${service.id}/control`)}</controlURL>`,
+        '        <eventSubURL></eventSubURL>',
+        '      </service>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<root xmlns="urn:schemas-upnp-org:device-1-0">',
+        '  <specVersion><major>1</major><minor>0</minor></specVersion>',
+        '  <device>',
+        `    <deviceType>${escapeXml(profile.deviceType)}</deviceType>`,
+        `    <friendlyName>${escapeXml(profile.friendlyName)}</friendlyName>`,
+        `    <manufacturer>${escapeXml(profile.manufacturer)}</manufacturer>`,
+        `    <modelName>${escapeXml(profile.modelName)}</modelName>`,
+        ...optional,
+        `    <UDN>${escapeXml(udn)}</UDN>`,
+        '    <serviceList>',
+        ...services,
+        '    </serviceList>',
+        '  </device>',
+        '</root>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Create a virtual device.
+ * @param {object} options
+ * @param {object} options.profile Device definition (see above)
+ * @param {() => number} options.getPort Port the Express server listens on
+ * @param {string} [options.basePath='/virtual'] Where `router` is mounted
+ * @param {string} [options.udn] Defaults to one derived from host and device type
+ * @param {string} [options.friendlyName] Overrides the profile's name
+ * @param {number} [options.adInterval=30000] ms between `ssdp:alive` rounds
+ * @returns {object}
+ */
+export function createVirtualDevice({
+    profile,
+    getPort,
+    basePath = '/virtual',
+    udn,
+    friendlyName,
+    adInterval = 30000
+}) {
+    if (friendlyName) profile = { ...profile, friendlyName };
+    udn = udn || stableUdn(`${os.hostname()}:${profile.deviceType}`);
+
+    const description = descriptionXml(profile, udn, basePath);
+    const services = new Map(profile.services.map(s => [s.id, { ...s, scpd: scpdXml(s) }]));
+    let server = null;
+
+    function sendXml(res, status, xml) {
+        res.status(status)
+            .set({ 'Content-Type': 'text/xml; charset="utf-8"', 'EXT': '', 'SERVER': SERVER_SIGNATURE })
+            .send(xml);
+    }
+
+    async function control(req, res) {
+        const service = services.get(req.params.service);
+        if (!service) {
+            res.sendStatus(404);
+            return;
+        }
+
+        let request;
+        try {
+            request = await parseRequest(typeof req.body === 'string' ? req.body : '');
+        } catch (e) {
+            sendXml(res, 500, buildFault(INVALID_ACTION, e.message));
+            return;
+        }
+
+        const action = service.actions.find(a => a.name === request.action);
+        if (!action) {
+            sendXml(res, 500, buildFault(INVALID_ACTION, 'Invalid Action'));
+            return;
+        }
+
+        const variables = new Map(service.stateVariables.map(sv => [sv.name, sv]));
+        for (const input of action.inputs || []) {
+            const value = request.args[input.name];
+            if (value === undefined) {
+                sendXml(res, 500, buildFault(INVALID_ARGS, `Missing argument ${input.name}`));
+                return;
+            }
+            const error = checkArgument(input.name, value, variables.get(input.relatedStateVariable));
+            if (error) {
+                sendXml(res, 500, buildFault(error.upnpErrorCode, error.message));
+                return;
+            }
+        }
+
+        const handler = service.handlers && service.handlers[action.name];
+        if (!handler) {
+            sendXml(res, 500, buildFault(NOT_IMPLEMENTED, 'Optional Action Not Implemented'));
+            return;
+        }
+
+        try {
+            const result = (await handler(request.args, { service, remoteAddress: req.ip })) || {};
+            const outputs = {};
+            for (const output of action.outputs || []) {
+                outputs[output.name] = result[output.name];
+            }
+            sendXml(res, 200, buildResponse(service.serviceType, action.name, outputs));
+        } catch (e) {
+            if (!e.upnpErrorCode) console.error('virtual-device: %s#%s failed:', service.id, action.name, e);
+            sendXml(res, 500, buildFault(e.upnpErrorCode || ACTION_FAILED, e.upnpErrorCode ? e.message : 'Action Failed'));
+        }
+    }
+
+    const router = express.Router();
+
+    router.get('/description.xml', (req, res) => {
+        sendXml(res, 200, description);
+    });
+
+    router.get('/:service/scpd.xml', (req, res) => {
+        const service = services.get(req.params.service);
+        if (!service) {
+            res.sendStatus(404);
+            return;
+        }
+        sendXml(res, 200, service.scpd);
+    });
+
+    router.post('/:service/control', express.text({ type: () => true, limit: '1mb' }), (req, res, next) => {
+        control(req, res).catch(next);
+    });
+
+    async function start() {
+        if (server) return;
+        server = new SSDPServer({
+            udn,
+            location: { port: getPort(), path: `${basePath}/description.xml` },
+            ssdpSig: SERVER_SIGNATURE,
+            adInterval
+        });
+        server.addUSN('upnp:rootdevice');
+        server.addUSN(profile.deviceType);
+        for (const service of services.values()) server.addUSN(service.serviceType);
+        try {
+            await server.start();
+        } catch (e) {
+            server = null;
+            throw e;
+        }
+    }
+
+    function stop() {
+        if (!server) return;
+        server.stop();
+        server = null;
+    }
+
+    return {
+        udn,
+        profile,
+        descriptionXml: description,
+        router,
+        start,
+        stop
+    };
+}
+
+export default createVirtualDevice;
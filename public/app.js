@@ -10,10 +10,33 @@
  * - UI clicks ONLY push navigation state
  * - Socket emits happen ONLY when navigation state is applied
  * - No socket emits directly from click handlers
+ * - Exception: commands that do not navigate (invoking an action,
+ *   watching a service's events, renderer remote control, playing media,
+ *   editing the play queue, vendor actions, adding or deleting port
+ *   mappings, pausing or clearing the SSDP capture) emit from their own
+ *   handlers; logging in and out goes over
+ *   HTTP (`/api/auth`) and reconnects the socket; exports are downloads
+ *   from `/api/export` of the devices the current filter lists
+ *
+ * When the server requires a login the socket is refused with
+ * `unauthorized` and the login form is shown; the server tells each
+ * connected socket who it is (`session`), and refuses control commands
+ * to viewers.
  *
  * Panels:
- *   0 = Devices
- *   1 = Services (per device)
+ *   0 = Devices (or, with `view: 'inventory'`, the device history; with
+ *       `view: 'suspicious'`, the device URLs the server refused; with
+ *       `view: 'traffic'`, the SSDP datagrams discovery sent and received,
+ *       narrowed by `trafficFilter`, live while the view is open); every
+ *       state also carries the device `filter` (modules/device-filter.mjs),
+ *       mirrored in the URL's `?filter=` so it survives a reload
+ *   1 = Services (per device), with a remote-control panel on top for
+ *       MediaRenderers and the cards of matching vendor plugins (or, with `view: 'library'`, a MediaServer's
+ *       ContentDirectory; `path` holds the breadcrumbs, so the back button
+ *       walks back up the folders; with `view: 'gateway'`, the port
+ *       mappings of a router's WAN `connection`; with `view: 'metadata'`,
+ *       the device's description fields, SSDP headers, raw XML and the
+ *       changes the server noticed between its descriptions)
  *   2 = Actions  (per service)
  */
 
@@ -30,9 +53,57 @@ const UPnPExplorer = (() => {
      * ========================= */
     const state = {
         devices: [],
+        // Descriptions that failed to load, by LOCATION
+        fetchErrors: {},
+        // URLs the server's URL policy refused, most recent first
+        suspicious: [],
         services: [],
         selectedDevice: null,
-        selectedService: null
+        selectedService: null,
+        showXml: false,
+        scpd: null,
+        pendingInvokes: {},
+        watches: {},
+        scan: null,
+        view: 'devices',
+        renderer: null,
+        rendererPoll: null,
+        rendererTick: null,
+        library: null,
+        renderers: [],
+        playTarget: null,
+        queues: {},
+        gateway: null,
+        // udn of the device whose metadata is shown
+        metadata: null,
+        // SSDP capture of the Traffic view: `{ filter, capturing, size, ...,
+        // entries, summary }` (modules/ssdp-inspector.mjs)
+        traffic: null,
+        // Last `device:changed` of each root device since the page loaded
+        deviceChanges: {},
+        filter: '',
+        parsedFilter: null,
+        // '' or 'interface'
+        groupBy: '',
+        // { name, role, authRequired, canControl } from the server
+        session: null
+    };
+
+    // Filter parser shared with the server, loaded once the page is up
+    let deviceFilter = null;
+
+    const RENDERER_POLL_MS = 2000;
+    const LIBRARY_PAGE_SIZE = 50;
+    // Datagrams listed in the Traffic view
+    const TRAFFIC_ROWS = 300;
+
+    // Fields of a `device:changed` entry (modules/device-changes.mjs)
+    const CHANGE_LABELS = {
+        description: 'description',
+        configId: 'CONFIGID',
+        address: 'IP address',
+        location: 'LOCATION',
+        services: 'services'
     };
 
     /* =========================
@@ -46,12 +117,54 @@ const UPnPExplorer = (() => {
     const servicesContainer =
         document.getElementById('services');
 
+    const rendererContainer =
+        document.getElementById('renderer');
+
+    const vendorContainer =
+        document.getElementById('vendor');
+
     const actionsContainer =
         document.getElementById('actions');
 
     const discoverButton =
         document.querySelector('[data-panel="0"] .toolbar button');
 
+    const filterButton =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="filter"]');
+
+    const filterBar =
+        document.querySelector('[data-panel="0"] .filter-bar');
+
+    const historyButton =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="history"]');
+
+    const suspiciousButton =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="suspicious"]');
+
+    const trafficButton =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="traffic"]');
+
+    const libraryButton =
+        document.querySelector('[data-panel="1"] .toolbar [data-action="library"]');
+
+    const gatewayButton =
+        document.querySelector('[data-panel="1"] .toolbar [data-action="gateway"]');
+
+    const metadataButton =
+        document.querySelector('[data-panel="1"] .toolbar [data-action="metadata"]');
+
+    const exportSelect =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="export"]');
+
+    const sessionButton =
+        document.querySelector('[data-panel="0"] .toolbar [data-action="session"]');
+
+    const loginForm =
+        document.querySelector('.login-form');
+
+    const toggleXmlButton =
+        document.querySelector('[data-panel="2"] .toolbar button');
+
     /* =========================
      * Panel Management
      * ========================= */
@@ -65,29 +178,62 @@ const UPnPExplorer = (() => {
     /* =========================
      * History / Navigation
      * ========================= */
-    function pushNavigationState(level, deviceUdn = null, serviceId = null) {
-        const navState = { level, deviceUdn, serviceId };
-        history.pushState(navState, '', '');
+    function pushNavigationState(level, deviceUdn = null, serviceId = null, extra = {}) {
+        const navState = { level, deviceUdn, serviceId, filter: state.filter, ...extra };
+        history.pushState(navState, '', filterUrl(navState.filter));
         applyNavigationState(navState);
     }
 
+    function filterUrl(filter) {
+        return filter ? `?filter=${encodeURIComponent(filter)}` : location.pathname;
+    }
+
     function applyNavigationState(navState) {
         if (!navState) return;
 
+        applyFilter(navState.filter || '');
+
         state.selectedDevice = navState.deviceUdn;
         state.selectedService = navState.serviceId;
 
         activatePanel(navState.level);
 
-        /* Panel 0: Devices */
+        if (navState.level !== 1) stopRenderer();
+        if (navState.level !== 1 || navState.view !== 'library') state.library = null;
+        if (navState.level !== 1 || navState.view !== 'gateway') state.gateway = null;
+        if (navState.level !== 1 || navState.view !== 'metadata') state.metadata = null;
+        if (navState.level !== 0 || navState.view !== 'traffic') stopTraffic();
+
+        /* Panel 0: Devices, device history, suspicious responses or traffic */
         if (navState.level === 0) {
+            showDevicesView(navState.view || 'devices', navState.staleDays, navState.trafficFilter);
             return;
         }
 
         /* Panel 1: Services */
         if (navState.level === 1 && navState.deviceUdn) {
+            startRenderer(navState.deviceUdn);
+            libraryButton.classList.toggle('on', navState.view === 'library');
+            gatewayButton.classList.toggle('on', navState.view === 'gateway');
+            metadataButton.classList.toggle('on', navState.view === 'metadata');
+            vendorContainer.innerHTML = '';
+            if (navState.view === 'library') {
+                showLibrary(navState);
+                return;
+            }
+            if (navState.view === 'gateway') {
+                showGateway(navState);
+                return;
+            }
+            if (navState.view === 'metadata') {
+                showMetadata(navState);
+                return;
+            }
+            libraryButton.hidden = true;
+            gatewayButton.hidden = true;
             servicesContainer.innerHTML = `<em>Loading services…</em>`;
             socket.emit('services', navState.deviceUdn);
+            socket.emit('vendor', { deviceUdn: navState.deviceUdn });
             return;
         }
 
@@ -114,164 +260,2491 @@ const UPnPExplorer = (() => {
     function requestDevices() {
         devicesContainer.innerHTML = `<em>Fetching devices…</em>`;
         socket.emit('devices');
+        socket.emit('fetch-errors');
+        socket.emit('suspicious');
     }
 
     function discoverDevices() {
         discoverButton.disabled = true;
-        devicesContainer.innerHTML = `<em>Rescanning devices…</em>`;
-        socket.emit('discover');
+        discoverButton.textContent = 'Scanning…';
+        socket.emit('discover', { filter: state.filter });
+    }
+
+    function handleScanStarted(scan) {
+        discoverButton.disabled = true;
+        discoverButton.textContent = 'Scanning…';
+        state.scan = scan;
+        discoverButton.title = `Searching ${scan.st}` + (scan.interfaces ? ` on ${scan.interfaces.join(', ')}` : '');
+        if (!state.devices.length) {
+            devicesContainer.innerHTML = `<em>Scanning for devices…</em>`;
+        }
+    }
 
-        socket.once('devices', (devices) => {
-            discoverButton.disabled = false;
-            state.devices = devices;
-            renderDevices(devices);
-        });
+    function handleScanComplete(result) {
+        discoverButton.disabled = false;
+        discoverButton.textContent = 'Discover';
+        state.scan = null;
+        if (!state.devices.length) renderDevices(state.devices);
+        discoverButton.title = `Last scan: ${result.found} new or updated, ${result.total} known`;
     }
 
     function renderDevices(devices) {
-        if (!devices.length) {
+        if (state.view !== 'devices') return;
+        updateFilterStatus();
+
+        const failed = unlistedFailures();
+        if (!devices.length && !failed.length) {
             devicesContainer.innerHTML = `<em>No devices discovered</em>`;
             return;
         }
 
-        devicesContainer.innerHTML = devices.map(d => {
-            const udn = d.device?.UDN?.[0];
-            const name = d.device?.friendlyName?.[0] || 'Unknown Device';
-            const ip = d.ip?.address || 'unknown';
-            const type = d.device?.deviceType?.[0] || '';
+        const visible = devices.filter(matchesDeviceFilter);
+        if (!visible.length && !failed.length) {
+            devicesContainer.innerHTML = `<em>No devices match the filter</em>`;
+            return;
+        }
+
+        devicesContainer.innerHTML = (state.groupBy === 'interface'
+            ? groupByInterface(visible).map(([label, group]) => `
+                <div class="list-group">${escapeHtml(label)} <small class="muted">${group.length}</small></div>
+                ${group.map(renderDeviceItem).join('')}
+            `).join('')
+            : visible.map(renderDeviceItem).join('')) +
+            failed.map(renderFailedItem).join('');
+
+        bindDeviceSelection();
+    }
+
+    /**
+     * Failures of devices that are not in the list, i.e. whose description
+     * never loaded. They have nothing a filter could match, so a filter
+     * hides them.
+     */
+    function unlistedFailures() {
+        if (state.filter) return [];
+        return Object.values(state.fetchErrors)
+            .filter(r => !state.devices.some(d => d.ssdp?.LOCATION === r.location));
+    }
+
+    function renderFetchError(error) {
+        return `<small class="fetch-error" title="${escapeHtml(error.url || '')}">` +
+            `⚠ ${escapeHtml(error.code)}: ${escapeHtml(error.message)}</small>`;
+    }
 
-            return `
-        <div class="list-item" data-device-id="${udn}">
-          ${name}
-          <small>${ip}</small>
-          <small>${type}</small>
+    function renderFailedItem(record) {
+        return `
+        <div class="list-item device-item failed" data-failed-location="${escapeHtml(record.location)}">
+          ${escapeHtml(record.udn || record.location)}
+          <small>${escapeHtml((record.address || 'unknown') + (record.interface ? ` • ${record.interface}` : ''))}</small>
+          ${renderFetchError(record.error)}
         </div>
       `;
-        }).join('');
+    }
+
+    /**
+     * Apply a `device:error` broadcast: a description failed, or loads
+     * again (`error: null`).
+     */
+    function applyFetchError(record) {
+        if (record.error) state.fetchErrors[record.location] = record;
+        else delete state.fetchErrors[record.location];
+        renderDevices(state.devices);
+    }
+
+    /**
+     * Split devices by the interface and address family they were found
+     * on, in interface order; devices restored from the history and not
+     * seen since come last.
+     * @returns {Array<[string, Array<object>]>}
+     */
+    function groupByInterface(devices) {
+        const groups = new Map();
+        for (const d of devices) {
+            const label = d.ip?.interface ? `${d.ip.interface} (${d.ip.family || 'IPv4'})` : 'Unknown interface';
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(d);
+        }
+        return [...groups].sort(([a], [b]) => {
+            if (a === 'Unknown interface' || b === 'Unknown interface') return a === 'Unknown interface' ? 1 : -1;
+            return a.localeCompare(b);
+        });
+    }
+
+    function renderDeviceItem(d) {
+        const udn = d.device?.UDN?.[0];
+        const name = d.device?.friendlyName?.[0] || 'Unknown Device';
+        const ip = (d.ip?.address || 'unknown') + (d.ip?.interface ? ` • ${d.ip.interface}` : '');
+        const type = d.device?.deviceType?.[0] || '';
+        const location = d.ssdp?.LOCATION || '';
+        const failure = state.fetchErrors[location];
+        const change = state.deviceChanges[udn];
+
+        return `
+        <div class="list-item device-item ${escapeHtml(d.status || 'online')}" data-device-id="${escapeHtml(udn)}" data-location="${escapeHtml(location)}">
+          ${deviceIcon(udn, type, Boolean(d.device?.iconList))}
+          ${escapeHtml(name)}
+          <small>${escapeHtml(ip)}</small>
+          <small>${escapeHtml(type)}</small>
+          <small class="device-status">${describeStatus(d)}</small>
+          ${change ? `<small class="device-changed">Changed: ${escapeHtml(change.changes.map(c => CHANGE_LABELS[c.field] || c.field).join(', '))}</small>` : ''}
+          ${failure ? renderFetchError(failure.error) : ''}
+        </div>
+      `;
+    }
+
+    /**
+     * Sort key matching the server's `sortDevices`: upper-cased
+     * friendly name.
+     */
+    function deviceSortKey(d) {
+        return (d.device?.friendlyName?.[0] || '').toUpperCase();
+    }
+
+    /**
+     * Insert or replace one device in the list without re-rendering the
+     * others, keeping the list sorted by friendly name.
+     */
+    function upsertDevice(d) {
+        const udn = d.device?.UDN?.[0];
+        const existing = state.devices.findIndex(x => x.device?.UDN?.[0] === udn);
+        if (existing !== -1) state.devices.splice(existing, 1);
+
+        const key = deviceSortKey(d);
+        let index = state.devices.findIndex(x => deviceSortKey(x) > key);
+        if (index === -1) index = state.devices.length;
+        state.devices.splice(index, 0, d);
+
+        if (state.view !== 'devices') return;
+        // A device may move between groups; redraw them
+        if (state.groupBy) {
+            renderDevices(state.devices);
+            return;
+        }
+
+        const current = devicesContainer.querySelector(`[data-device-id="${CSS.escape(udn || '')}"]`);
+        if (current) current.remove();
+        updateFilterStatus();
+
+        if (!matchesDeviceFilter(d)) {
+            if (!devicesContainer.querySelector('[data-device-id]')) renderDevices(state.devices);
+            return;
+        }
+
+        if (!devicesContainer.querySelector('[data-device-id]')) {
+            devicesContainer.innerHTML = '';
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = renderDeviceItem(d).trim();
+        const item = template.content.firstElementChild;
+
+        // Insert before the next device that passes the filter
+        const nextItem = state.devices.slice(index + 1)
+            .map(x => devicesContainer.querySelector(`[data-device-id="${CSS.escape(x.device?.UDN?.[0] || '')}"]`))
+            .find(Boolean) || null;
+        devicesContainer.insertBefore(item, nextItem || devicesContainer.querySelector('.device-item.failed'));
 
         bindDeviceSelection();
     }
 
-    function bindDeviceSelection() {
-        document.querySelectorAll('[data-device-id]').forEach(item => {
-            item.onclick = (e) => {
-                e.stopPropagation();
+    /**
+     * Status line of a device: online/offline (or not yet confirmed after
+     * a restart), when it was last seen and how often.
+     * @param {object} d
+     * @returns {string} HTML
+     */
+    function describeStatus(d) {
+        const status = d.status || 'online';
+        const label = status === 'unconfirmed' ? 'not yet confirmed' : status;
+        const seen = d.lastSeen ? `last seen ${formatAge(Date.now() - d.lastSeen)}` : '';
+        const reason = status === 'offline' && d.offlineReason ? ` (${escapeHtml(d.offlineReason)})` : '';
+        const history = d.firstSeen
+            ? `<span title="First seen ${escapeHtml(new Date(d.firstSeen).toLocaleString())}">${d.seenCount || 1}× since ${formatAge(Date.now() - d.firstSeen)}</span>`
+            : '';
+        return `<span class="status-dot"></span>${escapeHtml(label)}${reason}` +
+            [seen, history].filter(Boolean).map(part => ` • ${part}`).join('');
+    }
 
-                const deviceUdn = item.dataset.deviceId;
-                state.selectedService = null;
+    function formatAge(ms) {
+        const s = Math.max(0, Math.round(ms / 1000));
+        if (s < 10) return 'just now';
+        if (s < 60) return `${s}s ago`;
+        if (s < 3600) return `${Math.floor(s / 60)} min ago`;
+        if (s < 86400) return `${Math.floor(s / 3600)} h ago`;
+        return `${Math.floor(s / 86400)} d ago`;
+    }
 
-                pushNavigationState(1, deviceUdn);
-            };
+    /**
+     * Apply a `device-status` broadcast to the device list in place.
+     */
+    function applyDeviceStatus(status) {
+        const index = state.devices.findIndex(d => d.ssdp?.LOCATION === status.location);
+        if (index === -1) return;
+
+        const item = devicesContainer.querySelector(`[data-location="${CSS.escape(status.location)}"]`);
+
+        if (status.status === 'removed') {
+            state.devices.splice(index, 1);
+            if (item) item.remove();
+            if (state.view === 'devices' && !devicesContainer.querySelector('[data-device-id]')) renderDevices(state.devices);
+            updateFilterStatus();
+            return;
+        }
+
+        const d = state.devices[index];
+        d.status = status.status;
+        d.offlineReason = status.reason;
+        d.lastSeen = status.lastSeen;
+
+        if (item) {
+            item.classList.toggle('online', d.status === 'online');
+            item.classList.toggle('offline', d.status === 'offline');
+            item.classList.toggle('unconfirmed', d.status === 'unconfirmed');
+            item.querySelector('.device-status').innerHTML = describeStatus(d);
+        }
+    }
+
+    function refreshDeviceAges() {
+        state.devices.forEach(d => {
+            const item = devicesContainer.querySelector(`[data-location="${CSS.escape(d.ssdp?.LOCATION || '')}"]`);
+            if (item) item.querySelector('.device-status').innerHTML = describeStatus(d);
         });
     }
 
     /* =========================
-     * Services (Panel 2)
+     * Device filter (Panel 0)
      * ========================= */
-    function renderServices(payload) {
-        const services = payload?.service || [];
-        state.services = services;
+    /**
+     * Make `text` the device filter: show it in the filter bar and narrow
+     * the list. Parsing waits for the shared parser to load.
+     * @param {string} text
+     */
+    function applyFilter(text) {
+        const changed = text !== state.filter || Boolean(text && !state.parsedFilter && deviceFilter);
+        state.filter = text;
+        state.parsedFilter = text && deviceFilter ? deviceFilter.parseFilter(text) : null;
 
-        if (!services.length) {
-            servicesContainer.innerHTML = `<em>No services found</em>`;
+        const input = filterBar.elements.filter;
+        if (input.value.trim() !== text) input.value = text;
+        if (text) filterBar.hidden = false;
+        filterButton.classList.toggle('on', Boolean(text));
+
+        if (changed) renderDevices(state.devices);
+        else updateFilterStatus();
+    }
+
+    function matchesDeviceFilter(d) {
+        return !state.parsedFilter || deviceFilter.matchesFilter(state.parsedFilter, d);
+    }
+
+    function updateFilterStatus() {
+        const status = filterBar.querySelector('.filter-status');
+        const parsed = state.parsedFilter;
+        if (!parsed) {
+            status.textContent = '';
             return;
         }
+        const shown = state.devices.filter(matchesDeviceFilter).length;
+        const target = deviceFilter.searchTarget(parsed);
+        status.textContent = [
+            `${shown} of ${state.devices.length} devices`,
+            target ? `Discover searches ${target}` : null,
+            ...parsed.errors
+        ].filter(Boolean).join(' • ');
+        status.classList.toggle('arg-error', parsed.errors.length > 0);
+    }
 
-        servicesContainer.innerHTML = services.map(s => {
-            const id = s.serviceId?.[0];
-            const type = s.serviceType?.[0];
+    /**
+     * Record a new filter in the current history state (or a new one with
+     * `push`) and apply it, leaving the rest of the state as it is.
+     */
+    function commitFilter(filter, { push = false } = {}) {
+        const navState = { ...history.state, filter };
+        if (push) history.pushState(navState, '', filterUrl(filter));
+        else history.replaceState(navState, '', filterUrl(filter));
+        applyFilter(filter);
+    }
 
-            return `
-        <div class="list-item" data-service-id="${id}">
-          ${id}
-          <small>${type}</small>
-        </div>
-      `;
-        }).join('');
+    /**
+     * Typing narrows the list in place, replacing the current history
+     * entry; Enter commits the filter as a new entry on the device list.
+     */
+    function bindFilterBar() {
+        let timer = null;
+        const input = filterBar.elements.filter;
 
-        bindServiceSelection();
+        input.oninput = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => commitFilter(input.value.trim()), 200);
+        };
+
+        filterBar.elements.group.onchange = (e) => {
+            state.groupBy = e.target.value;
+            renderDevices(state.devices);
+        };
+
+        filterBar.onsubmit = (e) => {
+            e.preventDefault();
+            clearTimeout(timer);
+            pushNavigationState(0, null, null, { filter: input.value.trim() });
+        };
     }
 
-    function bindServiceSelection() {
-        document.querySelectorAll('[data-service-id]').forEach(item => {
-            item.onclick = (e) => {
-                e.stopPropagation();
+    /* =========================
+     * Export
+     * ========================= */
+    // Export menu choices -> `/api/export` format and options
+    const EXPORTS = {
+        json: { format: 'json' },
+        'json-scpd': { format: 'json', scpd: '1' },
+        csv: { format: 'csv', rows: 'devices' },
+        'csv-services': { format: 'csv', rows: 'services' },
+        html: { format: 'html' }
+    };
 
-                const serviceId = item.dataset.serviceId;
-                pushNavigationState(2, state.selectedDevice, serviceId);
-            };
-        });
+    /**
+     * Download an export of the devices the current filter lists; the
+     * server sends it as an attachment, so the page stays.
+     * @param {string} choice Key of `EXPORTS`
+     */
+    function downloadExport(choice) {
+        const { format, ...options } = EXPORTS[choice] || {};
+        if (!format) return;
+        const params = new URLSearchParams(options);
+        if (state.filter) params.set('filter', state.filter);
+        const query = params.toString();
+        const link = document.createElement('a');
+        link.href = `/api/export/${format}${query ? `?${query}` : ''}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
     }
 
     /* =========================
-     * Actions (Panel 3)
+     * Device icons
      * ========================= */
     /**
- * Render actions / SCPD XML for the selected service.
- *
- * @param {string} xml
- *   Raw SCPD XML received from the backend.
- */
-    function renderActions(xml) {
-        if (!xml || typeof xml !== 'string') {
-            actionsContainer.innerHTML = `<em>No action data available</em>`;
-            return;
+     * Icon of a device: the one the server picks from its iconList and
+     * proxies, over a fallback generated from its deviceType (initials on
+     * a colour of their own) that shows when there is no icon or it does
+     * not load.
+     * @param {string} udn
+     * @param {string} deviceType
+     * @param {boolean} hasIcon
+     * @param {number} [size=24] Edge in CSS px
+     * @returns {string} HTML
+     */
+    function deviceIcon(udn, deviceType, hasIcon, size = 24) {
+        const name = (/:device:([^:]+)/.exec(deviceType || '') || [])[1] || 'Device';
+        const initials = (name.match(/[A-Z0-9]/g) || [name[0]]).slice(0, 3).join('').toUpperCase();
+        let hue = 0;
+        for (const ch of name) hue = (hue * 31 + ch.charCodeAt(0)) % 360;
+        // Twice the size for high-density screens
+        const src = `/api/devices/${encodeURIComponent(udn)}/icon?size=${size * 2}`;
+        return `<span class="device-icon" style="--icon-hue: ${hue}; --icon-size: ${size}px" title="${escapeHtml(name)}">` +
+            `<span class="device-icon-label">${escapeHtml(initials)}</span>` +
+            (hasIcon && udn ? `<img src="${escapeHtml(src)}" alt="" loading="lazy">` : '') +
+            '</span>';
+    }
+
+    /**
+     * Icon of a device known only by its UDN (root or embedded), looked up
+     * in the device list.
+     * @param {string} udn
+     * @param {number} [size]
+     * @returns {string} HTML
+     */
+    function iconOf(udn, size) {
+        for (const d of state.devices) {
+            const root = d.device || {};
+            const stack = [root];
+            while (stack.length) {
+                const node = stack.pop();
+                if (node.UDN?.[0] === udn) {
+                    return deviceIcon(udn, node.deviceType?.[0], Boolean(node.iconList || root.iconList), size);
+                }
+                stack.push(...(node.deviceList?.[0]?.device || []));
+            }
         }
+        return deviceIcon(udn, '', false, size);
+    }
 
-        actionsContainer.innerHTML = `
-    <div class="scp-container">
-      <pre class="scp-xml"></pre>
-    </div>
-  `;
+    /* =========================
+     * Session
+     * ========================= */
+    /**
+     * Apply the `session` the server sent on connecting: who is logged in
+     * and whether they may control devices.
+     * @param {object} session `{ name, role, authRequired, canControl }`
+     */
+    function applySession(session) {
+        state.session = session;
+        loginForm.hidden = true;
+        // Without users there is nobody to log in as; say why control is off
+        sessionButton.hidden = !session.authRequired && session.canControl;
+        sessionButton.disabled = !session.authRequired;
+        const anonymous = session.name === 'anonymous';
+        if (!session.authRequired) {
+            sessionButton.textContent = 'Read-only';
+            sessionButton.title = 'No users are configured: set AUTH_FILE, or ANONYMOUS_ROLE=operator, to control devices';
+        } else {
+            sessionButton.textContent = anonymous ? 'Log in' : `${session.name} (${session.role})`;
+            sessionButton.title = anonymous
+                ? `Browsing as ${session.role}`
+                : `Log out${session.canControl ? '' : ' • viewers cannot control devices'}`;
+        }
+        document.body.classList.toggle('read-only', !session.canControl);
+    }
 
-        // Use textContent to avoid HTML/XML injection issues
-        actionsContainer
-            .querySelector('.scp-xml')
-            .textContent = xml;
+    /**
+     * The server refused the socket: show the login form when it wants a
+     * login, else let Socket.IO keep retrying.
+     * @param {Error} err
+     */
+    function handleConnectError(err) {
+        if (err.message !== 'unauthorized') return;
+        devicesContainer.innerHTML = `<em>Log in to see devices</em>`;
+        showLogin();
+    }
+
+    function showLogin(message = '') {
+        loginForm.hidden = false;
+        loginForm.querySelector('.login-error').textContent = message;
+        loginForm.elements.name.focus();
     }
 
+    async function login(name, password) {
+        const res = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, password })
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            showLogin(body.error || `Login failed (HTTP ${res.status})`);
+            return;
+        }
+        loginForm.reset();
+        loginForm.hidden = true;
+        // The new session cookie goes with the next handshake
+        socket.disconnect().connect();
+    }
+
+    async function logout() {
+        await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        socket.disconnect();
+        state.session = null;
+        sessionButton.hidden = true;
+        showLogin();
+    }
 
     /* =========================
-     * Socket Events
+     * Suspicious responses (Panel 0)
      * ========================= */
-    function bindSocketEvents() {
-        socket.on('connect', requestDevices);
+    /**
+     * Show the Suspicious button once the server has refused anything,
+     * with how many URLs it refused.
+     */
+    function updateSuspiciousButton() {
+        const count = state.suspicious.length;
+        suspiciousButton.hidden = !count && state.view !== 'suspicious';
+        suspiciousButton.textContent = count ? `Suspicious (${count})` : 'Suspicious';
+    }
 
-        socket.on('devices', (devices) => {
-            state.devices = devices;
-            renderDevices(devices);
-        });
+    /**
+     * Apply the `suspicious` list.
+     * @param {Array<object>} records
+     */
+    function applySuspicious(records) {
+        state.suspicious = records;
+        updateSuspiciousButton();
+        renderSuspicious();
+    }
 
-        socket.on('services', renderServices);
+    /**
+     * Apply a `suspicious:seen` broadcast: a new refused URL, or a repeat.
+     * @param {object} record
+     */
+    function applySuspiciousSeen(record) {
+        const same = (r) => r.kind === record.kind && r.url === record.url && r.address === record.address;
+        state.suspicious = [record, ...state.suspicious.filter(r => !same(r))];
+        updateSuspiciousButton();
+        renderSuspicious();
+    }
 
-        socket.on('actions', renderActions);
+    /**
+     * Render the URLs the server refused to request: LOCATIONs of SSDP
+     * responses and URLs of descriptions pointing outside the device's
+     * network, at loopback or at cloud metadata addresses.
+     */
+    function renderSuspicious() {
+        if (state.view !== 'suspicious') return;
+
+        const rows = state.suspicious.map(r => `
+          <div class="list-item suspicious-item">
+            ${escapeHtml(r.url)}
+            <small class="fetch-error">${escapeHtml(r.kind)}: ${escapeHtml(r.reason)}</small>
+            <small>${escapeHtml([r.address || 'unknown sender', r.interface].filter(Boolean).join(' • '))}${r.udn ? ` • ${escapeHtml(r.udn)}` : ''}</small>
+            <small class="muted" title="First seen ${escapeHtml(new Date(r.firstAt).toLocaleString())}">${r.count}× • last ${formatAge(Date.now() - r.lastAt)}</small>
+          </div>
+        `).join('');
+
+        devicesContainer.innerHTML = `
+          <p class="muted">URLs named by devices (or anyone answering on the network) that the server refused to request, and LOCATIONs that claimed the UDN of a device online elsewhere.</p>
+          ${rows || `<em>No suspicious responses</em>`}
+        `;
     }
 
     /* =========================
-     * UI Events
+     * SSDP traffic (Panel 0)
      * ========================= */
-    function bindUIActions() {
-        discoverButton.onclick = (e) => {
-            e.stopPropagation();
-            discoverDevices();
+    /**
+     * Ask for the capture (narrowed by the view's filter) and for the
+     * datagrams that follow it.
+     */
+    function watchTraffic() {
+        const { filter } = state.traffic;
+        socket.emit('ssdp:traffic', { filter, limit: TRAFFIC_ROWS });
+        socket.emit('ssdp:watch', { filter });
+    }
+
+    function stopTraffic() {
+        if (!state.traffic) return;
+        state.traffic = null;
+        socket.emit('ssdp:unwatch');
+    }
+
+    /**
+     * Apply the `ssdp:traffic` answer: the capture status, the latest
+     * datagrams and the summaries (or why the filter does not parse).
+     * @param {object} traffic
+     */
+    function applyTraffic(traffic) {
+        if (!state.traffic || traffic.filter !== state.traffic.filter) return;
+        state.traffic = traffic;
+        renderTraffic();
+    }
+
+    /**
+     * Apply an `ssdp:packets` batch: datagrams the view's filter lists,
+     * with the capture status and fresh summaries.
+     * @param {object} batch
+     */
+    function applyTrafficPackets(batch) {
+        const current = state.traffic;
+        if (!current || !current.entries) return;
+        // The batch can overlap the answer to `ssdp:traffic`
+        const newest = current.entries.length ? current.entries[0].id : 0;
+        const { entries, ...status } = batch;
+        state.traffic = {
+            ...current,
+            ...status,
+            entries: [...entries.filter(e => e.id > newest), ...current.entries].slice(0, TRAFFIC_ROWS)
+        };
+        renderTraffic();
+    }
+
+    /**
+     * Apply an `ssdp:capture` answer: the capture was paused, resumed or
+     * cleared (by anyone), or this socket's command was refused.
+     * @param {object} status
+     */
+    function applyCaptureStatus(status) {
+        if (!state.traffic) return;
+        if (status.error) {
+            state.traffic = { ...state.traffic, captureError: status.error };
+            renderTraffic();
+            return;
+        }
+        // Cleared entries and summaries are gone: ask again
+        socket.emit('ssdp:traffic', { filter: state.traffic.filter, limit: TRAFFIC_ROWS });
+    }
+
+    /**
+     * Friendly name of a device known only by its UDN (root or embedded).
+     * @param {string} udn
+     * @returns {string|null}
+     */
+    function friendlyNameOf(udn) {
+        for (const d of state.devices) {
+            const stack = [d.device || {}];
+            while (stack.length) {
+                const node = stack.pop();
+                if (node.UDN?.[0] === udn) return node.friendlyName?.[0] || null;
+                stack.push(...(node.deviceList?.[0]?.device || []));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Time of day with milliseconds, for datagrams.
+     * @param {number} at Epoch milliseconds
+     * @returns {string}
+     */
+    function formatClock(at) {
+        const d = new Date(at);
+        return `${d.toLocaleTimeString([], { hour12: false })}.${String(d.getMilliseconds()).padStart(3, '0')}`;
+    }
+
+    /**
+     * Render the Traffic view: capture controls, the summaries (searches,
+     * devices, duplicate answers, failing LOCATIONs, search targets) and
+     * the latest datagrams, each opening on its raw text.
+     */
+    function renderTraffic() {
+        const t = state.traffic;
+        if (state.view !== 'traffic' || !t) return;
+
+        const query = (format) => new URLSearchParams(t.filter ? { format, filter: t.filter } : { format });
+        const controls = `
+          <form class="traffic-filter">
+            <input type="search" name="filter" autocomplete="off" value="${escapeHtml(t.filter)}"
+              placeholder="e.g. kind:response ip:192.168.1. -st:upnp:rootdevice">
+            <button type="submit">Filter</button>
+          </form>
+          <div class="traffic-controls">
+            <button type="button" data-capture="${t.capturing === false ? 'resume' : 'pause'}">${t.capturing === false ? 'Resume' : 'Pause'}</button>
+            <button type="button" data-capture="clear">Clear</button>
+            <a href="/api/ssdp/traffic/download?${query('json')}" download>JSON</a>
+            <a href="/api/ssdp/traffic/download?${query('txt')}" download>Text</a>
+          </div>
+          ${t.captureError ? `<div class="error">${escapeHtml(t.captureError)}</div>` : ''}
+        `;
+
+        if (t.error || !t.entries) {
+            devicesContainer.innerHTML = controls + (t.error ? `<div class="error">${escapeHtml(t.error)}</div>` : '');
+            bindTrafficControls();
+            return;
+        }
+
+        const status = [
+            t.capturing ? 'Capturing' : 'Paused',
+            `${t.size} of ${t.capacity} datagrams since ${formatClock(t.since)}`,
+            t.dropped ? `${t.dropped} dropped` : '',
+            t.skipped ? `${t.skipped} skipped while paused` : ''
+        ].filter(Boolean).join(' • ');
+
+        const { summary } = t;
+        const ms = (value) => (value === null ? '—' : `${value} ms`);
+        const deviceName = (udn) => escapeHtml(friendlyNameOf(udn) || udn);
+
+        const searches = summary.searches.map(s => `
+          <tr>
+            <td>${formatClock(s.at)}</td>
+            <td>${escapeHtml(s.st)}${s.mx ? ` <span class="muted">MX ${s.mx}</span>` : ''}</td>
+            <td>${escapeHtml(s.interface || '')}</td>
+            <td>${s.responses} / ${s.devices}</td>
+            <td>${ms(s.firstMs)} • ${ms(s.medianMs)} • ${ms(s.maxMs)}</td>
+            <td>${[s.late ? `${s.late} late` : '', s.stMismatch ? `${s.stMismatch} wrong ST` : ''].filter(Boolean).join(', ')}</td>
+          </tr>
+        `).join('');
+
+        const devices = summary.devices.map(d => `
+          <div class="list-item traffic-device${d.failing.length ? ' failing' : ''}" data-traffic-udn="${escapeHtml(d.udn)}">
+            ${iconOf(d.udn, 16)} ${deviceName(d.udn)}
+            <small>${escapeHtml([...d.addresses, ...d.interfaces].join(' • '))}</small>
+            <small>${d.responses} responses to ${d.searches} searches • ${d.notifies} alive • ${d.byebyes} byebye${d.duplicates ? ` • <span class="traffic-warning">${d.duplicates} duplicates</span>` : ''} • last ${formatAge(Date.now() - d.lastAt)}</small>
+            ${d.failing.map(f => `<small class="fetch-error">${escapeHtml(f.location)}: ${escapeHtml(f.error)}</small>`).join('')}
+          </div>
+        `).join('');
+
+        const duplicates = summary.duplicates.map(a => `
+          <tr><td>${a.count}×</td><td>${escapeHtml(a.address)}</td><td>${escapeHtml(a.usn)}</td><td>search #${a.searchId}</td></tr>
+        `).join('');
+
+        const failing = summary.failing.map(f => `
+          <tr><td>${deviceName(f.udn)}</td><td>${escapeHtml(f.location)}</td><td class="fetch-error">${escapeHtml(f.error)}</td></tr>
+        `).join('');
+
+        const targets = summary.targets.map(x => `
+          <tr><td>${escapeHtml(x.st)}</td><td>${x.responses}</td><td>${x.notifies}</td><td>${x.devices}</td></tr>
+        `).join('');
+
+        const entries = t.entries.map(e => `
+          <details class="traffic-entry ${escapeHtml(e.direction)} ${escapeHtml(e.kind)}${e.late || e.stMismatch ? ' odd' : ''}">
+            <summary>
+              <span class="muted">${formatClock(e.at)}</span>
+              ${e.direction === 'out' ? '→' : '←'} ${escapeHtml(e.kind.toUpperCase())}
+              ${escapeHtml(e.address)}${e.interface ? ` <span class="muted">on ${escapeHtml(e.interface)}</span>` : ''}
+              ${e.delayMs !== null ? `<span class="badge">+${e.delayMs} ms</span>` : ''}
+              ${e.late ? '<span class="badge traffic-warning">late</span>' : ''}
+              ${e.stMismatch ? '<span class="badge traffic-warning">other ST</span>' : ''}
+              <small>${escapeHtml(e.st || e.startLine)}${e.udn ? ` • ${deviceName(e.udn)}` : ''} • ${e.size} B</small>
+            </summary>
+            <pre>${escapeHtml(e.raw)}</pre>
+          </details>
+        `).join('');
+
+        const table = (head, rows, empty) => (rows
+            ? `<table class="var-table traffic-table"><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr>${rows}</table>`
+            : `<em>${empty}</em>`);
+
+        devicesContainer.innerHTML = `
+          ${controls}
+          <p class="muted">${status}</p>
+          <h3 class="section-title">Searches (${summary.searches.length})</h3>
+          ${table(['Sent', 'ST', 'Interface', 'Responses / devices', 'First • median • last', ''], searches, 'No M-SEARCH captured')}
+          <h3 class="section-title">Devices (${summary.devices.length})</h3>
+          ${devices || '<em>No device answered or announced itself</em>'}
+          <h3 class="section-title">Duplicate answers (${summary.duplicates.length})</h3>
+          ${table(['', 'From', 'USN', 'To'], duplicates, 'No device answered a search twice')}
+          <h3 class="section-title">Failing LOCATIONs (${summary.failing.length})</h3>
+          ${table(['Device', 'LOCATION', 'Error'], failing, 'Every LOCATION loaded')}
+          <h3 class="section-title">Search targets (${summary.targets.length})</h3>
+          ${table(['ST / NT', 'Responses', 'NOTIFYs', 'Devices'], targets, 'Nothing answered yet')}
+          <h3 class="section-title">Datagrams (${t.entries.length}${t.entries.length === TRAFFIC_ROWS ? '+' : ''})</h3>
+          ${entries || `<em>No datagram${t.filter ? ' matches the filter' : ' captured'}</em>`}
+        `;
+        bindTrafficControls();
+
+        // Devices that are currently known can be opened like in the list
+        devicesContainer.querySelectorAll('[data-traffic-udn]').forEach(item => {
+            if (!friendlyNameOf(item.dataset.trafficUdn)) return;
+            item.onclick = (e) => {
+                e.stopPropagation();
+                pushNavigationState(1, item.dataset.trafficUdn);
+            };
+        });
+    }
+
+    function bindTrafficControls() {
+        devicesContainer.querySelector('.traffic-filter').onsubmit = (e) => {
+            e.preventDefault();
+            const trafficFilter = e.target.elements.filter.value.trim();
+            pushNavigationState(0, null, null, { view: 'traffic', trafficFilter });
         };
+
+        devicesContainer.querySelectorAll('[data-capture]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                state.traffic.captureError = null;
+                socket.emit('ssdp:capture', { command: button.dataset.capture });
+            };
+        });
     }
 
     /* =========================
-     * Init
+     * Device history (Panel 0)
      * ========================= */
-    function init() {
-        bindSocketEvents();
-        bindUIActions();
-        bindHistoryEvents();
+    /**
+     * Switch panel 0 between the live device list, the persisted history,
+     * the suspicious responses and the SSDP traffic. The history, the
+     * suspicious list and the traffic are requested from the server each
+     * time.
+     * @param {'devices'|'inventory'|'suspicious'|'traffic'} view
+     * @param {number} [staleDays]
+     * @param {string} [trafficFilter]
+     */
+    function showDevicesView(view, staleDays = 0, trafficFilter = '') {
+        const changed = state.view !== view;
+        state.view = view;
+        historyButton.classList.toggle('on', view === 'inventory');
+        suspiciousButton.classList.toggle('on', view === 'suspicious');
+        trafficButton.classList.toggle('on', view === 'traffic');
+        updateSuspiciousButton();
 
-        history.replaceState(
-            { level: 0, deviceUdn: null, serviceId: null },
-            '',
-            ''
-        );
+        if (view === 'traffic') {
+            devicesContainer.innerHTML = `<em>Loading SSDP traffic…</em>`;
+            state.traffic = { filter: trafficFilter };
+            watchTraffic();
+            return;
+        }
 
-        devicesContainer.innerHTML = `<em>Waiting for connection…</em>`;
+        if (view === 'inventory') {
+            devicesContainer.innerHTML = `<em>Loading device history…</em>`;
+            socket.emit('inventory', { staleDays });
+            return;
+        }
+
+        if (view === 'suspicious') {
+            devicesContainer.innerHTML = `<em>Loading suspicious responses…</em>`;
+            socket.emit('suspicious');
+            return;
+        }
+
+        if (changed) renderDevices(state.devices);
+    }
+
+    /**
+     * Render the inventory: every device seen so far (or only those not
+     * seen for `staleDays` days), least recently seen first.
+     * @param {object} inventory `{ staleDays, retentionDays, devices }`
+     */
+    function renderInventory(inventory) {
+        if (state.view !== 'inventory') return;
+
+        const retention = inventory.retentionDays
+            ? `Devices unseen for ${inventory.retentionDays} days are forgotten.`
+            : 'Devices are never forgotten.';
+
+        const rows = inventory.devices.map(r => `
+          <div class="list-item inventory-item ${escapeHtml(r.status)}" data-inventory-udn="${escapeHtml(r.udn)}">
+            ${escapeHtml(r.friendlyName || r.udn)}
+            <small>${escapeHtml([r.manufacturer, r.modelName].filter(Boolean).join(' ') || r.deviceType || '')}</small>
+            <small>${escapeHtml((r.ipHistory || []).map(i => i.address).join(', ') || 'unknown')}</small>
+            <small class="device-status">${describeStatus(r)}</small>
+          </div>
+        `).join('');
+
+        devicesContainer.innerHTML = `
+          <form class="inventory-filter">
+            <label>Not seen for
+              <input type="number" name="staleDays" min="0" step="1" value="${Number(inventory.staleDays) || 0}">
+              days
+            </label>
+            <button type="submit">Show</button>
+          </form>
+          <p class="muted">${retention}</p>
+          ${rows || `<em>No devices in the history</em>`}
+        `;
+
+        devicesContainer.querySelector('.inventory-filter').onsubmit = (e) => {
+            e.preventDefault();
+            const staleDays = Number(e.target.elements.staleDays.value) || 0;
+            pushNavigationState(0, null, null, { view: 'inventory', staleDays });
+        };
+
+        // Devices that are currently known can be opened like in the list
+        devicesContainer.querySelectorAll('[data-inventory-udn]').forEach(item => {
+            if (item.classList.contains('forgotten')) return;
+            item.onclick = (e) => {
+                e.stopPropagation();
+                pushNavigationState(1, item.dataset.inventoryUdn);
+            };
+        });
+    }
+
+    function bindDeviceSelection() {
+        document.querySelectorAll('[data-device-id]').forEach(item => {
+            item.onclick = (e) => {
+                e.stopPropagation();
+
+                const deviceUdn = item.dataset.deviceId;
+                state.selectedService = null;
+
+                pushNavigationState(1, deviceUdn);
+            };
+        });
+    }
+
+    /* =========================
+     * Services (Panel 2)
+     * ========================= */
+    /**
+     * Render the device tree of the selected device: the root device's
+     * services followed by its embedded devices, recursively.
+     *
+     * @param {object} tree
+     *   `{ udn, friendlyName, deviceType, services, devices }` from the
+     *   backend; `services` are `{ serviceId, serviceType, evented }`.
+     */
+    function renderServices(tree) {
+        if (state.library || state.gateway || state.metadata) return;
+
+        if (!tree || tree.error) {
+            state.services = [];
+            servicesContainer.innerHTML = `<em>${escapeHtml(tree?.error || 'No services found')}</em>`;
+            return;
+        }
+
+        state.services = flattenServices(tree);
+        libraryButton.hidden = !state.services.some(s => /:service:ContentDirectory:\d+$/.test(s.serviceType || ''));
+        gatewayButton.hidden = !state.services.some(s => /:service:WAN(IP|PPP)Connection:\d+$/.test(s.serviceType || ''));
+        if (!state.services.length) {
+            servicesContainer.innerHTML = `<em>No services found</em>`;
+            return;
+        }
+
+        servicesContainer.innerHTML = renderDeviceNode(tree, 0);
+
+        bindServiceSelection();
+        bindWatchToggles();
+        state.services.forEach(s => renderLiveTable(s.deviceUdn, s.serviceId));
+    }
+
+    function flattenServices(node) {
+        return [
+            ...(node.services || []).map(s => ({ ...s, deviceUdn: node.udn })),
+            ...(node.devices || []).flatMap(flattenServices)
+        ];
+    }
+
+    function renderDeviceNode(node, depth) {
+        const services = (node.services || []).map(s => renderServiceItem(node.udn, s)).join('');
+        const children = (node.devices || []).map(c => renderDeviceNode(c, depth + 1)).join('');
+
+        return `
+      <div class="device-node${depth ? ' embedded' : ''}">
+        <div class="device-node-header">
+          ${deviceIcon(node.udn, node.deviceType, node.hasIcon)}
+          ${escapeHtml(node.friendlyName || node.udn)}
+          ${node.embedded ? '<span class="badge">embedded</span>' : ''}
+          <small>${escapeHtml(node.deviceType)}</small>
+        </div>
+        ${services || '<small class="muted">No services</small>'}
+        ${children}
+      </div>
+    `;
+    }
+
+    function renderServiceItem(deviceUdn, s) {
+        const key = watchKey(deviceUdn, s.serviceId);
+        const watching = Boolean(state.watches[key]);
+
+        return `
+        <div class="list-item" data-service-id="${escapeHtml(s.serviceId)}" data-device-udn="${escapeHtml(deviceUdn)}">
+          ${escapeHtml(s.serviceId)}
+          <small>${escapeHtml(s.serviceType)}</small>
+          ${s.evented ? `
+          <div class="service-watch">
+            <button class="watch-toggle${watching ? ' on' : ''}" data-watch-key="${escapeHtml(key)}">
+              ${watching ? 'Unwatch' : 'Watch'}
+            </button>
+            <div class="live-table" data-live-key="${escapeHtml(key)}"></div>
+          </div>` : ''}
+        </div>
+      `;
+    }
+
+    function bindServiceSelection() {
+        document.querySelectorAll('[data-service-id]').forEach(item => {
+            item.onclick = (e) => {
+                e.stopPropagation();
+
+                const serviceId = item.dataset.serviceId;
+                pushNavigationState(2, item.dataset.deviceUdn, serviceId);
+            };
+        });
+    }
+
+    /* =========================
+     * Library (Panel 1)
+     * ========================= */
+    /**
+     * Show a page of a MediaServer's library: the children of the last
+     * breadcrumb in `navState.path`, or the results of `navState.query`
+     * below it.
+     */
+    function showLibrary(navState) {
+        const path = navState.path && navState.path.length ? navState.path : [{ id: '0', title: 'Library' }];
+        const container = path[path.length - 1];
+        const start = navState.start || 0;
+
+        state.library = { deviceUdn: navState.deviceUdn, path, start, query: navState.query || null };
+        libraryButton.hidden = false;
+        socket.emit('renderers');
+
+        servicesContainer.innerHTML = `
+          ${renderBreadcrumbs(path, state.library.query)}
+          <em>${state.library.query ? 'Searching…' : 'Loading…'}</em>
+        `;
+        bindLibraryNavigation();
+
+        if (state.library.query) {
+            socket.emit('search', {
+                deviceUdn: navState.deviceUdn,
+                containerId: container.id,
+                query: state.library.query,
+                start,
+                count: LIBRARY_PAGE_SIZE
+            });
+        } else {
+            socket.emit('browse', { deviceUdn: navState.deviceUdn, objectId: container.id, start, count: LIBRARY_PAGE_SIZE });
+        }
+    }
+
+    function pushLibraryState(path, start = 0, query = null) {
+        pushNavigationState(1, state.library.deviceUdn, null, { view: 'library', path, start, query });
+    }
+
+    /**
+     * Render a `browse` or `search` page, unless the user has moved on.
+     *
+     * @param {object} page
+     *   `{ deviceUdn, start, numberReturned, totalMatches, containers,
+     *   items, searchCapabilities, error }`; entries are parsed DIDL-Lite
+     *   (see modules/didl.mjs).
+     */
+    function renderLibrary(page) {
+        const lib = state.library;
+        if (!lib || !page || page.deviceUdn !== lib.deviceUdn || (page.start || 0) !== lib.start) return;
+        const container = lib.path[lib.path.length - 1];
+        if (lib.query ? page.query !== lib.query : page.objectId !== container.id) return;
+
+        if (page.error) {
+            servicesContainer.innerHTML = `
+              ${renderBreadcrumbs(lib.path, lib.query)}
+              <div class="error">${escapeHtml(page.error)}</div>
+            `;
+            bindLibraryNavigation();
+            return;
+        }
+
+        const entries = [
+            ...page.containers.map(c => `
+              <div class="list-item library-container" data-object-id="${escapeHtml(c.id)}" data-title="${escapeHtml(c.title || c.id)}">
+                ${playButtons(c.id, 'all')}
+                📁 ${escapeHtml(c.title || c.id)}
+                <small>${escapeHtml(shortClass(c.class))}${c.childCount !== null ? ` • ${c.childCount} entries` : ''}</small>
+              </div>`),
+            ...page.items.map(renderLibraryItem)
+        ].join('');
+
+        servicesContainer.innerHTML = `
+          ${renderBreadcrumbs(lib.path, lib.query)}
+          ${page.searchCapabilities && page.searchCapabilities.length ? `
+          <form class="library-search">
+            <input type="search" name="query" placeholder="Search ${escapeHtml(lib.path[lib.path.length - 1].title)}" value="${escapeHtml(lib.query || '')}">
+            <button type="submit">Search</button>
+          </form>` : ''}
+          <div class="play-on-bar"></div>
+          ${entries || `<em>${lib.query ? 'Nothing found' : 'This folder is empty'}</em>`}
+          ${renderPager(page)}
+        `;
+
+        bindLibraryNavigation();
+        renderPlayOnBar();
+
+        servicesContainer.querySelectorAll('[data-play-id]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                playOn([{ serverUdn: lib.deviceUdn, objectId: button.dataset.playId }], button.dataset.playMode);
+            };
+        });
+
+        const form = servicesContainer.querySelector('.library-search');
+        if (form) {
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                const query = e.target.elements.query.value.trim();
+                pushLibraryState(lib.path, 0, query || null);
+            };
+        }
+
+        servicesContainer.querySelectorAll('[data-object-id]').forEach(item => {
+            item.onclick = (e) => {
+                e.stopPropagation();
+                pushLibraryState([...lib.path, { id: item.dataset.objectId, title: item.dataset.title }]);
+            };
+        });
+
+        servicesContainer.querySelectorAll('[data-page-start]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                pushLibraryState(lib.path, Number(button.dataset.pageStart), lib.query);
+            };
+        });
+
+        servicesContainer.querySelectorAll('.library-item a').forEach(link => {
+            link.onclick = (e) => e.stopPropagation();
+        });
+    }
+
+    function renderLibraryItem(item) {
+        const subtitle = [item.artist || item.creator, item.album, item.date].filter(Boolean).join(' • ');
+        const resources = item.res.map(r => {
+            const mime = (r.protocolInfo || '').split(':')[2] || 'unknown type';
+            const details = [
+                mime,
+                r.duration !== null ? formatTime(r.duration) : null,
+                r.size !== null ? formatSize(r.size) : null,
+                r.resolution,
+                r.bitrate !== null ? `${Math.round(r.bitrate * 8 / 1000)} kbps` : null
+            ].filter(Boolean).join(' • ');
+            return `<small><a href="${escapeHtml(r.uri)}" target="_blank" rel="noopener">${escapeHtml(details)}</a></small>`;
+        }).join('');
+
+        return `
+          <div class="list-item library-item">
+            ${item.res.length ? playButtons(item.id) : ''}
+            ${escapeHtml(item.title || item.id)}
+            <small>${escapeHtml(shortClass(item.class))}${subtitle ? ` • ${escapeHtml(subtitle)}` : ''}</small>
+            ${resources || '<small class="muted">No resources</small>'}
+          </div>`;
+    }
+
+    function playButtons(objectId, what = '') {
+        return `
+            <span class="play-buttons">
+              <button data-play-id="${escapeHtml(objectId)}" data-play-mode="replace" title="Play ${what}now">▶</button>
+              <button data-play-id="${escapeHtml(objectId)}" data-play-mode="append" title="Add ${what}to the queue">+</button>
+            </span>`;
+    }
+
+    function renderBreadcrumbs(path, query) {
+        const crumbs = path.map((c, i) => i === path.length - 1 && !query
+            ? `<span>${escapeHtml(c.title)}</span>`
+            : `<a href="#" data-crumb="${i}">${escapeHtml(c.title)}</a>`);
+        if (query) crumbs.push(`<span>Search “${escapeHtml(query)}”</span>`);
+        return `<nav class="breadcrumbs">${iconOf(state.library.deviceUdn, 16)} ${crumbs.join(' / ')}</nav>`;
+    }
+
+    function bindLibraryNavigation() {
+        servicesContainer.querySelectorAll('[data-crumb]').forEach(link => {
+            link.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                pushLibraryState(state.library.path.slice(0, Number(link.dataset.crumb) + 1));
+            };
+        });
+    }
+
+    function renderPager(page) {
+        const start = page.start || 0;
+        const shown = page.containers.length + page.items.length;
+        const total = page.totalMatches;
+        const hasNext = total !== null ? start + page.numberReturned < total : page.numberReturned >= LIBRARY_PAGE_SIZE;
+        if (!start && !hasNext) return '';
+
+        return `
+          <div class="library-pager">
+            <button data-page-start="${Math.max(0, start - LIBRARY_PAGE_SIZE)}"${start ? '' : ' disabled'}>Previous</button>
+            <span class="muted">${shown ? `${start + 1}–${start + shown}` : 'none'}${total !== null ? ` of ${total}` : ''}</span>
+            <button data-page-start="${start + page.numberReturned}"${hasNext ? '' : ' disabled'}>Next</button>
+          </div>
+        `;
+    }
+
+    /* =========================
+     * Play on… (library and renderer panel)
+     * ========================= */
+    function applyRenderers(renderers) {
+        state.renderers = renderers || [];
+        if (!state.renderers.some(r => r.udn === state.playTarget)) {
+            state.playTarget = state.renderers.length ? state.renderers[0].udn : null;
+        }
+        renderPlayOnBar();
+    }
+
+    /**
+     * Let the user pick the renderer that the library's ▶ and + buttons
+     * send to.
+     */
+    function renderPlayOnBar() {
+        const bar = servicesContainer.querySelector('.play-on-bar');
+        if (!bar) return;
+
+        if (!state.renderers.length) {
+            bar.innerHTML = `<span class="muted">No renderer found to play on</span>`;
+            return;
+        }
+        bar.innerHTML = `
+          <label>Play on
+            <select name="renderer">
+              ${state.renderers.map(r => `
+                <option value="${escapeHtml(r.udn)}"${r.udn === state.playTarget ? ' selected' : ''}>${escapeHtml(r.friendlyName || r.udn)}</option>`).join('')}
+            </select>
+          </label>
+          <span class="play-on-status muted"></span>
+        `;
+        bar.querySelector('select').onchange = (e) => {
+            state.playTarget = e.target.value;
+        };
+    }
+
+    function playOn(sources, mode, rendererUdn = state.playTarget) {
+        if (!rendererUdn) {
+            showPlayOnStatus({ ok: false, error: 'Choose a renderer first' });
+            return;
+        }
+        showPlayOnStatus({ pending: true });
+        socket.emit('play-on', { rendererUdn, sources, mode });
+    }
+
+    /**
+     * Report a `play-on` result (or progress) next to whichever control
+     * started it.
+     */
+    function showPlayOnStatus(result) {
+        const renderer = state.renderers.find(r => r.udn === result.rendererUdn);
+        const name = renderer ? renderer.friendlyName : 'the renderer';
+        const skipped = (result.skipped || []).map(s => `${s.title}: ${s.reason}`).join('\n');
+
+        let text;
+        if (result.pending) text = 'Sending…';
+        else if (!result.ok) text = result.error;
+        else text = `${result.mode === 'append' ? 'Added' : 'Playing'} ${result.added} on ${name}` +
+            (result.skipped && result.skipped.length ? `, skipped ${result.skipped.length}` : '');
+
+        document.querySelectorAll('.play-on-status').forEach(el => {
+            el.textContent = text;
+            el.title = skipped;
+            el.classList.toggle('arg-error', !result.pending && (!result.ok || Boolean(skipped)));
+        });
+    }
+
+    // `object.item.audioItem.musicTrack` -> `musicTrack`
+    function shortClass(upnpClass) {
+        return (upnpClass || '').split('.').pop();
+    }
+
+    function formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+
+    /* =========================
+     * Renderer remote control (Panel 1)
+     * ========================= */
+    /**
+     * Ask for the selected device's renderer state and keep polling it
+     * while Panel 1 shows that device. Devices that are not MediaRenderers
+     * answer `supported: false` once and the polling stops.
+     */
+    function startRenderer(deviceUdn) {
+        // Keep polling when only the view of the same device changes
+        if (state.rendererPoll && state.rendererDevice === deviceUdn) return;
+        stopRenderer();
+        state.rendererDevice = deviceUdn;
+        socket.emit('renderer', { deviceUdn });
+        state.rendererPoll = setInterval(() => {
+            socket.emit('renderer', { deviceUdn });
+        }, RENDERER_POLL_MS);
+        state.rendererTick = setInterval(updateRendererPosition, 500);
+        socket.emit('queue', { rendererUdn: deviceUdn });
+    }
+
+    function stopRenderer() {
+        clearInterval(state.rendererPoll);
+        clearInterval(state.rendererTick);
+        state.rendererPoll = null;
+        state.rendererTick = null;
+        state.rendererDevice = null;
+        state.renderer = null;
+        rendererContainer.hidden = true;
+        rendererContainer.innerHTML = '';
+    }
+
+    /**
+     * Render a `renderer` state from the server.
+     *
+     * @param {object} msg
+     *   `{ deviceUdn, supported, transport, position, track, volume, mute,
+     *   error }`; see modules/renderer.mjs for the snapshot fields.
+     */
+    function renderRenderer(msg) {
+        if (!msg || msg.deviceUdn !== state.selectedDevice || !state.rendererPoll) return;
+
+        if (!msg.supported) {
+            stopRenderer();
+            return;
+        }
+
+        // A failed read keeps the last known state and shows the error
+        const previous = state.renderer && !msg.transport ? state.renderer : {};
+        state.renderer = { ...previous, ...msg, receivedAt: Date.now() };
+
+        rendererContainer.hidden = false;
+        if (!rendererContainer.querySelector('.renderer-state')) createRendererLayout();
+        drawRendererState();
+    }
+
+    function drawRendererState() {
+        // Do not redraw under a slider the user is dragging
+        if (!state.renderer || rendererContainer.querySelector('input[type="range"].dragging')) return;
+
+        const container = rendererContainer.querySelector('.renderer-state');
+        if (!container) return;
+        container.innerHTML = rendererHtml(state.renderer);
+        bindRendererControls();
+    }
+
+    /**
+     * The parts of the panel that are not redrawn on every poll: the play
+     * queue and the form to play a URL.
+     */
+    function createRendererLayout() {
+        rendererContainer.innerHTML = `
+          <div class="renderer-state"></div>
+          <div class="renderer-queue"></div>
+          <form class="renderer-url">
+            <input type="url" name="url" placeholder="Play a URL…" required>
+            <button type="submit" value="replace">Play</button>
+            <button type="submit" value="append">Queue</button>
+            <span class="play-on-status muted"></span>
+          </form>
+        `;
+        const form = rendererContainer.querySelector('.renderer-url');
+        form.onclick = (e) => e.stopPropagation();
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const mode = e.submitter ? e.submitter.value : 'replace';
+            playOn([{ url: form.elements.url.value.trim() }], mode, state.rendererDevice);
+            form.elements.url.value = '';
+        };
+        renderQueue();
+    }
+
+    function applyQueue(queue) {
+        if (!queue || !queue.rendererUdn) return;
+        state.queues[queue.rendererUdn] = queue;
+        if (queue.rendererUdn === state.rendererDevice) {
+            renderQueue();
+            // Next/Previous follow the queue
+            drawRendererState();
+        }
+    }
+
+    function renderQueue() {
+        const container = rendererContainer.querySelector('.renderer-queue');
+        if (!container) return;
+
+        const queue = state.queues[state.rendererDevice];
+        if (!queue || (!queue.entries.length && !queue.error)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+          <div class="section-title">
+            Queue${queue.playing || !queue.entries.length ? '' : ' (stopped)'}
+            ${queue.gapless === false ? '<span class="badge" title="The renderer does not take a next URI; the queue moves on when a track stops">no gapless</span>' : ''}
+            <button data-queue-command="clear">Clear</button>
+          </div>
+          ${queue.error ? `<div class="error">${escapeHtml(queue.error)}</div>` : ''}
+          <ol class="queue-list">
+            ${queue.entries.map((entry, i) => `
+            <li class="${i === queue.index ? 'current' : ''}" data-queue-index="${i}" title="${escapeHtml(entry.uri)}">
+              <span>${escapeHtml(entry.title)}</span>
+              <small>${escapeHtml([entry.artist, entry.duration ? formatTime(entry.duration) : null].filter(Boolean).join(' • '))}</small>
+              <button data-queue-command="remove" title="Remove">×</button>
+            </li>`).join('')}
+          </ol>
+        `;
+
+        container.querySelectorAll('[data-queue-index]').forEach(item => {
+            item.onclick = (e) => {
+                e.stopPropagation();
+                sendQueueCommand('jump', Number(item.dataset.queueIndex));
+            };
+        });
+        container.querySelectorAll('[data-queue-command]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                const item = button.closest('[data-queue-index]');
+                sendQueueCommand(button.dataset.queueCommand, item ? Number(item.dataset.queueIndex) : undefined);
+            };
+        });
+    }
+
+    function sendQueueCommand(command, index) {
+        socket.emit('queue:command', { rendererUdn: state.rendererDevice, command, index });
+    }
+
+    function rendererHtml(r) {
+        const transport = r.transport || {};
+        const position = r.position || {};
+        const track = r.track || {};
+        const queue = state.queues[state.rendererDevice];
+        const queued = Boolean(queue && queue.entries.length);
+        const allowed = (command) => !transport.actions || transport.actions.includes(command) ||
+            (queued && (command === 'Next' || command === 'Previous'));
+        const title = track.title || position.trackUri || r.media?.uri || 'Nothing loaded';
+        const subtitle = [track.artist || track.creator, track.album].filter(Boolean).join(' — ');
+        const art = /^https?:\/\//i.test(track.albumArtURI || '') ? track.albumArtURI : null;
+        const duration = position.duration || 0;
+
+        const button = (command, label) => `
+          <button data-command="${command}"${allowed(command) ? '' : ' disabled'}${transport.state === stateOf(command) ? ' class="on"' : ''}>${label}</button>`;
+
+        return `
+      ${r.error ? `<div class="error">${escapeHtml(r.error)}</div>` : ''}
+      <div class="renderer-now">
+        ${art ? `<img class="renderer-art" src="${escapeHtml(art)}" alt="">` : `<div class="renderer-art">${iconOf(state.rendererDevice, 54)}</div>`}
+        <div class="renderer-meta">
+          <div class="renderer-title">${escapeHtml(title)}</div>
+          ${subtitle ? `<small>${escapeHtml(subtitle)}</small>` : ''}
+          <small class="renderer-state">${escapeHtml(transport.state || 'Unknown state')}${transport.status && transport.status !== 'OK' ? ` (${escapeHtml(transport.status)})` : ''}</small>
+        </div>
+      </div>
+      <div class="renderer-position">
+        <span class="renderer-elapsed">${formatTime(position.relTime)}</span>
+        <input type="range" data-command="Seek" min="0" max="${Math.floor(duration)}" value="${Math.floor(position.relTime || 0)}"${duration && allowed('Seek') ? '' : ' disabled'}>
+        <span>${duration ? formatTime(duration) : '--:--'}</span>
+      </div>
+      <div class="renderer-controls">
+        ${button('Previous', '⏮')}
+        ${button('Play', '▶')}
+        ${button('Pause', '⏸')}
+        ${button('Stop', '⏹')}
+        ${button('Next', '⏭')}
+        ${r.volume !== null && r.volume !== undefined ? `
+        <span class="renderer-volume">
+          <button data-command="SetMute"${r.mute ? ' class="on"' : ''} title="${r.mute ? 'Unmute' : 'Mute'}">${r.mute ? '🔇' : '🔊'}</button>
+          <input type="range" data-command="SetVolume" min="0" max="100" value="${r.volume}">
+        </span>` : ''}
+      </div>
+    `;
+    }
+
+    function stateOf(command) {
+        return { Play: 'PLAYING', Pause: 'PAUSED_PLAYBACK', Stop: 'STOPPED' }[command];
+    }
+
+    function bindRendererControls() {
+        const controls = rendererContainer.querySelector('.renderer-state');
+        controls.querySelectorAll('button[data-command]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                const command = button.dataset.command;
+                sendRendererCommand(command, command === 'SetMute' ? !state.renderer.mute : undefined);
+            };
+        });
+        controls.querySelectorAll('input[type="range"]').forEach(input => {
+            input.onclick = (e) => e.stopPropagation();
+            input.oninput = () => {
+                input.classList.add('dragging');
+                if (input.dataset.command === 'Seek') {
+                    rendererContainer.querySelector('.renderer-elapsed').textContent = formatTime(Number(input.value));
+                }
+            };
+            input.onchange = () => {
+                input.classList.remove('dragging');
+                sendRendererCommand(input.dataset.command, Number(input.value));
+            };
+        });
+    }
+
+    function sendRendererCommand(command, value) {
+        if (!state.renderer) return;
+        rendererContainer.querySelectorAll('.renderer-state button, .renderer-state input').forEach(el => { el.disabled = true; });
+        socket.emit('renderer:command', { deviceUdn: state.renderer.deviceUdn, command, value });
+    }
+
+    /**
+     * Advance the position locally between polls while playing.
+     */
+    function updateRendererPosition() {
+        const r = state.renderer;
+        if (!r || r.transport?.state !== 'PLAYING' || r.position?.relTime === null) return;
+
+        const seek = rendererContainer.querySelector('input[data-command="Seek"]');
+        if (!seek || seek.classList.contains('dragging')) return;
+
+        const duration = r.position.duration || Infinity;
+        const elapsed = Math.min(r.position.relTime + (Date.now() - r.receivedAt) / 1000, duration);
+        seek.value = Math.floor(elapsed);
+        rendererContainer.querySelector('.renderer-elapsed').textContent = formatTime(elapsed);
+    }
+
+    function formatTime(seconds) {
+        if (seconds === null || seconds === undefined) return '--:--';
+        const s = Math.max(0, Math.floor(seconds));
+        const mm = String(Math.floor(s / 60) % 60).padStart(s >= 3600 ? 2 : 1, '0');
+        const ss = String(s % 60).padStart(2, '0');
+        return s >= 3600 ? `${Math.floor(s / 3600)}:${mm}:${ss}` : `${mm}:${ss}`;
+    }
+
+    /* =========================
+     * Port mappings (Panel 1)
+     * ========================= */
+    /**
+     * Show the port mappings of an Internet Gateway Device, for the WAN
+     * connection in `navState.connection` (the connected one by default).
+     */
+    function showGateway(navState) {
+        state.gateway = { deviceUdn: navState.deviceUdn, connection: navState.connection || null, draft: null };
+        gatewayButton.hidden = false;
+        libraryButton.hidden = true;
+        servicesContainer.innerHTML = `<em>Reading port mappings…</em>`;
+        socket.emit('gateway', { deviceUdn: navState.deviceUdn, serviceId: state.gateway.connection });
+    }
+
+    /**
+     * Render a `gateway` reply, unless the user has moved on.
+     *
+     * @param {object} msg
+     *   `{ deviceUdn, connections, serviceId, mappings, complete, error }`;
+     *   mappings carry `client: { status: 'online' | 'missing' }`.
+     */
+    function renderGateway(msg) {
+        const gw = state.gateway;
+        if (!gw || !msg || msg.deviceUdn !== gw.deviceUdn) return;
+        if (gw.connection && msg.serviceId && msg.serviceId !== gw.connection) return;
+
+        if (!msg.connections) {
+            servicesContainer.innerHTML = `<div class="error">${escapeHtml(msg.error || 'No gateway data')}</div>`;
+            return;
+        }
+
+        const connection = msg.connections.find(c => c.serviceId === msg.serviceId) || {};
+        const mappings = msg.mappings || [];
+        const missing = mappings.filter(m => m.client?.status === 'missing').length;
+
+        servicesContainer.innerHTML = `
+          <div class="gateway">
+            <div class="section-title">
+              ${msg.connections.length > 1 ? `
+              <select class="gateway-connection">
+                ${msg.connections.map(c => `
+                <option value="${escapeHtml(c.serviceId)}"${c.serviceId === msg.serviceId ? ' selected' : ''}>
+                  ${escapeHtml(c.kind)} (${escapeHtml(c.status || 'unknown')})
+                </option>`).join('')}
+              </select>` : escapeHtml(connection.kind || 'WAN connection')}
+              <button data-gateway-refresh>Refresh</button>
+            </div>
+            <table class="var-table">
+              <tr><th>External IP</th><td>${escapeHtml(connection.externalIp || 'unknown')}</td></tr>
+              <tr><th>Status</th><td>${escapeHtml(connection.status || 'unknown')}</td></tr>
+              ${connection.uptime !== null && connection.uptime !== undefined ? `<tr><th>Uptime</th><td>${formatTime(connection.uptime)}</td></tr>` : ''}
+              ${connection.lastError && connection.lastError !== 'ERROR_NONE' ? `<tr><th>Last error</th><td>${escapeHtml(connection.lastError)}</td></tr>` : ''}
+            </table>
+            ${msg.error ? `<div class="error">${escapeHtml(msg.error)}</div>` : ''}
+            <div class="section-title">
+              Port mappings (${mappings.length})
+              ${missing ? `<span class="badge warn">${missing} client${missing > 1 ? 's' : ''} missing</span>` : ''}
+            </div>
+            ${mappings.length ? `
+            <table class="var-table gateway-mappings">
+              <thead>
+                <tr><th>Protocol</th><th>External</th><th>Internal client</th><th>Description</th><th>Lease</th><th></th></tr>
+              </thead>
+              <tbody>${mappings.map(renderMappingRow).join('')}</tbody>
+            </table>` : '<em>No port mappings</em>'}
+            ${msg.complete === false ? '<small class="muted">The router did not report the end of its table; the list may be incomplete.</small>' : ''}
+            ${renderMappingForm(msg.error ? gw.draft : null)}
+          </div>
+        `;
+
+        gw.draft = null;
+        bindGateway(msg);
+    }
+
+    function renderMappingRow(m) {
+        const missing = m.client?.status === 'missing';
+        return `
+          <tr class="${m.enabled ? '' : 'muted'}">
+            <td>${escapeHtml(m.protocol)}</td>
+            <td>${escapeHtml(m.remoteHost || '*')}:${escapeHtml(m.externalPort)}</td>
+            <td>
+              ${escapeHtml(m.internalClient)}:${escapeHtml(m.internalPort)}
+              ${missing ? '<span class="badge warn" title="Not seen by discovery and not answering on the mapped port">missing</span>' : ''}
+            </td>
+            <td>${escapeHtml(m.description)}${m.enabled ? '' : ' <span class="badge">disabled</span>'}</td>
+            <td>${m.leaseDuration ? formatTime(m.leaseDuration) : 'permanent'}</td>
+            <td>
+              <button data-mapping-delete
+                data-protocol="${escapeHtml(m.protocol)}"
+                data-external-port="${escapeHtml(m.externalPort)}"
+                data-remote-host="${escapeHtml(m.remoteHost)}">Delete</button>
+            </td>
+          </tr>`;
+    }
+
+    function renderMappingForm(draft) {
+        const d = draft || { protocol: 'TCP', leaseDuration: 3600, enabled: true };
+        const value = (key) => escapeHtml(d[key] ?? '');
+        return `
+          <form class="gateway-add">
+            <div class="section-title">Add a mapping</div>
+            <label>Protocol
+              <select name="protocol">
+                ${['TCP', 'UDP'].map(p => `<option${d.protocol === p ? ' selected' : ''}>${p}</option>`).join('')}
+              </select>
+            </label>
+            <label>External port <input name="externalPort" type="number" min="1" max="65535" required value="${value('externalPort')}"></label>
+            <label>Internal client <input name="internalClient" required placeholder="192.168.1.20" value="${value('internalClient')}"></label>
+            <label>Internal port <input name="internalPort" type="number" min="1" max="65535" placeholder="same" value="${value('internalPort')}"></label>
+            <label>Lease (s) <input name="leaseDuration" type="number" min="0" max="604800" title="0 for a permanent mapping" value="${value('leaseDuration')}"></label>
+            <label>Description <input name="description" value="${value('description')}"></label>
+            <label><input name="enabled" type="checkbox"${d.enabled ? ' checked' : ''}> Enabled</label>
+            <button type="submit">Add</button>
+          </form>
+        `;
+    }
+
+    function bindGateway(msg) {
+        const gw = state.gateway;
+        const container = servicesContainer.querySelector('.gateway');
+        container.onclick = (e) => e.stopPropagation();
+
+        const select = container.querySelector('.gateway-connection');
+        if (select) {
+            select.onchange = () => {
+                pushNavigationState(1, gw.deviceUdn, null, { view: 'gateway', connection: select.value });
+            };
+        }
+
+        container.querySelector('[data-gateway-refresh]').onclick = () => {
+            container.classList.add('loading');
+            socket.emit('gateway', { deviceUdn: gw.deviceUdn, serviceId: msg.serviceId });
+        };
+
+        container.querySelectorAll('[data-mapping-delete]').forEach(button => {
+            button.onclick = () => {
+                const { protocol, externalPort, remoteHost } = button.dataset;
+                if (!confirm(`Delete the ${protocol} mapping of port ${externalPort}?`)) return;
+                button.disabled = true;
+                socket.emit('gateway:delete', {
+                    deviceUdn: gw.deviceUdn,
+                    serviceId: msg.serviceId,
+                    mapping: { protocol, externalPort: Number(externalPort), remoteHost }
+                });
+            };
+        });
+
+        const form = container.querySelector('.gateway-add');
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const mapping = Object.fromEntries(new FormData(form).entries());
+            mapping.enabled = form.elements.enabled.checked;
+            // Kept so a refused mapping can be corrected rather than retyped
+            gw.draft = mapping;
+            form.querySelector('button[type="submit"]').disabled = true;
+            socket.emit('gateway:add', { deviceUdn: gw.deviceUdn, serviceId: msg.serviceId, mapping });
+        };
+    }
+
+    /* =========================
+     * Metadata (Panel 1)
+     * ========================= */
+    /**
+     * Show everything known about a device: description fields, SSDP
+     * headers, address, raw XML and the change history.
+     */
+    function showMetadata(navState) {
+        state.metadata = navState.deviceUdn;
+        servicesContainer.innerHTML = `<em>Loading metadata…</em>`;
+        socket.emit('metadata', { deviceUdn: navState.deviceUdn });
+    }
+
+    /**
+     * Render a `metadata` reply, unless the user has moved on.
+     * @param {object} msg See `GET /api/devices/{udn}/metadata`
+     */
+    function renderMetadata(msg) {
+        if (!msg || state.metadata !== msg.udn) return;
+        if (msg.error) {
+            servicesContainer.innerHTML = `<div class="error">${escapeHtml(msg.error)}</div>`;
+            return;
+        }
+
+        const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`;
+        const text = (value) => (value ? escapeHtml(value) : '<span class="muted">—</span>');
+        const link = (url) => (url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>` : text(null));
+
+        const fields = [
+            row('Friendly name', text(msg.friendlyName)),
+            row('Device type', text(msg.deviceType)),
+            row('UDN', text(msg.udn)),
+            row('Manufacturer', text(msg.manufacturer)),
+            row('Manufacturer URL', text(msg.manufacturerURL)),
+            row('Model name', text(msg.modelName)),
+            row('Model number', text(msg.modelNumber)),
+            row('Model description', text(msg.modelDescription)),
+            row('Model URL', text(msg.modelURL)),
+            row('Serial number', text(msg.serialNumber)),
+            row('UPC', text(msg.UPC)),
+            row('Presentation URL', link(msg.presentationURL))
+        ].join('');
+
+        const network = [
+            row('Address', text(msg.address)),
+            row('Port', text(msg.port ? String(msg.port) : null)),
+            row('Interface', text([msg.interface, msg.family].filter(Boolean).join(' • '))),
+            row('LOCATION', text(msg.location)),
+            row('Status', describeStatus(msg))
+        ].join('');
+
+        // The headers the request names first, then whatever else was sent
+        const known = ['SERVER', 'USN', 'ST', 'NT', 'BOOTID.UPNP.ORG', 'CONFIGID.UPNP.ORG'];
+        const headers = Object.keys(msg.ssdp || {})
+            .sort((a, b) => (known.indexOf(a) + 1 || known.length + 1) - (known.indexOf(b) + 1 || known.length + 1) || a.localeCompare(b))
+            .map(key => row(key, text(msg.ssdp[key])))
+            .join('');
+
+        servicesContainer.innerHTML = `
+          <div class="metadata">
+            <h3 class="section-title">${iconOf(msg.udn, 16)} ${escapeHtml(msg.friendlyName || msg.udn)}${msg.embedded ? ' <span class="muted">(embedded)</span>' : ''}</h3>
+            <table class="var-table metadata-fields">${fields}</table>
+            <h3 class="section-title">Network</h3>
+            <table class="var-table metadata-fields">${network}</table>
+            <h3 class="section-title">SSDP headers</h3>
+            ${headers ? `<table class="var-table metadata-fields">${headers}</table>` : '<em>No SSDP headers recorded</em>'}
+            <h3 class="section-title">Changes (${msg.changes.length})</h3>
+            ${msg.changes.length ? msg.changes.map(renderChange).join('') : '<em>No changes seen between descriptions</em>'}
+            <h3 class="section-title">Description XML${msg.embedded ? ' (root device)' : ''}</h3>
+            ${msg.xml ? '<pre class="metadata-xml"></pre>' : '<em>The description XML has not been kept yet</em>'}
+          </div>
+        `;
+        // Use textContent to avoid HTML/XML injection issues
+        if (msg.xml) servicesContainer.querySelector('.metadata-xml').textContent = msg.xml;
+    }
+
+    /**
+     * One entry of a device's change history.
+     * @param {{ at: number, changes: Array<object> }} entry
+     * @returns {string} HTML
+     */
+    function renderChange(entry) {
+        const items = entry.changes.map((c) => {
+            const label = escapeHtml(CHANGE_LABELS[c.field] || c.field);
+            if (c.field === 'description') {
+                if (!c.diff) return `<li>${label} changed</li>`;
+                const lines = c.diff.map((line) => {
+                    const kind = line.startsWith('@@') ? 'hunk' : { '+': 'added', '-': 'removed' }[line[0]] || 'same';
+                    return `<span class="diff-${kind}">${escapeHtml(line)}</span>`;
+                }).join('\n');
+                return `<li>${label} changed<pre class="diff">${lines}</pre></li>`;
+            }
+            if (c.field === 'services') {
+                return `<li>${label}: ` +
+                    [...c.added.map(k => `<span class="diff-added">+ ${escapeHtml(k)}</span>`),
+                        ...c.removed.map(k => `<span class="diff-removed">− ${escapeHtml(k)}</span>`)].join(', ') +
+                    '</li>';
+            }
+            return `<li>${label}: <span class="diff-removed">${escapeHtml(c.before || 'none')}</span> → ` +
+                `<span class="diff-added">${escapeHtml(c.after || 'none')}</span></li>`;
+        }).join('');
+
+        return `
+          <div class="device-change">
+            <small class="muted">${escapeHtml(new Date(entry.at).toLocaleString())} • ${formatAge(Date.now() - entry.at)}</small>
+            <ul>${items}</ul>
+          </div>
+        `;
+    }
+
+    /**
+     * Note a device's change in the list, and refresh its metadata when
+     * it (or one of its embedded devices) is shown.
+     * @param {{ udn: string, at: number, changes: Array<object> }} msg
+     */
+    function applyDeviceChanged(msg) {
+        state.deviceChanges[msg.udn] = msg;
+        if (state.metadata && findRootUdn(state.metadata) === msg.udn) {
+            socket.emit('metadata', { deviceUdn: state.metadata });
+        }
+    }
+
+    /**
+     * UDN of the root device of a (root or embedded) device in the list.
+     * @param {string} udn
+     * @returns {string|null}
+     */
+    function findRootUdn(udn) {
+        for (const d of state.devices) {
+            const stack = [d.device || {}];
+            while (stack.length) {
+                const node = stack.pop();
+                if (node.UDN?.[0] === udn) return d.device.UDN[0];
+                stack.push(...(node.deviceList?.[0]?.device || []));
+            }
+        }
+        return null;
+    }
+
+    /* =========================
+     * Vendor plugins (Panel 1)
+     * ========================= */
+    /**
+     * Render the cards vendor plugins provide for the selected device.
+     *
+     * @param {object} msg
+     *   `{ deviceUdn, cards, error }`; a card is `{ deviceUdn, plugin,
+     *   title, card: { title, rows }, actions, error }`.
+     */
+    function renderVendor(msg) {
+        if (!msg || msg.deviceUdn !== state.selectedDevice || state.library || state.gateway || state.metadata) return;
+        vendorContainer.innerHTML = (msg.cards || []).map(vendorCardHtml).join('');
+        vendorContainer.querySelectorAll('.vendor-card').forEach(bindVendorCard);
+    }
+
+    function vendorCardHtml(c) {
+        const rows = (c.card?.rows || []).map(([label, value]) => `
+            <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+        const actions = (c.actions || []).map(a => `
+          <form class="vendor-action" data-action-id="${escapeHtml(a.id)}" title="${escapeHtml(a.description || '')}">
+            ${(a.params || []).map(p => `
+            <label>${escapeHtml(p.label || p.name)}
+              ${p.options ? `
+              <select name="${escapeHtml(p.name)}">
+                ${p.options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label || o.value)}</option>`).join('')}
+              </select>` : `<input name="${escapeHtml(p.name)}">`}
+            </label>`).join('')}
+            <button type="submit">${escapeHtml(a.label)}</button>
+            <span class="vendor-action-result muted"></span>
+          </form>`).join('');
+
+        return `
+          <div class="vendor-card" data-card-udn="${escapeHtml(c.deviceUdn)}" data-plugin="${escapeHtml(c.plugin)}">
+            <div class="section-title">
+              ${escapeHtml(c.card?.title || c.title)}
+              <span class="badge">${escapeHtml(c.plugin)}</span>
+              <button data-vendor-refresh>Refresh</button>
+            </div>
+            ${c.error ? `<div class="error">${escapeHtml(c.error)}</div>` : ''}
+            ${rows ? `<table class="var-table">${rows}</table>` : ''}
+            ${actions}
+          </div>
+        `;
+    }
+
+    function bindVendorCard(card) {
+        card.onclick = (e) => e.stopPropagation();
+
+        card.querySelector('[data-vendor-refresh]').onclick = () => {
+            card.classList.add('loading');
+            socket.emit('vendor', { deviceUdn: state.selectedDevice, refresh: true });
+        };
+
+        card.querySelectorAll('.vendor-action').forEach(form => {
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                const args = Object.fromEntries(new FormData(form).entries());
+                form.querySelector('button').disabled = true;
+                form.querySelector('.vendor-action-result').textContent = 'Running…';
+                socket.emit('vendor:action', {
+                    deviceUdn: card.dataset.cardUdn,
+                    plugin: card.dataset.plugin,
+                    action: form.dataset.actionId,
+                    args
+                });
+            };
+        });
+    }
+
+    /**
+     * Show a vendor action's outcome, redrawing its card with the fields
+     * read after it.
+     */
+    function applyVendorAction(msg) {
+        const selector = `.vendor-card[data-card-udn="${CSS.escape(msg.deviceUdn || '')}"][data-plugin="${CSS.escape(msg.plugin || '')}"]`;
+        let card = vendorContainer.querySelector(selector);
+        if (!card) return;
+
+        if (msg.card) {
+            card.outerHTML = vendorCardHtml(msg.card);
+            card = vendorContainer.querySelector(selector);
+            bindVendorCard(card);
+        }
+
+        const form = card.querySelector(`.vendor-action[data-action-id="${CSS.escape(msg.action || '')}"]`);
+        if (!form) return;
+        form.querySelector('button').disabled = false;
+        const result = form.querySelector('.vendor-action-result');
+        result.textContent = msg.error ? msg.error : 'Done';
+        result.classList.toggle('arg-error', Boolean(msg.error));
+    }
+
+    /* =========================
+     * Events (GENA)
+     * ========================= */
+    function watchKey(deviceUdn, serviceId) {
+        return `${deviceUdn}::${serviceId}`;
+    }
+
+    function bindWatchToggles() {
+        servicesContainer.querySelectorAll('[data-watch-key]').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                const item = button.closest('[data-service-id]');
+                const serviceId = item.dataset.serviceId;
+                const key = watchKey(item.dataset.deviceUdn, serviceId);
+                const payload = { deviceUdn: item.dataset.deviceUdn, serviceId };
+
+                button.disabled = true;
+                if (state.watches[key]) {
+                    socket.emit('unwatch', payload);
+                } else {
+                    socket.emit('watch', payload);
+                }
+            };
+        });
+        servicesContainer.querySelectorAll('.live-table').forEach(table => {
+            table.onclick = (e) => e.stopPropagation();
+        });
+    }
+
+    /**
+     * Apply a `watch` status from the server: start or stop showing the
+     * live table, seeding it with the last known values.
+     */
+    function applyWatchStatus(status) {
+        const key = watchKey(status.deviceUdn, status.serviceId);
+        if (status.watching) {
+            state.watches[key] = { values: {} };
+            applyChanges(key, status.changes || []);
+        } else {
+            delete state.watches[key];
+        }
+
+        const button = servicesContainer.querySelector(`[data-watch-key="${CSS.escape(key)}"]`);
+        if (button) {
+            button.disabled = false;
+            button.classList.toggle('on', Boolean(status.watching));
+            button.textContent = status.watching ? 'Unwatch' : 'Watch';
+        }
+        renderLiveTable(status.deviceUdn, status.serviceId, status.error);
+    }
+
+    function applyChanges(key, changes) {
+        const watch = state.watches[key];
+        if (!watch) return;
+        for (const c of changes) {
+            const id = [c.name, c.instanceId, c.channel].filter(p => p !== null && p !== undefined).join('/');
+            watch.values[id] = { ...c, updatedAt: Date.now() };
+        }
+    }
+
+    function handleStateEvent(event) {
+        const key = watchKey(event.deviceUdn, event.serviceId);
+        applyChanges(key, event.changes || []);
+        renderLiveTable(event.deviceUdn, event.serviceId, null, event.changes || []);
+    }
+
+    function renderLiveTable(deviceUdn, serviceId, error = null, highlight = []) {
+        const key = watchKey(deviceUdn, serviceId);
+        const container = servicesContainer.querySelector(`[data-live-key="${CSS.escape(key)}"]`);
+        if (!container) return;
+
+        const watch = state.watches[key];
+        if (!watch) {
+            container.innerHTML = error ? `<div class="error">${escapeHtml(error)}</div>` : '';
+            return;
+        }
+
+        const changed = new Set(highlight.map(c => c.name));
+        const rows = Object.entries(watch.values).sort(([a], [b]) => a.localeCompare(b));
+        container.innerHTML = rows.length
+            ? `<table class="var-table">
+                <thead><tr><th>Variable</th><th>Value</th><th>Updated</th></tr></thead>
+                <tbody>${rows.map(([id, c]) => `
+                  <tr class="${changed.has(c.name) ? 'changed' : ''}">
+                    <td><code>${escapeHtml(id)}</code></td>
+                    <td class="result-value">${escapeHtml(c.value)}</td>
+                    <td>${new Date(c.updatedAt).toLocaleTimeString()}</td>
+                  </tr>`).join('')}
+                </tbody>
+              </table>`
+            : `<em>Waiting for events…</em>`;
+    }
+
+    /* =========================
+     * Actions (Panel 3)
+     * ========================= */
+    /**
+     * Render the parsed SCPD for the selected service.
+     *
+     * @param {object} scpd
+     *   Structured SCPD received from the backend: `actions` (with
+     *   resolved in/out arguments), `stateVariables`, `eventedVariables`
+     *   and the raw `xml` document.
+     */
+    function renderActions(scpd) {
+        if (!scpd || typeof scpd !== 'object') {
+            actionsContainer.innerHTML = `<em>No action data available</em>`;
+            return;
+        }
+
+        const actions = scpd.actions || [];
+        const variables = scpd.stateVariables || [];
+
+        actionsContainer.innerHTML = `
+    <div class="scp-container">
+      ${scpd.error ? `<div class="error">${escapeHtml(scpd.error)}` +
+                (scpd.fetchError?.url ? `<br><small>${escapeHtml(scpd.fetchError.code)} • ${escapeHtml(scpd.fetchError.url)}</small>` : '') +
+                '</div>' : ''}
+      <h3 class="section-title">Actions (${actions.length})</h3>
+      ${actions.length
+                ? actions.map(renderAction).join('')
+                : '<em>No actions declared</em>'}
+      <h3 class="section-title">State variables (${variables.length})</h3>
+      ${variables.length
+                ? renderStateVariables(variables)
+                : '<em>No state variables declared</em>'}
+      <pre class="scp-xml" hidden></pre>
+    </div>
+  `;
+
+        // Use textContent to avoid HTML/XML injection issues
+        actionsContainer
+            .querySelector('.scp-xml')
+            .textContent = scpd.xml || '';
+        state.showXml = false;
+        state.scpd = scpd;
+
+        bindActionForms();
+    }
+
+    function renderAction(action) {
+        const args = (list, label) => list.length
+            ? `<div class="arg-group"><span class="arg-label">${label}</span>${list.map(renderArgument).join('')}</div>`
+            : '';
+
+        return `
+        <div class="list-item action-item">
+          ${escapeHtml(action.name)}
+          ${args(action.inputs || [], 'in')}
+          ${args(action.outputs || [], 'out')}
+          <form class="action-form" data-action-name="${escapeHtml(action.name)}" novalidate>
+            ${(action.inputs || []).map(renderArgumentInput).join('')}
+            <button type="submit">Invoke</button>
+            <div class="action-result"></div>
+          </form>
+        </div>
+      `;
+    }
+
+    /**
+     * Build the form control for an in-argument: a select when the
+     * variable has an allowed value list (or is boolean), else a text input
+     * prefilled with the default value.
+     */
+    function renderArgumentInput(arg) {
+        const sv = arg.stateVariable || {};
+        const name = escapeHtml(arg.name);
+        let control;
+
+        if (sv.allowedValueList || sv.dataType === 'boolean') {
+            const values = sv.allowedValueList || ['0', '1'];
+            control = `<select name="${name}">${values.map(v => `
+              <option value="${escapeHtml(v)}"${v === sv.defaultValue ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+            </select>`;
+        } else {
+            const placeholder = sv.allowedValueRange
+                ? `${sv.allowedValueRange.minimum ?? ''}…${sv.allowedValueRange.maximum ?? ''}`
+                : sv.dataType || '';
+            control = `<input name="${name}" value="${escapeHtml(sv.defaultValue ?? '')}" placeholder="${escapeHtml(placeholder)}" autocomplete="off">`;
+        }
+
+        return `
+            <label class="arg-input">
+              <span>${name}</span>
+              ${control}
+              <span class="arg-error"></span>
+            </label>
+        `;
+    }
+
+    function renderArgument(arg) {
+        const sv = arg.stateVariable;
+        return `
+          <small class="arg">
+            <code>${escapeHtml(arg.name)}</code>
+            ${sv ? `: ${escapeHtml(sv.dataType)}` : ''}
+            ${sv ? describeConstraints(sv) : `<span class="muted">(unknown variable ${escapeHtml(arg.relatedStateVariable)})</span>`}
+            ${arg.retval ? '<span class="badge">retval</span>' : ''}
+          </small>
+        `;
+    }
+
+    function renderStateVariables(variables) {
+        return `
+      <table class="var-table">
+        <thead>
+          <tr><th>Name</th><th>Type</th><th>Default</th><th>Allowed</th><th>Events</th></tr>
+        </thead>
+        <tbody>
+          ${variables.map(v => `
+          <tr>
+            <td><code>${escapeHtml(v.name)}</code></td>
+            <td>${escapeHtml(v.dataType)}</td>
+            <td>${escapeHtml(v.defaultValue ?? '')}</td>
+            <td>${describeConstraints(v)}</td>
+            <td>${v.sendEvents ? '<span class="badge">evented</span>' : ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+    }
+
+    /**
+     * Describe allowed values / range / default of a state variable.
+     * @param {object} sv
+     * @returns {string} HTML
+     */
+    function describeConstraints(sv) {
+        const parts = [];
+        if (sv.allowedValueList) {
+            parts.push(`{ ${sv.allowedValueList.map(escapeHtml).join(' | ')} }`);
+        }
+        if (sv.allowedValueRange) {
+            const r = sv.allowedValueRange;
+            parts.push(`[${escapeHtml(r.minimum ?? '')} … ${escapeHtml(r.maximum ?? '')}${r.step ? ` step ${escapeHtml(r.step)}` : ''}]`);
+        }
+        return parts.length ? `<span class="muted">${parts.join(' ')}</span>` : '';
+    }
+
+    function bindActionForms() {
+        actionsContainer.querySelectorAll('.action-form').forEach(form => {
+            form.onclick = (e) => e.stopPropagation();
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                invokeAction(form);
+            };
+        });
+    }
+
+    /**
+     * Validate the form against the SCPD and emit an `invoke` request.
+     * Arguments are collected in SCPD order, which UPnP requires.
+     */
+    function invokeAction(form) {
+        const action = (state.scpd?.actions || [])
+            .find(a => a.name === form.dataset.actionName);
+        if (!action) return;
+
+        const args = {};
+        let valid = true;
+        for (const arg of action.inputs || []) {
+            const field = form.elements.namedItem(arg.name);
+            const value = field ? field.value : '';
+            const error = validateArgument(value, arg.stateVariable);
+            field.closest('.arg-input').querySelector('.arg-error').textContent = error || '';
+            if (error) valid = false;
+            args[arg.name] = value;
+        }
+        if (!valid) return;
+
+        const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        state.pendingInvokes[requestId] = form;
+        form.querySelector('button[type="submit"]').disabled = true;
+        form.querySelector('.action-result').innerHTML = `<em>Invoking…</em>`;
+
+        socket.emit('invoke', {
+            requestId,
+            deviceUdn: state.selectedDevice,
+            serviceId: state.selectedService,
+            actionName: action.name,
+            args
+        });
+    }
+
+    function renderInvokeResult(result) {
+        const form = state.pendingInvokes[result.requestId];
+        delete state.pendingInvokes[result.requestId];
+        if (!form || !form.isConnected) return;
+
+        form.querySelector('button[type="submit"]').disabled = false;
+        const container = form.querySelector('.action-result');
+
+        if (result.error) {
+            container.innerHTML = `<div class="error">${escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        if (!result.ok) {
+            const f = result.fault || {};
+            container.innerHTML = `
+              <div class="error">
+                UPnP fault ${escapeHtml(f.errorCode ?? '')}: ${escapeHtml(f.errorDescription || f.faultString || 'Unknown error')}
+                <small>HTTP ${escapeHtml(result.statusCode)}</small>
+              </div>
+            `;
+            return;
+        }
+
+        const outputs = Object.entries(result.outputs || {});
+        container.innerHTML = outputs.length
+            ? `<table class="var-table">${outputs.map(([name]) => `
+                <tr><td><code>${escapeHtml(name)}</code></td><td class="result-value"></td></tr>`).join('')}
+              </table>`
+            : `<em>OK (no out-arguments)</em>`;
+
+        // Values can hold XML (e.g. DIDL-Lite), so set them as text
+        container.querySelectorAll('.result-value').forEach((cell, i) => {
+            cell.textContent = outputs[i][1];
+        });
+    }
+
+    /**
+     * Check a form value against a state variable's dataType, allowed
+     * value list and allowed value range.
+     *
+     * @param {string} value
+     * @param {object|null} sv Resolved state variable
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateArgument(value, sv) {
+        if (!sv) return null;
+        const type = sv.dataType || 'string';
+
+        if (sv.allowedValueList && !sv.allowedValueList.includes(value)) {
+            return 'Not an allowed value';
+        }
+
+        const intRanges = {
+            ui1: [0, 255], ui2: [0, 65535], ui4: [0, 4294967295], ui8: [0, Number.MAX_SAFE_INTEGER],
+            i1: [-128, 127], i2: [-32768, 32767], i4: [-2147483648, 2147483647],
+            i8: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER], int: [-2147483648, 2147483647]
+        };
+
+        if (intRanges[type]) {
+            if (!/^[-+]?\d+$/.test(value)) return `Expected an integer (${type})`;
+            const n = Number(value);
+            if (n < intRanges[type][0] || n > intRanges[type][1]) return `Out of range for ${type}`;
+        } else if (['r4', 'r8', 'number', 'float', 'fixed.14.4'].includes(type)) {
+            if (value.trim() === '' || !Number.isFinite(Number(value))) return `Expected a number (${type})`;
+        } else if (type === 'boolean') {
+            if (!/^(0|1|true|false|yes|no)$/i.test(value)) return 'Expected 0/1, true/false or yes/no';
+        } else if (type === 'char') {
+            if ([...value].length !== 1) return 'Expected a single character';
+        } else if (type === 'uuid') {
+            if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'Expected a UUID';
+        } else if (type === 'bin.hex') {
+            if (!/^([0-9a-f]{2})*$/i.test(value)) return 'Expected hex bytes';
+        } else if (type === 'bin.base64') {
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return 'Expected base64';
+        } else if (type.startsWith('date') || type.startsWith('time')) {
+            if (value && Number.isNaN(Date.parse(type.startsWith('time') ? `1970-01-01T${value}` : value))) {
+                return `Expected ${type}`;
+            }
+        }
+
+        if (sv.allowedValueRange) {
+            const { minimum, maximum, step } = sv.allowedValueRange;
+            const n = Number(value);
+            if (minimum !== null && n < Number(minimum)) return `Must be ≥ ${minimum}`;
+            if (maximum !== null && n > Number(maximum)) return `Must be ≤ ${maximum}`;
+            if (step && minimum !== null && Math.abs(((n - Number(minimum)) / Number(step)) % 1) > 1e-9) {
+                return `Must be a multiple of ${step} from ${minimum}`;
+            }
+        }
+
+        return null;
+    }
+
+    function toggleXml() {
+        const pre = actionsContainer.querySelector('.scp-xml');
+        if (!pre) return;
+        state.showXml = !state.showXml;
+        pre.hidden = !state.showXml;
+        if (state.showXml) pre.scrollIntoView({ block: 'start' });
+    }
+
+    /* =========================
+     * Utils
+     * ========================= */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+
+    /* =========================
+     * Socket Events
+     * ========================= */
+    function bindSocketEvents() {
+        socket.on('connect', requestDevices);
+
+        socket.on('connect_error', handleConnectError);
+
+        socket.on('session', applySession);
+
+        socket.on('devices', (devices) => {
+            state.devices = devices;
+            renderDevices(devices);
+        });
+
+        socket.on('device:added', upsertDevice);
+
+        socket.on('device:updated', upsertDevice);
+
+        socket.on('scan:started', handleScanStarted);
+
+        socket.on('scan:complete', handleScanComplete);
+
+        socket.on('device-status', applyDeviceStatus);
+
+        socket.on('device:error', applyFetchError);
+
+        socket.on('fetch-errors', (records) => {
+            state.fetchErrors = Object.fromEntries(records.map(r => [r.location, r]));
+            renderDevices(state.devices);
+        });
+
+        socket.on('inventory', renderInventory);
+
+        socket.on('suspicious', applySuspicious);
+
+        socket.on('suspicious:seen', applySuspiciousSeen);
+
+        // Rooms do not survive a reconnect
+        socket.on('connect', () => {
+            if (state.traffic) watchTraffic();
+        });
+
+        socket.on('ssdp:traffic', applyTraffic);
+
+        socket.on('ssdp:packets', applyTrafficPackets);
+
+        socket.on('ssdp:capture', applyCaptureStatus);
+
+        socket.on('services', renderServices);
+
+        socket.on('renderer', renderRenderer);
+
+        socket.on('browse', renderLibrary);
+
+        socket.on('search', renderLibrary);
+
+        socket.on('renderers', applyRenderers);
+
+        socket.on('play-on', showPlayOnStatus);
+
+        socket.on('queue', applyQueue);
+
+        socket.on('vendor', renderVendor);
+
+        socket.on('vendor:action', applyVendorAction);
+
+        socket.on('gateway', renderGateway);
+
+        socket.on('metadata', renderMetadata);
+
+        socket.on('device:changed', applyDeviceChanged);
+
+        socket.on('actions', renderActions);
+
+        socket.on('invoke', renderInvokeResult);
+
+        socket.on('watch', applyWatchStatus);
+
+        socket.on('state', handleStateEvent);
+    }
+
+    /* =========================
+     * UI Events
+     * ========================= */
+    function bindUIActions() {
+        discoverButton.onclick = (e) => {
+            e.stopPropagation();
+            discoverDevices();
+        };
+
+        filterButton.onclick = (e) => {
+            e.stopPropagation();
+            if (filterBar.hidden) {
+                filterBar.hidden = false;
+                filterBar.elements.filter.focus();
+            } else if (state.filter) {
+                commitFilter('', { push: true });
+                filterBar.hidden = true;
+            } else {
+                filterBar.hidden = true;
+            }
+        };
+
+        historyButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.view === 'inventory') {
+                pushNavigationState(0);
+            } else {
+                pushNavigationState(0, null, null, { view: 'inventory', staleDays: 0 });
+            }
+        };
+
+        sessionButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.session && state.session.name === 'anonymous') showLogin();
+            else logout();
+        };
+
+        loginForm.onsubmit = (e) => {
+            e.preventDefault();
+            login(loginForm.elements.name.value.trim(), loginForm.elements.password.value);
+        };
+
+        exportSelect.onchange = () => {
+            downloadExport(exportSelect.value);
+            exportSelect.value = '';
+        };
+
+        suspiciousButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.view === 'suspicious') {
+                pushNavigationState(0);
+            } else {
+                pushNavigationState(0, null, null, { view: 'suspicious' });
+            }
+        };
+
+        trafficButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.view === 'traffic') {
+                pushNavigationState(0);
+            } else {
+                pushNavigationState(0, null, null, { view: 'traffic', trafficFilter: '' });
+            }
+        };
+
+        libraryButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.library) {
+                pushNavigationState(1, state.selectedDevice);
+            } else {
+                pushNavigationState(1, state.selectedDevice, null, { view: 'library' });
+            }
+        };
+
+        metadataButton.onclick = (e) => {
+            e.stopPropagation();
+            if (!state.selectedDevice) return;
+            if (state.metadata) {
+                pushNavigationState(1, state.selectedDevice);
+            } else {
+                pushNavigationState(1, state.selectedDevice, null, { view: 'metadata' });
+            }
+        };
+
+        gatewayButton.onclick = (e) => {
+            e.stopPropagation();
+            if (state.gateway) {
+                pushNavigationState(1, state.selectedDevice);
+            } else {
+                pushNavigationState(1, state.selectedDevice, null, { view: 'gateway' });
+            }
+        };
+
+        toggleXmlButton.onclick = (e) => {
+            e.stopPropagation();
+            toggleXml();
+        };
+    }
+
+    /* =========================
+     * Init
+     * ========================= */
+    function init() {
+        bindSocketEvents();
+        bindUIActions();
+        bindFilterBar();
+        bindHistoryEvents();
+
+        // An icon that fails to load leaves its generated fallback showing
+        document.addEventListener('error', (e) => {
+            if (e.target.matches && e.target.matches('.device-icon img')) e.target.remove();
+        }, true);
+
+        const filter = new URLSearchParams(location.search).get('filter') || '';
+        history.replaceState(
+            { level: 0, deviceUdn: null, serviceId: null, filter },
+            '',
+            filterUrl(filter)
+        );
+        applyFilter(filter);
+
+        import('/device-filter.mjs')
+            .then((module) => {
+                deviceFilter = module;
+                applyFilter(state.filter);
+            })
+            .catch((e) => console.error('Failed to load the device filter:', e));
+
+        devicesContainer.innerHTML = `<em>Waiting for connection…</em>`;
+
+        setInterval(refreshDeviceAges, 30000);
     }
 
     return { init };